@@ -0,0 +1,197 @@
+// 用户账号：邮箱 + 密码登录，签发 HS256 JWT；账号下保存常去的目的地、收藏的停车场和默认车型
+// 角色：user（默认）、operator（运营人员，可改停车场数据）、admin（另可管理用户角色、增删停车场）
+const crypto = require('crypto');
+const store = require('./store');
+const emissions = require('./emissions');
+const { secret } = require('./secrets');
+
+const userStore = store.collection('users');
+
+const JWT_SECRET = secret('JWT_SECRET', 'dev-jwt-secret');
+const TOKEN_DAYS = Number(process.env.TOKEN_DAYS) || 30;
+const MIN_PASSWORD = 8;
+const MAX_DESTINATIONS = 20;
+const MAX_FAVOURITES = 20;
+const ROLES = ['user', 'operator', 'admin'];
+
+// ---------- 密码 ----------
+
+// 存成 scrypt$salt$hash，salt 和 hash 均为 base64url
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 32);
+    return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+function checkPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'base64url');
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64url'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// ---------- JWT ----------
+
+const b64json = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+const sign = data => crypto.createHmac('sha256', JWT_SECRET).update(data).digest('base64url');
+
+function issueToken(user, now = new Date()) {
+    const iat = Math.floor(now.getTime() / 1000);
+    const data = `${b64json({ alg: 'HS256', typ: 'JWT' })}.${b64json({ sub: user.id, iat, exp: iat + TOKEN_DAYS * 86400 })}`;
+    return `${data}.${sign(data)}`;
+}
+
+// 签名和有效期都通过时返回 payload，否则 null
+function verifyToken(token, now = new Date()) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) return null;
+    const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+    const actual = Buffer.from(parts[2]);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+    let header, payload;
+    try {
+        header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+        payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    } catch (err) {
+        return null;
+    }
+    if (header.alg !== 'HS256' || !payload.sub || !(payload.exp * 1000 > now.getTime())) return null;
+    return payload;
+}
+
+// Authorization: Bearer <jwt> 对应的用户；没有或无效返回 null
+function userFromRequest(req) {
+    const m = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+    const payload = m && verifyToken(m[1]);
+    return payload ? userStore.get(payload.sub) : null;
+}
+
+// ---------- 账号 ----------
+
+const normalizeEmail = email => String(email).trim().toLowerCase();
+const findByEmail = email => userStore.list().find(u => u.email === normalizeEmail(email)) || null;
+
+// 对外视图：不含密码哈希
+function publicUser(user) {
+    const { password_hash, ...rest } = user;
+    return rest;
+}
+
+// 空串会被 vehicleProfile 当成默认车型，这里要求明确给出列表里的一个
+function validateVehicle(vehicle, errors) {
+    if (vehicle !== undefined && (typeof vehicle !== 'string' || !vehicle || !emissions.vehicleProfile(vehicle))) {
+        errors.push(`vehicle must be one of ${Object.keys(emissions.getFactors().vehicles).join(', ')}`);
+    }
+}
+
+function register(body, now = new Date()) {
+    const errors = [];
+    if (typeof body.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(body.email.trim())) errors.push('email must be a valid email address');
+    if (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD) errors.push(`password must be at least ${MIN_PASSWORD} characters`);
+    if (body.name !== undefined && typeof body.name !== 'string') errors.push('name must be a string');
+    validateVehicle(body.vehicle, errors);
+    if (errors.length) return { status: 400, error: 'Invalid registration', details: errors };
+    if (findByEmail(body.email)) return { status: 409, error: 'An account with that email already exists' };
+
+    const user = userStore.insert({
+        id: crypto.randomUUID(),
+        email: normalizeEmail(body.email),
+        name: body.name ? body.name.trim() : null,
+        password_hash: hashPassword(body.password),
+        // 新账号一律是 user：邮箱未经验证，不能凭邮箱授予权限；角色由管理员或 scripts/set-role.js 设置
+        role: 'user',
+        vehicle: body.vehicle || emissions.getFactors().default_vehicle,
+        destinations: [],
+        favourites: [],
+        created_at: now.toISOString(),
+        updated_at: now.toISOString()
+    });
+    return { user: publicUser(user), token: issueToken(user, now) };
+}
+
+// 邮箱不存在和密码错误返回同样的信息，不泄露账号是否存在
+function login(body) {
+    const user = typeof body.email === 'string' && findByEmail(body.email);
+    if (!user || typeof body.password !== 'string' || !checkPassword(body.password, user.password_hash)) {
+        return { status: 401, error: 'Incorrect email or password' };
+    }
+    return { user: publicUser(user), token: issueToken(user) };
+}
+
+function save(user, patch) {
+    return publicUser(userStore.update(user.id, { ...patch, updated_at: new Date().toISOString() }));
+}
+
+// 可修改 name、vehicle，以及（需提供 current_password 的）password
+function updateProfile(user, body) {
+    const errors = [];
+    const patch = {};
+    if (body.name !== undefined) {
+        if (body.name !== null && typeof body.name !== 'string') errors.push('name must be a string');
+        else patch.name = body.name ? body.name.trim() : null;
+    }
+    if (body.vehicle !== undefined) {
+        validateVehicle(body.vehicle, errors);
+        patch.vehicle = body.vehicle;
+    }
+    if (body.password !== undefined) {
+        if (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD) errors.push(`password must be at least ${MIN_PASSWORD} characters`);
+        else if (typeof body.current_password !== 'string' || !checkPassword(body.current_password, user.password_hash)) errors.push('current_password is incorrect');
+        else patch.password_hash = hashPassword(body.password);
+    }
+    if (errors.length) return { status: 400, error: 'Invalid profile update', details: errors };
+    return { user: save(user, patch) };
+}
+
+// ---------- 常去的目的地 ----------
+
+function addDestination(user, body) {
+    const errors = [];
+    if (typeof body.name !== 'string' || !body.name.trim()) errors.push('name is required');
+    if (typeof body.lat !== 'number' || body.lat < -90 || body.lat > 90) errors.push('lat must be a number between -90 and 90');
+    if (typeof body.lng !== 'number' || body.lng < -180 || body.lng > 180) errors.push('lng must be a number between -180 and 180');
+    if (errors.length) return { status: 400, error: 'Invalid destination', details: errors };
+    if (user.destinations.length >= MAX_DESTINATIONS) return { status: 409, error: `You can save up to ${MAX_DESTINATIONS} destinations` };
+
+    const destination = { id: crypto.randomUUID(), name: body.name.trim(), lat: body.lat, lng: body.lng };
+    if (typeof body.place_id === 'string') destination.place_id = body.place_id;
+    save(user, { destinations: [...user.destinations, destination] });
+    return { destination };
+}
+
+function removeDestination(user, id) {
+    if (!user.destinations.some(d => d.id === id)) return { status: 404, error: 'Not found' };
+    return { user: save(user, { destinations: user.destinations.filter(d => d.id !== id) }) };
+}
+
+// ---------- 收藏的停车场（保存 id，按收藏先后排序） ----------
+
+function addFavourite(user, parkingId) {
+    if (user.favourites.includes(parkingId)) return { user: publicUser(user) };
+    if (user.favourites.length >= MAX_FAVOURITES) return { status: 409, error: `You can favourite up to ${MAX_FAVOURITES} car parks` };
+    return { user: save(user, { favourites: [...user.favourites, parkingId] }) };
+}
+
+function removeFavourite(user, parkingId) {
+    if (!user.favourites.includes(parkingId)) return { status: 404, error: 'Not found' };
+    return { user: save(user, { favourites: user.favourites.filter(id => id !== parkingId) }) };
+}
+
+// ---------- 角色管理（admin） ----------
+
+const listUsers = () => userStore.list().map(publicUser).sort((a, b) => a.email.localeCompare(b.email));
+
+function setRole(userId, role) {
+    if (!ROLES.includes(role)) return { status: 400, error: 'Invalid role', details: [`role must be one of ${ROLES.join(', ')}`] };
+    const user = userStore.get(userId);
+    if (!user) return { status: 404, error: 'Not found' };
+    return { before: publicUser(user), user: save(user, { role }) };
+}
+
+module.exports = {
+    ROLES, listUsers, setRole, findByEmail,
+    register, login, userFromRequest, publicUser, updateProfile,
+    addDestination, removeDestination, addFavourite, removeFavourite,
+    issueToken, verifyToken
+};
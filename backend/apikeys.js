@@ -0,0 +1,75 @@
+// 第三方（其他市政应用等）使用的 API key：每个 key 有自己的每分钟限速和每日配额（见 ratelimit.js）
+// 请求头 X-API-Key: mcp_xxx；key 只在创建时返回一次，存储的是 SHA-256 摘要（key 本身是 32 字节随机数，不需要加盐慢哈希）
+const crypto = require('crypto');
+const store = require('./store');
+
+const keyStore = store.collection('api_keys');
+
+const DEFAULT_RATE = Number(process.env.API_KEY_RATE_PER_MINUTE) || 600;
+const DEFAULT_QUOTA = Number(process.env.API_KEY_DAILY_QUOTA) || 50000;
+const MAX_RATE = 10000;
+const MAX_QUOTA = 10000000;
+
+const digest = key => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+function validateKey(body) {
+    const errors = [];
+    if (typeof body.name !== 'string' || !body.name.trim()) errors.push('name is required');
+    if (body.contact !== undefined && body.contact !== null && typeof body.contact !== 'string') errors.push('contact must be a string');
+    if (body.rate_per_minute !== undefined && !(Number.isInteger(body.rate_per_minute) && body.rate_per_minute >= 1 && body.rate_per_minute <= MAX_RATE)) {
+        errors.push(`rate_per_minute must be an integer from 1 to ${MAX_RATE}`);
+    }
+    if (body.daily_quota !== undefined && !(Number.isInteger(body.daily_quota) && body.daily_quota >= 1 && body.daily_quota <= MAX_QUOTA)) {
+        errors.push(`daily_quota must be an integer from 1 to ${MAX_QUOTA}`);
+    }
+    return errors;
+}
+
+// 对外视图：不含摘要，prefix 用于在列表里辨认是哪个 key
+function keyToApi(k) {
+    const { key_hash, ...rest } = k;
+    return rest;
+}
+
+function create(body, now = new Date()) {
+    const errors = validateKey(body);
+    if (errors.length) return { status: 400, error: 'Invalid API key', details: errors };
+    const key = `mcp_${crypto.randomBytes(32).toString('base64url')}`;
+    const record = keyStore.insert({
+        id: crypto.randomUUID(),
+        name: body.name.trim(),
+        contact: body.contact ? body.contact.trim() : null,
+        prefix: key.slice(0, 12),
+        key_hash: digest(key),
+        rate_per_minute: body.rate_per_minute ?? DEFAULT_RATE,
+        daily_quota: body.daily_quota ?? DEFAULT_QUOTA,
+        status: 'active',
+        created_at: now.toISOString(),
+        revoked_at: null,
+        updated_at: now.toISOString()
+    });
+    return { apiKey: { ...keyToApi(record), key } };
+}
+
+function list() {
+    return keyStore.list().sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+function get(id) {
+    return keyStore.get(id);
+}
+
+function revoke(id, now = new Date()) {
+    const existing = keyStore.get(id);
+    if (!existing) return { status: 404, error: 'Not found' };
+    if (existing.status === 'revoked') return { status: 409, error: 'API key is already revoked' };
+    return { before: existing, apiKey: keyStore.update(id, { status: 'revoked', revoked_at: now.toISOString(), updated_at: now.toISOString() }) };
+}
+
+// 按请求里的 key 查找，未知或已吊销返回 null
+function findByKey(key) {
+    const hash = digest(key);
+    return keyStore.list().find(k => k.key_hash === hash && k.status === 'active') || null;
+}
+
+module.exports = { create, list, get, revoke, findByKey, keyToApi };
@@ -0,0 +1,57 @@
+// 运营审计：管理操作写入 audit 集合（谁、何时、改了什么）；
+// 传感器 / 道闸 / 导入等数据上报另记一份最近的接收日志，只保存在内存里
+const crypto = require('crypto');
+const store = require('./store');
+
+const auditStore = store.collection('audit');
+
+const INGEST_LOG_SIZE = Number(process.env.INGEST_LOG_SIZE) || 500;
+const ingestLog = [];
+
+// 逐字段比较，得到 { 字段: { from, to } }；updated_at 不算修改
+function diff(before = {}, after = {}) {
+    const changes = {};
+    for (const k of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+        if (k === 'updated_at' || k === 'id') continue;
+        const a = before ? before[k] : undefined;
+        const b = after ? after[k] : undefined;
+        if (JSON.stringify(a) !== JSON.stringify(b)) changes[k] = { from: a ?? null, to: b ?? null };
+    }
+    return changes;
+}
+
+// actor 为 { id, label, role }；target 为 { type, id }；before / after 为修改前后的记录
+function record(actor, action, target, { before, after, reason, summary } = {}) {
+    return auditStore.insert({
+        id: crypto.randomUUID(),
+        at: new Date().toISOString(),
+        actor: { id: actor.id, label: actor.label, role: actor.role },
+        action,
+        target,
+        changes: before || after ? diff(before, after) : {},
+        reason: reason || null,
+        summary: summary || null
+    });
+}
+
+// 新的在前；target 为停车场等对象的 id
+function list({ target, actor, action, limit = 50, offset = 0 } = {}) {
+    const items = auditStore.list()
+        .filter(e => (!target || e.target.id === target) && (!actor || e.actor.id === actor) && (!action || e.action.startsWith(action)))
+        .sort((a, b) => b.at.localeCompare(a.at));
+    return { total: items.length, items: items.slice(offset, offset + limit) };
+}
+
+function logIngest(entry) {
+    ingestLog.push({ at: new Date().toISOString(), ...entry });
+    if (ingestLog.length > INGEST_LOG_SIZE) ingestLog.shift();
+}
+
+function recentIngest({ source, target, limit = 100 } = {}) {
+    return ingestLog
+        .filter(e => (!source || e.source === source) && (!target || e.target === target))
+        .slice(-limit)
+        .reverse();
+}
+
+module.exports = { record, list, logIngest, recentIngest, diff };
@@ -0,0 +1,56 @@
+// 轻量 CSV 读写（RFC 4180：逗号分隔、双引号转义、字段内可换行）
+// 每行返回 { cells, line }，line 为该行在源文件中起始的物理行号（引号内的换行和跳过的空行都计入）
+function parseRows(text) {
+    const rows = [];
+    let row = [], field = '', inQuotes = false;
+    let line = 1, rowLine = 1;
+    const src = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < src.length; i++) {
+        const c = src[i];
+        if (c === '\n' || (c === '\r' && src[i + 1] !== '\n')) line++;
+        if (inQuotes) {
+            if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+            else if (c === '"') inQuotes = false;
+            else field += c;
+        } else if (c === '"') inQuotes = true;
+        else if (c === ',') { row.push(field); field = ''; }
+        else if (c === '\n' || c === '\r') {
+            if (c === '\r' && src[i + 1] === '\n') { i++; line++; }
+            row.push(field); rows.push({ cells: row, line: rowLine }); row = []; field = '';
+            rowLine = line;
+        } else field += c;
+    }
+    if (field !== '' || row.length) { row.push(field); rows.push({ cells: row, line: rowLine }); }
+    return rows.filter(r => r.cells.length > 1 || r.cells[0] !== '');
+}
+
+// 导出时为防公式注入加的单引号（见 escape），读回时去掉
+const unguard = v => (/^'[=+\-@\t\r]/.test(v) ? v.slice(1) : v);
+
+// 第一行为表头，返回对象数组；每个对象带 _line（源文件行号，便于报错）
+function parse(text) {
+    const [header, ...rows] = parseRows(text);
+    if (!header) return [];
+    const keys = header.cells.map(h => h.trim());
+    return rows.map(({ cells, line }) => {
+        const obj = { _line: line };
+        keys.forEach((k, j) => { obj[k] = cells[j] !== undefined ? unguard(cells[j].trim()) : ''; });
+        return obj;
+    });
+}
+
+// 以 = + - @ 开头的文本在 Excel 等表格软件里会被当成公式，前面加单引号；数字（如负的经纬度）不受影响
+function escape(v) {
+    if (v === undefined || v === null) return '';
+    let s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+    if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function stringify(rows, columns) {
+    const lines = [columns.join(',')];
+    for (const r of rows) lines.push(columns.map(c => escape(r[c])).join(','));
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parse, stringify };
@@ -0,0 +1,47 @@
+// 出行排放与花费：排放因子、油耗/电耗和票价都来自配置文件，方便按地区或年份调整
+const fs = require('fs');
+const path = require('path');
+
+const FACTORS_FILE = process.env.EMISSION_FACTORS_FILE || path.join(__dirname, 'data', 'emission-factors.json');
+
+let factors;
+function getFactors() {
+    if (!factors) factors = JSON.parse(fs.readFileSync(FACTORS_FILE, 'utf8'));
+    return factors;
+}
+
+const round2 = n => Math.round(n * 100) / 100;
+const inBox = (p, [minLng, minLat, maxLng, maxLat]) => p.lng >= minLng && p.lng <= maxLng && p.lat >= minLat && p.lat <= maxLat;
+
+function vehicleProfile(name) {
+    const f = getFactors();
+    const key = name || f.default_vehicle;
+    // 只认文件里列出的车型，constructor、__proto__ 这类继承属性不算
+    return Object.hasOwn(f.vehicles, key) ? { id: key, ...f.vehicles[key] } : null;
+}
+
+// 开车 meters 米：排放和能源花费（停车费另算）
+function drivingImpact(profile, meters) {
+    const km = meters / 1000;
+    return {
+        co2_kg: round2(km * profile.co2_kg_per_km),
+        energy: round2(km * profile.energy_per_100km / 100),
+        energy_unit: profile.energy_unit,
+        energy_cost: round2(km * profile.energy_per_100km / 100 * profile.energy_price)
+    };
+}
+
+// 乘坐公共交通 meters 米：按人公里排放；两小时票价，上下车都在免费电车区内的电车免费
+function transitImpact(mode, meters, board, alight) {
+    const f = getFactors();
+    const perKm = f.transit_co2_kg_per_passenger_km;
+    const zone = f.fares.free_tram_zone;
+    const free = mode === 'tram' && zone && inBox(board, zone) && inBox(alight, zone);
+    return {
+        co2_kg: round2(meters / 1000 * (perKm[mode] ?? perKm.other)),
+        fare: free ? 0 : f.fares.two_hour,
+        free_tram_zone: Boolean(free)
+    };
+}
+
+module.exports = { getFactors, vehicleProfile, drivingImpact, transitImpact };
@@ -0,0 +1,71 @@
+// 开放数据导出：GeoJSON / CSV 供 GIS 工具读取，DATEX II 风格 XML 供交通信息平台读取
+// 输出都是对外视图（停车场经过 toApi，车位经过 bayToApi），与 JSON 接口的数值一致
+const csv = require('./csv');
+
+const PARKING_COLUMNS = [
+    'id', 'name', 'lat', 'lng', 'region', 'capacity', 'available', 'reserved', 'price', 'open_now', 'closed_reason', 'open_24_7',
+    'open_hours', 'tariff', 'max_height_m', 'ev_chargers', 'accessible_bays', 'motorcycle_bays', 'updated_at'
+];
+
+const BAY_COLUMNS = [
+    'id', 'sensor_id', 'zone', 'street', 'lat', 'lng', 'status', 'status_at', 'can_park_now', 'restrictions', 'updated_at'
+];
+
+// GeoJSON 坐标顺序为 [lng, lat]；lat/lng 放在 geometry 里，不再重复出现在 properties
+function toGeoJSON(items) {
+    return {
+        type: 'FeatureCollection',
+        features: items.map(({ lat, lng, ...properties }) => ({
+            type: 'Feature',
+            id: properties.id,
+            geometry: { type: 'Point', coordinates: [lng, lat] },
+            properties
+        }))
+    };
+}
+
+const parkingCsv = lots => csv.stringify(lots, PARKING_COLUMNS);
+const baysCsv = bays => csv.stringify(bays, BAY_COLUMNS);
+
+const xmlEscape = v => String(v).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+
+function siteStatus(lot) {
+    if (lot.open_now === false) return 'closed';
+    if (lot.available <= 0) return 'full';
+    if (lot.available / Math.max(1, lot.capacity) <= 0.1) return 'almostFull';
+    return 'spacesAvailable';
+}
+
+// DATEX II 2.3 ParkingStatusPublication 的精简版：每个停车场一条 parkingRecordStatus
+function parkingDatex(lots, now = new Date()) {
+    const supplier = process.env.DATEX_SUPPLIER_ID || 'AU-VIC-MELBOURNE-PARKING';
+    const records = lots.map(lot => {
+        const occupancy = lot.capacity ? Math.round((1 - lot.available / lot.capacity) * 1000) / 10 : 0;
+        return [
+            '    <parkingRecordStatus xsi:type="ParkingSiteStatus">',
+            `      <parkingRecordReference targetClass="ParkingRecord" id="${xmlEscape(lot.id)}" version="1"/>`,
+            `      <parkingStatusOriginTime>${xmlEscape(lot.updated_at)}</parkingStatusOriginTime>`,
+            '      <parkingOccupancy>',
+            `        <parkingNumberOfSpacesOverride>${lot.capacity}</parkingNumberOfSpacesOverride>`,
+            `        <parkingNumberOfVacantSpaces>${lot.available}</parkingNumberOfVacantSpaces>`,
+            `        <parkingOccupancy>${occupancy}</parkingOccupancy>`,
+            '      </parkingOccupancy>',
+            `      <parkingSiteStatus>${siteStatus(lot)}</parkingSiteStatus>`,
+            '    </parkingRecordStatus>'
+        ].join('\n');
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<d2LogicalModel xmlns="http://datex2.eu/schema/2/2_0" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" modelBaseVersion="2">',
+        `  <exchange><supplierIdentification><country>other</country><nationalIdentifier>${xmlEscape(supplier)}</nationalIdentifier></supplierIdentification></exchange>`,
+        '  <payloadPublication xsi:type="ParkingStatusPublication" lang="en">',
+        `    <publicationTime>${now.toISOString()}</publicationTime>`,
+        `    <publicationCreator><country>other</country><nationalIdentifier>${xmlEscape(supplier)}</nationalIdentifier></publicationCreator>`,
+        ...records,
+        '  </payloadPublication>',
+        '</d2LogicalModel>',
+        ''
+    ].join('\n');
+}
+
+module.exports = { toGeoJSON, parkingCsv, baysCsv, parkingDatex, PARKING_COLUMNS, BAY_COLUMNS };
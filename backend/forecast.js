@@ -0,0 +1,65 @@
+// 空位预测：按“星期几 + 小时”的历史季节均值估计某时刻的空位数，并给出置信区间
+const { history } = require('./occupancy');
+const { localParts } = require('./time');
+
+const LOOKBACK_WEEKS = 8;
+const MIN_SAMPLES = 3;
+const NOWCAST_MINUTES = 60;   // 一小时内的预测与当前空位加权混合
+const Z80 = 1.2816;           // 80% 区间
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const mean = xs => xs.reduce((a, b) => a + b, 0) / xs.length;
+const std = xs => {
+    const m = mean(xs);
+    return Math.sqrt(xs.reduce((a, x) => a + (x - m) ** 2, 0) / Math.max(1, xs.length - 1));
+};
+const clamp = (x, lo, hi) => Math.min(hi, Math.max(lo, x));
+
+// 返回 { expected_available, low, high, method, samples }
+function forecast(lot, at, now = new Date()) {
+    const target = localParts(at);
+    const events = history({
+        parkingIds: [lot.id],
+        from: new Date(now.getTime() - LOOKBACK_WEEKS * WEEK_MS).toISOString(),
+        to: now.toISOString()
+    }).map(ev => ({ ev, t: localParts(ev.at) }));
+
+    // 优先同一星期几同一小时，样本不足时退到同一小时，再不行用当前值
+    let method = 'weekday-hour';
+    let samples = events.filter(({ t }) => t.weekday === target.weekday && t.hour === target.hour);
+    if (samples.length < MIN_SAMPLES) {
+        method = 'hour';
+        samples = events.filter(({ t }) => t.hour === target.hour);
+    }
+
+    let expected, spread;
+    if (samples.length >= MIN_SAMPLES) {
+        // 按当前容量换算，避免历史容量变更带来的偏差
+        const free = samples.map(({ ev }) => (ev.available / Math.max(1, ev.capacity)) * lot.capacity);
+        expected = mean(free);
+        spread = Z80 * std(free);
+    } else {
+        method = 'current';
+        expected = lot.available;
+        spread = lot.capacity * 0.25;
+    }
+
+    const minutesAhead = (at.getTime() - now.getTime()) / 60000;
+    if (method !== 'current' && minutesAhead < NOWCAST_MINUTES) {
+        const w = clamp(1 - minutesAhead / NOWCAST_MINUTES, 0, 1);
+        expected = w * lot.available + (1 - w) * expected;
+        spread = (1 - w) * spread;
+    }
+
+    return {
+        expected_available: Math.round(clamp(expected, 0, lot.capacity)),
+        low: Math.round(clamp(expected - spread, 0, lot.capacity)),
+        high: Math.round(clamp(expected + spread, 0, lot.capacity)),
+        confidence: 0.8,
+        method,
+        samples: method === 'current' ? 0 : samples.length
+    };
+}
+
+module.exports = { forecast };
@@ -0,0 +1,12 @@
+// 球面距离（米），haversine 公式
+const R = 6371000;
+const toRad = d => d * Math.PI / 180;
+
+function distanceMeters(a, b) {
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+module.exports = { distanceMeters };
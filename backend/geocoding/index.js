@@ -0,0 +1,26 @@
+// 地理编码入口：GEOCODER=offline（默认）| nominatim
+// provider 接口：{ name, search(q, { limit, region }) → Promise<items>, reverse(lat, lng) → Promise<item|null> }
+// 选择 nominatim 时若远程出错，自动退回离线 gazetteer，搜索不至于整个不可用
+const { createOfflineProvider } = require('./offline');
+const { createNominatimProvider } = require('./nominatim');
+
+function withFallback(primary, fallback) {
+    const attempt = method => async (...args) => {
+        try {
+            return await primary[method](...args);
+        } catch (err) {
+            console.warn(`Geocoder ${primary.name}.${method} failed, using ${fallback.name}:`, err.message);
+            return fallback[method](...args);
+        }
+    };
+    return { name: primary.name, search: attempt('search'), reverse: attempt('reverse') };
+}
+
+function createGeocoder(kind = process.env.GEOCODER || 'offline') {
+    const offline = createOfflineProvider();
+    if (kind === 'nominatim') return withFallback(createNominatimProvider(), offline);
+    if (kind !== 'offline') throw new Error(`Unknown GEOCODER "${kind}" (use offline or nominatim)`);
+    return offline;
+}
+
+module.exports = { createGeocoder };
@@ -0,0 +1,52 @@
+// Nominatim 兼容接口适配器（OSM 官方实例或自建实例），查询限定在 viewbox 附近
+// 指定地区时 viewbox 取该地区的 bounds，并且只返回框内结果
+const regions = require('../regions');
+
+const NOMINATIM_URL = process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+const USER_AGENT = process.env.NOMINATIM_USER_AGENT || 'melbourne-carpark-demo/1.0';
+// 默认以墨尔本市区为中心，minLng,maxLat,maxLng,minLat
+const VIEWBOX = process.env.NOMINATIM_VIEWBOX || '144.90,-37.77,145.05,-37.88';
+const TIMEOUT_MS = 4000;
+
+const TYPE_MAP = { railway: 'station', highway: 'street', place: 'suburb', boundary: 'suburb' };
+
+// bounds 为 [minLng, minLat, maxLng, maxLat]，viewbox 为 minLng,maxLat,maxLng,minLat
+const viewboxOf = ([minLng, minLat, maxLng, maxLat]) => [minLng, maxLat, maxLng, minLat].join(',');
+
+function toItem(r) {
+    const lat = Number(r.lat), lng = Number(r.lon);
+    return {
+        place_id: `osm-${r.osm_type}-${r.osm_id}`,
+        name: r.name || String(r.display_name).split(',')[0],
+        type: TYPE_MAP[r.category] || 'landmark',
+        lat,
+        lng,
+        region: regions.regionOf({ lat, lng }),
+        address: r.display_name,
+        source: 'nominatim'
+    };
+}
+
+async function get(pathname, params) {
+    const url = `${NOMINATIM_URL}${pathname}?${new URLSearchParams({ format: 'jsonv2', ...params })}`;
+    const res = await fetch(url, { headers: { 'User-Agent': USER_AGENT }, signal: AbortSignal.timeout(TIMEOUT_MS) });
+    if (!res.ok) throw new Error(`Nominatim ${pathname} returned ${res.status}`);
+    return res.json();
+}
+
+function createNominatimProvider() {
+    return {
+        name: 'nominatim',
+        async search(q, { limit = 8, region = null } = {}) {
+            const viewbox = region ? viewboxOf(region.bounds) : VIEWBOX;
+            const rows = await get('/search', { q, limit, countrycodes: 'au', viewbox, bounded: region ? 1 : 0 });
+            return rows.map(toItem);
+        },
+        async reverse(lat, lng) {
+            const r = await get('/reverse', { lat, lon: lng, zoom: 18 });
+            return r && !r.error ? toItem(r) : null;
+        }
+    };
+}
+
+module.exports = { createNominatimProvider };
@@ -0,0 +1,114 @@
+// 离线地理编码：读取各地区的本地 gazetteer（见 data/regions.json），支持缩写归一化、前缀匹配、拼写容错和逆地理编码
+const fs = require('fs');
+const { distanceMeters } = require('../geo');
+const regions = require('../regions');
+
+// 常见缩写统一展开，"flinder st" 与 "Flinders Street" 才能对上
+const ABBREVIATIONS = {
+    st: 'street', rd: 'road', ave: 'avenue', av: 'avenue', blvd: 'boulevard', ln: 'lane', pl: 'place',
+    sq: 'square', stn: 'station', sth: 'south', nth: 'north', mt: 'mount', uni: 'university', cbd: 'cbd'
+};
+const TYPE_WEIGHT = { station: 1, landmark: 1, street: 0.95, suburb: 0.9 };
+
+function normalize(s) {
+    return String(s).toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(t => ABBREVIATIONS[t] || t);
+}
+
+// Damerau–Levenshtein（相邻换位算一次编辑），超过 max 提前返回
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        let rowMin = Infinity;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            rowMin = Math.min(rowMin, d[i][j]);
+        }
+        if (rowMin > max) return max + 1;
+    }
+    return d[a.length][b.length];
+}
+
+// 单个查询词与候选词的匹配分：完全匹配 1，前缀 0.9，拼写容错 0.8 起递减
+function tokenScore(q, cand, isLast) {
+    if (q === cand) return 1;
+    // 最后一个词可能还没输完，允许前缀
+    if (cand.startsWith(q) && (isLast || q.length >= 4)) return 0.9;
+    const max = q.length >= 7 ? 2 : q.length >= 4 ? 1 : 0;
+    if (!max) return 0;
+    const d = editDistance(q, cand.slice(0, Math.max(q.length, cand.length)), max);
+    return d <= max ? 0.8 - 0.1 * d : 0;
+}
+
+// 所有查询词都要匹配上；分数为平均分，整名相同或整名前缀额外加分
+function scoreName(qTokens, nameTokens) {
+    let total = 0;
+    for (const [i, q] of qTokens.entries()) {
+        const isLast = i === qTokens.length - 1;
+        const best = Math.max(0, ...nameTokens.map(c => tokenScore(q, c, isLast)));
+        if (!best) return 0;
+        total += best;
+    }
+    let score = total / qTokens.length;
+    const name = nameTokens.join(' '), query = qTokens.join(' ');
+    if (name === query) score += 0.2;
+    else if (name.startsWith(query)) score += 0.1;
+    // 名字越短越贴近查询
+    return score - 0.01 * Math.max(0, nameTokens.length - qTokens.length);
+}
+
+function slug(name) {
+    return normalize(name).join('-');
+}
+
+// sources: [{ region, file }]，每个地名带上所属地区 id
+function createOfflineProvider(sources = regions.gazetteers()) {
+    const places = sources.flatMap(({ region, file }) => JSON.parse(fs.readFileSync(file, 'utf8')).places.map(p => ({
+        place_id: p.place_id || `gz-${slug(p.name)}`,
+        name: p.name,
+        type: p.type,
+        lat: p.lat,
+        lng: p.lng,
+        region,
+        keys: [p.name, ...(p.aliases || [])].map(normalize)
+    })));
+    const out = ({ keys, ...p }) => ({ ...p, source: 'offline' });
+
+    return {
+        name: 'offline',
+        // region 为 regions.get() 返回的地区，只搜该地区的地名
+        async search(q, { limit = 8, region = null } = {}) {
+            const qTokens = normalize(q);
+            const scoped = region ? places.filter(p => p.region === region.id) : places;
+            if (!qTokens.length) return scoped.filter(p => p.type === 'landmark').slice(0, limit).map(out);
+            return scoped
+                .map(p => ({ p, score: Math.max(...p.keys.map(k => scoreName(qTokens, k))) * (TYPE_WEIGHT[p.type] || 0.9) }))
+                .filter(r => r.score > 0)
+                .sort((a, b) => b.score - a.score || a.p.name.length - b.p.name.length)
+                .slice(0, limit)
+                .map(r => ({ ...out(r.p), score: Math.round(r.score * 100) / 100 }));
+        },
+        async reverse(lat, lng, { maxDistance = 500 } = {}) {
+            let best = null;
+            for (const p of places) {
+                const d = distanceMeters({ lat, lng }, p);
+                // 同样距离时优先车站/地标，而不是街道中心点
+                const rank = d / (TYPE_WEIGHT[p.type] || 0.9);
+                if (d <= maxDistance && (!best || rank < best.rank)) best = { p, d, rank };
+            }
+            return best ? { ...out(best.p), distance_m: Math.round(best.d) } : null;
+        }
+    };
+}
+
+module.exports = { createOfflineProvider, normalize, editDistance };
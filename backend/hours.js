@@ -0,0 +1,68 @@
+// 营业时间："24/7"，或按星期给出时段列表，如 { "mon": [["06:00", "24:00"]], "sun": [] }
+// 结束时间早于开始时间表示跨夜（如 ["22:00", "02:00"]）；未列出的星期视为不营业
+const { localParts, zonedTime } = require('./time');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const isClock = v => typeof v === 'string' && /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/.test(v);
+const toMinutes = hhmm => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3));
+
+function validateHours(h) {
+    if (h === null || h === '24/7') return [];
+    if (typeof h !== 'object' || Array.isArray(h)) return ['open_hours must be "24/7" or an object keyed by day'];
+    const errors = [];
+    for (const [day, ranges] of Object.entries(h)) {
+        if (!DAYS.includes(day)) { errors.push(`open_hours.${day} is not a day (use ${DAYS.join(', ')})`); continue; }
+        if (!Array.isArray(ranges) || ranges.some(r => !Array.isArray(r) || r.length !== 2 || !r.every(isClock))) {
+            errors.push(`open_hours.${day} must be a list of ["HH:MM", "HH:MM"] ranges`);
+        }
+    }
+    return errors;
+}
+
+// 没有配置营业时间视为全天开放
+function isOpenAt(h, when) {
+    if (!h || h === '24/7') return true;
+    const t = localParts(when);
+    const minute = t.hour * 60 + t.minute;
+    const today = h[DAYS[t.weekday]] || [];
+    const yesterday = h[DAYS[(t.weekday + 6) % 7]] || [];
+
+    for (const [from, to] of today) {
+        const start = toMinutes(from), end = toMinutes(to);
+        if (end > start ? minute >= start && minute < end : minute >= start) return true;
+    }
+    // 前一天的跨夜时段
+    for (const [from, to] of yesterday) {
+        const start = toMinutes(from), end = toMinutes(to);
+        if (end <= start && minute < end) return true;
+    }
+    return false;
+}
+
+const isAlwaysOpen = h => !h || h === '24/7';
+
+// 最近一次开门或关门的时刻（不晚于 when，只看过去一周）；营业状态随时间变化，Last-Modified 要把它算进去
+// 相邻时段首尾相接（如 00:00–24:00 天天营业）的边界不算变化
+function lastChangeAt(h, when) {
+    if (isAlwaysOpen(h)) return null;
+    const at = new Date(when).getTime();
+    const [y, m, d] = localParts(at).date.split('-').map(Number);
+    let latest = null;
+    for (let back = 0; back <= 7; back++) {
+        const day = new Date(Date.UTC(y, m - 1, d - back));
+        const date = day.toISOString().slice(0, 10);
+        for (const [from, to] of h[DAYS[day.getUTCDay()]] || []) {
+            const start = toMinutes(from);
+            const end = toMinutes(to) + (toMinutes(to) <= start ? 24 * 60 : 0);
+            for (const minute of [start, end]) {
+                const t = zonedTime(date, minute * 60).getTime();
+                if (t > at || (latest !== null && t <= latest)) continue;
+                if (isOpenAt(h, t) !== isOpenAt(h, t - 60000)) latest = t;
+            }
+        }
+    }
+    return latest === null ? null : new Date(latest);
+}
+
+module.exports = { validateHours, isOpenAt, isAlwaysOpen, lastChangeAt };
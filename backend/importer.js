@@ -0,0 +1,163 @@
+// 数据导入：逐行校验，按 id upsert（重复导入同一份数据结果不变），返回逐行错误报告
+const store = require('./store');
+const csv = require('./csv');
+const kerbside = require('./kerbside');
+const { validateParking, PARKING_FIELDS } = require('./parking');
+
+const parkingStore = store.collection('parking');
+const bayStore = store.collection('bays');
+
+// 输入可以是文本（CSV / GeoJSON）或已解析的 GeoJSON 对象；GeoJSON 文本以 { 开头
+function readRecords(input) {
+    if (typeof input === 'string' && !input.trimStart().startsWith('{')) {
+        return csv.parse(input).map(row => ({ line: row._line, row }));
+    }
+    const fc = typeof input === 'string' ? JSON.parse(input) : input;
+    const features = fc.type === 'FeatureCollection' ? fc.features : [fc];
+    if (!Array.isArray(features)) throw new Error('expected a GeoJSON FeatureCollection');
+    return features.map((f, i) => {
+        const coords = f && f.geometry && f.geometry.type === 'Point'
+            ? { lat: f.geometry.coordinates[1], lng: f.geometry.coordinates[0] }
+            : null;
+        return { line: `feature ${i}`, row: (f && f.properties) || {}, coords };
+    });
+}
+
+// 除 updated_at 外内容相同则不写入，避免重复导入触发无意义的实时推送
+function sameContent(a, b) {
+    const strip = ({ updated_at, ...rest }) => rest;
+    const sorted = o => JSON.stringify(Object.keys(o).sort().reduce((acc, k) => ({ ...acc, [k]: o[k] }), {}));
+    return sorted(strip(a)) === sorted(strip(b));
+}
+
+function upsert(collection, doc) {
+    const existing = collection.get(doc.id);
+    if (!existing) { collection.insert(doc); return 'inserted'; }
+    if (sameContent(existing, doc)) return 'unchanged';
+    collection.replace(doc.id, doc);
+    return 'updated';
+}
+
+// 去掉 undefined 字段，避免覆盖成 null
+const compact = obj => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+
+function newReport() {
+    return { inserted: 0, updated: 0, unchanged: 0, skipped: 0, errors: [] };
+}
+
+// 逐条处理记录：toDoc 返回 { doc } 或 { id, errors }
+function run(collection, input, toDoc) {
+    const report = newReport();
+    let records;
+    try {
+        records = readRecords(input);
+    } catch (err) {
+        report.errors.push({ line: null, errors: [`Could not parse file: ${err.message}`] });
+        return report;
+    }
+    store.batch(() => {
+        for (const record of records) {
+            const { doc, id, errors } = toDoc(record);
+            if (errors && errors.length) {
+                report.skipped++;
+                report.errors.push({ line: record.line, id: id || null, errors });
+                continue;
+            }
+            report[upsert(collection, doc)]++;
+        }
+    });
+    return report;
+}
+
+// ---------- 路边车位 ----------
+
+// 限制可以在行内给出（导出文件的 restrictions 列 / GeoJSON 属性），否则沿用已有数据
+function ownRestrictions(row) {
+    if (Array.isArray(row.restrictions)) return row.restrictions;
+    if (typeof row.restrictions === 'string' && row.restrictions.trim()) return JSON.parse(row.restrictions);
+    return null;
+}
+
+// sensorsInput：City of Melbourne 传感器 CSV / GeoJSON；restrictionsText：可选的限制 CSV（按 BayID 关联）
+function importBays(sensorsInput, restrictionsText) {
+    const restrictionsByBay = new Map();
+    if (restrictionsText) {
+        for (const row of csv.parse(restrictionsText)) {
+            if (row.BayID) restrictionsByBay.set(String(row.BayID), kerbside.restrictionsFromRow(row));
+        }
+    }
+
+    return run(bayStore, sensorsInput, ({ row, coords }) => {
+        const bay = compact(kerbside.bayFromSensor(row, coords));
+        let own;
+        try {
+            own = ownRestrictions(row);
+        } catch (err) {
+            return { id: bay.id, errors: ['restrictions is not valid JSON'] };
+        }
+        const existing = bay.id ? bayStore.get(bay.id) : null;
+        const restrictions = own || restrictionsByBay.get(bay.sensor_id) || (existing && existing.restrictions) || [];
+        const doc = { ...bay, restrictions, updated_at: new Date().toISOString() };
+        return { doc, id: bay.id, errors: kerbside.validateBay(doc) };
+    });
+}
+
+// 只更新已有 bay 的限制（运行中的服务通过 POST /api/v1/import/bays/restrictions 调用）：
+// 限制 CSV 按 BayID 对应 bay 的 sensor_id，找不到的行跳过并报告
+function importRestrictions(restrictionsText) {
+    const header = String(restrictionsText).trimStart().split(/\r?\n/, 1)[0];
+    if (!/(^|,)"?BayID"?(,|$)/.test(header)) {
+        return { ...newReport(), errors: [{ line: null, errors: ['Restrictions must be CSV with a BayID column'] }] };
+    }
+    const bySensor = new Map(bayStore.list().map(b => [b.sensor_id, b]));
+    return run(bayStore, restrictionsText, ({ row }) => {
+        const sensorId = String(row.BayID || '').trim();
+        if (!sensorId) return { errors: ['BayID is required'] };
+        const existing = bySensor.get(sensorId);
+        if (!existing) return { id: null, errors: [`no bay has sensor id ${sensorId}; import the sensors first`] };
+        const doc = { ...existing, restrictions: kerbside.restrictionsFromRow(row), updated_at: new Date().toISOString() };
+        return { doc, id: existing.id, errors: kerbside.validateBay(doc) };
+    });
+}
+
+// ---------- 停车场 ----------
+
+const NUMERIC_FIELDS = ['lat', 'lng', 'capacity', 'available', 'max_height_m', 'ev_chargers', 'accessible_bays', 'motorcycle_bays'];
+
+// CSV 单元格都是字符串：数字列转成数字，tariff / open_hours 列为 JSON（open_hours 也可写 24/7）；空单元格视为未提供
+function parkingFromRow(row, coords) {
+    const doc = {};
+    const errors = [];
+    for (const k of ['id', ...PARKING_FIELDS]) {
+        let v = row[k];
+        if (v === undefined || v === '') continue;
+        if (typeof v === 'string') {
+            v = v.trim();
+            if (NUMERIC_FIELDS.includes(k)) v = Number(v);
+            else if (k === 'tariff' || (k === 'open_hours' && v.startsWith('{'))) {
+                try { v = JSON.parse(v); } catch (err) { errors.push(`${k} is not valid JSON`); continue; }
+            }
+        }
+        doc[k] = v;
+    }
+    if (coords) Object.assign(doc, coords);
+    return { doc, errors };
+}
+
+// 已有的停车场只覆盖文件里给出的字段；新停车场 available 默认等于 capacity
+function importParking(input) {
+    return run(parkingStore, input, ({ row, coords }) => {
+        const { doc, errors } = parkingFromRow(row, coords);
+        if (typeof doc.id !== 'string' || !doc.id) return { errors: ['id is required', ...errors] };
+        if (errors.length) return { id: doc.id, errors };
+
+        const existing = parkingStore.get(doc.id);
+        const merged = { ...existing, ...doc };
+        if (merged.available === undefined) merged.available = merged.capacity;
+        const invalid = validateParking(merged);
+        if (!invalid.length && merged.available > merged.capacity) invalid.push('available cannot exceed capacity');
+        return { doc: { ...merged, updated_at: new Date().toISOString() }, id: doc.id, errors: invalid };
+    });
+}
+
+module.exports = { importBays, importRestrictions, importParking, readRecords, upsert, compact };
@@ -0,0 +1,101 @@
+// 出行方式对比：公共交通直达方案、开车 + 停车 + 步行，以及距离合适时的全程步行
+// 每种方式都给出用时、CO₂ 和花费（油/电费 + 停车费，或车票），并与开车比较节省的排放
+const store = require('./store');
+const { toApi } = require('./present');
+const pricing = require('./pricing');
+const parking = require('./parking');
+const { distanceMeters } = require('./geo');
+const { walkingRoute, walkingTimes } = require('./routing');
+const { directJourneys } = require('./transit');
+const emissions = require('./emissions');
+const regions = require('./regions');
+
+const parkingStore = store.collection('parking');
+
+const DRIVE_SPEED_KMH = Number(process.env.DRIVE_SPEED_KMH) || 25;   // 市区平均车速（含红绿灯）
+const ROAD_FACTOR = 1.4;          // 直线距离换算成道路距离
+const PARK_SEARCH_MINUTES = 3;    // 进场、找车位
+const MAX_WALK_OPTION_METERS = 3000;
+
+// 开车时间按直线 × 道路系数 ÷ 平均车速估算
+function driveEstimate(from, to) {
+    const meters = distanceMeters(from, to) * ROAD_FACTOR;
+    return { distance_m: Math.round(meters), duration_min: Math.max(1, Math.round(meters / (DRIVE_SPEED_KMH * 1000 / 60))) };
+}
+
+// 总用时最短的停车场：到达时营业、当前有空位；给了 region 时只在该地区内选
+function driveAndPark(from, to, at, stayMinutes, profile, region) {
+    const docs = parkingStore.list().filter(doc => (!region || regions.contains(region, doc)) && toApi(doc, at).available > 0);
+    const lots = docs.map(doc => toApi(doc, at));
+    const walks = walkingTimes(lots, to);
+    let best = null;
+    lots.forEach((lot, i) => {
+        const drive = driveEstimate(from, lot);
+        const arrival = new Date(at.getTime() + drive.duration_min * 60000);
+        if (!parking.isOpenAt(docs[i], arrival)) return;
+        const total = drive.duration_min + PARK_SEARCH_MINUTES + walks[i].duration_min;
+        if (best && best.total_min <= total) return;
+        const tariff = pricing.tripCost(lot.tariff, arrival, stayMinutes);
+        const impact = emissions.drivingImpact(profile, drive.distance_m);
+        const parkingCost = tariff.priced && tariff.allowed ? tariff.total : null;
+        best = {
+            mode: 'drive',
+            vehicle: { id: profile.id, label: profile.label },
+            parking: { id: lot.id, name: lot.name, lat: lot.lat, lng: lot.lng, available: lot.available },
+            drive_m: drive.distance_m,
+            drive_min: drive.duration_min,
+            walk_m: walks[i].distance_m,
+            walk_min: walks[i].duration_min,
+            total_min: total,
+            arrive_at: new Date(at.getTime() + total * 60000).toISOString(),
+            co2_kg: impact.co2_kg,
+            energy: { amount: impact.energy, unit: impact.energy_unit },
+            // parking 为 null 表示没有价目（总价只含油/电费）
+            cost: { energy: impact.energy_cost, parking: parkingCost, total: Math.round((impact.energy_cost + (parkingCost || 0)) * 100) / 100 }
+        };
+    });
+    return best;
+}
+
+function walkOption(from, to, at) {
+    const r = walkingRoute(from, to);
+    if (r.distance_m > MAX_WALK_OPTION_METERS) return null;
+    return {
+        mode: 'walk',
+        distance_m: r.distance_m,
+        total_min: r.duration_min,
+        arrive_at: new Date(at.getTime() + r.duration_s * 1000).toISOString(),
+        method: r.method,
+        co2_kg: 0,
+        cost: { total: 0 }
+    };
+}
+
+function withTransitImpact(option) {
+    const impact = emissions.transitImpact(option.mode, option.ride_m, option.board, option.alight);
+    return {
+        ...option,
+        co2_kg: impact.co2_kg,
+        cost: { fare: impact.fare, total: impact.fare, free_tram_zone: impact.free_tram_zone }
+    };
+}
+
+// vehicle 为 emission-factors.json 中的车型（petrol / diesel / hybrid / ev），默认 default_vehicle
+function compareJourneys({ from, to, at = new Date(), stay = 120, vehicle, region = null }) {
+    const profile = emissions.vehicleProfile(vehicle);
+    const drive = driveAndPark(from, to, at, stay, profile, region);
+    // 与开车相比节省的排放；没有可用停车场时无从比较
+    const saved = o => (drive ? { ...o, co2_saved_kg: Math.round((drive.co2_kg - o.co2_kg) * 100) / 100 } : o);
+    const walk = walkOption(from, to, at);
+    return {
+        from, to,
+        at: at.toISOString(),
+        vehicle: { id: profile.id, label: profile.label },
+        currency: emissions.getFactors().currency,
+        transit: directJourneys(from, to, at).map(withTransitImpact).map(saved),
+        drive_and_park: drive,
+        walk: walk && saved(walk)
+    };
+}
+
+module.exports = { compareJourneys, driveEstimate };
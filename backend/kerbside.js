@@ -0,0 +1,158 @@
+// 路边车位（kerbside bays）：单个车位的占用状态 + 分时段限制（1P、2P、装卸区、Clearway 等）
+//
+// bay 示例：
+// {
+//   "id": "BAY-6521", "street": "Flinders Lane", "lat": -37.8166, "lng": 144.9663,
+//   "status": "vacant", "status_at": "2025-01-01T00:00:00Z",
+//   "restrictions": [
+//     { "code": "2P", "kind": "timed", "duration_minutes": 120, "days": [1, 2, 3, 4, 5], "start": "07:30", "end": "18:30" },
+//     { "code": "C/W", "kind": "clearway", "days": [1, 2, 3, 4, 5], "start": "16:00", "end": "18:00" }
+//   ]
+// }
+// days 用 0=周日 … 6=周六；同一时刻多条限制都生效时，clearway/禁停优先于装卸区，再优先于普通限时
+const { localParts } = require('./time');
+
+const STATUSES = ['occupied', 'vacant', 'unknown'];
+const KINDS = ['timed', 'loading', 'disabled', 'clearway', 'no_stopping'];
+const KIND_PRIORITY = { clearway: 0, no_stopping: 0, loading: 1, disabled: 2, timed: 3 };
+
+const isClock = v => typeof v === 'string' && /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/.test(v);
+const toMinutes = hhmm => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+
+function validateBay(b) {
+    const errors = [];
+    const isNum = v => typeof v === 'number' && Number.isFinite(v);
+    if (typeof b.id !== 'string' || !b.id.trim()) errors.push('id is required');
+    if (!(isNum(b.lat) && Math.abs(b.lat) <= 90)) errors.push('lat must be a number between -90 and 90');
+    if (!(isNum(b.lng) && Math.abs(b.lng) <= 180)) errors.push('lng must be a number between -180 and 180');
+    if (!STATUSES.includes(b.status)) errors.push(`status must be one of ${STATUSES.join(', ')}`);
+    if (b.restrictions !== undefined) {
+        if (!Array.isArray(b.restrictions)) errors.push('restrictions must be a list');
+        else b.restrictions.forEach((r, i) => {
+            if (!KINDS.includes(r.kind)) errors.push(`restrictions[${i}].kind must be one of ${KINDS.join(', ')}`);
+            if (!Array.isArray(r.days) || r.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) errors.push(`restrictions[${i}].days must be a list of 0-6`);
+            if (!isClock(r.start) || !isClock(r.end)) errors.push(`restrictions[${i}].start/end must be HH:MM`);
+            if (r.duration_minutes !== undefined && !(Number.isInteger(r.duration_minutes) && r.duration_minutes > 0)) errors.push(`restrictions[${i}].duration_minutes must be a positive integer`);
+        });
+    }
+    return errors;
+}
+
+// 限制 r 在星期 weekday 的第 minute 分钟是否生效；start 晚于 end（如 22:00–06:00）表示跨午夜，
+// days 指开始的那天，午夜之后的部分属于前一天开始的时段
+function appliesAt(r, weekday, minute) {
+    const start = toMinutes(r.start);
+    const end = toMinutes(r.end);
+    if (start < end) return r.days.includes(weekday) && minute >= start && minute < end;
+    if (start === end) return false;
+    return (r.days.includes(weekday) && minute >= start) || (r.days.includes((weekday + 6) % 7) && minute < end);
+}
+
+// 某时刻生效的限制；没有则为 null（不限时）
+function restrictionAt(bay, when) {
+    const t = localParts(when);
+    const minute = t.hour * 60 + t.minute;
+    const active = (bay.restrictions || []).filter(r => appliesAt(r, t.weekday, minute));
+    active.sort((a, b) => KIND_PRIORITY[a.kind] - KIND_PRIORITY[b.kind]);
+    return active[0] || null;
+}
+
+function bayToApi(bay, now = new Date()) {
+    const r = restrictionAt(bay, now);
+    return {
+        ...bay,
+        restriction_now: r ? { ...r, until: r.end } : null,
+        // Clearway / 禁停时段不能停车
+        can_park_now: !r || !['clearway', 'no_stopping'].includes(r.kind)
+    };
+}
+
+// ---------- City of Melbourne 开放数据格式 ----------
+// 传感器：新版 kerbsideid / status_description / location("lat, lon")；旧版 bay_id / status / lat / lon
+// 限制：BayID + Description1..6 / Duration1..6 / FromDay1..6 / ToDay1..6 / StartTime1..6 / EndTime1..6 / TypeDesc1..6
+
+function statusFromSensor(s) {
+    const v = String(s || '').toLowerCase();
+    if (v === 'present' || v === 'occupied') return 'occupied';
+    if (v === 'unoccupied' || v === 'vacant') return 'vacant';
+    return 'unknown';
+}
+
+function latLngFromSensor(row) {
+    if (row.lat !== undefined && row.lat !== '' && (row.lon ?? row.lng) !== undefined) {
+        return { lat: Number(row.lat), lng: Number(row.lon ?? row.lng) };
+    }
+    const loc = row.location;
+    if (typeof loc === 'string' && loc.includes(',')) {
+        const [lat, lng] = loc.replace(/[()]/g, '').split(',').map(Number);
+        return { lat, lng };
+    }
+    if (loc && typeof loc === 'object') return { lat: Number(loc.lat), lng: Number(loc.lon ?? loc.lng) };
+    return { lat: NaN, lng: NaN };
+}
+
+// 传感器记录（CSV 行或 GeoJSON properties）→ bay；coords 优先用 GeoJSON geometry
+// 也接受本服务导出的格式（id 带 BAY- 前缀，zone / sensor_id / status_at 列）
+function bayFromSensor(row, coords) {
+    const rawId = String(row.kerbsideid || row.bay_id || row.id || '').replace(/^BAY-/, '');
+    const { lat, lng } = coords || latLngFromSensor(row);
+    const statusAt = row.status_timestamp || row.lastupdated || row.status_at;
+    return {
+        id: rawId ? `BAY-${rawId}` : '',
+        sensor_id: row.sensor_id ? String(row.sensor_id) : (rawId || undefined),
+        zone: row.zone_number || row.zone || undefined,
+        street: row.street || row.RoadSegmentDescription || undefined,
+        lat, lng,
+        status: statusFromSensor(row.status_description || row.status),
+        status_at: statusAt && !Number.isNaN(Date.parse(statusAt)) ? new Date(statusAt).toISOString() : undefined
+    };
+}
+
+function kindFromDescription(text) {
+    const s = String(text).toLowerCase();
+    if (s.includes('clearway') || s.startsWith('c/w')) return 'clearway';
+    if (s.includes('no stop') || s.includes('no parking')) return 'no_stopping';
+    if (s.includes('loading') || s.startsWith('lz')) return 'loading';
+    if (s.includes('disab') || s.startsWith('dis')) return 'disabled';
+    return 'timed';
+}
+
+function dayRange(from, to) {
+    const days = [];
+    for (let d = Number(from); ; d = (d + 1) % 7) {
+        days.push(d);
+        if (d === Number(to) || days.length === 7) break;
+    }
+    return days;
+}
+
+// "7:30"、"7:30:00"、"07:30:00" → "07:30"；认不出的原样保留，由 validateBay 报错
+function hhmm(s) {
+    const m = /^\s*(\d{1,2}):(\d{2})(?::\d{2})?\s*$/.exec(String(s));
+    return m ? `${m[1].padStart(2, '0')}:${m[2]}` : String(s);
+}
+
+// 一行限制记录最多 6 段
+function restrictionsFromRow(row) {
+    const out = [];
+    for (let i = 1; i <= 6; i++) {
+        const desc = row[`Description${i}`];
+        if (!desc) continue;
+        const duration = Number(row[`Duration${i}`]);
+        out.push({
+            code: row[`DisplayCode${i}`] || desc.split(/\s+/)[0],
+            kind: kindFromDescription(row[`TypeDesc${i}`] || desc),
+            description: desc,
+            duration_minutes: duration > 0 ? duration : undefined,
+            days: dayRange(row[`FromDay${i}`], row[`ToDay${i}`]),
+            start: hhmm(row[`StartTime${i}`]),
+            end: hhmm(row[`EndTime${i}`])
+        });
+    }
+    return out;
+}
+
+module.exports = {
+    STATUSES, validateBay, restrictionAt, bayToApi,
+    bayFromSensor, restrictionsFromRow
+};
@@ -0,0 +1,120 @@
+// 提醒投递：Webhook 回调（JSON + HMAC 签名）或 Web Push（VAPID）
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const webpush = require('web-push');
+const store = require('./store');
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+const PUSH_TTL_SECONDS = 15 * 60;   // 空位信息过时就没有意义，推送服务最多缓存 15 分钟
+
+// VAPID 密钥优先取环境变量；未配置时生成一对并存进数据文件，重启后已有的浏览器订阅仍然有效
+const settingsStore = store.collection('settings');
+let vapid;
+function vapidKeys() {
+    if (vapid) return vapid;
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+        vapid = { public_key: process.env.VAPID_PUBLIC_KEY, private_key: process.env.VAPID_PRIVATE_KEY };
+    } else {
+        vapid = settingsStore.get('vapid');
+        if (!vapid) {
+            const keys = webpush.generateVAPIDKeys();
+            vapid = settingsStore.insert({ id: 'vapid', public_key: keys.publicKey, private_key: keys.privateKey });
+        }
+    }
+    webpush.setVapidDetails(process.env.VAPID_SUBJECT || 'mailto:parking@example.com', vapid.public_key, vapid.private_key);
+    return vapid;
+}
+
+// Webhook 和 Web Push 只投递到公网地址：回环、内网、链路本地（含云主机元数据 169.254.169.254）、组播和保留段都拒绝
+const PRIVATE = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) PRIVATE.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE.addSubnet(address, prefix, 'ipv6');
+}
+
+function isPublicAddress(ip) {
+    const family = net.isIP(ip);
+    return family !== 0 && !PRIVATE.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+const hostOf = url => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+// 创建 watch 和每次投递前的检查：localhost 和非公网的 IP 字面量直接拒绝；
+// 域名在连接时由 publicLookup 检查，field 为报错里的字段名
+function publicUrlError(url, field) {
+    const host = hostOf(url);
+    if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && !isPublicAddress(host))) {
+        return `${field} must point to a public address, not a loopback, private or link-local one`;
+    }
+    return null;
+}
+
+// 替换 socket 连接用的 dns.lookup：解析结果全是公网地址才继续，连接的正是检查过的地址，
+// 不会像“先查一次、fetch 再解析一次”那样被 DNS rebinding 绕过
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (!addresses.length || !addresses.every(a => isPublicAddress(a.address))) {
+            return callback(Object.assign(new Error(`${hostname} resolves to a non-public address`), { code: 'ENONPUBLIC' }));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const AGENTS = { 'http:': new http.Agent({ lookup: publicLookup }), 'https:': new https.Agent({ lookup: publicLookup }) };
+
+// 只发一次 POST，不跟随重定向（免得被 3xx 转到内网地址），resolve 为状态码
+function post(url, headers, body) {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const req = client.request(target, { method: 'POST', headers: { ...headers, 'Content-Length': Buffer.byteLength(body) }, agent: AGENTS[target.protocol], timeout: WEBHOOK_TIMEOUT_MS }, res => {
+            res.resume();
+            resolve(res.statusCode);
+        });
+        req.on('timeout', () => req.destroy(new Error(`no response within ${WEBHOOK_TIMEOUT_MS} ms`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+const signBody = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// 返回 { ok, status?, error?, gone? }；gone 表示订阅已失效或地址不可投递，应停止该提醒
+async function sendWebhook(url, secret, payload) {
+    const refused = publicUrlError(url, 'webhook_url');
+    if (refused) return { ok: false, error: refused, gone: true };
+    const body = JSON.stringify(payload);
+    try {
+        const status = await post(url, { 'Content-Type': 'application/json', 'X-Watch-Signature': signBody(secret, body) }, body);
+        return { ok: status >= 200 && status < 300, status, gone: status === 410 };
+    } catch (err) {
+        return { ok: false, error: err.message, gone: err.code === 'ENONPUBLIC' };
+    }
+}
+
+// 推送服务的 endpoint 来自（可能匿名的）请求，和 Webhook 一样只连公网地址
+async function sendPush(subscription, payload) {
+    const refused = publicUrlError(subscription.endpoint, 'push_subscription.endpoint');
+    if (refused) return { ok: false, error: refused, gone: true };
+    vapidKeys();
+    try {
+        const r = await webpush.sendNotification(subscription, JSON.stringify(payload), { TTL: PUSH_TTL_SECONDS, agent: AGENTS['https:'] });
+        return { ok: true, status: r.statusCode };
+    } catch (err) {
+        // 404 / 410：浏览器已取消订阅
+        return {
+            ok: false, status: err.statusCode, error: err.body || err.message,
+            gone: err.statusCode === 404 || err.statusCode === 410 || err.code === 'ENONPUBLIC'
+        };
+    }
+}
+
+module.exports = { vapidKeys, sendWebhook, sendPush, signBody, isPublicAddress, publicUrlError };
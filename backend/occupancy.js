@@ -0,0 +1,84 @@
+// 传感器事件：进出场计数或绝对空位数，写入 events 集合并同步停车场的 available
+const crypto = require('crypto');
+const store = require('./store');
+
+const parkingStore = store.collection('parking');
+const eventStore = store.collection('events');
+
+const EVENT_TYPES = ['entry', 'exit', 'count'];
+// 事件只保留最近 EVENT_RETENTION_DAYS 天（预测看 8 周，统计默认看 1 周），db.json 不会随上报无限增长
+const RETENTION_MS = (Number(process.env.EVENT_RETENTION_DAYS) || 90) * 86400000;
+
+// 校验单条事件，返回错误列表
+function validateEvent(body) {
+    const errors = [];
+    if (!EVENT_TYPES.includes(body.type)) errors.push(`type must be one of ${EVENT_TYPES.join(', ')}`);
+    if (body.type === 'count') {
+        if (!Number.isInteger(body.available) || body.available < 0) errors.push('available must be a non-negative integer for count events');
+    } else if (body.count !== undefined && !(Number.isInteger(body.count) && body.count > 0)) {
+        errors.push('count must be a positive integer');
+    }
+    if (body.at !== undefined && Number.isNaN(Date.parse(body.at))) errors.push('at must be an ISO timestamp');
+    return errors;
+}
+
+// 按顺序应用一批事件；任何一条越界则整批拒绝，不落盘
+function ingest(lot, events) {
+    let available = lot.available;
+    let updatedAt = lot.updated_at;
+    const receivedAt = new Date().toISOString();
+    const accepted = [];
+
+    for (const [i, body] of events.entries()) {
+        const errors = validateEvent(body);
+        if (errors.length) return { status: 400, error: 'Invalid event', details: errors.map(e => `events[${i}]: ${e}`) };
+
+        const n = body.count ?? 1;
+        const next = body.type === 'count' ? body.available
+            : body.type === 'entry' ? available - n
+            : available + n;
+        if (next < 0 || next > lot.capacity) {
+            return { status: 422, error: 'Event exceeds capacity', details: [`events[${i}]: available would be ${next}, capacity is ${lot.capacity}`] };
+        }
+
+        const at = body.at ? new Date(body.at).toISOString() : receivedAt;
+        accepted.push({
+            id: crypto.randomUUID(),
+            parking_id: lot.id,
+            type: body.type,
+            count: body.type === 'count' ? undefined : n,
+            // 进场车辆数：count 事件按空位减少量推算
+            entries: body.type === 'entry' ? n : body.type === 'count' ? Math.max(0, available - next) : 0,
+            available: next,
+            capacity: lot.capacity,
+            at,
+            received_at: receivedAt
+        });
+        available = next;
+        if (!updatedAt || at > updatedAt) updatedAt = at;
+    }
+
+    // 整批只落盘一次；顺带清掉该停车场过期的事件
+    const updated = store.batch(() => {
+        for (const ev of accepted) eventStore.insert(ev);
+        pruneEvents(lot.id, new Date(Date.parse(receivedAt) - RETENTION_MS).toISOString());
+        return parkingStore.update(lot.id, { available, updated_at: updatedAt });
+    });
+    return { events: accepted, parking: updated };
+}
+
+function pruneEvents(parkingId, before) {
+    for (const ev of eventStore.list()) {
+        if (ev.parking_id === parkingId && ev.at < before) eventStore.remove(ev.id);
+    }
+}
+
+// 查询事件历史，按时间升序
+function history({ parkingIds, from, to } = {}) {
+    return eventStore.list()
+        .filter(ev => !parkingIds || parkingIds.includes(ev.parking_id))
+        .filter(ev => (!from || ev.at >= from) && (!to || ev.at < to))
+        .sort((a, b) => a.at.localeCompare(b.at));
+}
+
+module.exports = { ingest, history, EVENT_TYPES };
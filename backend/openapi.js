@@ -0,0 +1,832 @@
+// OpenAPI 3.0 文档：逐个描述 /api/v1 路由；/api/v2 的文档由 v1 推导（统一响应信封、available 改名为 available_spots）
+// 请求校验（validate.js）和契约测试都以这里为准，新增或修改路由时同步更新
+const kerbside = require('./kerbside');
+const occupancy = require('./occupancy');
+const { GRANULARITIES, AGGREGATIONS } = require('./stats');
+const { TYPES: WATCH_TYPES } = require('./watches');
+const { ROLES } = require('./accounts');
+const regions = require('./regions');
+
+// ---------- schema 小工具 ----------
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => (schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true });
+const str = (extra = {}) => ({ type: 'string', ...extra });
+const int = (extra = {}) => ({ type: 'integer', ...extra });
+const num = (extra = {}) => ({ type: 'number', ...extra });
+const bool = { type: 'boolean' };
+const time = { type: 'string', format: 'date-time' };
+const arr = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const obj = (properties, required = [], extra = {}) => ({
+    type: 'object', properties, ...(required.length ? { required } : {}), ...extra
+});
+const lat = num({ minimum: -90, maximum: 90 });
+const lng = num({ minimum: -180, maximum: 180 });
+const count = int({ minimum: 0 });
+// { items: [...] } 形式的列表；v2 中 items 成为 data，其余字段进 meta
+const list = (items, extra = {}, required = []) => obj({ ...extra, items: arr(items) }, [...required, 'items']);
+
+// "lat,lng"、逗号分隔的 id 列表等查询参数格式
+const POINT = '^\\s*-?\\d+(\\.\\d+)?\\s*,\\s*-?\\d+(\\.\\d+)?\\s*$';
+const BBOX = '^\\s*-?\\d+(\\.\\d+)?(\\s*,\\s*-?\\d+(\\.\\d+)?){3}\\s*$';
+const FLAG = { type: 'string', enum: ['1', 'true', '0', 'false'] };
+
+// ---------- 参数 ----------
+
+const query = (name, schema, description, required = false) => ({ name, in: 'query', required, description, schema });
+const pathParam = (name, description) => ({ name, in: 'path', required: true, description, schema: str({ minLength: 1 }) });
+
+const id = pathParam('id', 'Car park id, e.g. PARK001');
+const ids = query('ids', str(), 'Comma-separated car park ids');
+const limitParam = (max, description = `Page size (1-${max})`) => query('limit', int({ minimum: 1, maximum: max }), description);
+const offsetParam = query('offset', int({ minimum: 0 }), 'Items to skip');
+
+const attributeFilters = [
+    query('ev', FLAG, 'Only car parks with EV chargers'),
+    query('accessible', FLAG, 'Only car parks with accessible bays'),
+    query('motorcycle', FLAG, 'Only car parks with motorcycle bays'),
+    query('open24', FLAG, 'Only car parks open 24/7'),
+    query('maxHeight', num({ exclusiveMinimum: true, minimum: 0 }), 'Vehicle height in metres; car parks with a lower clearance are left out'),
+    query('openAt', time, 'Only car parks open (and not closed by an operator) at this time')
+];
+const bboxParam = query('bbox', str({ pattern: BBOX }), 'minLng,minLat,maxLng,maxLat');
+const nearParam = (description = 'Search centre as lat,lng') => query('near', str({ pattern: POINT }), description);
+const regionParam = (description = 'Only this city / region (ids from /regions)') => query('region', str({ enum: regions.ids() }), description);
+const radiusParam = (description = 'Search radius in metres') => query('radius', num({ exclusiveMinimum: true, minimum: 0 }), description);
+
+// ---------- 响应 ----------
+
+const json = schema => ({ 'application/json': { schema } });
+const ok = (schema, description = 'OK', headers) => ({ description, content: json(schema), ...(headers ? { headers } : {}) });
+const TOTAL_COUNT = { 'X-Total-Count': { description: 'Number of matches before limit / offset', schema: int() } };
+
+const ERROR_TEXT = {
+    400: 'Invalid request',
+    401: 'Missing or invalid token',
+    403: 'Token lacks the required role',
+    404: 'Not found',
+    409: 'Conflicts with the current state',
+    413: 'Request body too large',
+    415: 'Unsupported charset or content encoding',
+    422: 'Well-formed but could not be applied',
+    429: 'Rate limit or daily quota reached; retry after Retry-After seconds',
+    502: 'Upstream service unavailable'
+};
+const RETRY_AFTER = { 'Retry-After': { description: 'Seconds until the limit resets', schema: int() } };
+const errors = (...codes) => Object.fromEntries(codes.map(c => [c, {
+    description: ERROR_TEXT[c], content: json(ref('Error')), ...(c === 429 ? { headers: RETRY_AFTER } : {})
+}]));
+const CACHED = {
+    'Last-Modified': { description: 'When the car parks returned last changed, including reservation holds, expiring closures and overrides, and opening hours', schema: str() },
+    ETag: { description: 'Send back in If-None-Match to get 304 when nothing changed', schema: str() }
+};
+
+const body = (schema, required = true) => ({ required, content: json(schema) });
+
+// security：同一个 Bearer 头，按接口要求的 token 种类区分；公开接口可不带凭据或带 X-API-Key（文档根部的 security）
+const USER = [{ userToken: [] }];
+const OPERATOR = [{ operatorToken: [] }];
+const ADMIN = [{ adminToken: [] }];
+const INGEST = [{ ingestToken: [] }];
+
+// 运营和传感器接口不限速（ratelimit.js），其余接口都可能返回 429，带了无效的 X-API-Key 时返回 401
+// 带路径参数的接口都可能因非法 URL 编码（如 %E0）返回 400
+function op(tag, summary, { params = [], requestBody, responses, security, description } = {}) {
+    const limited = ![OPERATOR, ADMIN, INGEST].includes(security);
+    const pathErrors = params.some(p => p.in === 'path') ? errors(400) : {};
+    const bodyErrors = requestBody ? errors(400, 413, 415) : {};
+    return {
+        tags: [tag], summary,
+        ...(description ? { description } : {}),
+        ...(params.length ? { parameters: params } : {}),
+        ...(requestBody ? { requestBody } : {}),
+        ...(security ? { security } : {}),
+        responses: { ...(limited ? errors(401, 429) : {}), ...pathErrors, ...bodyErrors, ...responses }
+    };
+}
+
+// ---------- components ----------
+
+const tariff = obj({
+    currency: str(),
+    hourly: num({ minimum: 0 }),
+    increment_minutes: int({ minimum: 1 }),
+    daily_cap: num({ minimum: 0 }),
+    max_stay_minutes: int({ minimum: 1 }),
+    early_bird: obj({
+        entry_from: str(), entry_until: str(), exit_after: str(), exit_before: str(), flat: num({ minimum: 0 })
+    }, ['entry_from', 'entry_until', 'exit_after', 'flat']),
+    weekend: obj({ hourly: num({ minimum: 0 }), daily_cap: num({ minimum: 0 }) }, ['hourly'])
+}, ['hourly']);
+
+// "24/7" 或 { mon: [["06:00", "24:00"]], ... }
+const openHours = { anyOf: [str({ enum: ['24/7'] }), obj({}, [], { additionalProperties: arr(arr(str(), { minItems: 2, maxItems: 2 })) })] };
+
+const parkingFields = {
+    id: str(),
+    name: str(),
+    lat, lng,
+    capacity: count,
+    available: count,
+    open_hours: nullable(openHours),
+    max_height_m: nullable(num()),
+    ev_chargers: count,
+    accessible_bays: count,
+    motorcycle_bays: count,
+    tariff: nullable(ref('Tariff'))
+};
+
+const parking = obj({
+    ...parkingFields,
+    region: nullable(str()),
+    updated_at: time,
+    reserved: count,
+    availability_source: str({ enum: ['sensor', 'operator'] }),
+    price: str(),
+    open_24_7: bool,
+    open_now: bool,
+    closed_reason: nullable(str()),
+    closed_until: nullable(time),
+    distance_m: num()
+}, ['id', 'name', 'lat', 'lng', 'capacity', 'available', 'reserved', 'availability_source', 'open_24_7', 'open_now', 'closed_reason', 'closed_until', 'updated_at']);
+
+const closure = obj({ reason: str(), until: nullable(time), by: str(), at: time }, ['reason', 'until', 'by', 'at']);
+const override = obj({ ...closure.properties, available: count }, [...closure.required, 'available']);
+
+const adminParking = obj({
+    ...parking.properties,
+    sensor_available: count,
+    override: nullable(ref('Override')),
+    closure: nullable(ref('Closure'))
+}, [...parking.required, 'sensor_available', 'override', 'closure']);
+
+const restriction = obj({
+    code: str(), kind: str(), description: str(), duration_minutes: int(),
+    days: arr(int({ minimum: 0, maximum: 6 })), start: str(), end: str()
+}, ['kind', 'days', 'start', 'end']);
+
+const bay = obj({
+    id: str(), sensor_id: str(), zone: str(), street: str(), lat, lng,
+    status: str({ enum: kerbside.STATUSES }),
+    status_at: time,
+    restrictions: arr(ref('Restriction')),
+    updated_at: time,
+    restriction_now: nullable(obj({ ...restriction.properties, until: str() }, ['kind', 'until'])),
+    can_park_now: bool,
+    distance_m: num()
+}, ['id', 'lat', 'lng', 'status', 'restrictions', 'restriction_now', 'can_park_now']);
+
+const event = obj({
+    id: str(), parking_id: str(), type: str({ enum: occupancy.EVENT_TYPES }), count: int(), entries: count,
+    available: count, capacity: count, at: time, received_at: time
+}, ['id', 'parking_id', 'type', 'entries', 'available', 'capacity', 'at', 'received_at']);
+
+const eventInput = obj({
+    type: str({ enum: occupancy.EVENT_TYPES }),
+    count: int({ minimum: 1 }),
+    available: count,
+    at: time
+}, ['type']);
+
+const reservation = obj({
+    id: str(), reference: str(), parking_id: str(), start: time, end: time,
+    status: str({ enum: ['confirmed', 'checked_in', 'cancelled', 'expired', 'completed'] }),
+    name: nullable(str()), plate: nullable(str()), email: nullable(str()),
+    created_at: time, updated_at: time
+}, ['id', 'reference', 'parking_id', 'start', 'end', 'status']);
+
+const costItem = obj({
+    id: str(), name: str(), priced: bool, allowed: bool, currency: str(), total: num(), reason: str(),
+    breakdown: arr(obj({ minutes: int(), rate: str(), cost: num() }, ['minutes', 'rate', 'cost']))
+}, ['id', 'name', 'priced']);
+
+const walkTime = obj({
+    id: str(), name: str(), distance_m: num(), duration_s: num(), duration_min: int(), method: str()
+}, ['id', 'name', 'distance_m', 'duration_s', 'duration_min', 'method']);
+
+const point = obj({ lat, lng }, ['lat', 'lng']);
+
+const walkRoute = obj({
+    id: str(), from: ref('Point'), to: ref('Point'),
+    distance_m: num(), duration_s: num(), duration_min: int(), method: str(),
+    streets: arr(str()),
+    geometry: obj({ type: str({ enum: ['LineString'] }), coordinates: arr(arr(num())) }, ['type', 'coordinates'])
+}, ['id', 'from', 'to', 'distance_m', 'duration_s', 'duration_min', 'method', 'geometry']);
+
+const place = obj({
+    place_id: str(), name: str(), type: str(), lat, lng, region: nullable(str()), source: str(), score: num(), distance_m: num()
+}, ['place_id', 'name', 'lat', 'lng']);
+
+const region = obj({
+    id: str(), name: str(),
+    bounds: arr(num(), { minItems: 4, maxItems: 4, description: 'minLng, minLat, maxLng, maxLat' }),
+    center: ref('Point'),
+    zoom: int({ minimum: 1, maximum: 20 }),
+    default: bool,
+    parking_count: count
+}, ['id', 'name', 'bounds', 'center', 'zoom', 'default', 'parking_count']);
+
+const stop = obj({ id: str(), name: str(), lat, lng, distance_m: num(), walk_min: int() }, ['name']);
+
+const journeyCost = obj({ energy: num(), parking: nullable(num()), fare: num(), free_tram_zone: bool, total: num() }, ['total']);
+
+const transitOption = obj({
+    mode: str(),
+    route: obj({ id: str(), short_name: str(), long_name: str(), color: nullable(str()) }, ['id']),
+    headsign: str(),
+    board: ref('Stop'), alight: ref('Stop'),
+    depart_at: time, alight_at: time, arrive_at: time,
+    wait_min: int(), ride_min: int(), stops: int(), ride_m: num(), total_min: int(),
+    co2_kg: num(), co2_saved_kg: num(),
+    cost: ref('JourneyCost')
+}, ['mode', 'route', 'board', 'alight', 'depart_at', 'arrive_at', 'total_min', 'co2_kg', 'cost']);
+
+const vehicleRef = obj({ id: str(), label: str() }, ['id', 'label']);
+
+const driveOption = obj({
+    mode: str({ enum: ['drive'] }),
+    vehicle: vehicleRef,
+    parking: obj({ id: str(), name: str(), lat, lng, available: count }, ['id', 'name', 'lat', 'lng', 'available']),
+    drive_m: num(), drive_min: int(), walk_m: num(), walk_min: int(), total_min: int(),
+    arrive_at: time, co2_kg: num(),
+    energy: obj({ amount: num(), unit: str() }, ['amount', 'unit']),
+    cost: ref('JourneyCost')
+}, ['mode', 'vehicle', 'parking', 'drive_m', 'drive_min', 'walk_m', 'walk_min', 'total_min', 'arrive_at', 'co2_kg', 'energy', 'cost']);
+
+const walkOption = obj({
+    mode: str({ enum: ['walk'] }), distance_m: num(), total_min: int(), arrive_at: time, method: str(),
+    co2_kg: num(), co2_saved_kg: num(), cost: ref('JourneyCost')
+}, ['mode', 'distance_m', 'total_min', 'arrive_at', 'co2_kg', 'cost']);
+
+const journeys = obj({
+    from: ref('Point'), to: ref('Point'), at: time,
+    vehicle: vehicleRef,
+    currency: str(),
+    transit: arr(ref('TransitOption')),
+    drive_and_park: nullable(ref('DriveOption')),
+    walk: nullable(ref('WalkOption'))
+}, ['from', 'to', 'at', 'vehicle', 'currency', 'transit', 'drive_and_park', 'walk']);
+
+const stats = obj({
+    from: time, to: time,
+    granularity: str({ enum: GRANULARITIES }),
+    aggregation: str({ enum: AGGREGATIONS }),
+    byCarPark: arr(obj({ id: str(), carPark: str(), percentage: num(), samples: count }, ['id', 'carPark', 'percentage', 'samples'])),
+    series: arr(obj({ bucket: str(), occupancy: num(), entries: num(), samples: count }, ['bucket', 'occupancy', 'entries', 'samples']))
+}, ['from', 'to', 'granularity', 'aggregation', 'byCarPark', 'series']);
+
+const forecastResult = obj({
+    id: str(), at: time, capacity: count, available: count,
+    expected_available: count, low: count, high: count, confidence: num(),
+    method: str(), samples: count
+}, ['id', 'at', 'capacity', 'available', 'expected_available', 'low', 'high', 'confidence', 'method', 'samples']);
+
+const destination = obj({ id: str(), name: str(), lat, lng, place_id: str() }, ['id', 'name', 'lat', 'lng']);
+
+const user = obj({
+    id: str(), email: str(), name: nullable(str()),
+    role: str({ enum: ROLES }),
+    vehicle: str(),
+    destinations: arr(ref('Destination')),
+    favourites: arr(str()),
+    created_at: time, updated_at: time
+}, ['id', 'email', 'name', 'role', 'vehicle', 'destinations', 'favourites', 'created_at', 'updated_at']);
+
+const watchWindow = obj({ days: arr(int({ minimum: 0, maximum: 6 }), { minItems: 1 }), start: str(), end: str() }, ['days', 'start', 'end']);
+
+const watch = obj({
+    id: str(), user_id: nullable(str()), parking_id: str(),
+    type: str({ enum: WATCH_TYPES }),
+    threshold: nullable(int()),
+    window: nullable(ref('WatchWindow')),
+    webhook_url: nullable(str()),
+    status: str(),
+    delivery: str({ enum: ['webhook', 'push'] }),
+    secret: str(),
+    last_available: count,
+    last_fired_at: nullable(time),
+    last_delivery: nullable(obj({})),
+    failures: count,
+    expires_at: time, created_at: time, updated_at: time
+}, ['id', 'parking_id', 'type', 'threshold', 'window', 'status', 'delivery', 'expires_at']);
+
+const watchInput = obj({
+    parking_id: str(),
+    type: str({ enum: WATCH_TYPES }),
+    threshold: int({ minimum: 1 }),
+    window: nullable(ref('WatchWindow')),
+    expires_at: time,
+    webhook_url: str(),
+    push_subscription: obj({ endpoint: str(), keys: obj({ p256dh: str(), auth: str() }, ['p256dh', 'auth']) }, ['endpoint', 'keys'])
+}, ['parking_id', 'type']);
+
+const actor = obj({ id: str(), label: str(), role: str() }, ['id', 'label', 'role']);
+
+const apiKey = obj({
+    id: str(), name: str(), contact: nullable(str()),
+    prefix: str(),
+    rate_per_minute: int({ minimum: 1 }),
+    daily_quota: int({ minimum: 1 }),
+    status: str({ enum: ['active', 'revoked'] }),
+    usage: obj({ minute: count, today: count }, ['minute', 'today']),
+    key: str({ description: 'Only returned when the key is created' }),
+    created_at: time, revoked_at: nullable(time), updated_at: time
+}, ['id', 'name', 'contact', 'prefix', 'rate_per_minute', 'daily_quota', 'status', 'created_at', 'revoked_at', 'updated_at']);
+
+const importReport = obj({
+    inserted: count, updated: count, unchanged: count, skipped: count,
+    errors: arr(obj({ line: {}, id: nullable(str()), errors: arr(str()) }))
+}, ['inserted', 'updated', 'unchanged', 'skipped', 'errors']);
+
+const schemas = {
+    Error: obj({
+        error: str(),
+        details: arr(str()),
+        fields: arr(obj({ in: str({ enum: ['query', 'path', 'body'] }), name: str(), message: str() }, ['in', 'name', 'message']))
+    }, ['error']),
+    Point: point,
+    Tariff: tariff,
+    Parking: parking,
+    ParkingInput: obj(parkingFields, ['name', 'lat', 'lng', 'capacity']),
+    ParkingPatch: obj(parkingFields),
+    AdminParking: adminParking,
+    Closure: closure,
+    Override: override,
+    ClosureInput: obj({ reason: str({ minLength: 1 }), until: nullable(time) }, ['reason']),
+    OverrideInput: obj({ available: count, reason: str({ minLength: 1 }), until: nullable(time) }, ['available', 'reason']),
+    Restriction: restriction,
+    Bay: bay,
+    Event: event,
+    EventInput: eventInput,
+    Reservation: reservation,
+    CostItem: costItem,
+    WalkTime: walkTime,
+    WalkRoute: walkRoute,
+    Place: place,
+    Region: region,
+    Stop: stop,
+    JourneyCost: journeyCost,
+    TransitOption: transitOption,
+    DriveOption: driveOption,
+    WalkOption: walkOption,
+    Journeys: journeys,
+    Stats: stats,
+    Forecast: forecastResult,
+    Destination: destination,
+    User: user,
+    WatchWindow: watchWindow,
+    Watch: watch,
+    WatchInput: watchInput,
+    Actor: actor,
+    ApiKey: apiKey,
+    ApiKeyInput: obj({
+        name: str({ minLength: 1 }), contact: nullable(str()),
+        rate_per_minute: int({ minimum: 1, maximum: 10000 }),
+        daily_quota: int({ minimum: 1, maximum: 10000000 })
+    }, ['name']),
+    ImportReport: importReport
+};
+
+// ---------- 路由（顺序与 server.js 一致） ----------
+
+const parkingSearchParams = [
+    nearParam('Search centre as lat,lng; results get distance_m and default to sort=distance'),
+    query('lat', lat, 'Legacy search centre latitude (with lng, default radius 900 m)'),
+    query('lng', lng, 'Legacy search centre longitude'),
+    radiusParam(),
+    bboxParam,
+    regionParam(),
+    query('dest', str(), 'Words to match in the car park name'),
+    query('sort', str({ enum: ['distance', 'availability', 'price'] }), 'Sort order; distance needs near or lat/lng'),
+    limitParam(1000),
+    offsetParam,
+    ...attributeFilters
+];
+
+const feedParams = [bboxParam, regionParam(), ...attributeFilters];
+const feed = (type, description, headers) => ({ description, content: { [type]: { schema: type.includes('json') ? obj({}) : str() } }, ...(headers ? { headers } : {}) });
+const NOT_MODIFIED = { 304: { description: 'Unchanged since the ETag / Last-Modified sent in If-None-Match / If-Modified-Since' } };
+
+const paths = {
+    '/openapi.json': {
+        get: op('Meta', 'This OpenAPI document', { responses: { 200: ok(obj({ openapi: str(), paths: obj({}) }, ['openapi', 'paths'])) } })
+    },
+    '/regions': {
+        get: op('Regions', 'Supported cities and regions', {
+            description: 'Each region has its map bounds, default centre and zoom. Pass its id as ?region= to scope searches, statistics and journeys.',
+            responses: { 200: ok(list(ref('Region'))) }
+        })
+    },
+    '/regions/{id}': {
+        get: op('Regions', 'One region', { params: [pathParam('id', 'Region id, e.g. melbourne')], responses: { 200: ok(ref('Region')), ...errors(404) } })
+    },
+    '/parking': {
+        get: op('Parking', 'Search car parks', {
+            description: 'Filters by location, region, facilities and name, then sorts and pages. Nearest-N searches (near + limit, no bbox) do not report a total.',
+            params: parkingSearchParams,
+            responses: { 200: ok(arr(ref('Parking')), 'Matching car parks', { ...TOTAL_COUNT, ...CACHED }), ...NOT_MODIFIED, ...errors(400) }
+        }),
+        post: op('Parking', 'Add a car park', {
+            security: ADMIN,
+            requestBody: body(ref('ParkingInput')),
+            responses: { 201: ok(ref('Parking'), 'Created'), ...errors(400, 401, 403, 409) }
+        })
+    },
+    '/parking.geojson': { get: op('Open data', 'Car parks as GeoJSON', { params: feedParams, responses: { 200: feed('application/geo+json', 'FeatureCollection', CACHED), ...NOT_MODIFIED, ...errors(400) } }) },
+    '/parking.csv': { get: op('Open data', 'Car parks as CSV', { params: feedParams, responses: { 200: feed('text/csv', 'CSV with a header row', CACHED), ...NOT_MODIFIED, ...errors(400) } }) },
+    '/parking.xml': { get: op('Open data', 'Car parks as DATEX II style XML', { params: feedParams, responses: { 200: feed('application/xml', 'XML document', CACHED), ...NOT_MODIFIED, ...errors(400) } }) },
+    '/bays.geojson': { get: op('Open data', 'Kerbside bays as GeoJSON', { responses: { 200: feed('application/geo+json', 'FeatureCollection') } }) },
+    '/bays.csv': { get: op('Open data', 'Kerbside bays as CSV', { responses: { 200: feed('text/csv', 'CSV with a header row') } }) },
+    '/parking/stream': {
+        get: op('Parking', 'Live availability (Server-Sent Events)', {
+            description: 'Sends a snapshot event, then availability / removed events carrying the same car park shape as GET /parking. Resume with Last-Event-ID or ?lastEventId=.',
+            params: [ids, bboxParam, query('lastEventId', int({ minimum: 0 }), 'Resume after this event id')],
+            responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: str() } } }, ...errors(400) }
+        })
+    },
+    '/parking/cost': {
+        get: op('Parking', 'Price a stay at each car park', {
+            params: [query('arrival', time, 'Arrival time (default now)'), query('duration', int({ minimum: 1 }), 'Stay in minutes', true), ids],
+            responses: { 200: ok(list(ref('CostItem'), { arrival: time, duration: int() }, ['arrival', 'duration']), 'Cheapest first'), ...errors(400) }
+        })
+    },
+    '/parking/forecast': {
+        get: op('Parking', 'Forecast free spaces at arrival for several car parks', {
+            params: [query('at', time, 'Arrival time (default now)'), ids],
+            responses: { 200: ok(list(ref('Forecast'), { at: time }, ['at'])), ...errors(400) }
+        })
+    },
+    '/parking/walk': {
+        get: op('Parking', 'Walking time from each car park to a destination', {
+            params: [query('to', str({ pattern: POINT }), 'Destination as lat,lng', true), ids],
+            responses: { 200: ok(list(ref('WalkTime'), { to: ref('Point') }, ['to']), 'Quickest first'), ...errors(400) }
+        })
+    },
+    '/parking/{id}': {
+        get: op('Parking', 'Car park details', { params: [id], responses: { 200: ok(ref('Parking'), 'OK', CACHED), ...NOT_MODIFIED, ...errors(404) } }),
+        put: op('Parking', 'Replace a car park', {
+            description: 'Keeps any operator closure or availability override.',
+            security: OPERATOR, params: [id], requestBody: body(ref('ParkingInput')),
+            responses: { 200: ok(ref('Parking')), ...errors(400, 401, 403, 404) }
+        }),
+        patch: op('Parking', 'Update some car park fields', {
+            security: OPERATOR, params: [id], requestBody: body(ref('ParkingPatch')),
+            responses: { 200: ok(ref('Parking')), ...errors(400, 401, 403, 404) }
+        }),
+        delete: op('Parking', 'Remove a car park', { security: ADMIN, params: [id], responses: { 204: { description: 'Removed' }, ...errors(401, 403, 404) } })
+    },
+    '/parking/{id}/events': {
+        post: op('Sensors', 'Report sensor or gate events', {
+            description: 'A single event or { events: [...] }; the batch is rejected as a whole if any event is invalid.',
+            security: INGEST, params: [id],
+            requestBody: body({ anyOf: [ref('EventInput'), obj({ events: arr(ref('EventInput')) }, ['events'])] }),
+            responses: { 201: ok(obj({ events: arr(ref('Event')), parking: obj({ id: str(), available: count, capacity: count }, ['id', 'available', 'capacity']) }, ['events', 'parking']), 'Applied'), ...errors(400, 401, 404, 422) }
+        }),
+        get: op('Sensors', 'Event history', {
+            params: [id, query('from', time, 'Earliest event time'), query('to', time, 'Events before this time'), limitParam(100000, 'Most recent events to return (default 100)')],
+            responses: { 200: ok(list(ref('Event')), 'Oldest first'), ...errors(400, 404) }
+        })
+    },
+    '/parking/{id}/forecast': {
+        get: op('Parking', 'Forecast free spaces at arrival', {
+            params: [id, query('at', time, 'Arrival time (default now)')],
+            responses: { 200: ok(ref('Forecast')), ...errors(400, 404) }
+        })
+    },
+    '/parking/{id}/route': {
+        get: op('Parking', 'Walking route from a car park', {
+            params: [id, query('to', str({ pattern: POINT }), 'Destination as lat,lng', true)],
+            responses: { 200: ok(ref('WalkRoute')), ...errors(400, 404) }
+        })
+    },
+    '/parking/{id}/reservations': {
+        post: op('Reservations', 'Reserve a space', {
+            description: 'No sign-in needed. Each client (signed-in user, API key or IP address) may hold RESERVATIONS_PER_CLIENT active reservations (default 3), and one plate cannot book overlapping windows; both are refused with 409.',
+            params: [id],
+            requestBody: body(obj({ start: time, end: time, name: str(), plate: str(), email: str() }, ['start', 'end'])),
+            responses: { 201: ok(ref('Reservation'), 'Booked'), ...errors(400, 404, 409) }
+        }),
+        get: op('Reservations', 'All reservations for a car park', {
+            security: OPERATOR, params: [id],
+            responses: { 200: ok(list(ref('Reservation'))), ...errors(401, 403, 404) }
+        })
+    },
+    '/reservations/{ref}': {
+        get: op('Reservations', 'Look up a reservation', { params: [pathParam('ref', 'Booking reference')], responses: { 200: ok(ref('Reservation')), ...errors(404) } }),
+        delete: op('Reservations', 'Cancel a reservation', { params: [pathParam('ref', 'Booking reference')], responses: { 200: ok(ref('Reservation')), ...errors(404, 409) } })
+    },
+    '/reservations/{ref}/check-in': {
+        post: op('Reservations', 'Check a reservation in at the gate', {
+            security: INGEST, params: [pathParam('ref', 'Booking reference')],
+            responses: { 200: ok(ref('Reservation')), ...errors(401, 404, 409) }
+        })
+    },
+    '/geo/search': {
+        get: op('Places', 'Search destinations by name', {
+            params: [query('q', str(), 'Place name; abbreviations and typos are tolerated'), limitParam(20, 'Results (1-20, default 8)'), regionParam('Only places in this region')],
+            responses: { 200: ok(list(ref('Place'))), ...errors(400, 502) }
+        })
+    },
+    '/geo/reverse': {
+        get: op('Places', 'Nearest named place', {
+            params: [query('lat', lat, 'Latitude', true), query('lng', lng, 'Longitude', true)],
+            responses: { 200: ok(ref('Place')), ...errors(400, 404, 502) }
+        })
+    },
+    '/environment': {
+        get: op('Journeys', 'Compare transit, drive-and-park and walking', {
+            params: [
+                query('from', str({ pattern: POINT }), 'Start as lat,lng', true),
+                query('to', str({ pattern: POINT }), 'Destination as lat,lng', true),
+                query('at', time, 'Departure time (default now)'),
+                query('stay', int({ minimum: 1 }), 'Minutes parked at the destination (default 120)'),
+                query('vehicle', str(), 'Vehicle profile from /environment/factors'),
+                regionParam('Only consider car parks in this region for drive-and-park')
+            ],
+            responses: { 200: ok(ref('Journeys')), ...errors(400) }
+        })
+    },
+    '/environment/factors': {
+        get: op('Journeys', 'Emission factors, vehicle profiles and fares in use', {
+            responses: { 200: ok(obj({ currency: str(), default_vehicle: str(), vehicles: obj({}), fares: obj({}) }, ['currency', 'default_vehicle', 'vehicles', 'fares'])) }
+        })
+    },
+    '/transit/stops': {
+        get: op('Journeys', 'Public transport stops nearby', {
+            params: [nearParam(), query('radius', num({ minimum: 1, maximum: 2000 }), 'Metres (default 400)')],
+            responses: {
+                200: ok(list(obj({ id: str(), name: str(), lat, lng, distance_m: num(), routes: arr(obj({ id: str(), short_name: str(), mode: str() }, ['id'])) }, ['id', 'name', 'lat', 'lng', 'distance_m', 'routes']))),
+                ...errors(400)
+            }
+        })
+    },
+    '/stats/parking': {
+        get: op('Statistics', 'Occupancy statistics from the event history', {
+            params: [
+                query('from', time, 'Start (default a week before to)'),
+                query('to', time, 'End (default now)'),
+                ids,
+                regionParam(),
+                query('granularity', str({ enum: GRANULARITIES }), 'Bucket size (default hour)'),
+                query('aggregation', str({ enum: AGGREGATIONS }), 'How buckets are combined (default mean)')
+            ],
+            responses: { 200: ok(ref('Stats')), ...errors(400) }
+        })
+    },
+    '/bays': {
+        get: op('Kerbside', 'Search kerbside bays', {
+            params: [
+                bboxParam, nearParam(), query('lat', lat, 'Legacy centre latitude'), query('lng', lng, 'Legacy centre longitude'),
+                radiusParam('Search radius in metres (default 300)'),
+                query('status', str({ enum: kerbside.STATUSES }), 'Only bays with this sensor status'),
+                limitParam(1000), offsetParam
+            ],
+            responses: { 200: ok(arr(ref('Bay')), 'Matching bays, nearest first when searching around a point', TOTAL_COUNT), ...errors(400) }
+        })
+    },
+    '/bays/{id}': {
+        get: op('Kerbside', 'Bay details', { params: [pathParam('id', 'Bay id')], responses: { 200: ok(ref('Bay')), ...errors(404) } })
+    },
+    '/bays/{id}/status': {
+        put: op('Sensors', 'Report a bay sensor status', {
+            security: INGEST, params: [pathParam('id', 'Bay id')],
+            requestBody: body(obj({ status: str({ enum: kerbside.STATUSES }), at: time }, ['status'])),
+            responses: { 200: ok(ref('Bay')), ...errors(400, 401, 404) }
+        })
+    },
+    '/import/parking': {
+        post: op('Import', 'Bulk upsert car parks', {
+            security: ADMIN,
+            requestBody: { required: true, content: { 'text/csv': { schema: str() }, 'application/geo+json': { schema: obj({}) }, 'application/json': { schema: obj({}) } } },
+            responses: { 200: ok(ref('ImportReport'), 'Row-by-row report'), ...errors(400, 401, 403), 422: { description: 'No rows could be applied', content: json(ref('ImportReport')) } }
+        })
+    },
+    '/import/bays': {
+        post: op('Import', 'Bulk upsert kerbside bays', {
+            security: ADMIN,
+            requestBody: { required: true, content: { 'text/csv': { schema: str() }, 'application/geo+json': { schema: obj({}) }, 'application/json': { schema: obj({}) } } },
+            responses: { 200: ok(ref('ImportReport'), 'Row-by-row report'), ...errors(400, 401, 403), 422: { description: 'No rows could be applied', content: json(ref('ImportReport')) } }
+        })
+    },
+    '/import/bays/restrictions': {
+        post: op('Import', 'Replace the restrictions of imported kerbside bays', {
+            description: 'City of Melbourne restrictions CSV, joined to bays on BayID = sensor_id. Rows for unknown bays are skipped and reported.',
+            security: ADMIN,
+            requestBody: { required: true, content: { 'text/csv': { schema: str() } } },
+            responses: { 200: ok(ref('ImportReport'), 'Row-by-row report'), ...errors(400, 401, 403), 422: { description: 'No rows could be applied', content: json(ref('ImportReport')) } }
+        })
+    },
+    '/auth/register': {
+        post: op('Accounts', 'Create an account', {
+            requestBody: body(obj({ email: str(), password: str({ minLength: 8 }), name: str(), vehicle: str() }, ['email', 'password'])),
+            responses: { 201: ok(obj({ user: ref('User'), token: str() }, ['user', 'token']), 'Signed in'), ...errors(400, 409) }
+        })
+    },
+    '/auth/login': {
+        post: op('Accounts', 'Sign in', {
+            requestBody: body(obj({ email: str(), password: str() }, ['email', 'password'])),
+            responses: { 200: ok(obj({ user: ref('User'), token: str() }, ['user', 'token'])), ...errors(400, 401) }
+        })
+    },
+    '/me': {
+        get: op('Accounts', 'Signed-in user', { security: USER, responses: { 200: ok(ref('User')), ...errors(401) } }),
+        patch: op('Accounts', 'Update name, vehicle or password', {
+            security: USER,
+            requestBody: body(obj({ name: nullable(str()), vehicle: str(), password: str({ minLength: 8 }), current_password: str() })),
+            responses: { 200: ok(ref('User')), ...errors(400, 401) }
+        })
+    },
+    '/me/destinations': {
+        get: op('Accounts', 'Saved destinations', { security: USER, responses: { 200: ok(list(ref('Destination'))), ...errors(401) } }),
+        post: op('Accounts', 'Save a destination', {
+            security: USER,
+            requestBody: body(obj({ name: str({ minLength: 1 }), lat, lng, place_id: str() }, ['name', 'lat', 'lng'])),
+            responses: { 201: ok(ref('Destination'), 'Saved'), ...errors(400, 401, 409) }
+        })
+    },
+    '/me/destinations/{id}': {
+        delete: op('Accounts', 'Forget a destination', { security: USER, params: [pathParam('id', 'Destination id')], responses: { 204: { description: 'Removed' }, ...errors(401, 404) } })
+    },
+    '/me/favourites': {
+        get: op('Accounts', 'Favourite car parks', { security: USER, responses: { 200: ok(list(ref('Parking'))), ...errors(401) } })
+    },
+    '/me/favourites/{parkingId}': {
+        put: op('Accounts', 'Favourite a car park', {
+            security: USER, params: [pathParam('parkingId', 'Car park id')],
+            responses: { 200: ok(obj({ favourites: arr(str()) }, ['favourites'])), ...errors(401, 404, 409) }
+        }),
+        delete: op('Accounts', 'Unfavourite a car park', {
+            security: USER, params: [pathParam('parkingId', 'Car park id')],
+            responses: { 200: ok(obj({ favourites: arr(str()) }, ['favourites'])), ...errors(401, 404) }
+        })
+    },
+    '/watches': {
+        post: op('Alerts', 'Watch a car park\'s availability', {
+            description: 'Give exactly one of webhook_url or push_subscription. Webhooks need a signed-in user and a public URL. The webhook signing secret is only returned here.',
+            requestBody: body(ref('WatchInput')),
+            responses: { 201: ok(ref('Watch'), 'Watching'), ...errors(400) }
+        })
+    },
+    '/watches/push-key': {
+        get: op('Alerts', 'VAPID public key for Web Push', { responses: { 200: ok(obj({ public_key: str() }, ['public_key'])) } })
+    },
+    '/watches/{id}': {
+        get: op('Alerts', 'Watch status', { params: [pathParam('id', 'Watch id')], responses: { 200: ok(ref('Watch')), ...errors(404) } }),
+        delete: op('Alerts', 'Stop watching', { params: [pathParam('id', 'Watch id')], responses: { 204: { description: 'Removed' }, ...errors(404) } })
+    },
+    '/me/watches': {
+        get: op('Alerts', 'The signed-in user\'s watches', { security: USER, responses: { 200: ok(list(ref('Watch'))), ...errors(401) } })
+    },
+    '/admin/whoami': {
+        get: op('Operations', 'Who the token belongs to', { security: OPERATOR, responses: { 200: ok(ref('Actor')), ...errors(401, 403) } })
+    },
+    '/admin/parking': {
+        get: op('Operations', 'Car parks with sensor counts, overrides and closures', { security: OPERATOR, responses: { 200: ok(list(ref('AdminParking'))), ...errors(401, 403) } })
+    },
+    '/admin/parking/{id}/override': {
+        put: op('Operations', 'Override the sensor count', {
+            security: OPERATOR, params: [id], requestBody: body(ref('OverrideInput')),
+            responses: { 200: ok(ref('AdminParking')), ...errors(400, 401, 403, 404) }
+        }),
+        delete: op('Operations', 'Go back to the sensor count', { security: OPERATOR, params: [id], responses: { 200: ok(ref('AdminParking')), ...errors(401, 403, 404, 409) } })
+    },
+    '/admin/parking/{id}/closure': {
+        put: op('Operations', 'Close a car park temporarily', {
+            security: OPERATOR, params: [id], requestBody: body(ref('ClosureInput')),
+            responses: { 200: ok(ref('AdminParking')), ...errors(400, 401, 403, 404) }
+        }),
+        delete: op('Operations', 'Reopen a car park', { security: OPERATOR, params: [id], responses: { 200: ok(ref('AdminParking')), ...errors(401, 403, 404, 409) } })
+    },
+    '/admin/ingest-log': {
+        get: op('Operations', 'Recent sensor, gate and import traffic', {
+            security: OPERATOR,
+            params: [query('source', str({ enum: ['events', 'bay_status', 'check_in', 'import_parking', 'import_bays'] }), 'Only this kind of upload'), query('target', str(), 'Car park, bay or reservation id'), limitParam(500, 'Entries (1-500, default 100)')],
+            responses: {
+                200: ok(list(obj({ at: time, source: str(), target: nullable(str()), by: nullable(str()), status: int(), count: int(), error: nullable(str()) }, ['at', 'source', 'status']))),
+                ...errors(400, 401, 403)
+            }
+        })
+    },
+    '/admin/audit': {
+        get: op('Operations', 'Audit trail, newest first', {
+            security: OPERATOR,
+            params: [query('target', str(), 'Object id'), query('actor', str(), 'User id or token id'), query('action', str(), 'Action prefix, e.g. parking.'), limitParam(200, 'Entries (1-200, default 50)'), offsetParam],
+            responses: {
+                200: ok(list(obj({ id: str(), at: time, actor: ref('Actor'), action: str(), target: obj({ type: str(), id: nullable(str()) }), changes: obj({}), reason: nullable(str()), summary: nullable(obj({})) }, ['id', 'at', 'actor', 'action', 'target', 'changes'])), 'Entries', TOTAL_COUNT),
+                ...errors(400, 401, 403)
+            }
+        })
+    },
+    '/admin/users': {
+        get: op('Operations', 'Accounts and their roles', { security: ADMIN, responses: { 200: ok(list(ref('User'))), ...errors(401, 403) } })
+    },
+    '/admin/users/{id}/role': {
+        put: op('Operations', 'Change an account\'s role', {
+            security: ADMIN, params: [pathParam('id', 'User id')],
+            requestBody: body(obj({ role: str({ enum: ROLES }) }, ['role'])),
+            responses: { 200: ok(ref('User')), ...errors(400, 401, 403, 404, 409) }
+        })
+    },
+    '/admin/api-keys': {
+        get: op('Operations', 'API keys for other apps, with today\'s usage', { security: ADMIN, responses: { 200: ok(list(ref('ApiKey'))), ...errors(401, 403) } }),
+        post: op('Operations', 'Issue an API key', {
+            description: 'The key itself is only in this response. Send it as X-API-Key.',
+            security: ADMIN, requestBody: body(ref('ApiKeyInput')),
+            responses: { 201: ok(ref('ApiKey'), 'Created'), ...errors(400, 401, 403) }
+        })
+    },
+    '/admin/api-keys/{id}': {
+        delete: op('Operations', 'Revoke an API key', {
+            security: ADMIN, params: [pathParam('id', 'API key id')],
+            responses: { 200: ok(ref('ApiKey')), ...errors(401, 403, 404, 409) }
+        })
+    }
+};
+
+const v1 = {
+    openapi: '3.0.3',
+    info: {
+        title: 'Melbourne Car Parks API',
+        version: '1.0.0',
+        description: 'Car park availability, pricing, kerbside bays, journeys and accounts. Errors are { error, details?, fields? }.'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{}, { apiKey: [] }],
+    paths,
+    components: {
+        schemas,
+        securitySchemes: {
+            userToken: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Token from /auth/register or /auth/login' },
+            operatorToken: { type: 'http', scheme: 'bearer', description: 'JWT of an operator or admin account, or ADMIN_TOKEN' },
+            adminToken: { type: 'http', scheme: 'bearer', description: 'JWT of an admin account, or ADMIN_TOKEN' },
+            ingestToken: { type: 'http', scheme: 'bearer', description: 'INGEST_TOKEN (or ADMIN_TOKEN)' },
+            apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Key issued by an admin; raises the rate limit and daily quota from the anonymous per-IP ones' }
+        }
+    }
+};
+
+// ---------- v2 ----------
+// 与 v1 相同的路由和参数，区别只有两点：
+// 1) 字段 available 统一叫 available_spots（请求体和响应都是），与前端一致
+// 2) 成功的 JSON 响应都包在 { data, meta? } 里：列表的 data 为数组，meta 带 total / limit / offset
+//    以及原列表响应里的其他字段（如 /parking/cost 的 arrival、duration）；错误响应格式不变
+
+const RENAMED = { available: 'available_spots' };
+
+function renameFields(schema) {
+    if (Array.isArray(schema)) return schema.map(renameFields);
+    if (!schema || typeof schema !== 'object') return schema;
+    const out = {};
+    for (const [k, v] of Object.entries(schema)) {
+        if (k === 'properties') out[k] = Object.fromEntries(Object.entries(v).map(([name, s]) => [RENAMED[name] || name, renameFields(s)]));
+        else if (k === 'required' && Array.isArray(v)) out[k] = v.map(name => RENAMED[name] || name);
+        else out[k] = renameFields(v);
+    }
+    return out;
+}
+
+const pageMeta = obj({
+    total: nullable(int({ minimum: 0 })),
+    limit: nullable(int({ minimum: 1 })),
+    offset: int({ minimum: 0 })
+}, ['total', 'limit', 'offset']);
+
+const isList = s => s.type === 'object' && s.properties && s.properties.items && s.properties.items.type === 'array';
+
+function envelope(schema) {
+    if (schema.type === 'array') return obj({ data: schema, meta: ref('PageMeta') }, ['data', 'meta']);
+    if (isList(schema)) {
+        const { items, ...rest } = schema.properties;
+        const extra = (schema.required || []).filter(k => k !== 'items');
+        const meta = Object.keys(rest).length
+            ? obj({ ...pageMeta.properties, ...rest }, [...pageMeta.required, ...extra])
+            : ref('PageMeta');
+        return obj({ data: items, meta }, ['data', 'meta']);
+    }
+    return obj({ data: schema }, ['data']);
+}
+
+function toV2(doc) {
+    const out = renameFields(JSON.parse(JSON.stringify(doc)));
+    out.info = {
+        ...out.info,
+        version: '2.0.0',
+        description: `${out.info.description} Same routes as v1; successful JSON responses are { data, meta? } and availability is available_spots.`
+    };
+    out.servers = [{ url: '/api/v2' }];
+    out.components.schemas.PageMeta = pageMeta;
+    for (const [p, item] of Object.entries(out.paths)) {
+        if (p === '/openapi.json') continue;
+        for (const operation of Object.values(item)) {
+            for (const [code, response] of Object.entries(operation.responses)) {
+                const content = response.content && response.content['application/json'];
+                if (code.startsWith('2') && content) content.schema = envelope(content.schema);
+            }
+        }
+    }
+    return out;
+}
+
+const documents = { 1: v1, 2: toV2(v1) };
+
+module.exports = { documents, renameFields, RENAMED };
@@ -0,0 +1,77 @@
+// 停车场字段校验与白名单，管理接口和数据导入共用；以及运营人员设置的临时关闭和空位覆盖
+const pricing = require('./pricing');
+const hours = require('./hours');
+
+// 校验停车场字段；partial=true 时只校验请求里出现的字段（PATCH）
+function validateParking(body, { partial = false } = {}) {
+    const errors = [];
+    const has = k => body[k] !== undefined;
+    const isNum = v => typeof v === 'number' && Number.isFinite(v);
+    const isInt = v => Number.isInteger(v) && v >= 0;
+
+    if (has('id') && (typeof body.id !== 'string' || !body.id.trim())) errors.push('id must be a non-empty string');
+    if ((!partial || has('name')) && (typeof body.name !== 'string' || !body.name.trim())) errors.push('name is required');
+    if ((!partial || has('lat')) && !(isNum(body.lat) && body.lat >= -90 && body.lat <= 90)) errors.push('lat must be a number between -90 and 90');
+    if ((!partial || has('lng')) && !(isNum(body.lng) && body.lng >= -180 && body.lng <= 180)) errors.push('lng must be a number between -180 and 180');
+    if ((!partial || has('capacity')) && !isInt(body.capacity)) errors.push('capacity must be a non-negative integer');
+    if (has('available') && !isInt(body.available)) errors.push('available must be a non-negative integer');
+    if (has('tariff')) errors.push(...pricing.validateTariff(body.tariff));
+    if (has('open_hours')) errors.push(...hours.validateHours(body.open_hours));
+    for (const k of ['ev_chargers', 'accessible_bays', 'motorcycle_bays']) {
+        if (has(k) && !isInt(body[k])) errors.push(`${k} must be a non-negative integer`);
+    }
+    if (has('max_height_m') && body.max_height_m !== null && !(isNum(body.max_height_m) && body.max_height_m > 0)) errors.push('max_height_m must be a positive number or null');
+    return errors;
+}
+
+const PARKING_FIELDS = [
+    'name', 'lat', 'lng', 'capacity', 'available', 'tariff',
+    'open_hours', 'max_height_m', 'ev_chargers', 'accessible_bays', 'motorcycle_bays'
+];
+
+function pickParking(body) {
+    const out = {};
+    for (const k of PARKING_FIELDS) {
+        if (body[k] !== undefined) out[k] = typeof body[k] === 'string' ? body[k].trim() : body[k];
+    }
+    return out;
+}
+
+// ---------- 临时关闭 / 空位覆盖 ----------
+// closure:  { reason, until, by, at }            事故、活动等临时关闭，until 为空表示直到手动恢复
+// override: { available, reason, until, by, at } 传感器失灵时由运营人员给出的空位数，优先于传感器计数
+
+const activeAt = (entry, when) => Boolean(entry) && (!entry.until || new Date(when) < new Date(entry.until));
+const closedAt = (lot, when) => (activeAt(lot.closure, when) ? lot.closure : null);
+const overrideAt = (lot, when) => (activeAt(lot.override, when) ? lot.override : null);
+
+// 营业时间内且没有被临时关闭
+function isOpenAt(lot, when) {
+    return !closedAt(lot, when) && hours.isOpenAt(lot.open_hours, when);
+}
+
+function validateUntil(body, now, errors) {
+    if (body.until === undefined || body.until === null) return;
+    const t = new Date(body.until);
+    if (Number.isNaN(t.getTime()) || t <= now) errors.push('until must be a future ISO timestamp');
+}
+
+function validateClosure(body, now = new Date()) {
+    const errors = [];
+    if (typeof body.reason !== 'string' || !body.reason.trim()) errors.push('reason is required');
+    validateUntil(body, now, errors);
+    return errors;
+}
+
+function validateOverride(body, lot, now = new Date()) {
+    const errors = validateClosure(body, now);
+    if (!Number.isInteger(body.available) || body.available < 0 || body.available > lot.capacity) {
+        errors.push(`available must be an integer between 0 and ${lot.capacity}`);
+    }
+    return errors;
+}
+
+module.exports = {
+    validateParking, PARKING_FIELDS, pickParking,
+    closedAt, overrideAt, isOpenAt, validateClosure, validateOverride
+};
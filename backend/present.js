@@ -0,0 +1,47 @@
+// 停车场对外输出格式：在存储字段基础上补充所属地区、价格文案、营业状态，并扣除预约保留的车位
+// 运营人员的空位覆盖取代传感器计数；关闭原因对外公开，操作人不公开
+const pricing = require('./pricing');
+const hours = require('./hours');
+const reservations = require('./reservations');
+const parking = require('./parking');
+const regions = require('./regions');
+
+function toApi(lot, now = new Date()) {
+    const { override, closure, ...rest } = lot;
+    const reserved = reservations.heldNow(lot.id, now);
+    const manual = parking.overrideAt(lot, now);
+    const closed = parking.closedAt(lot, now);
+    return {
+        ...rest,
+        region: regions.regionOf(lot),
+        available: reservations.publicAvailable(lot, now),
+        reserved,
+        availability_source: manual ? 'operator' : 'sensor',
+        price: pricing.priceLabel(lot.tariff),
+        open_24_7: hours.isAlwaysOpen(lot.open_hours),
+        open_now: !closed && hours.isOpenAt(lot.open_hours, now),
+        closed_reason: closed ? closed.reason : null,
+        closed_until: closed ? closed.until : null
+    };
+}
+
+// 管理后台视图：另附传感器计数和完整的覆盖 / 关闭记录
+function toAdmin(lot, now = new Date()) {
+    return { ...toApi(lot, now), sensor_available: lot.available, override: lot.override || null, closure: lot.closure || null };
+}
+
+// 对外视图最近一次变化的时刻（ISO 字符串），用作 Last-Modified：除了 updated_at，
+// 覆盖 / 关闭到期、预约窗口开始或结束、营业时间开关门都不写库，但会改变 available、open_now 等字段
+function lastModified(lot, now = new Date()) {
+    const t = now.toISOString();
+    const opened = hours.lastChangeAt(lot.open_hours, now);
+    const candidates = [
+        lot.updated_at,
+        reservations.lastHoldChange(lot.id, now),
+        opened && opened.toISOString(),
+        ...[lot.override, lot.closure].map(entry => entry && entry.until && entry.until <= t ? entry.until : null)
+    ];
+    return candidates.reduce((max, c) => (c && c > max ? c : max), '');
+}
+
+module.exports = { toApi, toAdmin, lastModified };
@@ -0,0 +1,99 @@
+// 停车收费：按小时计费 + 每 24 小时封顶，支持早鸟价、周末价和最长停放时间
+//
+// tariff 示例：
+// {
+//   "currency": "AUD",
+//   "hourly": 8, "increment_minutes": 30, "daily_cap": 45,
+//   "early_bird": { "entry_from": "06:00", "entry_until": "09:30", "exit_after": "15:00", "exit_before": "19:00", "flat": 22 },
+//   "weekend": { "hourly": 5, "daily_cap": 20 },
+//   "max_stay_minutes": 1440
+// }
+const { localParts } = require('./time');
+
+const DAY_MINUTES = 24 * 60;
+
+const isMoney = v => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+const isClock = v => typeof v === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(v);
+const toMinutes = hhmm => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3));
+const round2 = x => Math.round(x * 100) / 100;
+
+function validateTariff(t) {
+    if (t === null) return [];
+    if (typeof t !== 'object' || Array.isArray(t)) return ['tariff must be an object'];
+    const errors = [];
+    if (t.currency !== undefined && typeof t.currency !== 'string') errors.push('tariff.currency must be a string');
+    if (!isMoney(t.hourly)) errors.push('tariff.hourly must be a non-negative number');
+    if (t.increment_minutes !== undefined && !(Number.isInteger(t.increment_minutes) && t.increment_minutes > 0)) errors.push('tariff.increment_minutes must be a positive integer');
+    if (t.daily_cap !== undefined && !isMoney(t.daily_cap)) errors.push('tariff.daily_cap must be a non-negative number');
+    if (t.max_stay_minutes !== undefined && !(Number.isInteger(t.max_stay_minutes) && t.max_stay_minutes > 0)) errors.push('tariff.max_stay_minutes must be a positive integer');
+    if (t.early_bird !== undefined) {
+        const eb = t.early_bird || {};
+        for (const k of ['entry_from', 'entry_until', 'exit_after']) {
+            if (!isClock(eb[k])) errors.push(`tariff.early_bird.${k} must be HH:MM`);
+        }
+        if (eb.exit_before !== undefined && !isClock(eb.exit_before)) errors.push('tariff.early_bird.exit_before must be HH:MM');
+        if (!isMoney(eb.flat)) errors.push('tariff.early_bird.flat must be a non-negative number');
+    }
+    if (t.weekend !== undefined) {
+        const we = t.weekend || {};
+        if (!isMoney(we.hourly)) errors.push('tariff.weekend.hourly must be a non-negative number');
+        if (we.daily_cap !== undefined && !isMoney(we.daily_cap)) errors.push('tariff.weekend.daily_cap must be a non-negative number');
+    }
+    return errors;
+}
+
+// 列表里展示用的简短价格，如 "$8/hr"
+function priceLabel(t) {
+    if (!t) return undefined;
+    return `$${Number.isInteger(t.hourly) ? t.hourly : t.hourly.toFixed(2)}/hr`;
+}
+
+const isWeekend = parts => parts.weekday === 0 || parts.weekday === 6;
+
+// 标准计费：从入场起每 24 小时为一段，每段按小时费率计费并封顶；段的起点在周末则用周末价
+function standardCost(t, arrival, minutes) {
+    const inc = t.increment_minutes || 60;
+    const breakdown = [];
+    let total = 0;
+    for (let start = 0; start < minutes; start += DAY_MINUTES) {
+        const len = Math.min(DAY_MINUTES, minutes - start);
+        const weekend = t.weekend && isWeekend(localParts(new Date(arrival.getTime() + start * 60000)));
+        const rate = weekend ? t.weekend : t;
+        let cost = Math.ceil(len / inc) * rate.hourly * inc / 60;
+        const cap = rate.daily_cap;
+        if (cap !== undefined && cost > cap) cost = cap;
+        total += cost;
+        breakdown.push({ minutes: len, rate: weekend ? 'weekend' : 'standard', cost: round2(cost) });
+    }
+    return { total: round2(total), breakdown };
+}
+
+// 早鸟：工作日在规定时段入场，并在同一天 exit_after 之后（exit_before 之前）离场
+function earlyBirdCost(t, arrival, minutes) {
+    const eb = t.early_bird;
+    if (!eb) return null;
+    const entry = localParts(arrival);
+    const exit = localParts(new Date(arrival.getTime() + minutes * 60000));
+    if (isWeekend(entry) || exit.date !== entry.date) return null;
+    const inMin = entry.hour * 60 + entry.minute;
+    const outMin = exit.hour * 60 + exit.minute;
+    if (inMin < toMinutes(eb.entry_from) || inMin > toMinutes(eb.entry_until)) return null;
+    if (outMin < toMinutes(eb.exit_after)) return null;
+    if (eb.exit_before && outMin > toMinutes(eb.exit_before)) return null;
+    return { total: round2(eb.flat), breakdown: [{ minutes, rate: 'early_bird', cost: round2(eb.flat) }] };
+}
+
+// 计算一次停放的费用；超过最长停放时间时 allowed=false
+function tripCost(t, arrival, minutes) {
+    if (!t) return { priced: false };
+    const currency = t.currency || 'AUD';
+    if (t.max_stay_minutes && minutes > t.max_stay_minutes) {
+        return { priced: true, allowed: false, currency, reason: `Maximum stay is ${t.max_stay_minutes / 60} h` };
+    }
+    const standard = standardCost(t, arrival, minutes);
+    const early = earlyBirdCost(t, arrival, minutes);
+    const best = early && early.total < standard.total ? early : standard;
+    return { priced: true, allowed: true, currency, total: best.total, breakdown: best.breakdown };
+}
+
+module.exports = { validateTariff, priceLabel, tripCost };
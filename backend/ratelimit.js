@@ -0,0 +1,93 @@
+// /api 请求限速：带 X-API-Key 的按 key 计数（限额取 key 上的设置），其余按客户端 IP 计数
+// 每分钟固定窗口 + 每日配额（UTC 日），超出返回 429 和 Retry-After；计数只在内存里，重启后清零
+// 响应都带 X-RateLimit-Limit / X-RateLimit-Remaining / X-RateLimit-Reset（本分钟窗口，Reset 为剩余秒数）
+const apikeys = require('./apikeys');
+
+const ANON_RATE = Number(process.env.ANON_RATE_PER_MINUTE) || 120;
+const ANON_QUOTA = Number(process.env.ANON_DAILY_QUOTA) || 20000;
+
+const MINUTE = 60000;
+const DAY = 86400000;
+
+// bucket → { minute, minuteCount, day, dayCount }
+const counters = new Map();
+let lastSweep = 0;
+
+// 每分钟检查一次，只清理当天没有用量的计数；IP 和 key 都要留到换日，否则每日配额会随计数一起被清掉
+function sweep(now) {
+    const minute = Math.floor(now / MINUTE);
+    if (minute === lastSweep) return;
+    lastSweep = minute;
+    const day = Math.floor(now / DAY);
+    for (const [bucket, c] of counters) {
+        if (c.day < day) counters.delete(bucket);
+    }
+}
+
+// 计一次请求；超限时不计数，返回 { limited: 'rate' | 'quota', retryAfter }
+function hit(bucket, { rate, quota }, now = Date.now()) {
+    sweep(now);
+    const minute = Math.floor(now / MINUTE);
+    const day = Math.floor(now / DAY);
+    let c = counters.get(bucket);
+    if (!c) counters.set(bucket, c = { minute, minuteCount: 0, day, dayCount: 0 });
+    if (c.minute !== minute) Object.assign(c, { minute, minuteCount: 0 });
+    if (c.day !== day) Object.assign(c, { day, dayCount: 0 });
+
+    const minuteReset = Math.ceil(((minute + 1) * MINUTE - now) / 1000);
+    const state = { limit: rate, remaining: Math.max(0, rate - c.minuteCount), reset: minuteReset };
+    if (c.dayCount >= quota) return { ...state, limited: 'quota', retryAfter: Math.ceil(((day + 1) * DAY - now) / 1000) };
+    if (c.minuteCount >= rate) return { ...state, limited: 'rate', retryAfter: minuteReset };
+    c.minuteCount++;
+    c.dayCount++;
+    return { ...state, remaining: rate - c.minuteCount };
+}
+
+// 当天和本分钟的用量，供管理接口展示
+function usage(bucket, now = Date.now()) {
+    const c = counters.get(bucket);
+    return {
+        minute: c && c.minute === Math.floor(now / MINUTE) ? c.minuteCount : 0,
+        today: c && c.day === Math.floor(now / DAY) ? c.dayCount : 0
+    };
+}
+
+const keyBucket = apiKey => `key:${apiKey.id}`;
+
+// exempt(req) 为 true 的请求（管理员、传感器 token 等内部调用）不限速
+// key 也可以放在 ?api_key= 里，给无法设置请求头的 EventSource 用
+function rateLimit({ exempt = () => false } = {}) {
+    return (req, res, next) => {
+        if (!req.path.startsWith('/api/')) return next();
+        const raw = req.get('x-api-key') || (typeof req.query.api_key === 'string' ? req.query.api_key : '');
+        let bucket;
+        let limits;
+        if (raw) {
+            const apiKey = apikeys.findByKey(raw);
+            if (!apiKey) return res.status(401).json({ error: 'Invalid API key', details: ['the key is unknown or has been revoked'] });
+            req.apiKey = apiKey;
+            bucket = keyBucket(apiKey);
+            limits = { rate: apiKey.rate_per_minute, quota: apiKey.daily_quota };
+        } else {
+            if (exempt(req)) return next();
+            bucket = `ip:${req.ip}`;
+            limits = { rate: ANON_RATE, quota: ANON_QUOTA };
+        }
+
+        const result = hit(bucket, limits);
+        res.set({
+            'X-RateLimit-Limit': String(result.limit),
+            'X-RateLimit-Remaining': String(result.remaining),
+            'X-RateLimit-Reset': String(result.reset)
+        });
+        if (!result.limited) return next();
+        res.set('Retry-After', String(result.retryAfter));
+        const details = result.limited === 'quota'
+            ? [`daily quota of ${limits.quota} requests used up; it resets at midnight UTC`]
+            : [`limit of ${limits.rate} requests per minute reached`];
+        if (!raw) details.push('ask for an API key for higher limits');
+        res.status(429).json({ error: 'Too many requests', details });
+    };
+}
+
+module.exports = { rateLimit, usage, keyBucket, hit };
@@ -0,0 +1,64 @@
+// 城市 / 地区：每个地区有范围（bounds）、默认地图中心和缩放、自己的 gazetteer
+// 停车场不单独存地区字段，按坐标落在哪个地区的范围内归属，新增地区只需改配置文件
+const fs = require('fs');
+const path = require('path');
+
+const REGIONS_FILE = process.env.REGIONS_FILE || path.join(__dirname, 'data', 'regions.json');
+
+let config;
+function getConfig() {
+    if (!config) {
+        config = JSON.parse(fs.readFileSync(REGIONS_FILE, 'utf8'));
+        if (!config.regions.some(r => r.id === config.default)) throw new Error(`Default region "${config.default}" is not in ${REGIONS_FILE}`);
+    }
+    return config;
+}
+
+const inBox = (p, [minLng, minLat, maxLng, maxLat]) => p.lng >= minLng && p.lng <= maxLng && p.lat >= minLat && p.lat <= maxLat;
+
+function list() {
+    return getConfig().regions;
+}
+
+function ids() {
+    return list().map(r => r.id);
+}
+
+function get(id) {
+    return list().find(r => r.id === id) || null;
+}
+
+function defaultRegion() {
+    return get(getConfig().default);
+}
+
+function contains(region, point) {
+    return inBox(point, region.bounds);
+}
+
+// 坐标所属地区 id，不在任何地区范围内返回 null
+function regionOf(point) {
+    const region = list().find(r => contains(r, point));
+    return region ? region.id : null;
+}
+
+// gazetteer 路径相对于 regions.json 所在目录
+function gazetteers() {
+    const dir = path.dirname(REGIONS_FILE);
+    return list().map(r => ({ region: r.id, file: path.resolve(dir, r.gazetteer) }));
+}
+
+// ?region= 参数：未传返回 { region: null }，未知地区返回错误
+function parseRegionQuery(query) {
+    if (query.region === undefined || query.region === '') return { region: null };
+    const region = get(query.region);
+    if (!region) return { errors: [`region must be one of ${ids().join(', ')}`] };
+    return { region };
+}
+
+function regionToApi(r) {
+    const { gazetteer, ...rest } = r;
+    return { ...rest, default: r.id === getConfig().default };
+}
+
+module.exports = { list, ids, get, defaultRegion, contains, regionOf, gazetteers, parseRegionQuery, regionToApi };
@@ -0,0 +1,186 @@
+// 车位预约：按时间窗口占用车位，支持取消、到场签到和未到场自动过期
+const crypto = require('crypto');
+const store = require('./store');
+const parking = require('./parking');
+
+const parkingStore = store.collection('parking');
+const reservationStore = store.collection('reservations');
+
+const NO_SHOW_GRACE_MINUTES = Number(process.env.NO_SHOW_GRACE_MINUTES) || 15;
+const MAX_WINDOW_MINUTES = 24 * 60;
+const ACTIVE = ['confirmed', 'checked_in'];
+// 预约无需登录，为防止一个客户端占满车位：同一客户端（登录用户 / API key / IP）同时有效的预约数有上限，
+// 同一车牌的预约时间窗口不能重叠
+const MAX_ACTIVE_PER_CLIENT = Number(process.env.RESERVATIONS_PER_CLIENT) || 3;
+
+// 预约号去掉容易混淆的 0/O/1/I；凭它即可查询和取消，所以用 16 位（80 bit）随机字符，四位一组便于抄写
+const REF_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+function newReference() {
+    const chars = Array.from(crypto.randomBytes(16), b => REF_ALPHABET[b % REF_ALPHABET.length]).join('');
+    return 'MCP-' + chars.match(/.{4}/g).join('-');
+}
+
+// 凭预约号的公开查询 / 取消不返回联系方式和车牌，完整记录只给预约人（创建时）和运营人员
+function publicView(reservation) {
+    const { name, plate, email, ...rest } = ownerView(reservation);
+    return rest;
+}
+
+// 记录的客户端标识（可能是 IP）只用于限额，不对外返回
+function ownerView(reservation) {
+    const { client, ...rest } = reservation;
+    return rest;
+}
+
+const samePlate = (a, b) => typeof a === 'string' && typeof b === 'string' && a.replace(/\s+/g, '').toUpperCase() === b.replace(/\s+/g, '').toUpperCase();
+
+const overlaps = (r, start, end) => r.start < end && start < r.end;
+
+function activeFor(parkingId) {
+    return reservationStore.list().filter(r => r.parking_id === parkingId && ACTIVE.includes(r.status));
+}
+
+// 任意停车场上尚未结束的有效预约
+function activeAnywhere(now) {
+    const t = now.toISOString();
+    return reservationStore.list().filter(r => ACTIVE.includes(r.status) && r.end > t);
+}
+
+// 某时间窗口内同时有效的预约数峰值（扫描线）
+function peakOverlap(list, start, end) {
+    const points = [];
+    for (const r of list) {
+        if (!overlaps(r, start, end)) continue;
+        points.push([r.start < start ? start : r.start, 1], [r.end, -1]);
+    }
+    points.sort((a, b) => a[0].localeCompare(b[0]) || a[1] - b[1]);
+    let cur = 0, peak = 0;
+    for (const [, d] of points) { cur += d; peak = Math.max(peak, cur); }
+    return peak;
+}
+
+// 当前为预约保留、车还没到的车位数，需要从对外的 available 中扣除
+function heldNow(parkingId, now = new Date()) {
+    const t = now.toISOString();
+    return activeFor(parkingId).filter(r => r.status === 'confirmed' && r.start <= t && t < r.end).length;
+}
+
+// 对外的空位数：有效的运营人员覆盖优先于传感器计数，再扣除预约保留的车位（/parking 和预约共用）
+function publicAvailable(lot, now = new Date()) {
+    const manual = parking.overrideAt(lot, now);
+    return Math.max(0, (manual ? manual.available : lot.available) - heldNow(lot.id, now));
+}
+
+// heldNow 最近一次因时间推移而变化的时刻（预约窗口开始或结束）；状态变化本身会更新停车场的 updated_at
+function lastHoldChange(parkingId, now = new Date()) {
+    const t = now.toISOString();
+    let latest = '';
+    for (const r of activeFor(parkingId)) {
+        if (r.status !== 'confirmed') continue;
+        for (const edge of [r.start, r.end]) if (edge <= t && edge > latest) latest = edge;
+    }
+    return latest;
+}
+
+function validateRequest(body, now) {
+    const errors = [];
+    const start = new Date(body.start);
+    const end = new Date(body.end);
+    if (Number.isNaN(start.getTime())) errors.push('start must be an ISO timestamp');
+    if (Number.isNaN(end.getTime())) errors.push('end must be an ISO timestamp');
+    if (errors.length) return { errors };
+    if (end <= start) errors.push('end must be after start');
+    if ((end - start) / 60000 > MAX_WINDOW_MINUTES) errors.push(`a reservation cannot be longer than ${MAX_WINDOW_MINUTES / 60} hours`);
+    if (start.getTime() < now.getTime() - 5 * 60000) errors.push('start must not be in the past');
+    for (const k of ['name', 'plate', 'email']) {
+        if (body[k] !== undefined && typeof body[k] !== 'string') errors.push(`${k} must be a string`);
+    }
+    return { errors, start: start.toISOString(), end: end.toISOString() };
+}
+
+// 预约可用性：窗口内峰值 + 1 不能超过容量；若窗口已开始，还要看当前实际空位
+// client 为请求方标识（如 user:<id>、key:<id>、ip:<地址>），用于每客户端的有效预约上限
+function create(lot, body, client, now = new Date()) {
+    const { errors, start, end } = validateRequest(body, now);
+    if (errors.length) return { status: 400, error: 'Invalid reservation', details: errors };
+    const current = activeAnywhere(now);
+    if (current.filter(r => r.client === client).length >= MAX_ACTIVE_PER_CLIENT) {
+        return { status: 409, error: 'Too many active reservations', details: [`at most ${MAX_ACTIVE_PER_CLIENT} reservations can be active at once; cancel one or wait for it to end`] };
+    }
+    if (body.plate && current.some(r => samePlate(r.plate, body.plate) && overlaps(r, start, end))) {
+        return { status: 409, error: 'That vehicle already has a reservation in this window' };
+    }
+    if (!parking.isOpenAt(lot, new Date(start))) {
+        return { status: 409, error: 'Car park is closed at the requested start time' };
+    }
+
+    const active = activeFor(lot.id);
+    if (peakOverlap(active, start, end) + 1 > lot.capacity) {
+        return { status: 409, error: 'No bays left to reserve in that window' };
+    }
+    if (start <= now.toISOString() && publicAvailable(lot, now) <= 0) {
+        return { status: 409, error: 'Car park is full right now' };
+    }
+
+    const reservation = reservationStore.insert({
+        id: crypto.randomUUID(),
+        reference: newReference(),
+        parking_id: lot.id,
+        start, end,
+        status: 'confirmed',
+        name: body.name, plate: body.plate, email: body.email,
+        client,
+        created_at: now.toISOString(),
+        updated_at: now.toISOString()
+    });
+    touchParking(lot.id);
+    return { reservation: ownerView(reservation) };
+}
+
+function findByReference(reference) {
+    return reservationStore.list().find(r => r.reference === String(reference).toUpperCase()) || null;
+}
+
+function setStatus(reservation, status, extra = {}) {
+    const updated = reservationStore.update(reservation.id, { status, ...extra, updated_at: new Date().toISOString() });
+    touchParking(reservation.parking_id);
+    return updated;
+}
+
+function cancel(reservation) {
+    if (reservation.status !== 'confirmed') return { status: 409, error: `Reservation is already ${reservation.status}` };
+    return { reservation: setStatus(reservation, 'cancelled') };
+}
+
+// 车辆入场签到（道闸读到预约号或车牌时调用）
+function checkIn(reservation, now = new Date()) {
+    if (reservation.status !== 'confirmed') return { status: 409, error: `Reservation is ${reservation.status}` };
+    if (now.toISOString() >= reservation.end) return { status: 409, error: 'Reservation window has ended' };
+    return { reservation: ownerView(setStatus(reservation, 'checked_in', { checked_in_at: now.toISOString() })) };
+}
+
+// 超过开始时间 + 宽限期仍未签到的预约置为 expired；已结束的签到预约置为 completed
+function sweep(now = new Date()) {
+    const graceCutoff = new Date(now.getTime() - NO_SHOW_GRACE_MINUTES * 60000).toISOString();
+    const t = now.toISOString();
+    let changed = 0;
+    for (const r of reservationStore.list()) {
+        if (r.status === 'confirmed' && r.start < graceCutoff) { setStatus(r, 'expired'); changed++; }
+        else if (r.status === 'checked_in' && r.end <= t) { setStatus(r, 'completed'); changed++; }
+    }
+    return changed;
+}
+
+// 预约变化会改变对外空位数，更新停车场时间戳以触发实时推送
+function touchParking(parkingId) {
+    if (parkingStore.get(parkingId)) parkingStore.update(parkingId, { updated_at: new Date().toISOString() });
+}
+
+function listFor(parkingId) {
+    return reservationStore.list()
+        .filter(r => r.parking_id === parkingId)
+        .sort((a, b) => a.start.localeCompare(b.start))
+        .map(ownerView);
+}
+
+module.exports = { create, cancel, checkIn, sweep, heldNow, publicAvailable, lastHoldChange, findByReference, listFor, publicView, NO_SHOW_GRACE_MINUTES };
@@ -0,0 +1,207 @@
+// 步行路线：在本地街道图上做最短路，街道图缺失或走不通时退回直线距离 × 绕行系数
+// 街道图是 GeoJSON LineString / MultiLineString（如 OSM 抽取后用 osmium export 导出的步行道路），
+// 坐标完全相同的顶点视为同一个路口
+const fs = require('fs');
+const path = require('path');
+const { distanceMeters } = require('./geo');
+const { createGridIndex } = require('./spatial');
+
+const STREET_GRAPH_FILE = process.env.STREET_GRAPH_FILE || path.join(__dirname, 'data', 'streets.geojson');
+const WALK_SPEED_MPS = Number(process.env.WALK_SPEED_MPS) || 1.3;  // 约 4.7 km/h
+const SNAP_METERS = 250;       // 起终点离街道图超过这个距离就不走图
+const SNAP_CANDIDATES = 4;     // 起终点各取最近的几个路口作为入口，避免只接最近点绕远路
+const SNAP_SLACK_METERS = 75;  // 入口最多比最近的路口远这么多，否则直线段可能穿过河道或街区
+const MAX_WALK_METERS = 5000;  // 最短路搜索上限，再远按直线估算
+const DETOUR_FACTOR = 1.3;     // 直线距离换算成步行距离的经验系数
+
+let graph;
+
+function loadGraph(file = STREET_GRAPH_FILE) {
+    const nodes = new Map();   // key -> { id, lat, lng, edges: [{ to, m, name }] }
+    const index = createGridIndex({ cellDeg: 0.002 });
+    if (!fs.existsSync(file)) return { nodes, index };
+
+    const nodeAt = ([lng, lat]) => {
+        const id = `${lng.toFixed(6)},${lat.toFixed(6)}`;
+        if (!nodes.has(id)) {
+            nodes.set(id, { id, lat, lng, edges: [] });
+            index.upsert({ id, lat, lng });
+        }
+        return nodes.get(id);
+    };
+
+    const fc = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const f of fc.features || []) {
+        const g = f.geometry || {};
+        const lines = g.type === 'LineString' ? [g.coordinates] : g.type === 'MultiLineString' ? g.coordinates : [];
+        const name = (f.properties && f.properties.name) || null;
+        for (const line of lines) {
+            for (let i = 1; i < line.length; i++) {
+                const a = nodeAt(line[i - 1]), b = nodeAt(line[i]);
+                if (a === b) continue;
+                const m = distanceMeters(a, b);
+                a.edges.push({ to: b.id, m, name });
+                b.edges.push({ to: a.id, m, name });
+            }
+        }
+    }
+    return { nodes, index };
+}
+
+function getGraph() {
+    if (!graph) graph = loadGraph();
+    return graph;
+}
+
+// 最小堆，元素为 [priority, value]
+function createHeap() {
+    const items = [];
+    const swap = (i, j) => { [items[i], items[j]] = [items[j], items[i]]; };
+    return {
+        get size() { return items.length; },
+        push(priority, value) {
+            items.push([priority, value]);
+            for (let i = items.length - 1; i > 0;) {
+                const parent = (i - 1) >> 1;
+                if (items[parent][0] <= items[i][0]) break;
+                swap(i, parent);
+                i = parent;
+            }
+        },
+        pop() {
+            const top = items[0];
+            const last = items.pop();
+            if (items.length) {
+                items[0] = last;
+                for (let i = 0; ;) {
+                    const l = 2 * i + 1, r = l + 1;
+                    let min = i;
+                    if (l < items.length && items[l][0] < items[min][0]) min = l;
+                    if (r < items.length && items[r][0] < items[min][0]) min = r;
+                    if (min === i) break;
+                    swap(i, min);
+                    i = min;
+                }
+            }
+            return top[1];
+        }
+    };
+}
+
+function entryNodes(g, p) {
+    const hits = g.index.nearest(p, SNAP_CANDIDATES, { maxDistance: SNAP_METERS });
+    return hits.filter(h => h.distance <= hits[0].distance + SNAP_SLACK_METERS);
+}
+
+// 从终点附近的几个路口出发做 Dijkstra（多源），得到各路口到终点的步行距离；
+// 街道图是无向的，所以同一次搜索可以给多个起点共用（批量算各停车场的步行时间）
+function searchFrom(g, to) {
+    const dist = new Map();
+    const next = new Map();   // 节点 -> { id, edge }：朝终点方向的下一个节点
+    const exit = new Map();   // 节点 -> 最短路最后离开街道图、走到终点的那段直线距离
+    const heap = createHeap();
+    for (const { point, distance } of entryNodes(g, to)) {
+        dist.set(point.id, distance);
+        exit.set(point.id, distance);
+        heap.push(distance, point.id);
+    }
+    const done = new Set();
+    while (heap.size) {
+        const id = heap.pop();
+        if (done.has(id)) continue;
+        done.add(id);
+        if (dist.get(id) > MAX_WALK_METERS) break;
+        for (const e of g.nodes.get(id).edges) {
+            const d = dist.get(id) + e.m;
+            if (d < (dist.get(e.to) ?? Infinity)) {
+                dist.set(e.to, d);
+                next.set(e.to, { id, edge: e });
+                exit.set(e.to, exit.get(id));
+                heap.push(d, e.to);
+            }
+        }
+    }
+    return { dist, next, exit };
+}
+
+// 起点从附近哪个路口进入街道图总距离最短；都到不了返回 null
+function bestEntry(g, search, from) {
+    let best = null;
+    for (const { point, distance } of entryNodes(g, from)) {
+        const rest = search.dist.get(point.id);
+        if (rest === undefined) continue;
+        if (!best || distance + rest < best.meters) {
+            best = { id: point.id, access: distance + search.exit.get(point.id), meters: distance + rest };
+        }
+    }
+    return best;
+}
+
+// 连续同名的边合并成一段，得到 ["Flinders Lane", "Swanston Street"] 这样的街道序列
+function streetNames(edges) {
+    const names = [];
+    for (const e of edges) {
+        if (e.name && names[names.length - 1] !== e.name) names.push(e.name);
+    }
+    return names;
+}
+
+function result(from, to, meters, coordinates, method, streets = []) {
+    const seconds = Math.round(meters / WALK_SPEED_MPS);
+    return {
+        from, to,
+        distance_m: Math.round(meters),
+        duration_s: seconds,
+        duration_min: Math.max(1, Math.round(seconds / 60)),
+        method,
+        streets,
+        geometry: { type: 'LineString', coordinates }
+    };
+}
+
+const straightLine = (from, to) => result(from, to, distanceMeters(from, to) * DETOUR_FACTOR,
+    [[from.lng, from.lat], [to.lng, to.lat]], 'straight_line');
+
+// 图上走不通，或起终点彼此比到街道图还近（如同一街区内），直接按直线估算
+// entry.access 为两端进出街道图的直线距离之和
+function useGraph(from, to, entry) {
+    return Boolean(entry) && distanceMeters(from, to) >= entry.access;
+}
+
+// from / to 为 { lat, lng }；method 为 street_graph 或 straight_line
+function walkingRoute(from, to) {
+    const g = getGraph();
+    if (!g.nodes.size) return straightLine(from, to);
+    const search = searchFrom(g, to);
+    const entry = bestEntry(g, search, from);
+    if (!useGraph(from, to, entry)) return straightLine(from, to);
+
+    const ids = [entry.id];
+    const edges = [];
+    for (let id = entry.id; search.next.has(id); id = search.next.get(id).id) {
+        edges.push(search.next.get(id).edge);
+        ids.push(search.next.get(id).id);
+    }
+    const coordinates = [
+        [from.lng, from.lat],
+        ...ids.map(id => { const n = g.nodes.get(id); return [n.lng, n.lat]; }),
+        [to.lng, to.lat]
+    ];
+    return result(from, to, entry.meters, coordinates, 'street_graph', streetNames(edges));
+}
+
+// 多个起点到同一终点的步行距离和时间（不含几何），只做一次最短路搜索
+function walkingTimes(points, to) {
+    const g = getGraph();
+    const search = g.nodes.size ? searchFrom(g, to) : null;
+    return points.map(from => {
+        const entry = search && bestEntry(g, search, from);
+        const r = useGraph(from, to, entry)
+            ? result(from, to, entry.meters, [], 'street_graph')
+            : straightLine(from, to);
+        const { distance_m, duration_s, duration_min, method } = r;
+        return { distance_m, duration_s, duration_min, method };
+    });
+}
+
+module.exports = { walkingRoute, walkingTimes, loadGraph, WALK_SPEED_MPS };
@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+// 用法：node scripts/import-parking.js <car-parks.csv|car-parks.geojson>
+// 直接读写 DATA_FILE：先停掉服务再运行，否则运行中的服务下次落盘时会用内存里的旧数据覆盖导入结果；
+// 服务运行时改用 POST /api/v1/import/... 接口
+const fs = require('fs');
+const { importParking } = require('../importer');
+
+const [file] = process.argv.slice(2);
+if (!file) {
+    console.error('Usage: node scripts/import-parking.js <car-parks.csv|car-parks.geojson>');
+    console.error('Stop the server first: it keeps the data in memory and overwrites the file on its next write. While it runs, use the import API instead.');
+    process.exit(2);
+}
+
+const report = importParking(fs.readFileSync(file, 'utf8'));
+
+console.log(`Car parks: ${report.inserted} inserted, ${report.updated} updated, ${report.unchanged} unchanged, ${report.skipped} skipped`);
+for (const e of report.errors) console.log(`  ${e.line ?? '-'}${e.id ? ` (${e.id})` : ''}: ${e.errors.join('; ')}`);
+process.exit(report.errors.length && !(report.inserted + report.updated + report.unchanged) ? 1 : 0);
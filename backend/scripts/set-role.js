@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+// 用法：node scripts/set-role.js <email> <user|operator|admin>
+// 给已注册的账号设置角色，用于创建第一个管理员；之后可由管理员用 PUT /api/v1/admin/users/:id/role 修改
+// 直接读写 DATA_FILE：先停掉服务再运行，否则运行中的服务下次落盘时会用内存里的旧数据覆盖修改
+const accounts = require('../accounts');
+const audit = require('../audit');
+
+const [email, role] = process.argv.slice(2);
+if (!email || !role) {
+    console.error(`Usage: node scripts/set-role.js <email> <${accounts.ROLES.join('|')}>`);
+    console.error('The account must already exist (register first). Stop the server first: it keeps the data in memory and overwrites the file on its next write.');
+    process.exit(2);
+}
+
+const user = accounts.findByEmail(email);
+if (!user) {
+    console.error(`No account with email ${email}`);
+    process.exit(1);
+}
+const result = accounts.setRole(user.id, role);
+if (result.error) {
+    console.error(`${result.error}: ${(result.details || []).join('; ')}`);
+    process.exit(1);
+}
+audit.record({ id: 'cli', label: 'Command line', role: 'admin' }, 'user.role', { type: 'user', id: user.id }, { before: { role: result.before.role }, after: { role: result.user.role } });
+console.log(`${result.user.email}: ${result.before.role} -> ${result.user.role}`);
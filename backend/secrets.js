@@ -0,0 +1,13 @@
+// 令牌和签名密钥：生产环境（NODE_ENV=production）必须通过环境变量设置，否则拒绝启动；
+// 开发时退回仓库里公开的默认值，并在启动时提醒
+function secret(name, devDefault) {
+    const value = process.env[name];
+    if (value) return value;
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error(`${name} must be set when NODE_ENV=production`);
+    }
+    console.warn(`WARNING: ${name} is not set; using the public development value "${devDefault}". Anyone can use it. Set ${name} before exposing this server.`);
+    return devDefault;
+}
+
+module.exports = { secret };
@@ -1,109 +1,935 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const http = require('http');
+const store = require('./store');
+const occupancy = require('./occupancy');
+const { parkingStats, parseStatsQuery } = require('./stats');
+const { streamHandler } = require('./stream');
+const { forecast } = require('./forecast');
+const pricing = require('./pricing');
+const hours = require('./hours');
+const reservations = require('./reservations');
+const { toApi, toAdmin, lastModified } = require('./present');
+const { createGeocoder } = require('./geocoding');
+const { indexCollection } = require('./spatial');
+const { distanceMeters } = require('./geo');
+const kerbside = require('./kerbside');
+const { validateParking, pickParking, isOpenAt, validateClosure, validateOverride } = require('./parking');
+const importer = require('./importer');
+const feeds = require('./feeds');
+const { walkingRoute, walkingTimes } = require('./routing');
+const { compareJourneys } = require('./journeys');
+const { stopsNear } = require('./transit');
+const emissions = require('./emissions');
+const accounts = require('./accounts');
+const watches = require('./watches');
+const notify = require('./notify');
+const audit = require('./audit');
+const openapi = require('./openapi');
+const { validateRequests } = require('./validate');
+const v2 = require('./v2');
+const apikeys = require('./apikeys');
+const { rateLimit, usage, keyBucket } = require('./ratelimit');
+const regions = require('./regions');
+const { secret } = require('./secrets');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
-app.use(cors());
+// 反向代理后面部署时设置 TRUST_PROXY（如 1 或 loopback），限速才能拿到真实的客户端 IP
+if (process.env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+
+// 跨域白名单：CORS_ORIGINS 逗号分隔，* 表示任意来源；默认只放行本机 Live Server（前端开发用）
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:5500,http://127.0.0.1:5500').split(',').map(s => s.trim()).filter(Boolean);
+app.use(cors({
+    origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+    exposedHeaders: ['X-Total-Count', 'ETag', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset']
+}));
+
+// 限速在解析请求体之前；管理员、运营人员和传感器的请求不限速
+app.use(rateLimit({ exempt: req => isTrustedClient(req) }));
+app.use(express.json());
+
+// /api/v2 改写到 v1 路由并转换格式；按 OpenAPI 文档校验查询参数和 JSON 请求体，不合格的统一返回 400
+app.use(v2.rewrite);
+app.use(validateRequests(openapi.documents));
+app.use(v2.renameRequestBody);
 
 // 托管 fronted 文件夹作为静态资源
 app.use(express.static(path.join(__dirname, '../fronted')));
 
+// ===================== 数据与鉴权 =====================
+const parkingStore = store.collection('parking');
+const geocoder = createGeocoder();
+const parkingIndex = indexCollection('parking');
+const bayStore = store.collection('bays');
+const bayIndex = indexCollection('bays');
+
+// 管理接口：Authorization: Bearer <ADMIN_TOKEN>（服务 / 初始化用，视为 admin），
+// 或 operator / admin 角色用户登录后的 JWT；操作人放在 req.actor，供审计记录
+const ADMIN_TOKEN = secret('ADMIN_TOKEN', 'dev-admin-token');
+function actorFromRequest(req) {
+    if ((req.get('authorization') || '') === `Bearer ${ADMIN_TOKEN}`) return { id: 'admin-token', label: 'Admin token', role: 'admin' };
+    const user = accounts.userFromRequest(req);
+    return user ? { id: user.id, label: user.email, role: user.role || 'user' } : null;
+}
+
+function requireRole(...roles) {
+    return (req, res, next) => {
+        const actor = actorFromRequest(req);
+        if (!actor) return res.status(401).json({ error: 'Unauthorized' });
+        if (!roles.includes(actor.role)) return res.status(403).json({ error: 'Forbidden', details: [`requires role ${roles.join(' or ')}`] });
+        req.actor = actor;
+        next();
+    };
+}
+const requireAdmin = requireRole('admin');
+const requireOperator = requireRole('operator', 'admin');
+
+// 传感器/道闸上报使用 INGEST_TOKEN，管理员 token 同样可用
+const INGEST_TOKEN = secret('INGEST_TOKEN', 'dev-ingest-token');
+function requireIngest(req, res, next) {
+    const auth = req.get('authorization') || '';
+    if (auth === `Bearer ${INGEST_TOKEN}`) req.actor = { id: 'ingest-token', label: 'Ingest token', role: 'ingest' };
+    else if (auth === `Bearer ${ADMIN_TOKEN}`) req.actor = { id: 'admin-token', label: 'Admin token', role: 'admin' };
+    else return res.status(401).json({ error: 'Unauthorized' });
+    next();
+}
+
+// 内部调用方（admin / ingest token、operator 及以上的账号）不受公开接口的限速
+function isTrustedClient(req) {
+    if ((req.get('authorization') || '') === `Bearer ${INGEST_TOKEN}`) return true;
+    const actor = actorFromRequest(req);
+    return Boolean(actor && ['operator', 'admin'].includes(actor.role));
+}
+
+// 数据上报写入接收日志（成功和被拒绝的都记），count 为本次上报的条数
+function logIngestion(source, count = () => 1) {
+    return (req, res, next) => {
+        const json = res.json.bind(res);
+        res.json = body => { res.locals.body = body; return json(body); };
+        res.on('finish', () => {
+            const body = res.locals.body || {};
+            audit.logIngest({
+                source,
+                target: req.params.id || req.params.ref || null,
+                by: req.actor ? req.actor.label : null,
+                status: res.statusCode,
+                count: count(req, body),
+                error: res.statusCode >= 400 ? [body.error, ...(body.details || [])].filter(Boolean).join('; ') : null
+            });
+        });
+        next();
+    };
+}
+
+// 用户接口需要登录后签发的 JWT（Authorization: Bearer <token>），对应用户放在 req.user
+function requireUser(req, res, next) {
+    const user = accounts.userFromRequest(req);
+    if (!user) return res.status(401).json({ error: 'Sign in required' });
+    req.user = user;
+    next();
+}
+
+function nextParkingId() {
+    const max = parkingStore.list()
+        .map(p => /^PARK(\d+)$/.exec(p.id))
+        .filter(Boolean)
+        .reduce((m, match) => Math.max(m, Number(match[1])), 0);
+    return `PARK${String(max + 1).padStart(3, '0')}`;
+}
+
+// 设施/营业时间过滤：ev=1 accessible=1 motorcycle=1 open24=1 maxHeight=2.1（车高，米） openAt=ISO
+function parseAttributeFilters(query) {
+    const errors = [];
+    const flag = k => query[k] === '1' || query[k] === 'true';
+    const filters = [];
+    if (flag('ev')) filters.push(p => p.ev_chargers > 0);
+    if (flag('accessible')) filters.push(p => p.accessible_bays > 0);
+    if (flag('motorcycle')) filters.push(p => p.motorcycle_bays > 0);
+    if (flag('open24')) filters.push(p => hours.isAlwaysOpen(p.open_hours));
+    if (query.maxHeight !== undefined) {
+        const h = Number(query.maxHeight);
+        if (!(h > 0)) errors.push('maxHeight must be a positive number of metres');
+        else filters.push(p => p.max_height_m == null || p.max_height_m >= h);
+    }
+    if (query.openAt !== undefined) {
+        const at = new Date(query.openAt);
+        if (Number.isNaN(at.getTime())) errors.push('openAt must be an ISO timestamp');
+        else filters.push(p => isOpenAt(p, at));
+    }
+    return { errors, matches: p => filters.every(f => f(p)) };
+}
+
+// 位置相关查询参数：near=lat,lng  bbox=minLng,minLat,maxLng,maxLat  lat&lng&radius（旧参数）
+// sort=distance|availability|price  limit  offset
+const PARKING_SORTS = {
+    distance: (a, b) => (a.distance_m ?? Infinity) - (b.distance_m ?? Infinity),
+    availability: (a, b) => b.available - a.available,
+    price: (a, b) => (a.tariff ? a.tariff.hourly : Infinity) - (b.tariff ? b.tariff.hourly : Infinity)
+};
+
+function parseLocationQuery(query) {
+    const errors = [];
+    const out = { center: null, radius: null, bbox: null, sort: query.sort, limit: null, offset: 0 };
+    const nums = v => String(v).split(',').map(x => (x.trim() === '' ? NaN : Number(x)));
+    const validLatLng = (lat, lng) => Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+    if (query.near !== undefined) {
+        const [lat, lng, extra] = nums(query.near);
+        if (extra !== undefined || !validLatLng(lat, lng)) errors.push('near must be lat,lng');
+        else out.center = { lat, lng };
+    } else if (query.lat !== undefined || query.lng !== undefined) {
+        const lat = Number(query.lat), lng = Number(query.lng);
+        if (!validLatLng(lat, lng)) errors.push('lat and lng must both be valid coordinates');
+        else { out.center = { lat, lng }; out.radius = 900; }
+    }
+    if (query.radius !== undefined) {
+        const r = Number(query.radius);
+        if (!(r > 0)) errors.push('radius must be a positive number of metres');
+        else out.radius = r;
+    }
+    if (query.bbox !== undefined) {
+        const b = nums(query.bbox);
+        if (b.length !== 4 || !validLatLng(b[1], b[0]) || !validLatLng(b[3], b[2]) || b[0] > b[2] || b[1] > b[3]) {
+            errors.push('bbox must be minLng,minLat,maxLng,maxLat');
+        } else out.bbox = b;
+    }
+    if (out.sort !== undefined && !PARKING_SORTS[out.sort]) errors.push(`sort must be one of ${Object.keys(PARKING_SORTS).join(', ')}`);
+    if (out.sort === 'distance' && !out.center) errors.push('sort=distance needs near or lat/lng');
+    if (query.limit !== undefined) {
+        out.limit = Number(query.limit);
+        if (!(Number.isInteger(out.limit) && out.limit > 0 && out.limit <= 1000)) errors.push('limit must be an integer between 1 and 1000');
+    }
+    if (query.offset !== undefined) {
+        out.offset = Number(query.offset);
+        if (!(Number.isInteger(out.offset) && out.offset >= 0)) errors.push('offset must be a non-negative integer');
+    }
+    if (!out.sort && out.center) out.sort = 'distance';
+    return { errors, ...out };
+}
+
+// "lat,lng" → { lat, lng }，格式不对返回 null
+function parsePoint(v) {
+    const parts = String(v ?? '').split(',').map(x => (x.trim() === '' ? NaN : Number(x)));
+    const [lat, lng] = parts;
+    if (parts.length !== 2 || !Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return { lat, lng };
+}
+
+// dest 按名称分词做包含匹配
+function destMatcher(dest) {
+    const tokens = String(dest).toLowerCase().trim().split(/\s+/).filter(Boolean);
+    if (!tokens.length) return () => true;
+    return p => tokens.some(t => p.name.toLowerCase().includes(t));
+}
+
+// 停车场读接口的缓存头：Last-Modified 取返回的停车场中最近一次变化的时刻（present.lastModified，含随时间发生的变化），
+// ETag 由 Express 按响应体生成；客户端带 If-None-Match 或 If-Modified-Since 轮询时没有变化就返回 304（Express 的 req.fresh）
+const PARKING_MAX_AGE = Number(process.env.PARKING_MAX_AGE) || 0;
+function setParkingCacheHeaders(res, lots, now = new Date()) {
+    const latest = lots.reduce((max, lot) => {
+        const changed = lastModified(parkingStore.get(lot.id) || lot, now);
+        return changed > max ? changed : max;
+    }, '');
+    if (latest) res.set('Last-Modified', new Date(latest).toUTCString());
+    res.set('Cache-Control', `public, max-age=${PARKING_MAX_AGE}, must-revalidate`);
+}
+
 // ===================== API 路由 =====================
-// 1) 搜索停车场
+// 0) OpenAPI 文档：/api/v1/openapi.json 和 /api/v2/openapi.json（直接 send，不套 v2 的信封）
+app.get('/api/v1/openapi.json', (req, res) => {
+    res.type('application/json').send(JSON.stringify(openapi.documents[req.apiVersion || 1], null, 2));
+});
+
+// 0a) 支持的城市 / 地区：范围、默认地图中心和缩放、停车场数量；前端据此切换地区并给其他请求带上 ?region=
+function regionWithCount(r) {
+    return { ...regions.regionToApi(r), parking_count: parkingStore.list().filter(lot => regions.contains(r, lot)).length };
+}
+
+app.get('/api/v1/regions', (req, res) => {
+    res.json({ items: regions.list().map(regionWithCount) });
+});
+
+app.get('/api/v1/regions/:id', (req, res) => {
+    const region = regions.get(req.params.id);
+    if (!region) return res.status(404).json({ error: 'Not found' });
+    res.json(regionWithCount(region));
+});
+
+// 1) 搜索停车场：位置、设施、名称、地区（?region=）过滤后排序分页，带 distance_m；总数见 X-Total-Count
 app.get('/api/v1/parking', (req, res) => {
-    const { dest = '', lat, lng, radius = 900 } = req.query;
-
-    const data = [
-        { id:'PARK001', name:'Flinders St Car Park',   lat:-37.8183, lng:144.9671, capacity:200, available:35 },
-        { id:'PARK002', name:'Fed Square Parking',     lat:-37.8179, lng:144.9691, capacity:150, available:50 },
-        { id:'PARK003', name:'QV Melbourne Parking',   lat:-37.8103, lng:144.9643, capacity:500, available:120 },
-        { id:'PARK004', name:'Melbourne Central CP',   lat:-37.8107, lng:144.9626, capacity:450, available:80 },
-        { id:'PARK005', name:'Southgate Car Park',     lat:-37.8203, lng:144.9657, capacity:300, available:60 }
-    ];
-
-    let results = data;
-
-    if (lat && lng) {
-        const R = 6371000;
-        const toRad = d => d * Math.PI / 180;
-        const lat0 = parseFloat(lat), lng0 = parseFloat(lng);
-        results = results.filter(p => {
-            const dLat = toRad(p.lat - lat0);
-            const dLng = toRad(p.lng - lng0);
-            const a = Math.sin(dLat/2)**2 + Math.cos(toRad(lat0))*Math.cos(toRad(p.lat))*Math.sin(dLng/2)**2;
-            const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-            const dist = R * c;
-            return dist <= Number(radius);
+    const attrs = parseAttributeFilters(req.query);
+    const loc = parseLocationQuery(req.query);
+    const scope = regions.parseRegionQuery(req.query);
+    const errors = [...attrs.errors, ...loc.errors, ...(scope.errors || [])];
+    if (errors.length) return res.status(400).json({ error: 'Invalid query', details: errors });
+
+    const byId = new Map(parkingStore.list().map(p => [p.id, p]));
+    const matchesName = destMatcher(req.query.dest || '');
+    const matches = p => attrs.matches(p) && matchesName(p) && (!scope.region || regions.contains(scope.region, p)) && (!loc.bbox || (
+        p.lng >= loc.bbox[0] && p.lat >= loc.bbox[1] && p.lng <= loc.bbox[2] && p.lat <= loc.bbox[3]));
+
+    // 最近 N 个：直接在索引上逐圈搜索，不用算全部距离
+    if (loc.center && loc.sort === 'distance' && loc.limit && !loc.bbox) {
+        const hits = parkingIndex.nearest(loc.center, loc.offset + loc.limit, {
+            filter: pt => matches(byId.get(pt.id)),
+            maxDistance: loc.radius ?? Infinity
         });
+        // 不算总数，所以没有 X-Total-Count（v2 的 meta.total 为 null）
+        const nearest = hits.slice(loc.offset).map(h => ({ ...toApi(byId.get(h.point.id)), distance_m: Math.round(h.distance) }));
+        setParkingCacheHeaders(res, nearest);
+        return res.json(nearest);
     }
 
-    const q = dest.toLowerCase().trim();
-    if (q) {
-        const tokens = q.split(/\s+/).filter(Boolean);
-        results = results.filter(p => {
-            const name = p.name.toLowerCase();
-            return tokens.some(t => name.includes(t));
-        });
+    let candidates;
+    if (loc.center && loc.radius) {
+        candidates = parkingIndex.radius(loc.center, loc.radius).map(h => h.point);
+    } else if (loc.bbox) {
+        candidates = parkingIndex.bbox(loc.bbox);
+    } else if (scope.region) {
+        candidates = parkingIndex.bbox(scope.region.bounds);
+    } else {
+        candidates = Array.from(byId.values());
     }
 
+    let results = candidates
+        .map(pt => byId.get(pt.id))
+        .filter(matches)
+        .map(lot => {
+            const out = toApi(lot);
+            if (loc.center) out.distance_m = Math.round(distanceMeters(loc.center, lot));
+            return out;
+        });
+    if (loc.sort) results.sort(PARKING_SORTS[loc.sort]);
+
+    res.set('X-Total-Count', String(results.length));
+    results = results.slice(loc.offset, loc.limit ? loc.offset + loc.limit : undefined);
+    setParkingCacheHeaders(res, results);
     res.json(results);
 });
 
+// 1e) 开放数据导出：parking.geojson / parking.csv / parking.xml（DATEX II 风格），bays.geojson / bays.csv
+// 停车场支持与列表接口相同的设施过滤、bbox 和 region
+function exportedParking(req, res) {
+    const attrs = parseAttributeFilters(req.query);
+    const scope = regions.parseRegionQuery(req.query);
+    const loc = parseLocationQuery({ bbox: req.query.bbox });
+    const errors = [...attrs.errors, ...loc.errors, ...(scope.errors || [])];
+    if (errors.length) { res.status(400).json({ error: 'Invalid query', details: errors }); return null; }
+    const box = loc.bbox || (scope.region && scope.region.bounds);
+    const candidates = box ? parkingIndex.bbox(box).map(pt => parkingStore.get(pt.id)) : parkingStore.list();
+    const now = new Date();
+    return candidates.filter(lot => attrs.matches(lot) && (!scope.region || regions.contains(scope.region, lot))).sort((a, b) => a.id.localeCompare(b.id)).map(lot => toApi(lot, now));
+}
+
+app.get('/api/v1/parking.geojson', (req, res) => {
+    const lots = exportedParking(req, res);
+    if (!lots) return;
+    setParkingCacheHeaders(res, lots);
+    res.type('application/geo+json').send(JSON.stringify(feeds.toGeoJSON(lots)));
+});
+
+app.get('/api/v1/parking.csv', (req, res) => {
+    const lots = exportedParking(req, res);
+    if (!lots) return;
+    setParkingCacheHeaders(res, lots);
+    res.type('text/csv; charset=utf-8').send(feeds.parkingCsv(lots));
+});
+
+app.get('/api/v1/parking.xml', (req, res) => {
+    const lots = exportedParking(req, res);
+    if (!lots) return;
+    setParkingCacheHeaders(res, lots);
+    res.type('application/xml').send(feeds.parkingDatex(lots));
+});
+
+function exportedBays() {
+    const now = new Date();
+    return bayStore.list().sort((a, b) => a.id.localeCompare(b.id)).map(bay => kerbside.bayToApi(bay, now));
+}
+
+app.get('/api/v1/bays.geojson', (req, res) => {
+    res.type('application/geo+json').send(JSON.stringify(feeds.toGeoJSON(exportedBays())));
+});
+
+app.get('/api/v1/bays.csv', (req, res) => {
+    res.type('text/csv; charset=utf-8').send(feeds.baysCsv(exportedBays()));
+});
+
+// 1a) 实时空位推送（SSE），需放在 /:id 之前
+app.get('/api/v1/parking/stream', streamHandler);
+
+// 1c) 停放费用：?arrival=ISO&duration=分钟&ids=PARK001,PARK002，按总价升序
+app.get('/api/v1/parking/cost', (req, res) => {
+    const arrival = req.query.arrival ? new Date(req.query.arrival) : new Date();
+    const duration = Number(req.query.duration);
+    const errors = [];
+    if (Number.isNaN(arrival.getTime())) errors.push('arrival must be an ISO timestamp');
+    if (!Number.isInteger(duration) || duration <= 0) errors.push('duration must be a positive number of minutes');
+    if (errors.length) return res.status(400).json({ error: 'Invalid cost query', details: errors });
+
+    const ids = req.query.ids ? String(req.query.ids).split(',').map(s => s.trim()) : null;
+    const items = parkingStore.list()
+        .filter(lot => !ids || ids.includes(lot.id))
+        .map(lot => ({ id: lot.id, name: lot.name, ...pricing.tripCost(lot.tariff, arrival, duration) }))
+        .sort((a, b) => (a.allowed ? a.total : Infinity) - (b.allowed ? b.total : Infinity));
+    res.json({ arrival: arrival.toISOString(), duration, items });
+});
+
+// 1g) 批量空位预测：?at=ISO&ids=PARK001,PARK002，前端列表一次取回，不必每个停车场各发一个请求
+app.get('/api/v1/parking/forecast', (req, res) => {
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (Number.isNaN(at.getTime())) return res.status(400).json({ error: 'at must be an ISO timestamp' });
+    const ids = req.query.ids ? String(req.query.ids).split(',').map(s => s.trim()) : null;
+    const items = parkingStore.list()
+        .filter(lot => !ids || ids.includes(lot.id))
+        .map(lot => forecastFor(lot, at));
+    res.json({ at: at.toISOString(), items });
+});
+
+// 1f) 步行时间：?to=lat,lng&ids=PARK001,PARK002，从各停车场步行到目的地，按时间升序（不含路线几何）
+app.get('/api/v1/parking/walk', (req, res) => {
+    const to = parsePoint(req.query.to);
+    if (!to) return res.status(400).json({ error: 'to must be lat,lng' });
+    const ids = req.query.ids ? String(req.query.ids).split(',').map(s => s.trim()) : null;
+    const lots = parkingStore.list().filter(lot => !ids || ids.includes(lot.id));
+    const times = walkingTimes(lots, to);
+    const items = lots
+        .map((lot, i) => ({ id: lot.id, name: lot.name, ...times[i] }))
+        .sort((a, b) => a.duration_s - b.duration_s);
+    res.json({ to, items });
+});
+
 // 2) 单个停车场详情
 app.get('/api/v1/parking/:id', (req, res) => {
-    const { id } = req.params;
-    const data = [
-        { id:'PARK001', name:'Flinders St Car Park',   lat:-37.8183, lng:144.9671, capacity:200, available:35 },
-        { id:'PARK002', name:'Fed Square Parking',     lat:-37.8179, lng:144.9691, capacity:150, available:50 },
-        { id:'PARK003', name:'QV Melbourne Parking',   lat:-37.8103, lng:144.9643, capacity:500, available:120 },
-        { id:'PARK004', name:'Melbourne Central CP',   lat:-37.8107, lng:144.9626, capacity:450, available:80 },
-        { id:'PARK005', name:'Southgate Car Park',     lat:-37.8203, lng:144.9657, capacity:300, available:60 }
-    ];
-    const found = data.find(p => p.id === id);
+    const found = parkingStore.get(req.params.id);
     if (!found) return res.status(404).json({ error: 'Not found' });
-    res.json(found);
-});
-
-// 1b) 目的地地名搜索
-app.get('/api/v1/geo/search', (req, res) => {
-  const q = (req.query.q || '').toString().toLowerCase().trim();
-  const places = [
-    { name: 'Flinders Street', lat: -37.8183, lng: 144.9671 },
-    { name: 'Flinders St Station', lat: -37.8183, lng: 144.9671 },
-    { name: 'Federation Square', lat: -37.8179, lng: 144.9691 },
-    { name: 'Melbourne Central', lat: -37.8107, lng: 144.9626 },
-    { name: 'QV Melbourne', lat: -37.8103, lng: 144.9643 },
-    { name: 'Southgate', lat: -37.8203, lng: 144.9657 },
-    { name: 'Collins Street', lat: -37.8189, lng: 144.9675 },
-    { name: 'Queen Street', lat: -37.8173, lng: 144.9590 }
-  ];
-  const items = q ? places.filter(p => p.name.toLowerCase().includes(q)) : places.slice(0, 5);
-  res.json({ items });
-});
-
-// 2) 环保出行建议
+    setParkingCacheHeaders(res, [found]);
+    res.json(toApi(found));
+});
+
+// 2a) 管理接口：新增停车场
+app.post('/api/v1/parking', requireAdmin, (req, res) => {
+    const body = req.body || {};
+    const errors = validateParking(body);
+    if (errors.length) return res.status(400).json({ error: 'Invalid car park', details: errors });
+
+    const id = body.id ? body.id.trim() : nextParkingId();
+    if (parkingStore.get(id)) return res.status(409).json({ error: `Car park ${id} already exists` });
+
+    const doc = pickParking(body);
+    if (doc.available === undefined) doc.available = doc.capacity;
+    if (doc.available > doc.capacity) return res.status(400).json({ error: 'Invalid car park', details: ['available cannot exceed capacity'] });
+
+    const created = parkingStore.insert({ id, ...doc, updated_at: new Date().toISOString() });
+    audit.record(req.actor, 'parking.create', { type: 'parking', id }, { after: created });
+    res.status(201).location(`/api/v1/parking/${encodeURIComponent(id)}`).json(toApi(created));
+});
+
+// 2b) 管理接口（operator）：整体替换，保留临时关闭和空位覆盖
+app.put('/api/v1/parking/:id', requireOperator, (req, res) => {
+    const existing = parkingStore.get(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+
+    const body = req.body || {};
+    const errors = validateParking(body);
+    if (errors.length) return res.status(400).json({ error: 'Invalid car park', details: errors });
+
+    const doc = pickParking(body);
+    if (doc.available === undefined) doc.available = Math.min(existing.available, doc.capacity);
+    if (doc.available > doc.capacity) return res.status(400).json({ error: 'Invalid car park', details: ['available cannot exceed capacity'] });
+
+    const kept = Object.fromEntries(['override', 'closure'].filter(k => existing[k]).map(k => [k, existing[k]]));
+    const updated = parkingStore.replace(existing.id, { ...doc, ...kept, updated_at: new Date().toISOString() });
+    audit.record(req.actor, 'parking.update', { type: 'parking', id: existing.id }, { before: existing, after: updated });
+    res.json(toApi(updated));
+});
+
+// 2c) 管理接口（operator）：局部更新
+app.patch('/api/v1/parking/:id', requireOperator, (req, res) => {
+    const existing = parkingStore.get(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+
+    const body = req.body || {};
+    const errors = validateParking(body, { partial: true });
+    if (errors.length) return res.status(400).json({ error: 'Invalid car park', details: errors });
+
+    const merged = { ...existing, ...pickParking(body) };
+    if (merged.available > merged.capacity) return res.status(400).json({ error: 'Invalid car park', details: ['available cannot exceed capacity'] });
+
+    const updated = parkingStore.update(existing.id, { ...pickParking(body), updated_at: new Date().toISOString() });
+    audit.record(req.actor, 'parking.update', { type: 'parking', id: existing.id }, { before: existing, after: updated });
+    res.json(toApi(updated));
+});
+
+// 2d) 管理接口：下线停车场
+app.delete('/api/v1/parking/:id', requireAdmin, (req, res) => {
+    const existing = parkingStore.get(req.params.id);
+    if (!existing || !parkingStore.remove(existing.id)) return res.status(404).json({ error: 'Not found' });
+    audit.record(req.actor, 'parking.delete', { type: 'parking', id: existing.id }, { before: existing });
+    res.status(204).end();
+});
+
+// 2e) 传感器事件上报：单条事件或 { events: [...] }
+const eventCount = req => (Array.isArray((req.body || {}).events) ? req.body.events.length : 1);
+app.post('/api/v1/parking/:id/events', requireIngest, logIngestion('events', eventCount), (req, res) => {
+    const lot = parkingStore.get(req.params.id);
+    if (!lot) return res.status(404).json({ error: 'Not found' });
+
+    const body = req.body || {};
+    const events = Array.isArray(body.events) ? body.events : [body];
+    if (!events.length) return res.status(400).json({ error: 'Invalid event', details: ['events must not be empty'] });
+
+    const result = occupancy.ingest(lot, events);
+    if (result.error) return res.status(result.status).json({ error: result.error, details: result.details });
+    res.status(201).json(result);
+});
+
+// 2f) 事件历史
+app.get('/api/v1/parking/:id/events', (req, res) => {
+    const lot = parkingStore.get(req.params.id);
+    if (!lot) return res.status(404).json({ error: 'Not found' });
+    const { from, to, limit = 100 } = req.query;
+    const items = occupancy.history({ parkingIds: [lot.id], from, to });
+    res.json({ items: items.slice(-Math.max(1, Number(limit) || 100)) });
+});
+
+// 2g) 到达时刻空位预测：?at=ISO，默认当前时间
+// 当前值用对外的 available（扣除预约占用、套用人工覆盖），与 /parking 一致，近期预测也从它出发
+function forecastFor(lot, at) {
+    const { available } = toApi(lot);
+    return { id: lot.id, at: at.toISOString(), capacity: lot.capacity, available, ...forecast({ ...lot, available }, at) };
+}
+
+app.get('/api/v1/parking/:id/forecast', (req, res) => {
+    const lot = parkingStore.get(req.params.id);
+    if (!lot) return res.status(404).json({ error: 'Not found' });
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (Number.isNaN(at.getTime())) return res.status(400).json({ error: 'at must be an ISO timestamp' });
+    res.json(forecastFor(lot, at));
+});
+
+// 2k) 停车场到目的地的步行路线：?to=lat,lng，geometry 为 GeoJSON LineString
+app.get('/api/v1/parking/:id/route', (req, res) => {
+    const lot = parkingStore.get(req.params.id);
+    if (!lot) return res.status(404).json({ error: 'Not found' });
+    const to = parsePoint(req.query.to);
+    if (!to) return res.status(400).json({ error: 'to must be lat,lng' });
+    res.json({ id: lot.id, ...walkingRoute({ lat: lot.lat, lng: lot.lng }, to) });
+});
+
+// 2h) 预约车位：{ start, end, name?, plate?, email? }；无需登录，有效预约数按登录用户、API key 或 IP 限额
+function reservationClient(req) {
+    const user = accounts.userFromRequest(req);
+    if (user) return `user:${user.id}`;
+    return req.apiKey ? keyBucket(req.apiKey) : `ip:${req.ip}`;
+}
+
+app.post('/api/v1/parking/:id/reservations', (req, res) => {
+    const lot = parkingStore.get(req.params.id);
+    if (!lot) return res.status(404).json({ error: 'Not found' });
+    const result = reservations.create(lot, req.body || {}, reservationClient(req));
+    if (result.error) return res.status(result.status).json({ error: result.error, details: result.details });
+    res.status(201).location(`/api/v1/reservations/${result.reservation.reference}`).json(result.reservation);
+});
+
+// 2i) 管理接口（operator）：某停车场的全部预约
+app.get('/api/v1/parking/:id/reservations', requireOperator, (req, res) => {
+    if (!parkingStore.get(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    res.json({ items: reservations.listFor(req.params.id) });
+});
+
+// 2j) 凭预约号查询 / 取消 / 入场签到；查询和取消无需登录，不返回姓名、车牌和邮箱
+app.get('/api/v1/reservations/:ref', (req, res) => {
+    const found = reservations.findByReference(req.params.ref);
+    if (!found) return res.status(404).json({ error: 'Not found' });
+    res.json(reservations.publicView(found));
+});
+
+app.delete('/api/v1/reservations/:ref', (req, res) => {
+    const found = reservations.findByReference(req.params.ref);
+    if (!found) return res.status(404).json({ error: 'Not found' });
+    const result = reservations.cancel(found);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(reservations.publicView(result.reservation));
+});
+
+app.post('/api/v1/reservations/:ref/check-in', requireIngest, logIngestion('check_in'), (req, res) => {
+    const found = reservations.findByReference(req.params.ref);
+    if (!found) return res.status(404).json({ error: 'Not found' });
+    const result = reservations.checkIn(found);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result.reservation);
+});
+
+// 1b) 目的地地名搜索：?q=&limit=&region=，支持缩写和拼写容错；指定 region 时只在该地区内查找
+app.get('/api/v1/geo/search', async (req, res) => {
+    const q = (req.query.q || '').toString().trim();
+    const limit = Math.min(20, Math.max(1, Number(req.query.limit) || 8));
+    const scope = regions.parseRegionQuery(req.query);
+    if (scope.errors) return res.status(400).json({ error: 'Invalid query', details: scope.errors });
+    try {
+        res.json({ items: await geocoder.search(q, { limit, region: scope.region }) });
+    } catch (err) {
+        console.error('geo search failed:', err);
+        res.status(502).json({ error: 'Geocoder unavailable' });
+    }
+});
+
+// 1d) 逆地理编码：?lat=&lng=
+app.get('/api/v1/geo/reverse', async (req, res) => {
+    const lat = Number(req.query.lat), lng = Number(req.query.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return res.status(400).json({ error: 'lat and lng are required numbers' });
+    try {
+        const item = await geocoder.reverse(lat, lng);
+        if (!item) return res.status(404).json({ error: 'No place nearby' });
+        res.json(item);
+    } catch (err) {
+        console.error('reverse geocode failed:', err);
+        res.status(502).json({ error: 'Geocoder unavailable' });
+    }
+});
+
+// 2) 出行方式对比：?from=lat,lng&to=lat,lng&at=ISO&stay=分钟&vehicle=petrol|diesel|hybrid|ev&region=
+// 返回 GTFS 直达公共交通方案、开车 + 停车 + 步行的估算，以及 3 km 内的全程步行；每项带用时、CO₂ 和花费
+// 指定 region 时开车方案只在该地区的停车场里选
 app.get('/api/v1/environment', (req, res) => {
-    res.json({
-        publicTransport: 'Take Tram 70 from Swanston St, 5 min walk to destination',
-        co2SavedKg: 3.5
-    });
+    const from = parsePoint(req.query.from);
+    const to = parsePoint(req.query.to);
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    const stay = req.query.stay === undefined ? 120 : Number(req.query.stay);
+    const errors = [];
+    if (!from) errors.push('from must be lat,lng');
+    if (!to) errors.push('to must be lat,lng');
+    if (Number.isNaN(at.getTime())) errors.push('at must be an ISO timestamp');
+    if (!Number.isInteger(stay) || stay <= 0) errors.push('stay must be a positive number of minutes');
+    const vehicle = req.query.vehicle;
+    if (vehicle !== undefined && !emissions.vehicleProfile(vehicle)) {
+        errors.push(`vehicle must be one of ${Object.keys(emissions.getFactors().vehicles).join(', ')}`);
+    }
+    const scope = regions.parseRegionQuery(req.query);
+    if (scope.errors) errors.push(...scope.errors);
+    if (errors.length) return res.status(400).json({ error: 'Invalid journey query', details: errors });
+    res.json(compareJourneys({ from, to, at, stay, vehicle, region: scope.region }));
+});
+
+// 2b) 当前使用的排放因子、车型和票价
+app.get('/api/v1/environment/factors', (req, res) => {
+    res.json(emissions.getFactors());
 });
 
-// 3) 停车统计
+// 2a) 附近的公共交通站点：?near=lat,lng&radius=米（默认 400）
+app.get('/api/v1/transit/stops', (req, res) => {
+    const near = parsePoint(req.query.near);
+    const radius = req.query.radius === undefined ? 400 : Number(req.query.radius);
+    if (!near) return res.status(400).json({ error: 'near must be lat,lng' });
+    if (!(radius > 0 && radius <= 2000)) return res.status(400).json({ error: 'radius must be between 1 and 2000 metres' });
+    res.json({ items: stopsNear(near, radius) });
+});
+
+// 3) 停车统计（由事件历史计算）
+// ?from=ISO&to=ISO&ids=PARK001,PARK002&region=&granularity=hour|day|weekday&aggregation=mean|p95|peak
 app.get('/api/v1/stats/parking', (req, res) => {
-    res.json({
-        averageOccupancy: [
-            { carPark: 'Flinders St', percentage: 60 },
-            { carPark: 'Fed Square', percentage: 45 }
-        ],
-        busiestHours: [
-            { hour: '08:00', count: 50 },
-            { hour: '09:00', count: 80 },
-            { hour: '10:00', count: 120 }
-        ]
+    const query = parseStatsQuery(req.query);
+    if (query.errors) return res.status(400).json({ error: 'Invalid stats query', details: query.errors });
+    res.json(parkingStats(query));
+});
+
+// 4) 路边车位：?bbox= 或 ?near=lat,lng&radius=，&status=vacant|occupied|unknown&limit=
+// 每个车位带当前生效的限制 restriction_now 和 can_park_now
+app.get('/api/v1/bays', (req, res) => {
+    const loc = parseLocationQuery({ ...req.query, sort: undefined });
+    const errors = [...loc.errors];
+    const status = req.query.status;
+    if (status !== undefined && !kerbside.STATUSES.includes(status)) errors.push(`status must be one of ${kerbside.STATUSES.join(', ')}`);
+    if (errors.length) return res.status(400).json({ error: 'Invalid query', details: errors });
+
+    let hits;
+    if (loc.center) {
+        hits = bayIndex.radius(loc.center, loc.radius ?? 300).sort((a, b) => a.distance - b.distance);
+    } else if (loc.bbox) {
+        hits = bayIndex.bbox(loc.bbox).map(point => ({ point }));
+    } else {
+        hits = bayStore.list().map(point => ({ point }));
+    }
+
+    const now = new Date();
+    let results = hits
+        .map(h => ({ bay: bayStore.get(h.point.id), distance: h.distance }))
+        .filter(({ bay }) => bay && (!status || bay.status === status))
+        .map(({ bay, distance }) => {
+            const out = kerbside.bayToApi(bay, now);
+            if (distance !== undefined) out.distance_m = Math.round(distance);
+            return out;
+        });
+
+    res.set('X-Total-Count', String(results.length));
+    results = results.slice(loc.offset, loc.limit ? loc.offset + loc.limit : undefined);
+    res.json(results);
+});
+
+app.get('/api/v1/bays/:id', (req, res) => {
+    const found = bayStore.get(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Not found' });
+    res.json(kerbside.bayToApi(found));
+});
+
+// 4a) 传感器上报单个车位状态：{ status, at? }
+app.put('/api/v1/bays/:id/status', requireIngest, logIngestion('bay_status'), (req, res) => {
+    if (!bayStore.get(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    const { status, at } = req.body || {};
+    const errors = [];
+    if (!kerbside.STATUSES.includes(status)) errors.push(`status must be one of ${kerbside.STATUSES.join(', ')}`);
+    if (at !== undefined && Number.isNaN(Date.parse(at))) errors.push('at must be an ISO timestamp');
+    if (errors.length) return res.status(400).json({ error: 'Invalid status', details: errors });
+    const now = new Date().toISOString();
+    const updated = bayStore.update(req.params.id, {
+        status,
+        status_at: at ? new Date(at).toISOString() : now,
+        updated_at: now
     });
+    res.json(kerbside.bayToApi(updated));
+});
+
+// 5) 管理接口：批量导入，按 id upsert，返回逐行报告
+// 请求体为 CSV（text/csv）或 GeoJSON（application/geo+json；小文件也可用 application/json）
+const importBody = express.text({ type: ['text/csv', 'text/plain', 'application/geo+json'], limit: '20mb' });
+
+// 导入既是数据上报（进接收日志），也是管理操作（进审计，只记条数）
+function sendImportReport(req, res, collection, report) {
+    const applied = report.inserted + report.updated + report.unchanged;
+    const { errors, ...counts } = report;
+    if (report.inserted + report.updated) {
+        audit.record(req.actor, `${collection}.import`, { type: collection, id: null }, { summary: { ...counts, errors: errors.length } });
+    }
+    res.status(report.errors.length && !applied ? 422 : 200).json(report);
+}
+
+const importCount = (req, body) => (body.inserted ?? 0) + (body.updated ?? 0) + (body.unchanged ?? 0) + (body.skipped ?? 0);
+
+app.post('/api/v1/import/parking', requireAdmin, logIngestion('import_parking', importCount), importBody, (req, res) => {
+    if (!req.body || (typeof req.body === 'object' && !Object.keys(req.body).length)) {
+        return res.status(400).json({ error: 'Send a CSV or GeoJSON body' });
+    }
+    sendImportReport(req, res, 'parking', importer.importParking(req.body));
+});
+
+app.post('/api/v1/import/bays', requireAdmin, logIngestion('import_bays', importCount), importBody, (req, res) => {
+    if (!req.body || (typeof req.body === 'object' && !Object.keys(req.body).length)) {
+        return res.status(400).json({ error: 'Send a CSV or GeoJSON body' });
+    }
+    sendImportReport(req, res, 'bays', importer.importBays(req.body));
+});
+
+// 限制 CSV（City of Melbourne 的 BayID + Description1..6 等列）单独上传，更新已导入 bay 的限制
+app.post('/api/v1/import/bays/restrictions', requireAdmin, logIngestion('import_bays', importCount), importBody, (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) return res.status(400).json({ error: 'Send the restrictions CSV as text/csv' });
+    sendImportReport(req, res, 'bays', importer.importRestrictions(req.body));
+});
+
+// 6) 用户账号：注册 / 登录返回 { token, user }
+app.post('/api/v1/auth/register', (req, res) => {
+    const result = accounts.register(req.body || {});
+    if (result.error) return res.status(result.status).json({ error: result.error, details: result.details });
+    res.status(201).json(result);
+});
+
+app.post('/api/v1/auth/login', (req, res) => {
+    const result = accounts.login(req.body || {});
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+});
+
+// 6a) 当前用户：资料、常去的目的地、收藏的停车场 id、默认车型
+app.get('/api/v1/me', requireUser, (req, res) => {
+    res.json(accounts.publicUser(req.user));
+});
+
+// { name?, vehicle?, password?, current_password? }
+app.patch('/api/v1/me', requireUser, (req, res) => {
+    const result = accounts.updateProfile(req.user, req.body || {});
+    if (result.error) return res.status(result.status).json({ error: result.error, details: result.details });
+    res.json(result.user);
+});
+
+// 6b) 常去的目的地：{ name, lat, lng, place_id? }
+app.get('/api/v1/me/destinations', requireUser, (req, res) => {
+    res.json({ items: req.user.destinations });
+});
+
+app.post('/api/v1/me/destinations', requireUser, (req, res) => {
+    const result = accounts.addDestination(req.user, req.body || {});
+    if (result.error) return res.status(result.status).json({ error: result.error, details: result.details });
+    res.status(201).json(result.destination);
+});
+
+app.delete('/api/v1/me/destinations/:id', requireUser, (req, res) => {
+    const result = accounts.removeDestination(req.user, req.params.id);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(204).end();
+});
+
+// 6c) 收藏的停车场：返回与 /api/v1/parking 相同的对外视图，已下线的停车场跳过
+app.get('/api/v1/me/favourites', requireUser, (req, res) => {
+    const now = new Date();
+    res.json({ items: req.user.favourites.map(id => parkingStore.get(id)).filter(Boolean).map(lot => toApi(lot, now)) });
+});
+
+app.put('/api/v1/me/favourites/:parkingId', requireUser, (req, res) => {
+    if (!parkingStore.get(req.params.parkingId)) return res.status(404).json({ error: 'Not found' });
+    const result = accounts.addFavourite(req.user, req.params.parkingId);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ favourites: result.user.favourites });
+});
+
+app.delete('/api/v1/me/favourites/:parkingId', requireUser, (req, res) => {
+    const result = accounts.removeFavourite(req.user, req.params.parkingId);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ favourites: result.user.favourites });
+});
+
+// 7) 空位提醒：{ parking_id, type: below|reopens, threshold?, window?, expires_at?, webhook_url | push_subscription }
+// 可匿名创建（凭返回的 id 查询、删除）；带用户 token 时归属到该用户
+app.post('/api/v1/watches', (req, res) => {
+    const user = accounts.userFromRequest(req);
+    const result = watches.create(req.body || {}, user ? user.id : null);
+    if (result.error) return res.status(result.status).json({ error: result.error, details: result.details });
+    res.status(201).location(`/api/v1/watches/${result.watch.id}`).json(result.watch);
+});
+
+// 7a) 浏览器订阅 Web Push 时使用的 VAPID 公钥（需放在 /:id 之前）
+app.get('/api/v1/watches/push-key', (req, res) => {
+    res.json({ public_key: notify.vapidKeys().public_key });
+});
+
+app.get('/api/v1/watches/:id', (req, res) => {
+    const found = watches.get(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Not found' });
+    res.json(watches.watchToApi(found));
+});
+
+app.delete('/api/v1/watches/:id', (req, res) => {
+    if (!watches.remove(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    res.status(204).end();
+});
+
+app.get('/api/v1/me/watches', requireUser, (req, res) => {
+    res.json({ items: watches.listForUser(req.user.id).map(watches.watchToApi) });
+});
+
+// 8) 运营后台（/admin 页面使用）：operator 可改停车场、覆盖空位、临时关闭、查看接收日志和审计；admin 另可管理用户角色
+app.get('/api/v1/admin/whoami', requireOperator, (req, res) => {
+    res.json(req.actor);
+});
+
+app.get('/api/v1/admin/parking', requireOperator, (req, res) => {
+    const now = new Date();
+    res.json({ items: parkingStore.list().sort((a, b) => a.name.localeCompare(b.name)).map(lot => toAdmin(lot, now)) });
+});
+
+// 8a) 空位覆盖 { available, reason, until? }：传感器故障、活动封闭部分楼层等情况下由运营人员给出空位数
+app.put('/api/v1/admin/parking/:id/override', requireOperator, (req, res) => {
+    const existing = parkingStore.get(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+    const body = req.body || {};
+    const errors = validateOverride(body, existing);
+    if (errors.length) return res.status(400).json({ error: 'Invalid override', details: errors });
+    const now = new Date().toISOString();
+    const override = { available: body.available, reason: body.reason.trim(), until: body.until ? new Date(body.until).toISOString() : null, by: req.actor.label, at: now };
+    const updated = parkingStore.update(existing.id, { override, updated_at: now });
+    audit.record(req.actor, 'parking.override', { type: 'parking', id: existing.id }, { before: existing, after: updated, reason: override.reason });
+    res.json(toAdmin(updated));
+});
+
+app.delete('/api/v1/admin/parking/:id/override', requireOperator, (req, res) => {
+    const existing = parkingStore.get(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+    if (!existing.override) return res.status(409).json({ error: 'No availability override to clear' });
+    const { override, ...rest } = existing;
+    const updated = parkingStore.replace(existing.id, { ...rest, updated_at: new Date().toISOString() });
+    audit.record(req.actor, 'parking.override_cleared', { type: 'parking', id: existing.id }, { before: existing, after: updated });
+    res.json(toAdmin(updated));
+});
+
+// 8b) 临时关闭 { reason, until? }：对外 open_now 为 false 并给出 closed_reason，搜索、预约、出行对比都按关闭处理
+app.put('/api/v1/admin/parking/:id/closure', requireOperator, (req, res) => {
+    const existing = parkingStore.get(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+    const body = req.body || {};
+    const errors = validateClosure(body);
+    if (errors.length) return res.status(400).json({ error: 'Invalid closure', details: errors });
+    const now = new Date().toISOString();
+    const closure = { reason: body.reason.trim(), until: body.until ? new Date(body.until).toISOString() : null, by: req.actor.label, at: now };
+    const updated = parkingStore.update(existing.id, { closure, updated_at: now });
+    audit.record(req.actor, 'parking.close', { type: 'parking', id: existing.id }, { before: existing, after: updated, reason: closure.reason });
+    res.json(toAdmin(updated));
+});
+
+app.delete('/api/v1/admin/parking/:id/closure', requireOperator, (req, res) => {
+    const existing = parkingStore.get(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+    if (!existing.closure) return res.status(409).json({ error: 'Car park is not closed' });
+    const { closure, ...rest } = existing;
+    const updated = parkingStore.replace(existing.id, { ...rest, updated_at: new Date().toISOString() });
+    audit.record(req.actor, 'parking.reopen', { type: 'parking', id: existing.id }, { before: existing, after: updated });
+    res.json(toAdmin(updated));
+});
+
+// 8c) 最近的数据接收日志：?source=events|bay_status|check_in|import_parking|import_bays&target=&limit=
+app.get('/api/v1/admin/ingest-log', requireOperator, (req, res) => {
+    const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 100));
+    res.json({ items: audit.recentIngest({ source: req.query.source, target: req.query.target, limit }) });
+});
+
+// 8d) 审计记录，新的在前：?target=&actor=&action=&limit=&offset=；总数见 X-Total-Count
+app.get('/api/v1/admin/audit', requireOperator, (req, res) => {
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+    const offset = Math.max(0, Number(req.query.offset) || 0);
+    const { total, items } = audit.list({ target: req.query.target, actor: req.query.actor, action: req.query.action, limit, offset });
+    res.set('X-Total-Count', String(total));
+    res.json({ items });
+});
+
+// 8e) 用户角色（admin）
+app.get('/api/v1/admin/users', requireAdmin, (req, res) => {
+    res.json({ items: accounts.listUsers() });
+});
+
+app.put('/api/v1/admin/users/:id/role', requireAdmin, (req, res) => {
+    if (req.actor.id === req.params.id) return res.status(409).json({ error: 'You cannot change your own role' });
+    const result = accounts.setRole(req.params.id, (req.body || {}).role);
+    if (result.error) return res.status(result.status).json({ error: result.error, details: result.details });
+    audit.record(req.actor, 'user.role', { type: 'user', id: result.user.id }, { before: { role: result.before.role }, after: { role: result.user.role } });
+    res.json(result.user);
+});
+
+// 8f) 第三方 API key（admin）：{ name, contact?, rate_per_minute?, daily_quota? }；key 只在创建时返回一次
+const keyWithUsage = k => ({ ...apikeys.keyToApi(k), usage: usage(keyBucket(k)) });
+
+app.get('/api/v1/admin/api-keys', requireAdmin, (req, res) => {
+    res.json({ items: apikeys.list().map(keyWithUsage) });
+});
+
+app.post('/api/v1/admin/api-keys', requireAdmin, (req, res) => {
+    const result = apikeys.create(req.body || {});
+    if (result.error) return res.status(result.status).json({ error: result.error, details: result.details });
+    const { key, ...recorded } = result.apiKey;
+    audit.record(req.actor, 'api_key.create', { type: 'api_key', id: recorded.id }, { after: recorded });
+    res.status(201).json(result.apiKey);
+});
+
+app.delete('/api/v1/admin/api-keys/:id', requireAdmin, (req, res) => {
+    const result = apikeys.revoke(req.params.id);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    audit.record(req.actor, 'api_key.revoke', { type: 'api_key', id: req.params.id }, { before: apikeys.keyToApi(result.before), after: apikeys.keyToApi(result.apiKey) });
+    res.json(keyWithUsage(result.apiKey));
+});
+
+// 未知的 API 路径返回 JSON 404，不落到前端页面
+app.all('/api/*', (req, res) => {
+    res.status(404).json({ error: 'Not found', details: [`${req.method} ${req.originalUrl} is not an API route`] });
 });
 
 // 捕获所有非 API 请求，返回前端 index.html
@@ -111,4 +937,30 @@ app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, '../fronted/index.html'));
 });
 
-app.listen(PORT, () => console.log(`Backend + Frontend running on port ${PORT}`));
+// 中间件（主要是 body-parser）抛出的错误也用 { error, details } 返回：JSON 写错 400、请求体过大 413、
+// 不支持的字符集或压缩 415 等按 err.status；其余当作 500，只记日志，不把内部信息返回给客户端
+const BODY_ERRORS = {
+    'entity.parse.failed': 'Invalid JSON body',
+    'entity.too.large': 'Request body too large',
+    'charset.unsupported': 'Unsupported charset',
+    'encoding.unsupported': 'Unsupported content encoding'
+};
+app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    const status = err.status || err.statusCode;
+    if (status >= 400 && status < 500) {
+        return res.status(status).json({ error: BODY_ERRORS[err.type] || http.STATUS_CODES[status], details: [err.message] });
+    }
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error', details: [] });
+});
+
+// 每分钟处理一次未到场过期的预约和到期的空位提醒
+setInterval(() => { reservations.sweep(); watches.sweep(); }, 60 * 1000).unref();
+
+// 契约测试直接 require 这个文件，不监听端口
+if (require.main === module) {
+    app.listen(PORT, () => console.log(`Backend + Frontend running on port ${PORT}`));
+}
+
+module.exports = app;
@@ -0,0 +1,115 @@
+// 网格空间索引：按经纬度把点分到固定大小的格子里，bbox / 半径 / 最近 N 个查询只扫描相关格子
+// 0.005° 约 550m（纬向），市区数千个车位每格只有几十个点
+const { distanceMeters } = require('./geo');
+const store = require('./store');
+
+const METERS_PER_DEG_LAT = 111320;
+
+function createGridIndex({ cellDeg = 0.005 } = {}) {
+    const cells = new Map();   // "ix:iy" -> Map<id, point>
+    const points = new Map();  // id -> { id, lat, lng, ... }
+
+    const cellOf = (lat, lng) => [Math.floor(lng / cellDeg), Math.floor(lat / cellDeg)];
+    const keyOf = (ix, iy) => `${ix}:${iy}`;
+
+    function remove(id) {
+        const p = points.get(id);
+        if (!p) return;
+        const key = keyOf(...cellOf(p.lat, p.lng));
+        const cell = cells.get(key);
+        cell.delete(id);
+        if (!cell.size) cells.delete(key);
+        points.delete(id);
+    }
+
+    function upsert(p) {
+        remove(p.id);
+        const key = keyOf(...cellOf(p.lat, p.lng));
+        if (!cells.has(key)) cells.set(key, new Map());
+        cells.get(key).set(p.id, p);
+        points.set(p.id, p);
+    }
+
+    function* inCells(ix0, iy0, ix1, iy1) {
+        for (let ix = ix0; ix <= ix1; ix++) {
+            for (let iy = iy0; iy <= iy1; iy++) {
+                const cell = cells.get(keyOf(ix, iy));
+                if (cell) yield* cell.values();
+            }
+        }
+    }
+
+    // bbox = [minLng, minLat, maxLng, maxLat]
+    function bbox([minLng, minLat, maxLng, maxLat]) {
+        const [ix0, iy0] = cellOf(minLat, minLng);
+        const [ix1, iy1] = cellOf(maxLat, maxLng);
+        const out = [];
+        for (const p of inCells(ix0, iy0, ix1, iy1)) {
+            if (p.lng >= minLng && p.lng <= maxLng && p.lat >= minLat && p.lat <= maxLat) out.push(p);
+        }
+        return out;
+    }
+
+    // 半径查询：先取外接矩形，再按真实距离过滤；返回 [{ point, distance }]
+    function radius(center, meters) {
+        const dLat = meters / METERS_PER_DEG_LAT;
+        const dLng = meters / (METERS_PER_DEG_LAT * Math.max(0.01, Math.cos(center.lat * Math.PI / 180)));
+        return bbox([center.lng - dLng, center.lat - dLat, center.lng + dLng, center.lat + dLat])
+            .map(point => ({ point, distance: distanceMeters(center, point) }))
+            .filter(r => r.distance <= meters);
+    }
+
+    // 最近 N 个：逐圈向外扩展格子，直到第 N 个结果的距离小于已扫描范围的内切半径
+    function nearest(center, n, { filter = () => true, maxDistance = Infinity } = {}) {
+        if (!points.size || n <= 0) return [];
+        const [cx, cy] = cellOf(center.lat, center.lng);
+        const cellMeters = cellDeg * METERS_PER_DEG_LAT * Math.max(0.01, Math.cos(center.lat * Math.PI / 180));
+        const found = [];
+        // 最远的非空格子所在圈，扫到这里就一定覆盖了全部点
+        const maxRing = Math.max(...Array.from(cells.keys(), k => {
+            const [ix, iy] = k.split(':').map(Number);
+            return Math.max(Math.abs(ix - cx), Math.abs(iy - cy));
+        }));
+        for (let ring = 0; ring <= maxRing; ring++) {
+            for (let ix = cx - ring; ix <= cx + ring; ix++) {
+                for (let iy = cy - ring; iy <= cy + ring; iy++) {
+                    if (Math.max(Math.abs(ix - cx), Math.abs(iy - cy)) !== ring) continue;
+                    for (const point of inCells(ix, iy, ix, iy)) {
+                        if (!filter(point)) continue;
+                        const distance = distanceMeters(center, point);
+                        if (distance <= maxDistance) found.push({ point, distance });
+                    }
+                }
+            }
+            found.sort((a, b) => a.distance - b.distance);
+            const covered = ring * cellMeters;
+            if (found.length >= n && found[n - 1].distance <= covered) break;
+            if (covered > maxDistance) break;
+        }
+        return found.slice(0, n);
+    }
+
+    return {
+        upsert,
+        remove,
+        get size() { return points.size; },
+        bbox,
+        radius,
+        nearest
+    };
+}
+
+// 为存储集合建立索引，并随 insert/update/remove 自动同步
+function indexCollection(name, options) {
+    const index = createGridIndex(options);
+    const toPoint = doc => ({ id: doc.id, lat: doc.lat, lng: doc.lng });
+    for (const doc of store.collection(name).list()) index.upsert(toPoint(doc));
+    store.changes.on('change', ({ collection, op, doc }) => {
+        if (collection !== name) return;
+        if (op === 'remove') index.remove(doc.id);
+        else index.upsert(toPoint(doc));
+    });
+    return index;
+}
+
+module.exports = { createGridIndex, indexCollection };
@@ -0,0 +1,85 @@
+// 停车统计：由 events 历史计算，支持时间范围、停车场过滤、分桶粒度和聚合方式
+const store = require('./store');
+const { history } = require('./occupancy');
+const { localParts, WEEKDAYS } = require('./time');
+const regions = require('./regions');
+
+const parkingStore = store.collection('parking');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRANULARITIES = ['hour', 'day', 'weekday'];
+const AGGREGATIONS = ['mean', 'p95', 'peak'];
+
+const occupancyOf = s => 1 - s.available / Math.max(1, s.capacity);
+
+const aggregators = {
+    mean: xs => xs.reduce((a, b) => a + b, 0) / xs.length,
+    // nearest-rank 百分位
+    p95: xs => xs.slice().sort((a, b) => a - b)[Math.max(0, Math.ceil(xs.length * 0.95) - 1)],
+    peak: xs => Math.max(...xs)
+};
+
+// 分桶：hour → 一天中的小时，day → 本地日期，weekday → 星期几（周一开始）
+const bucketers = {
+    hour: t => ({ key: t.hour, label: `${String(t.hour).padStart(2, '0')}:00` }),
+    day: t => ({ key: t.date, label: t.date }),
+    weekday: t => ({ key: (t.weekday + 6) % 7, label: WEEKDAYS[t.weekday] })
+};
+
+// 解析并校验查询参数，出错时返回 { errors }
+function parseStatsQuery(query, now = new Date()) {
+    const errors = [];
+    const to = query.to ? new Date(query.to) : now;
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - 7 * DAY_MS);
+    if (Number.isNaN(from.getTime())) errors.push('from must be an ISO date');
+    if (Number.isNaN(to.getTime())) errors.push('to must be an ISO date');
+    if (!errors.length && from >= to) errors.push('from must be before to');
+
+    const granularity = query.granularity || 'hour';
+    if (!GRANULARITIES.includes(granularity)) errors.push(`granularity must be one of ${GRANULARITIES.join(', ')}`);
+    const aggregation = query.aggregation || 'mean';
+    if (!AGGREGATIONS.includes(aggregation)) errors.push(`aggregation must be one of ${AGGREGATIONS.join(', ')}`);
+
+    const ids = query.ids ? String(query.ids).split(',').map(s => s.trim()).filter(Boolean) : null;
+    const scope = regions.parseRegionQuery(query);
+    if (scope.errors) errors.push(...scope.errors);
+    if (errors.length) return { errors };
+    return { from, to, ids, region: scope.region, granularity, aggregation };
+}
+
+// byCarPark：每个停车场在范围内的占用率（按 aggregation 聚合），无历史时用当前占用率
+// series：按 granularity 分桶的占用率和进场车辆数；车辆数先按自然日求和，再跨日聚合
+function parkingStats({ from, to, ids, region = null, granularity = 'hour', aggregation = 'mean' }) {
+    const agg = aggregators[aggregation];
+    const bucketOf = bucketers[granularity];
+    const lots = parkingStore.list().filter(lot => (!ids || ids.includes(lot.id)) && (!region || regions.contains(region, lot)));
+    const events = history({ parkingIds: lots.map(l => l.id), from: from.toISOString(), to: to.toISOString() });
+
+    const byCarPark = lots.map(lot => {
+        const samples = events.filter(ev => ev.parking_id === lot.id);
+        const occ = samples.length ? agg(samples.map(occupancyOf)) : occupancyOf(lot);
+        return { id: lot.id, carPark: lot.name, percentage: Math.round(occ * 100), samples: samples.length };
+    });
+
+    const buckets = new Map();
+    for (const ev of events) {
+        const t = localParts(ev.at);
+        const { key, label } = bucketOf(t);
+        if (!buckets.has(key)) buckets.set(key, { key, label, occupancy: [], entriesByDate: new Map() });
+        const b = buckets.get(key);
+        b.occupancy.push(occupancyOf(ev));
+        b.entriesByDate.set(t.date, (b.entriesByDate.get(t.date) || 0) + ev.entries);
+    }
+    const series = Array.from(buckets.values())
+        .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+        .map(b => ({
+            bucket: b.label,
+            occupancy: Math.round(agg(b.occupancy) * 100),
+            entries: Math.round(agg(Array.from(b.entriesByDate.values()))),
+            samples: b.occupancy.length
+        }));
+
+    return { from: from.toISOString(), to: to.toISOString(), granularity, aggregation, byCarPark, series };
+}
+
+module.exports = { parkingStats, parseStatsQuery, GRANULARITIES, AGGREGATIONS };
@@ -0,0 +1,99 @@
+// JSON 文件存储：首次启动时用 data/seed.json 初始化，之后所有写操作落盘到 DATA_FILE
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const SEED_FILE = path.join(__dirname, 'data', 'seed.json');
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data', 'db.json');
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function load() {
+    if (fs.existsSync(DATA_FILE)) return readJson(DATA_FILE);
+    const now = new Date().toISOString();
+    const seed = readJson(SEED_FILE);
+    // 种子数据没有时间戳，统一补上
+    for (const name of Object.keys(seed)) {
+        seed[name] = seed[name].map(doc => ({ ...doc, updated_at: doc.updated_at || now }));
+    }
+    return seed;
+}
+
+const state = load();
+
+// 写操作广播 ('change', { collection, op, doc })，供实时推送等订阅
+const changes = new EventEmitter();
+changes.setMaxListeners(0);
+
+// 先写临时文件再 rename，避免进程中断留下半个 JSON
+let batching = 0;
+function persist() {
+    if (batching) return;
+    const tmp = `${DATA_FILE}.tmp`;
+    fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, DATA_FILE);
+}
+
+// 批量写入（如数据导入）期间只在结束时落盘一次
+function batch(fn) {
+    batching++;
+    try {
+        return fn();
+    } finally {
+        batching--;
+        persist();
+    }
+}
+
+function collection(name) {
+    if (!Array.isArray(state[name])) state[name] = [];
+    const docs = () => state[name];
+    const indexOf = id => docs().findIndex(d => d.id === id);
+
+    return {
+        list() {
+            return docs().map(d => ({ ...d }));
+        },
+        get(id) {
+            const found = docs().find(d => d.id === id);
+            return found ? { ...found } : null;
+        },
+        insert(doc) {
+            docs().push({ ...doc });
+            persist();
+            changes.emit('change', { collection: name, op: 'insert', doc: { ...doc } });
+            return { ...doc };
+        },
+        // 整体替换，保留 id
+        replace(id, doc) {
+            const i = indexOf(id);
+            if (i === -1) return null;
+            docs()[i] = { id, ...doc };
+            persist();
+            changes.emit('change', { collection: name, op: 'update', doc: { ...docs()[i] } });
+            return { ...docs()[i] };
+        },
+        // 局部更新
+        update(id, patch) {
+            const i = indexOf(id);
+            if (i === -1) return null;
+            docs()[i] = { ...docs()[i], ...patch, id };
+            persist();
+            changes.emit('change', { collection: name, op: 'update', doc: { ...docs()[i] } });
+            return { ...docs()[i] };
+        },
+        remove(id) {
+            const i = indexOf(id);
+            if (i === -1) return false;
+            const [removed] = docs().splice(i, 1);
+            persist();
+            changes.emit('change', { collection: name, op: 'remove', doc: removed });
+            return true;
+        }
+    };
+}
+
+module.exports = { collection, batch, changes, DATA_FILE };
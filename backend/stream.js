@@ -0,0 +1,91 @@
+// Server-Sent Events：推送停车场空位变化，支持按 ids / bbox 过滤和 Last-Event-ID 断点续传
+const store = require('./store');
+const { toApi } = require('./present');
+const { toV2Fields } = require('./v2');
+
+const parkingStore = store.collection('parking');
+
+const BUFFER_SIZE = 500;      // 内存中保留的最近消息数，用于断线重连补发
+const HEARTBEAT_MS = 25000;   // 注释行心跳，防止代理断开空闲连接
+const RETRY_MS = 3000;
+
+let seq = 0;
+const buffer = [];
+const clients = new Set();
+
+store.changes.on('change', ({ collection, op, doc }) => {
+    if (collection !== 'parking') return;
+    const msg = { id: ++seq, event: op === 'remove' ? 'removed' : 'availability', doc };
+    buffer.push(msg);
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+    for (const client of clients) {
+        if (client.matches(doc)) send(client, msg);
+    }
+});
+
+// /api/v2 的连接收到 available_spots 字段
+const payload = (client, data) => JSON.stringify(client.version === 2 ? toV2Fields(data) : data);
+
+function send(client, { id, event, doc }) {
+    const { res } = client;
+    if (id !== undefined) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${payload(client, event === 'removed' ? { id: doc.id } : toApi(doc))}\n\n`);
+}
+
+// ids=PARK001,PARK002 或 bbox=minLng,minLat,maxLng,maxLat
+function parseFilter(query) {
+    const ids = query.ids ? String(query.ids).split(',').map(s => s.trim()).filter(Boolean) : null;
+    let bbox = null;
+    if (query.bbox) {
+        bbox = String(query.bbox).split(',').map(Number);
+        if (bbox.length !== 4 || bbox.some(n => !Number.isFinite(n))) return { error: 'bbox must be minLng,minLat,maxLng,maxLat' };
+    }
+    return {
+        matches(p) {
+            if (ids && !ids.includes(p.id)) return false;
+            if (bbox && !(p.lng >= bbox[0] && p.lat >= bbox[1] && p.lng <= bbox[2] && p.lat <= bbox[3])) return false;
+            return true;
+        }
+    };
+}
+
+function streamHandler(req, res) {
+    const filter = parseFilter(req.query);
+    if (filter.error) return res.status(400).json({ error: filter.error });
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // EventSource 自动重连会带 Last-Event-ID 头；手动重连时前端用 ?lastEventId= 传入
+    const lastId = Number(req.get('last-event-id') || req.query.lastEventId);
+    const client = { res, matches: filter.matches, version: req.apiVersion || 1 };
+    const canResume = Number.isInteger(lastId) && lastId > 0 && lastId <= seq
+        && (buffer.length === 0 || buffer[0].id <= lastId + 1);
+
+    if (canResume) {
+        for (const msg of buffer) {
+            if (msg.id > lastId && filter.matches(msg.doc)) send(client, msg);
+        }
+    } else {
+        // 首次连接或缓冲区已覆盖不到：先发一份完整快照
+        const lots = parkingStore.list().filter(filter.matches).map(lot => toApi(lot));
+        res.write(`id: ${seq}\nevent: snapshot\ndata: ${payload(client, lots)}\n\n`);
+    }
+
+    clients.add(client);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(client);
+    });
+}
+
+module.exports = { streamHandler };
@@ -0,0 +1,107 @@
+// 账号模块单元测试：注册、登录、令牌、资料修改、目的地和收藏、角色；使用临时数据文件
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-accounts-'));
+process.env.DATA_FILE = path.join(tmpDir, 'db.json');
+process.env.JWT_SECRET = 'test-jwt-secret';
+// 旧版本按这个变量自动提升为 admin，现在应当不起作用
+process.env.ADMIN_EMAILS = 'boss@example.com';
+
+const store = require('../store');
+const accounts = require('../accounts');
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const stored = id => store.collection('users').get(id);
+
+test('no email address is made admin by registering or signing in', () => {
+    const registered = accounts.register({ email: 'Boss@Example.com', password: 'correct horse' });
+    assert.equal(registered.user.role, 'user');
+    const signedIn = accounts.login({ email: 'boss@example.com', password: 'correct horse' });
+    assert.equal(signedIn.user.role, 'user');
+    assert.equal(accounts.verifyToken(signedIn.token).sub, registered.user.id);
+});
+
+test('scripts/set-role.js sets the role of an existing account', () => {
+    const script = path.join(__dirname, '..', 'scripts', 'set-role.js');
+    const run = (...args) => spawnSync(process.execPath, [script, ...args], { env: { ...process.env }, encoding: 'utf8' });
+
+    const done = run('boss@example.com', 'admin');
+    assert.equal(done.status, 0, done.stderr);
+    const saved = JSON.parse(fs.readFileSync(process.env.DATA_FILE, 'utf8'));
+    assert.equal(saved.users.find(u => u.email === 'boss@example.com').role, 'admin');
+    assert.ok(saved.audit.some(a => a.action === 'user.role' && a.actor.id === 'cli'));
+
+    assert.equal(run('nobody@example.com', 'admin').status, 1);
+    assert.equal(run('boss@example.com', 'owner').status, 1);
+    assert.equal(run().status, 2);
+});
+
+test('registration is validated and an email can only be used once', () => {
+    const bad = accounts.register({ email: 'not-an-email', password: 'short', vehicle: '' });
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.details.slice(0, 2), ['email must be a valid email address', 'password must be at least 8 characters']);
+    assert.match(bad.details[2], /^vehicle must be one of/);
+
+    const first = accounts.register({ email: 'kim@example.com', password: 'long enough', name: '  Kim ' });
+    assert.equal(first.user.name, 'Kim');
+    assert.ok(!('password_hash' in first.user));
+    assert.equal(accounts.register({ email: ' KIM@example.com', password: 'another one' }).status, 409);
+});
+
+test('sign-in gives the same answer for an unknown email and a wrong password', () => {
+    const unknown = accounts.login({ email: 'nobody@example.com', password: 'long enough' });
+    const wrong = accounts.login({ email: 'kim@example.com', password: 'wrong password' });
+    assert.deepEqual(unknown, wrong);
+    assert.equal(wrong.status, 401);
+});
+
+test('tokens are refused when tampered with or expired', () => {
+    const { user, token } = accounts.login({ email: 'kim@example.com', password: 'long enough' });
+    assert.equal(accounts.verifyToken(token).sub, user.id);
+    const [header, body, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, 'base64url')), sub: 'someone-else' })).toString('base64url');
+    assert.equal(accounts.verifyToken(`${header}.${forged}.${signature}`), null);
+    assert.equal(accounts.verifyToken(token, new Date(Date.now() + 31 * 86400000)), null);
+    assert.equal(accounts.verifyToken('not.a.token'), null);
+});
+
+test('profile updates need the current password to change it', () => {
+    const { user } = accounts.login({ email: 'kim@example.com', password: 'long enough' });
+    const denied = accounts.updateProfile(stored(user.id), { password: 'new password', current_password: 'guess' });
+    assert.deepEqual(denied.details, ['current_password is incorrect']);
+    assert.equal(accounts.updateProfile(stored(user.id), { vehicle: 'toString' }).status, 400);
+
+    assert.ok(accounts.updateProfile(stored(user.id), { password: 'new password', current_password: 'long enough', name: null }).user);
+    assert.equal(accounts.login({ email: 'kim@example.com', password: 'long enough' }).status, 401);
+    assert.equal(accounts.login({ email: 'kim@example.com', password: 'new password' }).user.name, null);
+});
+
+test('destinations and favourites are validated and kept in order', () => {
+    const { user } = accounts.login({ email: 'kim@example.com', password: 'new password' });
+    assert.equal(accounts.addDestination(stored(user.id), { name: ' ', lat: 100, lng: 0 }).details.length, 2);
+    const { destination } = accounts.addDestination(stored(user.id), { name: 'Work', lat: -37.81, lng: 144.96 });
+    assert.deepEqual(stored(user.id).destinations.map(d => d.name), ['Work']);
+    assert.equal(accounts.removeDestination(stored(user.id), 'missing').status, 404);
+    assert.deepEqual(accounts.removeDestination(stored(user.id), destination.id).user.destinations, []);
+
+    accounts.addFavourite(stored(user.id), 'PARK002');
+    accounts.addFavourite(stored(user.id), 'PARK001');
+    accounts.addFavourite(stored(user.id), 'PARK002');
+    assert.deepEqual(stored(user.id).favourites, ['PARK002', 'PARK001']);
+    assert.deepEqual(accounts.removeFavourite(stored(user.id), 'PARK002').user.favourites, ['PARK001']);
+});
+
+test('setRole only accepts the known roles', () => {
+    const { user } = accounts.login({ email: 'kim@example.com', password: 'new password' });
+    assert.equal(accounts.setRole(user.id, 'owner').status, 400);
+    assert.equal(accounts.setRole('missing', 'operator').status, 404);
+    const changed = accounts.setRole(user.id, 'operator');
+    assert.equal(changed.before.role, 'user');
+    assert.equal(changed.user.role, 'operator');
+});
@@ -0,0 +1,561 @@
+// 契约测试：用 OpenAPI 文档（openapi.js）检查 Express 服务的 v1 / v2 响应、请求校验，以及前端 mock 的返回值
+// 运行：npm test（node --test），使用临时数据文件，不会改动 data/db.json
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-contract-'));
+process.env.DATA_FILE = path.join(tmpDir, 'db.json');
+process.env.ADMIN_TOKEN = 'test-admin-token';
+process.env.INGEST_TOKEN = 'test-ingest-token';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.GEOCODER = 'offline';
+process.env.ANON_RATE_PER_MINUTE = '100000';
+process.env.CORS_ORIGINS = 'https://apps.example.gov.au';
+
+const app = require('../server');
+const { documents } = require('../openapi');
+const { check, compileRoutes, matchRoute } = require('../validate');
+const { hit } = require('../ratelimit');
+const kerbside = require('../kerbside');
+const csv = require('../csv');
+const notify = require('../notify');
+const { zonedTime } = require('../time');
+const present = require('../present');
+const hours = require('../hours');
+
+const ADMIN = 'test-admin-token';
+const INGEST = 'test-ingest-token';
+const routes = { 1: compileRoutes(documents[1]), 2: compileRoutes(documents[2]) };
+
+let server;
+let base;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// 文档中该状态码的 JSON 响应 schema；没有 JSON 内容返回 null，未声明的状态码直接失败
+function responseSchema(version, method, url, status) {
+    const route = matchRoute(routes[version], url.split('?')[0]);
+    assert.ok(route, `${url} is not in the v${version} document`);
+    const operation = route.item[method.toLowerCase()];
+    assert.ok(operation, `${method} ${route.template} is not in the v${version} document`);
+    const response = operation.responses[status];
+    assert.ok(response, `${method} ${route.template} returned undocumented status ${status}`);
+    const content = response.content && response.content['application/json'];
+    return content ? content.schema : null;
+}
+
+function assertMatches(version, schema, body, label) {
+    const errors = check(documents[version], schema, body, 'response');
+    assert.deepEqual(errors, [], `${label} does not match the v${version} document`);
+}
+
+// 发请求并按文档校验响应；expect 为期望的状态码
+async function call(version, method, url, { body, token, type, expect, headers: extra = {} } = {}) {
+    const headers = { ...extra };
+    if (token) headers.authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['content-type'] = type || 'application/json';
+    const res = await fetch(`${base}/api/v${version}${url}`, {
+        method, headers,
+        body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const text = await res.text();
+    const isJson = (res.headers.get('content-type') || '').includes('json');
+    const data = isJson && text ? JSON.parse(text) : text;
+    if (expect !== undefined) assert.equal(res.status, expect, `${method} ${url}: ${text.slice(0, 300)}`);
+    const schema = responseSchema(version, method, url, res.status);
+    if (schema) assertMatches(version, schema, data, `${method} ${url} (${res.status})`);
+    return { status: res.status, headers: res.headers, body: data };
+}
+
+// v2 的成功响应在 data 里；v1 的 { items } 列表在 v2 中就是 data
+const payload = (version, res) => (version === 2 ? res.body.data : res.body);
+const listOf = (version, res) => (version === 2 ? res.body.data : res.body.items);
+
+test('every /api/v1 route is documented and every documented route exists', () => {
+    const registered = new Set();
+    for (const layer of app._router.stack) {
+        if (!layer.route || typeof layer.route.path !== 'string' || !layer.route.path.startsWith('/api/v1/')) continue;
+        const template = layer.route.path.slice('/api/v1'.length).replace(/:(\w+)/g, '{$1}');
+        for (const method of Object.keys(layer.route.methods)) registered.add(`${method.toUpperCase()} ${template}`);
+    }
+    const documented = new Set();
+    for (const [template, item] of Object.entries(documents[1].paths)) {
+        for (const method of Object.keys(item)) documented.add(`${method.toUpperCase()} ${template}`);
+    }
+    assert.deepEqual([...registered].filter(r => !documented.has(r)), [], 'routes missing from the OpenAPI document');
+    assert.deepEqual([...documented].filter(r => !registered.has(r)), [], 'documented routes with no handler');
+    assert.deepEqual(Object.keys(documents[2].paths), Object.keys(documents[1].paths));
+});
+
+for (const version of [1, 2]) {
+    const AVAILABLE = version === 2 ? 'available_spots' : 'available';
+
+    test(`v${version}: public read endpoints match the document`, async () => {
+        const spec = await call(version, 'GET', '/openapi.json', { expect: 200 });
+        assert.equal(spec.body.servers[0].url, `/api/v${version}`);
+        await call(version, 'GET', '/regions', { expect: 200 });
+        await call(version, 'GET', '/regions/geelong', { expect: 200 });
+        await call(version, 'GET', '/regions/atlantis', { expect: 404 });
+
+        const all = await call(version, 'GET', '/parking', { expect: 200 });
+        const lots = payload(version, all);
+        assert.ok(lots.length > 0);
+        assert.equal(typeof lots[0][AVAILABLE], 'number');
+        await call(version, 'GET', '/parking?near=-37.8136,144.9631&limit=3', { expect: 200 });
+        await call(version, 'GET', '/parking?bbox=144.9,-37.9,145.1,-37.7&sort=price&limit=2&offset=1&ev=1', { expect: 200 });
+        await call(version, 'GET', `/parking/${lots[0].id}`, { expect: 200 });
+        await call(version, 'GET', '/parking/NOPE', { expect: 404 });
+        await call(version, 'GET', '/parking/cost?duration=90', { expect: 200 });
+        await call(version, 'GET', '/parking/walk?to=-37.8183,144.9671', { expect: 200 });
+        await call(version, 'GET', `/parking/${lots[0].id}/route?to=-37.8183,144.9671`, { expect: 200 });
+        await call(version, 'GET', `/parking/${lots[0].id}/forecast`, { expect: 200 });
+        const batch = await call(version, 'GET', `/parking/forecast?ids=${lots[0].id},${lots[1].id}`, { expect: 200 });
+        assert.deepEqual(listOf(version, batch).map(f => f.id).sort(), [lots[0].id, lots[1].id].sort());
+        await call(version, 'GET', `/parking/${lots[0].id}/events`, { expect: 200 });
+        await call(version, 'GET', '/geo/search?q=flinders', { expect: 200 });
+        await call(version, 'GET', '/geo/reverse?lat=-37.8183&lng=144.9671', { expect: 200 });
+        await call(version, 'GET', '/environment?from=-37.81,144.96&to=-37.8183,144.9671&stay=60', { expect: 200 });
+        await call(version, 'GET', '/environment?from=-37.81,144.96&to=-37.8183,144.9671&vehicle=constructor', { expect: 400 });
+        await call(version, 'GET', '/environment/factors', { expect: 200 });
+        await call(version, 'GET', '/transit/stops?near=-37.8183,144.9671', { expect: 200 });
+        await call(version, 'GET', '/stats/parking?granularity=weekday&aggregation=p95', { expect: 200 });
+        const bays = await call(version, 'GET', '/bays?near=-37.8166,144.9652&radius=200', { expect: 200 });
+        const bayId = payload(version, bays)[0].id;
+        await call(version, 'GET', `/bays/${bayId}`, { expect: 200 });
+        await call(version, 'GET', '/watches/push-key', { expect: 200 });
+    });
+
+    test(`v${version}: accounts, reservations and watches match the document`, async () => {
+        const email = `driver${version}@example.com`;
+        const reg = await call(version, 'POST', '/auth/register', { body: { email, password: 'correct horse' }, expect: 201 });
+        const { token } = payload(version, reg);
+        await call(version, 'POST', '/auth/register', { body: { email, password: 'correct horse' }, expect: 409 });
+        await call(version, 'POST', '/auth/login', { body: { email, password: 'wrong password' }, expect: 401 });
+        await call(version, 'POST', '/auth/login', { body: { email, password: 'correct horse' }, expect: 200 });
+        await call(version, 'GET', '/me', { expect: 401 });
+        await call(version, 'GET', '/me', { token, expect: 200 });
+        await call(version, 'PATCH', '/me', { token, body: { name: 'Sam' }, expect: 200 });
+        // 继承属性和空串不是车型，不能存进账号
+        await call(version, 'PATCH', '/me', { token, body: { vehicle: 'constructor' }, expect: 400 });
+        await call(version, 'PATCH', '/me', { token, body: { vehicle: '' }, expect: 400 });
+        await call(version, 'POST', '/auth/register', { body: { email: `proto${version}@example.com`, password: 'correct horse', vehicle: '__proto__' }, expect: 400 });
+        assert.equal(payload(version, await call(version, 'GET', '/me', { token, expect: 200 })).vehicle, 'petrol');
+
+        const dest = await call(version, 'POST', '/me/destinations', { token, body: { name: 'Work', lat: -37.81, lng: 144.96 }, expect: 201 });
+        await call(version, 'GET', '/me/destinations', { token, expect: 200 });
+        await call(version, 'DELETE', `/me/destinations/${payload(version, dest).id}`, { token, expect: 204 });
+        await call(version, 'PUT', '/me/favourites/PARK001', { token, expect: 200 });
+        await call(version, 'GET', '/me/favourites', { token, expect: 200 });
+        await call(version, 'DELETE', '/me/favourites/PARK001', { token, expect: 200 });
+
+        const start = new Date(Date.now() + 3600000);
+        const booking = await call(version, 'POST', '/parking/PARK001/reservations', {
+            body: { start: start.toISOString(), end: new Date(start.getTime() + 7200000).toISOString(), plate: `ABC12${version}` }, expect: 201
+        });
+        const { reference } = payload(version, booking);
+        assert.equal(booking.headers.get('location'), `/api/v${version}/reservations/${reference}`);
+        assert.match(reference, /^MCP(-[A-Z2-9]{4}){4}$/);
+        assert.equal(payload(version, booking).plate, `ABC12${version}`);
+        assert.ok(!('client' in payload(version, booking)));
+        const lookup = payload(version, await call(version, 'GET', `/reservations/${reference}`, { expect: 200 }));
+        assert.equal(lookup.reference, reference);
+        assert.ok(!('plate' in lookup) && !('email' in lookup) && !('name' in lookup));
+        await call(version, 'POST', `/reservations/${reference}/check-in`, { token: INGEST, expect: 200 });
+        await call(version, 'DELETE', `/reservations/${reference}`, { expect: 409 });
+        await call(version, 'GET', '/parking/PARK001/reservations', { token: ADMIN, expect: 200 });
+
+        // Webhook 要登录，且不能指向本机、内网或云主机元数据地址
+        const hook = { parking_id: 'PARK002', type: 'below', threshold: 5 };
+        await call(version, 'POST', '/watches', { body: { ...hook, webhook_url: 'https://example.com/hook' }, expect: 401 });
+        for (const url of ['http://127.0.0.1:9/hook', 'http://169.254.169.254/latest/meta-data', 'http://[::ffff:10.0.0.1]/', 'http://localhost:3000/']) {
+            const refused = await call(version, 'POST', '/watches', { token, body: { ...hook, webhook_url: url }, expect: 400 });
+            assert.match(refused.body.details.join(), /public address/);
+        }
+        // 匿名的 Web Push 同样不能让服务器去连内网
+        for (const endpoint of ['https://10.0.0.5/push', 'https://localhost/push', 'https://[::1]/push']) {
+            const refused = await call(version, 'POST', '/watches', { body: { ...hook, push_subscription: { endpoint, keys: { p256dh: 'k', auth: 'a' } } }, expect: 400 });
+            assert.match(refused.body.details.join(), /push_subscription\.endpoint must point to a public address/);
+        }
+        const watch = await call(version, 'POST', '/watches', { token, body: { ...hook, webhook_url: 'https://example.com/hook' }, expect: 201 });
+        const watchId = payload(version, watch).id;
+        await call(version, 'GET', `/watches/${watchId}`, { expect: 200 });
+        await call(version, 'GET', '/me/watches', { token, expect: 200 });
+        await call(version, 'DELETE', `/watches/${watchId}`, { expect: 204 });
+        await call(version, 'GET', `/watches/${watchId}`, { expect: 404 });
+    });
+
+    test(`v${version}: operator, sensor and admin endpoints match the document`, async () => {
+        const id = `PARKV${version}`;
+        const created = await call(version, 'POST', '/parking', {
+            token: ADMIN, body: { id, name: 'Contract Test Car Park', lat: -37.815, lng: 144.965, capacity: 50, [AVAILABLE]: 20 }, expect: 201
+        });
+        assert.equal(created.headers.get('location'), `/api/v${version}/parking/${id}`);
+        assert.equal(payload(version, created)[AVAILABLE], 20);
+        await call(version, 'POST', '/parking', { token: ADMIN, body: { id, name: 'Again', lat: -37.815, lng: 144.965, capacity: 50 }, expect: 409 });
+        await call(version, 'PUT', `/parking/${id}`, { token: ADMIN, body: { name: 'Contract Test Car Park', lat: -37.815, lng: 144.965, capacity: 60 }, expect: 200 });
+        await call(version, 'PATCH', `/parking/${id}`, { token: ADMIN, body: { ev_chargers: 2 }, expect: 200 });
+        await call(version, 'PATCH', `/parking/${id}`, { token: ADMIN, body: { [AVAILABLE]: 99 }, expect: 400 });
+        await call(version, 'PATCH', `/parking/${id}`, { body: { ev_chargers: 2 }, expect: 401 });
+
+        await call(version, 'POST', `/parking/${id}/events`, { token: INGEST, body: { type: 'entry', count: 2 }, expect: 201 });
+        await call(version, 'POST', `/parking/${id}/events`, { token: INGEST, body: { events: [{ type: 'count', [AVAILABLE]: 10 }, { type: 'exit' }] }, expect: 201 });
+        await call(version, 'POST', `/parking/${id}/events`, { token: INGEST, body: { type: 'count', [AVAILABLE]: 500 }, expect: 422 });
+        await call(version, 'PUT', '/bays/BAY-6501/status', { token: INGEST, body: { status: 'occupied' }, expect: 200 });
+
+        await call(version, 'GET', '/admin/whoami', { token: ADMIN, expect: 200 });
+        await call(version, 'GET', '/admin/parking', { token: ADMIN, expect: 200 });
+        const until = new Date(Date.now() + 3600000).toISOString();
+        const overridden = await call(version, 'PUT', `/admin/parking/${id}/override`, { token: ADMIN, body: { [AVAILABLE]: 5, reason: 'Sensor fault', until }, expect: 200 });
+        assert.equal(payload(version, overridden).override[AVAILABLE], 5);
+        const forecastNow = payload(version, await call(version, 'GET', `/parking/${id}/forecast`, { expect: 200 }));
+        assert.equal(forecastNow[AVAILABLE], 5);
+        assert.equal(forecastNow.expected_available, 5);
+        await call(version, 'DELETE', `/admin/parking/${id}/override`, { token: ADMIN, expect: 200 });
+        await call(version, 'DELETE', `/admin/parking/${id}/override`, { token: ADMIN, expect: 409 });
+        await call(version, 'PUT', `/admin/parking/${id}/closure`, { token: ADMIN, body: { reason: 'Event' }, expect: 200 });
+        await call(version, 'DELETE', `/admin/parking/${id}/closure`, { token: ADMIN, expect: 200 });
+        await call(version, 'GET', '/admin/ingest-log?source=events', { token: ADMIN, expect: 200 });
+        const audit = await call(version, 'GET', `/admin/audit?target=${id}&limit=2`, { token: ADMIN, expect: 200 });
+        if (version === 2) assert.equal(audit.body.meta.total, Number(audit.headers.get('x-total-count')));
+
+        const users = await call(version, 'GET', '/admin/users', { token: ADMIN, expect: 200 });
+        const someone = listOf(version, users)[0];
+        await call(version, 'PUT', `/admin/users/${someone.id}/role`, { token: ADMIN, body: { role: 'operator' }, expect: 200 });
+        await call(version, 'GET', '/admin/users', { token: `${ADMIN}x`, expect: 401 });
+
+        const issued = await call(version, 'POST', '/admin/api-keys', { token: ADMIN, body: { name: `Council app v${version}`, rate_per_minute: 100 }, expect: 201 });
+        const { id: keyId, key } = payload(version, issued);
+        await call(version, 'POST', '/admin/api-keys', { token: ADMIN, body: { name: ' ', daily_quota: 0 }, expect: 400 });
+        await call(version, 'GET', '/admin/api-keys', { token: ADMIN, expect: 200 });
+        await call(version, 'DELETE', `/admin/api-keys/${keyId}`, { token: ADMIN, expect: 200 });
+        await call(version, 'DELETE', `/admin/api-keys/${keyId}`, { token: ADMIN, expect: 409 });
+        await call(version, 'GET', '/parking', { headers: { 'x-api-key': key }, expect: 401 });
+
+        await call(version, 'POST', '/import/parking', { token: ADMIN, body: '', type: 'text/csv', expect: 400 });
+
+        // 运行中的服务：先导入传感器，再单独上传限制 CSV
+        const sensor = `88${version}`;
+        await call(version, 'POST', '/import/bays', { token: ADMIN, type: 'text/csv', body: `kerbsideid,status_description,location\n${sensor},Unoccupied,"-37.815, 144.961"\n`, expect: 200 });
+        const restricted = await call(version, 'POST', '/import/bays/restrictions', {
+            token: ADMIN, type: 'text/csv', expect: 200,
+            body: `BayID,Description1,Duration1,FromDay1,ToDay1,StartTime1,EndTime1\n${sensor},2P MTR M-F 7:30-18:30,120,1,5,7:30,18:30\n999999,1P,60,1,5,7:30,18:30\n`
+        });
+        assert.deepEqual([payload(version, restricted).updated, payload(version, restricted).skipped], [1, 1]);
+        const bay = payload(version, await call(version, 'GET', `/bays/BAY-${sensor}`, { expect: 200 }));
+        assert.equal(bay.restrictions[0].description, '2P MTR M-F 7:30-18:30');
+        await call(version, 'POST', '/import/bays/restrictions', { token: ADMIN, type: 'text/csv', body: '999999,x\n', expect: 422 });
+        await call(version, 'POST', '/import/bays/restrictions', { body: 'BayID\n1\n', type: 'text/csv', expect: 401 });
+        await call(version, 'DELETE', `/parking/${id}`, { token: ADMIN, expect: 204 });
+        await call(version, 'DELETE', `/parking/${id}`, { token: ADMIN, expect: 404 });
+    });
+
+    test(`v${version}: invalid requests get a structured 400`, async () => {
+        const res = await call(version, 'GET', '/parking?radius=abc&limit=0&sort=cheapest', { expect: 400 });
+        assert.equal(res.body.error, 'Invalid request');
+        assert.deepEqual(res.body.fields.map(f => `${f.in}.${f.name}`), ['query.radius', 'query.sort', 'query.limit']);
+        assert.deepEqual(res.body.details, res.body.fields.map(f => f.message));
+
+        const missing = await call(version, 'GET', '/parking/cost', { expect: 400 });
+        assert.deepEqual(missing.body.details, ['query.duration is required']);
+
+        const badBody = await call(version, 'POST', '/watches', { body: { parking_id: 7, type: 'sometimes' }, expect: 400 });
+        assert.deepEqual(badBody.body.fields.map(f => f.name), ['parking_id', 'type']);
+
+        const override = await call(version, 'PUT', '/admin/parking/PARK001/override', { token: ADMIN, body: { [AVAILABLE]: -1, reason: 'x' }, expect: 400 });
+        assert.deepEqual(override.body.fields, [{ in: 'body', name: AVAILABLE, message: `body.${AVAILABLE} must be at least 0` }]);
+
+        const badEncoding = await call(version, 'GET', '/parking/%E0', { expect: 400 });
+        assert.deepEqual(badEncoding.body.fields, [{ in: 'path', name: 'id', message: 'path.id is not valid URL encoding' }]);
+
+        const malformed = await fetch(`${base}/api/v${version}/auth/login`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: '{"email":' });
+        assert.equal(malformed.status, 400);
+        assert.equal((await malformed.json()).error, 'Invalid JSON body');
+
+        // express.json 默认上限 100kb；超出时同样返回 JSON 的 { error, details }
+        const tooLarge = await call(version, 'POST', '/auth/login', { body: { email: 'a@example.com', password: 'x'.repeat(200 * 1024) }, expect: 413 });
+        assert.equal(tooLarge.body.error, 'Request body too large');
+        assert.ok(tooLarge.body.details.length);
+        const charset = await fetch(`${base}/api/v${version}/auth/login`, { method: 'POST', headers: { 'content-type': 'application/json; charset=latin-9' }, body: '{}' });
+        assert.equal(charset.status, 415);
+        assert.equal((await charset.json()).error, 'Unsupported charset');
+
+        const unknown = await fetch(`${base}/api/v${version}/nope`);
+        assert.equal(unknown.status, 404);
+        assert.equal((await unknown.json()).error, 'Not found');
+    });
+}
+
+test('v2 envelopes lists with pagination metadata', async () => {
+    const page = await call(2, 'GET', '/parking?limit=2&offset=1', { expect: 200 });
+    assert.deepEqual(page.body.meta, { total: Number(page.headers.get('x-total-count')), limit: 2, offset: 1 });
+    assert.equal(page.body.data.length, 2);
+
+    const nearest = await call(2, 'GET', '/parking?near=-37.8136,144.9631&limit=2', { expect: 200 });
+    assert.equal(nearest.body.meta.total, null);
+
+    const cost = await call(2, 'GET', '/parking/cost?duration=60&ids=PARK001', { expect: 200 });
+    assert.equal(cost.body.meta.duration, 60);
+    assert.equal(cost.body.meta.total, 1);
+
+    const v1 = await call(1, 'GET', '/parking/PARK001', { expect: 200 });
+    const v2 = await call(2, 'GET', '/parking/PARK001', { expect: 200 });
+    const { available, ...rest } = v1.body;
+    assert.deepEqual(v2.body.data, { ...rest, available_spots: available });
+});
+
+// ---------- 前端 mock ----------
+// mock 的每个方法对应一个 v2 接口，返回值必须符合该接口的成功响应
+
+test('frontend mock returns the same bodies as /api/v2', async () => {
+    const items = new Map();
+    globalThis.localStorage = {
+        getItem: k => (items.has(k) ? items.get(k) : null),
+        setItem: (k, v) => items.set(k, String(v)),
+        removeItem: k => items.delete(k)
+    };
+    const { mock } = await import(path.join(__dirname, '../../fronted/mock.js'));
+
+    const conforms = async (label, method, url, status, result) => {
+        const schema = responseSchema(2, method, url, status);
+        assertMatches(2, schema, await result, `mock.${label}`);
+    };
+
+    const lots = (await mock.parkingNear(-37.8136, 144.9631, 900)).data;
+    const dest = { lat: -37.8183, lng: 144.9671 };
+    const at = new Date();
+    const ids = lots.map(l => l.id);
+    await conforms('regions', 'GET', '/regions', 200, mock.regions());
+    await conforms('geoSearch', 'GET', '/geo/search', 200, mock.geoSearch('flinders'));
+    await conforms('geoSearch (region)', 'GET', '/geo/search', 200, mock.geoSearch('station', 'geelong'));
+    await conforms('parkingNear', 'GET', '/parking', 200, mock.parkingNear(-37.8136, 144.9631, 900));
+    await conforms('parkingInBBox', 'GET', '/parking', 200, mock.parkingInBBox([144.9, -37.9, 145.1, -37.7]));
+    await conforms('walkRoute', 'GET', '/parking/x/route', 200, mock.walkRoute(ids[0], dest));
+    await conforms('walkTimes', 'GET', '/parking/walk', 200, mock.walkTimes(ids, dest));
+    await conforms('journeys', 'GET', '/environment', 200, mock.journeys({ lat: -37.85, lng: 144.99 }, dest, at, 120, 'ev'));
+    await conforms('baysInBBox', 'GET', '/bays', 200, mock.baysInBBox([144.9, -37.9, 145.1, -37.7]));
+    await conforms('costs', 'GET', '/parking/cost', 200, mock.costs(ids, at, 600));
+    await conforms('forecasts', 'GET', '/parking/forecast', 200, mock.forecasts(ids, new Date(Date.now() + 7200000)));
+    await conforms('stats', 'GET', '/stats/parking', 200, mock.stats({ from: new Date(Date.now() - 7 * 86400000).toISOString(), to: at.toISOString(), granularity: 'day', aggregation: 'mean' }, lots));
+
+    const reservation = mock.reserve(ids[0], { start: at.toISOString(), end: new Date(Date.now() + 3600000).toISOString() });
+    await conforms('reserve', 'POST', '/parking/x/reservations', 201, reservation);
+    await conforms('cancelReservation', 'DELETE', '/reservations/x', 200, mock.cancelReservation(reservation.data.reference));
+    await conforms('createWatch', 'POST', '/watches', 201, mock.createWatch({ parking_id: ids[0], type: 'below', threshold: 10, webhook_url: 'https://example.com/hook' }));
+
+    const signedIn = mock.register({ email: 'mock@example.com', password: 'correct horse' });
+    await conforms('register', 'POST', '/auth/register', 201, signedIn);
+    const { token } = signedIn.data;
+    await conforms('login', 'POST', '/auth/login', 200, mock.login({ email: 'mock@example.com', password: 'correct horse' }));
+    await conforms('me', 'GET', '/me', 200, mock.me(token));
+    await conforms('updateMe', 'PATCH', '/me', 200, mock.updateMe(token, { vehicle: 'ev' }));
+    await conforms('addDestination', 'POST', '/me/destinations', 201, mock.addDestination(token, { name: 'Work', lat: -37.81, lng: 144.96 }));
+    await conforms('setFavourite', 'PUT', '/me/favourites/x', 200, mock.setFavourite(token, ids[0], true));
+    await conforms('favourites', 'GET', '/me/favourites', 200, mock.favourites(token));
+});
+
+// 前端文案：页面用到的 key 都在英文目录里，其他语言的 key 和 {占位符} 与英文一致
+test('frontend message catalogues cover the page and match English', async () => {
+    const dir = path.join(__dirname, '../../fronted');
+    const load = async id => (await import(path.join(dir, 'locales', `${id}.js`))).default;
+    const en = await load('en');
+    const placeholders = msg => [...new Set(Object.values(typeof msg === 'object' ? msg : { other: msg })
+        .flatMap(s => s.match(/\{\w+\}/g) || []))].sort();
+
+    const source = fs.readFileSync(path.join(dir, 'app.js'), 'utf8') + fs.readFileSync(path.join(dir, 'index.html'), 'utf8');
+    const used = [...source.matchAll(/\bt\('([\w.]+)'|data-i18n(?:-[\w-]+)?="([\w.]+)"/g)].map(m => m[1] || m[2]);
+    assert.ok(used.length > 100);
+    assert.deepEqual(used.filter(key => !(key in en)), []);
+
+    for (const id of ['zh-CN', 'vi']) {
+        const messages = await load(id);
+        assert.deepEqual(Object.keys(messages).filter(key => !(key in en)), [], `${id} has keys English does not`);
+        assert.deepEqual(Object.keys(en).filter(key => !(key in messages)), [], `${id} is missing keys`);
+        for (const [key, msg] of Object.entries(messages)) {
+            if (typeof msg === 'object') assert.ok(msg.other, `${id} ${key} needs an "other" plural form`);
+            assert.deepEqual(placeholders(msg), placeholders(en[key]), `${id} ${key} placeholders`);
+        }
+    }
+});
+
+// ---------- API key、限速、缓存头和跨域 ----------
+
+test('kerbside restrictions handle overnight windows and H:MM:SS times', () => {
+    // 2026-06-09 是星期二（本地时间）
+    const at = (date, hm) => new Date(zonedTime(date, (Number(hm.slice(0, 2)) * 60 + Number(hm.slice(3))) * 60));
+    const bay = { restrictions: [{ code: 'NS', kind: 'no_stopping', days: [2], start: '22:00', end: '06:00' }] };
+    assert.equal(kerbside.restrictionAt(bay, at('2026-06-09', '23:30')).code, 'NS');
+    assert.equal(kerbside.restrictionAt(bay, at('2026-06-10', '03:00')).code, 'NS');
+    assert.equal(kerbside.restrictionAt(bay, at('2026-06-10', '06:00')), null);
+    assert.equal(kerbside.restrictionAt(bay, at('2026-06-09', '03:00')), null);
+    assert.equal(kerbside.restrictionAt(bay, at('2026-06-10', '23:30')), null);
+
+    const [r] = kerbside.restrictionsFromRow({ Description1: '2P', FromDay1: '1', ToDay1: '5', StartTime1: '7:30:00', EndTime1: '18:30:00' });
+    assert.deepEqual([r.start, r.end], ['07:30', '18:30']);
+});
+
+test('CSV guards formula cells and reports physical line numbers', () => {
+    const text = csv.stringify([{ name: '=HYPERLINK("http://x")', lat: -37.81, note: '@sum' }], ['name', 'lat', 'note']);
+    assert.equal(text.split('\r\n')[1], '"\'=HYPERLINK(""http://x"")",-37.81,\'@sum');
+    assert.deepEqual(csv.parse(text).map(({ _line, ...row }) => row), [{ name: '=HYPERLINK("http://x")', lat: '-37.81', note: '@sum' }]);
+
+    const rows = csv.parse('id,name\n\nA,"two\nlines"\r\nB,x\n');
+    assert.deepEqual(rows.map(r => [r.id, r._line]), [['A', 3], ['B', 5]]);
+});
+
+test('webhook delivery connects only to the public address it checked', async (t) => {
+    // 本机主机名解析到回环地址时，投递在连接前就被拒绝，本地服务收不到请求
+    const host = os.hostname();
+    const resolved = await require('dns').promises.lookup(host).catch(() => null);
+    if (!resolved || notify.isPublicAddress(resolved.address)) return t.skip(`${host} does not resolve to a loopback address here`);
+    let received = 0;
+    const target = http.createServer((req, res) => { received++; res.end(); });
+    await new Promise(resolve => target.listen(0, resolve));
+    try {
+        const url = `http://${host}:${target.address().port}/hook`;
+        const result = await notify.sendWebhook(url, 'secret', { hello: 'world' });
+        assert.equal(result.ok, false);
+        assert.equal(result.gone, true);
+        assert.match(result.error, /non-public address/);
+        const keys = { p256dh: require('crypto').createECDH('prime256v1').generateKeys('base64url'), auth: require('crypto').randomBytes(16).toString('base64url') };
+        const push = await notify.sendPush({ endpoint: `https://${host}:${target.address().port}/push`, keys }, {});
+        assert.equal(push.ok, false);
+        assert.match(String(push.error), /non-public address/);
+        assert.equal(received, 0);
+    } finally {
+        target.close();
+    }
+});
+
+test('sensor events older than the retention period are dropped', async () => {
+    const old = new Date(Date.now() - 120 * 86400000).toISOString();
+    const res = await call(1, 'POST', '/parking/PARK002/events', { token: INGEST, body: { events: [{ type: 'entry', at: old }, { type: 'exit' }] }, expect: 201 });
+    const history = await call(1, 'GET', '/parking/PARK002/events?limit=100000', { expect: 200 });
+    const ids = history.body.items.map(ev => ev.id);
+    assert.ok(!ids.includes(res.body.events[0].id));
+    assert.ok(ids.includes(res.body.events[1].id));
+    assert.ok(history.body.items.every(ev => ev.at >= old));
+});
+
+test('API keys get their own rate limit and quota, with 429 and Retry-After', async () => {
+    const issued = await call(1, 'POST', '/admin/api-keys', { token: ADMIN, body: { name: 'Polling app', rate_per_minute: 2, daily_quota: 1000 }, expect: 201 });
+    const headers = { 'x-api-key': issued.body.key };
+    const first = await call(1, 'GET', '/parking/PARK001', { headers, expect: 200 });
+    assert.equal(first.headers.get('x-ratelimit-limit'), '2');
+    assert.equal(first.headers.get('x-ratelimit-remaining'), '1');
+    await call(2, 'GET', '/parking/PARK001', { headers, expect: 200 });
+    const limited = await call(2, 'GET', '/parking/PARK001', { headers, expect: 429 });
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal(limited.body.error, 'Too many requests');
+
+    const listed = await call(1, 'GET', '/admin/api-keys', { token: ADMIN, expect: 200 });
+    const usage = listed.body.items.find(k => k.id === issued.body.id).usage;
+    assert.deepEqual(usage, { minute: 2, today: 2 });
+    assert.ok(listed.body.items.every(k => k.key === undefined && k.key_hash === undefined));
+
+    // 运营接口不受限速
+    await call(1, 'GET', '/admin/whoami', { token: ADMIN, expect: 200 });
+});
+
+test('anonymous daily quota survives the per-minute sweep', () => {
+    const limits = { rate: 2, quota: 3 };
+    const t0 = Date.UTC(2026, 0, 5, 9, 0, 0);
+    assert.ok(!hit('ip:quota-test', limits, t0).limited);
+    assert.ok(!hit('ip:quota-test', limits, t0 + 1000).limited);
+    assert.equal(hit('ip:quota-test', limits, t0 + 2000).limited, 'rate');
+    assert.ok(!hit('ip:quota-test', limits, t0 + 60000).limited);
+    const third = hit('ip:quota-test', limits, t0 + 120000);
+    assert.equal(third.limited, 'quota');
+    assert.equal(third.retryAfter, 15 * 3600 - 120);
+    assert.ok(!hit('ip:quota-test', limits, Date.UTC(2026, 0, 6, 0, 0, 1)).limited);
+});
+
+// fetch 给带条件头的请求加上 Cache-Control: no-cache（Express 因此不回 304），这里用 http.get 模拟轮询客户端
+const conditionalGet = (url, headers) => new Promise((resolve, reject) => {
+    http.get(`${base}${url}`, { headers }, res => { res.resume(); res.on('end', () => resolve(res)); }).on('error', reject);
+});
+
+test('car park reads answer conditional requests with 304', async () => {
+    const first = await fetch(`${base}/api/v1/parking`);
+    const etag = first.headers.get('etag');
+    const lastModified = first.headers.get('last-modified');
+    assert.ok(etag);
+    assert.ok(lastModified);
+    assert.match(first.headers.get('cache-control'), /must-revalidate/);
+
+    assert.equal((await conditionalGet('/api/v1/parking', { 'if-none-match': etag })).statusCode, 304);
+    assert.equal((await conditionalGet('/api/v1/parking', { 'if-modified-since': lastModified })).statusCode, 304);
+    const csv = await conditionalGet('/api/v1/parking.csv', {});
+    assert.equal((await conditionalGet('/api/v1/parking.csv', { 'if-none-match': csv.headers.etag })).statusCode, 304);
+    assert.equal((await conditionalGet('/api/v1/parking.csv', { 'if-modified-since': csv.headers['last-modified'] })).statusCode, 304);
+
+    // Last-Modified 只精确到秒，等到下一秒再改，If-Modified-Since 才能看出变化
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    await call(1, 'POST', '/parking/PARK003/events', { token: INGEST, body: { type: 'entry' }, expect: 201 });
+    const changed = await conditionalGet('/api/v1/parking', { 'if-none-match': etag });
+    assert.equal(changed.statusCode, 200);
+    assert.notEqual(changed.headers.etag, etag);
+    assert.equal((await conditionalGet('/api/v1/parking', { 'if-modified-since': lastModified })).statusCode, 200);
+});
+
+test('Last-Modified moves with expiring overrides and opening hours', () => {
+    const lot = { id: 'LAST-MODIFIED-TEST', updated_at: '2026-01-05T00:00:00.000Z', open_hours: '24/7', override: { available: 0, until: '2026-01-05T03:00:00.000Z' } };
+    assert.equal(present.lastModified(lot, new Date('2026-01-05T02:00:00Z')), lot.updated_at);
+    assert.equal(present.lastModified(lot, new Date('2026-01-05T04:00:00Z')), lot.override.until);
+
+    // 2026-01-05 是周一；跨夜时段在第二天凌晨关门，首尾相接的全天时段不算开关门
+    const weekday = { mon: [['08:00', '18:00']], sun: [['22:00', '02:00']] };
+    assert.equal(hours.lastChangeAt(weekday, zonedTime('2026-01-05', 9 * 3600)).getTime(), zonedTime('2026-01-05', 8 * 3600).getTime());
+    assert.equal(hours.lastChangeAt(weekday, zonedTime('2026-01-05', 3 * 3600)).getTime(), zonedTime('2026-01-05', 2 * 3600).getTime());
+    const allDay = Object.fromEntries(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].map(d => [d, [['00:00', '24:00']]]));
+    assert.equal(hours.lastChangeAt(allDay, new Date('2026-01-05T04:00:00Z')), null);
+    assert.equal(hours.lastChangeAt('24/7', new Date()), null);
+});
+
+test('CORS only allows the configured origins', async () => {
+    const allowed = await fetch(`${base}/api/v1/parking/PARK001`, { headers: { origin: 'https://apps.example.gov.au' } });
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://apps.example.gov.au');
+    assert.match(allowed.headers.get('access-control-expose-headers'), /ETag/);
+    const other = await fetch(`${base}/api/v1/parking/PARK001`, { headers: { origin: 'https://elsewhere.example.com' } });
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+});
+
+// ---------- 多城市 ----------
+
+test('?region= scopes car parks, place search, journeys and statistics', async () => {
+    const regions = (await call(1, 'GET', '/regions', { expect: 200 })).body.items;
+    assert.deepEqual(regions.map(r => r.id), ['melbourne', 'geelong', 'ballarat']);
+    assert.equal(regions.filter(r => r.default).length, 1);
+    assert.ok(regions.every(r => r.parking_count > 0));
+
+    const geelong = (await call(1, 'GET', '/parking?region=geelong', { expect: 200 })).body;
+    assert.ok(geelong.length > 0 && geelong.every(p => p.region === 'geelong'));
+    const feed = await call(1, 'GET', '/parking.geojson?region=ballarat', { expect: 200 });
+    assert.ok(feed.body.features.every(f => f.properties.region === 'ballarat'));
+    const invalid = await call(2, 'GET', '/parking?region=atlantis', { expect: 400 });
+    assert.deepEqual(invalid.body.fields.map(f => f.name), ['region']);
+
+    const places = (await call(1, 'GET', '/geo/search?q=station&region=ballarat', { expect: 200 })).body.items;
+    assert.ok(places.length > 0 && places.every(p => p.region === 'ballarat'));
+    const scoped = (await call(1, 'GET', '/geo/search?q=flinders&region=geelong', { expect: 200 })).body.items;
+    assert.equal(scoped.length, 0);
+
+    const journeys = await call(1, 'GET', '/environment?from=-38.1447,144.3548&to=-38.1479,144.3600&region=geelong', { expect: 200 });
+    assert.ok(geelong.some(p => p.id === journeys.body.drive_and_park.parking.id));
+
+    const stats = await call(1, 'GET', '/stats/parking?region=melbourne', { expect: 200 });
+    const melbourne = (await call(1, 'GET', '/parking?region=melbourne', { expect: 200 })).body;
+    assert.deepEqual(stats.body.byCarPark.map(c => c.id).sort(), melbourne.map(p => p.id).sort());
+});
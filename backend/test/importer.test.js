@@ -0,0 +1,107 @@
+// 数据导入单元测试：停车场 CSV / GeoJSON 的 upsert 和逐行报告，路边车位传感器 + 限制 CSV；使用临时数据文件
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-importer-'));
+process.env.DATA_FILE = path.join(tmpDir, 'db.json');
+
+const store = require('../store');
+const { importParking, importBays, importRestrictions } = require('../importer');
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const parkingStore = store.collection('parking');
+const bayStore = store.collection('bays');
+
+const CAR_PARKS = [
+    'id,name,lat,lng,capacity,available,open_hours',
+    'IMP001,Import Lane,-37.81,144.96,120,,24/7',
+    'IMP002,"Quoted, Street",-37.82,144.97,80,90,',
+    ',No id,-37.8,144.9,10,,',
+    'IMP003,Bad hours,-37.8,144.9,10,,"{""mon"": [[""25:00"", ""26:00""]]}"'
+].join('\n');
+
+test('car parks are inserted with per-line errors, and importing again changes nothing', () => {
+    const report = importParking(CAR_PARKS);
+    assert.equal(report.inserted, 1);
+    assert.equal(report.skipped, 3);
+    assert.deepEqual(report.errors.map(e => [e.line, e.id]), [[3, 'IMP002'], [4, null], [5, 'IMP003']]);
+    assert.deepEqual(report.errors[0].errors, ['available cannot exceed capacity']);
+    assert.deepEqual(report.errors[1].errors, ['id is required']);
+
+    // 新停车场没给 available 时等于 capacity
+    assert.equal(parkingStore.get('IMP001').available, 120);
+    assert.equal(parkingStore.get('IMP001').open_hours, '24/7');
+
+    const again = importParking(CAR_PARKS);
+    assert.deepEqual([again.inserted, again.updated, again.unchanged], [0, 0, 1]);
+});
+
+test('an existing car park only takes the fields the file gives', () => {
+    const before = parkingStore.get('PARK001');
+    const report = importParking('id,capacity\nPARK001,210\n');
+    assert.equal(report.updated, 1);
+    const after = parkingStore.get('PARK001');
+    assert.equal(after.capacity, 210);
+    assert.equal(after.name, before.name);
+    assert.deepEqual(after.tariff, before.tariff);
+});
+
+test('GeoJSON car parks take their position from the geometry', () => {
+    const report = importParking(JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', geometry: { type: 'Point', coordinates: [144.95, -37.83] }, properties: { id: 'IMP010', name: 'Geo Park', capacity: 40 } },
+            { type: 'Feature', geometry: null, properties: { id: 'IMP011', name: 'Nowhere', capacity: 5 } }
+        ]
+    }));
+    assert.equal(report.inserted, 1);
+    assert.equal(report.errors[0].line, 'feature 1');
+    assert.deepEqual([parkingStore.get('IMP010').lat, parkingStore.get('IMP010').lng], [-37.83, 144.95]);
+
+    assert.match(importParking('{ not json').errors[0].errors[0], /^Could not parse file/);
+});
+
+test('bays join the restrictions CSV on BayID and keep their restrictions on a sensor-only import', () => {
+    const sensors = [
+        'kerbsideid,status_description,location,zone_number',
+        '9001,Present,"-37.815, 144.961",7001',
+        '9002,Unoccupied,"-37.816, 144.962",7001',
+        '9003,Present,,7001'
+    ].join('\n');
+    const restrictions = [
+        'BayID,Description1,Duration1,FromDay1,ToDay1,StartTime1,EndTime1,Description2,FromDay2,ToDay2,StartTime2,EndTime2',
+        '9001,2P MTR M-SAT 7:30-18:30,120,1,6,7:30:00,18:30:00,C/W M-F 16:00-18:00,1,5,16:00,18:00'
+    ].join('\n');
+
+    const report = importBays(sensors, restrictions);
+    assert.equal(report.inserted, 2);
+    assert.deepEqual(report.errors.map(e => [e.line, e.id]), [[4, 'BAY-9003']]);
+
+    const bay = bayStore.get('BAY-9001');
+    assert.equal(bay.status, 'occupied');
+    assert.deepEqual(bay.restrictions.map(r => [r.kind, r.start, r.end, r.days.join('')]), [['timed', '07:30', '18:30', '123456'], ['clearway', '16:00', '18:00', '12345']]);
+    assert.deepEqual(bayStore.get('BAY-9002').restrictions, []);
+
+    // 只导入传感器时沿用已有的限制，只更新状态
+    const update = importBays('kerbsideid,status_description,location\n9001,Unoccupied,"-37.815, 144.961"\n');
+    assert.equal(update.updated, 1);
+    assert.equal(bayStore.get('BAY-9001').status, 'vacant');
+    assert.equal(bayStore.get('BAY-9001').restrictions.length, 2);
+});
+
+test('a restrictions CSV on its own updates bays already imported', () => {
+    const report = importRestrictions([
+        'BayID,Description1,Duration1,FromDay1,ToDay1,StartTime1,EndTime1',
+        '9002,LZ 30M M-F 7:00-10:00,30,1,5,7:00,10:00',
+        '9999,1P M-F 8:00-18:00,60,1,5,8:00,18:00',
+        ',1P,60,1,5,8:00,18:00'
+    ].join('\n'));
+    assert.deepEqual([report.updated, report.skipped], [1, 2]);
+    assert.deepEqual(report.errors.map(e => e.line), [3, 4]);
+    assert.equal(bayStore.get('BAY-9002').restrictions[0].kind, 'loading');
+    assert.equal(importRestrictions('{"type": "FeatureCollection", "features": []}').errors.length, 1);
+});
@@ -0,0 +1,87 @@
+// 限速单元测试：每分钟窗口、每日配额、按 API key 或 IP 计数、豁免和响应头；使用临时数据文件
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-ratelimit-'));
+process.env.DATA_FILE = path.join(tmpDir, 'db.json');
+process.env.ANON_RATE_PER_MINUTE = '3';
+
+const express = require('express');
+const apikeys = require('../apikeys');
+const { rateLimit, hit, usage, keyBucket } = require('../ratelimit');
+
+let server;
+let base;
+
+before(async () => {
+    const app = express();
+    app.use(rateLimit({ exempt: req => req.get('authorization') === 'Bearer internal' }));
+    app.get('/api/ping', (req, res) => res.json({ key: req.apiKey ? req.apiKey.id : null }));
+    app.get('/static.txt', (req, res) => res.send('ok'));
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('hit counts per minute and resets with the next minute', () => {
+    const t0 = Date.UTC(2026, 0, 5, 10, 0, 0);
+    const limits = { rate: 2, quota: 100 };
+    assert.equal(hit('ip:minute-test', limits, t0).remaining, 1);
+    assert.equal(hit('ip:minute-test', limits, t0 + 1000).remaining, 0);
+    const third = hit('ip:minute-test', limits, t0 + 20000);
+    assert.equal(third.limited, 'rate');
+    assert.equal(third.retryAfter, 40);
+    // 超限的请求不计数
+    assert.deepEqual(usage('ip:minute-test', t0 + 20000), { minute: 2, today: 2 });
+    assert.ok(!hit('ip:minute-test', limits, t0 + 60000).limited);
+    assert.deepEqual(usage('ip:minute-test', t0 + 60000), { minute: 1, today: 3 });
+});
+
+test('anonymous /api requests are limited per IP and told to ask for a key', async () => {
+    // 计数按整分钟重置，临近换分钟时先等过去
+    if (new Date().getUTCSeconds() >= 58) await new Promise(resolve => setTimeout(resolve, 2500));
+    for (let i = 0; i < 3; i++) {
+        const res = await fetch(`${base}/api/ping`);
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('x-ratelimit-limit'), '3');
+        assert.equal(res.headers.get('x-ratelimit-remaining'), String(2 - i));
+    }
+    const limited = await fetch(`${base}/api/ping`);
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    const body = await limited.json();
+    assert.equal(body.error, 'Too many requests');
+    assert.ok(body.details.includes('ask for an API key for higher limits'));
+
+    // 非 /api 路径和豁免的内部调用不计数
+    assert.equal((await fetch(`${base}/static.txt`)).status, 200);
+    assert.equal((await fetch(`${base}/api/ping`, { headers: { authorization: 'Bearer internal' } })).status, 200);
+});
+
+test('API keys get their own limits, from the header or ?api_key=', async () => {
+    const { apiKey } = apikeys.create({ name: 'Journey planner', rate_per_minute: 5, daily_quota: 2 });
+    const first = await fetch(`${base}/api/ping`, { headers: { 'x-api-key': apiKey.key } });
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('x-ratelimit-limit'), '5');
+    assert.deepEqual(await first.json(), { key: apiKey.id });
+    assert.equal((await fetch(`${base}/api/ping?api_key=${encodeURIComponent(apiKey.key)}`)).status, 200);
+
+    const quota = await fetch(`${base}/api/ping`, { headers: { 'x-api-key': apiKey.key } });
+    assert.equal(quota.status, 429);
+    assert.match((await quota.json()).details[0], /^daily quota of 2 requests used up/);
+    assert.equal(usage(keyBucket(apiKey)).today, 2);
+
+    // 带了 key 就不再走豁免；未知或吊销的 key 返回 401
+    apikeys.revoke(apiKey.id);
+    const revoked = await fetch(`${base}/api/ping`, { headers: { 'x-api-key': apiKey.key, authorization: 'Bearer internal' } });
+    assert.equal(revoked.status, 401);
+    assert.equal((await revoked.json()).error, 'Invalid API key');
+});
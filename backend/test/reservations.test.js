@@ -0,0 +1,118 @@
+// 预约模块单元测试：容量、营业状态、每客户端上限、车牌重叠、状态流转、对外视图；使用临时数据文件
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-reservations-'));
+process.env.DATA_FILE = path.join(tmpDir, 'db.json');
+process.env.RESERVATIONS_PER_CLIENT = '2';
+
+const reservations = require('../reservations');
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const NOW = new Date('2026-03-02T00:00:00Z');
+const hours = n => new Date(NOW.getTime() + n * 3600000).toISOString();
+const lot = (id, extra = {}) => ({ id, capacity: 10, available: 10, open_hours: '24/7', ...extra });
+const book = (parking, startHour, client, extra = {}) =>
+    reservations.create(parking, { start: hours(startHour), end: hours(startHour + 1), ...extra }, client, NOW);
+
+test('each client may only hold RESERVATIONS_PER_CLIENT active reservations', () => {
+    const a = lot('CAP-A');
+    assert.ok(book(a, 1, 'ip:203.0.113.1').reservation);
+    assert.ok(book(a, 2, 'ip:203.0.113.1').reservation);
+    const third = book(a, 3, 'ip:203.0.113.1');
+    assert.equal(third.status, 409);
+    assert.equal(third.error, 'Too many active reservations');
+    // 其他客户端不受影响；取消一个后可以再订
+    assert.ok(book(a, 3, 'ip:203.0.113.2').reservation);
+    const first = reservations.listFor('CAP-A')[0];
+    reservations.cancel(reservations.findByReference(first.reference));
+    assert.ok(book(a, 3, 'ip:203.0.113.1').reservation);
+});
+
+test('one plate cannot book overlapping windows', () => {
+    const b = lot('PLATE-B');
+    assert.ok(book(b, 1, 'user:plate-1', { plate: 'XYZ 987' }).reservation);
+    const clash = book(lot('PLATE-C'), 1, 'user:plate-2', { plate: 'xyz987' });
+    assert.equal(clash.status, 409);
+    assert.ok(book(b, 2, 'user:plate-2', { plate: 'XYZ987' }).reservation);
+});
+
+test('the client key is never returned', () => {
+    const { reservation } = book(lot('VIEW-D'), 1, 'ip:198.51.100.7', { name: 'Sam', plate: 'VIEW1', email: 'sam@example.com' });
+    assert.ok(!('client' in reservation));
+    assert.equal(reservation.plate, 'VIEW1');
+    const stored = reservations.findByReference(reservation.reference);
+    assert.equal(stored.client, 'ip:198.51.100.7');
+    assert.deepEqual(Object.keys(reservations.publicView(stored)).filter(k => ['client', 'name', 'plate', 'email'].includes(k)), []);
+    assert.ok(reservations.listFor('VIEW-D').every(r => !('client' in r)));
+});
+
+test('a reservation starting now uses the same availability as /parking, overrides included', () => {
+    const overridden = lot('OVERRIDE-E', { available: 8, override: { available: 0, reason: 'Sensor fault', until: null } });
+    const now = reservations.create(overridden, { start: NOW.toISOString(), end: hours(1) }, 'user:override', NOW);
+    assert.equal(now.status, 409);
+    assert.equal(now.error, 'Car park is full right now');
+    assert.equal(reservations.publicAvailable(overridden, NOW), 0);
+    // 覆盖到期后按传感器计数
+    const expired = { ...overridden, override: { ...overridden.override, until: NOW.toISOString() } };
+    assert.equal(reservations.publicAvailable(expired, NOW), 8);
+    assert.ok(reservations.create(expired, { start: NOW.toISOString(), end: hours(1) }, 'user:override', NOW).reservation);
+});
+
+test('a window is refused once its peak bookings reach capacity, and when the car park is closed', () => {
+    const small = lot('PEAK-F', { capacity: 2 });
+    assert.ok(reservations.create(small, { start: hours(1), end: hours(3) }, 'user:peak-1', NOW).reservation);
+    assert.ok(reservations.create(small, { start: hours(2), end: hours(4) }, 'user:peak-2', NOW).reservation);
+    assert.equal(reservations.create(small, { start: hours(2.5), end: hours(3.5) }, 'user:peak-3', NOW).status, 409);
+    // 两个预约不同时重叠的窗口仍可预约（03:00 起第一个已结束）
+    assert.ok(reservations.create(small, { start: hours(3), end: hours(5) }, 'user:peak-3', NOW).reservation);
+
+    const closed = lot('CLOSED-G', { closure: { reason: 'Event', until: hours(2) } });
+    assert.equal(reservations.create(closed, { start: hours(1), end: hours(3) }, 'user:closed', NOW).error, 'Car park is closed at the requested start time');
+    assert.ok(reservations.create(closed, { start: hours(2), end: hours(3) }, 'user:closed', NOW).reservation);
+});
+
+test('invalid windows are rejected with 400', () => {
+    const l = lot('INVALID-H');
+    const check = (body, message) => {
+        const result = reservations.create(l, body, 'user:invalid', NOW);
+        assert.equal(result.status, 400);
+        assert.ok(result.details.includes(message), result.details.join('; '));
+    };
+    check({ start: 'soon', end: hours(1) }, 'start must be an ISO timestamp');
+    check({ start: hours(2), end: hours(1) }, 'end must be after start');
+    check({ start: hours(1), end: hours(26) }, 'a reservation cannot be longer than 24 hours');
+    check({ start: hours(-1), end: hours(1) }, 'start must not be in the past');
+    check({ start: hours(1), end: hours(2), plate: 123 }, 'plate must be a string');
+});
+
+test('references look up case-insensitively; cancel, check-in and sweep move the status', () => {
+    const l = lot('FLOW-I');
+    const { reservation } = reservations.create(l, { start: hours(1), end: hours(2) }, 'user:flow-1', NOW);
+    assert.match(reservation.reference, /^MCP(-[A-Z2-9]{4}){4}$/);
+    assert.equal(reservations.findByReference(reservation.reference.toLowerCase()).id, reservation.id);
+
+    const cancelled = reservations.cancel(reservations.findByReference(reservation.reference));
+    assert.equal(cancelled.reservation.status, 'cancelled');
+    assert.equal(reservations.cancel(reservations.findByReference(reservation.reference)).status, 409);
+
+    const arriving = reservations.create(l, { start: hours(1), end: hours(2) }, 'user:flow-2', NOW).reservation;
+    const noShow = reservations.create(l, { start: hours(1), end: hours(2) }, 'user:flow-3', NOW).reservation;
+    const checkedIn = reservations.checkIn(reservations.findByReference(arriving.reference), new Date(hours(1)));
+    assert.equal(checkedIn.reservation.status, 'checked_in');
+    assert.ok(!('client' in checkedIn.reservation));
+    assert.equal(reservations.checkIn(reservations.findByReference(arriving.reference), new Date(hours(1))).status, 409);
+
+    // 开始后仍在宽限期内：占用一个车位
+    assert.equal(reservations.heldNow('FLOW-I', new Date(hours(1.1))), 1);
+    reservations.sweep(new Date(new Date(hours(1)).getTime() + (reservations.NO_SHOW_GRACE_MINUTES + 1) * 60000));
+    assert.equal(reservations.findByReference(noShow.reference).status, 'expired');
+    assert.equal(reservations.findByReference(arriving.reference).status, 'checked_in');
+    reservations.sweep(new Date(hours(2)));
+    assert.equal(reservations.findByReference(arriving.reference).status, 'completed');
+    assert.equal(reservations.heldNow('FLOW-I', new Date(hours(1.5))), 0);
+});
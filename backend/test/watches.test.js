@@ -0,0 +1,98 @@
+// 空位提醒单元测试：校验、Webhook 需登录、越过阈值才触发、冷却、投递失败停用、过期；使用临时数据文件，不真正发送
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-watches-'));
+process.env.DATA_FILE = path.join(tmpDir, 'db.json');
+
+const store = require('../store');
+const notify = require('../notify');
+const watches = require('../watches');
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const parkingStore = store.collection('parking');
+const subscription = { endpoint: 'https://push.example.com/send/abc', keys: { p256dh: 'p256dh-key', auth: 'auth-secret' } };
+
+// 替换 notify 的发送函数，记录每次投递
+const sent = [];
+let nextResult = { ok: true, status: 201 };
+notify.sendPush = async (sub, payload) => { sent.push(payload); return nextResult; };
+notify.sendWebhook = async (url, secret, payload) => { sent.push(payload); return nextResult; };
+const delivered = () => new Promise(resolve => setImmediate(resolve));
+const setAvailable = (id, available) => parkingStore.update(id, { available });
+
+test('watches are validated, and webhooks need a signed-in user and a public address', () => {
+    const invalid = watches.create({ parking_id: 'NOPE', type: 'sideways', push_subscription: subscription });
+    assert.equal(invalid.status, 400);
+    assert.ok(invalid.details.includes('parking_id must be an existing car park'));
+    assert.ok(invalid.details.some(d => d.startsWith('type must be one of')));
+
+    const both = watches.create({ parking_id: 'PARK001', type: 'reopens', push_subscription: subscription, webhook_url: 'https://example.com/hook' }, 'user-1');
+    assert.ok(both.details.includes('give exactly one of webhook_url or push_subscription'));
+    const window = watches.create({ parking_id: 'PARK001', type: 'below', threshold: 0, window: { days: [7], start: '10:00', end: '09:00' }, push_subscription: subscription });
+    assert.deepEqual(window.details, ['threshold must be a positive integer', 'window.days must be a list of 0-6', 'window.start/end must be HH:MM with start before end']);
+
+    assert.equal(watches.create({ parking_id: 'PARK001', type: 'reopens', webhook_url: 'https://example.com/hook' }).status, 401);
+    const internal = watches.create({ parking_id: 'PARK001', type: 'reopens', webhook_url: 'http://169.254.169.254/latest' }, 'user-1');
+    assert.equal(internal.status, 400);
+
+    const { watch } = watches.create({ parking_id: 'PARK001', type: 'reopens', webhook_url: 'https://example.com/hook' }, 'user-1');
+    assert.ok(watch.secret);
+    assert.equal(watch.delivery, 'webhook');
+    assert.deepEqual(watches.listForUser('user-1').map(w => w.id), [watch.id]);
+    watches.remove(watch.id);
+});
+
+test('a below watch fires once when the count crosses the threshold, then waits out the cooldown', async () => {
+    setAvailable('PARK002', 50);
+    const { watch } = watches.create({ parking_id: 'PARK002', type: 'below', threshold: 20, push_subscription: subscription });
+    assert.equal(watch.delivery, 'push');
+    assert.ok(!('push_subscription' in watch) && watch.secret === undefined);
+    sent.length = 0;
+
+    setAvailable('PARK002', 30);   // 仍在阈值以上
+    await delivered();
+    assert.equal(sent.length, 0);
+    setAvailable('PARK002', 10);
+    await delivered();
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].parking.id, 'PARK002');
+    assert.match(sent[0].title, /is filling up$/);
+
+    // 冷却期内再次越过阈值不重复提醒
+    setAvailable('PARK002', 40);
+    setAvailable('PARK002', 5);
+    await delivered();
+    assert.equal(sent.length, 1);
+    assert.equal(watches.get(watch.id).last_available, 5);
+    assert.equal(watches.get(watch.id).last_delivery.ok, true);
+    watches.remove(watch.id);
+});
+
+test('a reopens watch fires when a full car park gets a space; gone endpoints stop the watch', async () => {
+    setAvailable('PARK003', 0);
+    const { watch } = watches.create({ parking_id: 'PARK003', type: 'reopens', push_subscription: subscription });
+    sent.length = 0;
+    nextResult = { ok: false, status: 410, gone: true };
+    setAvailable('PARK003', 3);
+    await delivered();
+    assert.equal(sent.length, 1);
+    assert.equal(watches.get(watch.id).status, 'failed');
+    assert.equal(watches.get(watch.id).failures, 1);
+    nextResult = { ok: true, status: 201 };
+});
+
+test('watches expire, and retiring a car park retires its watches', () => {
+    const now = new Date();
+    const { watch } = watches.create({ parking_id: 'PARK001', type: 'reopens', push_subscription: subscription, expires_at: new Date(now.getTime() + 3600000).toISOString() }, null, now);
+    watches.sweep(new Date(now.getTime() + 7200000));
+    assert.equal(watches.get(watch.id).status, 'expired');
+
+    const other = watches.create({ parking_id: 'PARK001', type: 'reopens', push_subscription: subscription }).watch;
+    parkingStore.remove('PARK001');
+    assert.equal(watches.get(other.id).status, 'retired');
+});
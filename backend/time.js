@@ -0,0 +1,39 @@
+// 统计、预测都按停车场所在地的本地时间分桶（默认墨尔本），不依赖服务器时区
+const TIME_ZONE = process.env.TIME_ZONE || 'Australia/Melbourne';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatter = new Intl.DateTimeFormat('en-AU', {
+    timeZone: TIME_ZONE,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', weekday: 'short', hourCycle: 'h23'
+});
+
+// 返回 { date: 'YYYY-MM-DD', hour: 0-23, minute, weekday: 0-6 }
+function localParts(when) {
+    const parts = {};
+    for (const { type, value } of formatter.formatToParts(new Date(when))) parts[type] = value;
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+}
+
+// 本地日期 'YYYY-MM-DD' 当天零点起第 seconds 秒对应的时刻（可超过 24 小时，如 GTFS 的 25:10:00）
+// 先按 UTC 猜，再用该时刻在本地时区的偏差修正；夏令时切换附近再修正一次
+function zonedTime(date, seconds) {
+    const [y, m, d] = date.split('-').map(Number);
+    const wanted = Date.UTC(y, m - 1, d) + seconds * 1000;
+    let guess = wanted;
+    for (let i = 0; i < 2; i++) {
+        const t = localParts(guess);
+        const [ly, lm, ld] = t.date.split('-').map(Number);
+        const shown = Date.UTC(ly, lm - 1, ld, t.hour, t.minute) + (seconds % 60) * 1000;
+        guess += wanted - shown;
+    }
+    return new Date(guess);
+}
+
+module.exports = { TIME_ZONE, WEEKDAYS, localParts, zonedTime };
@@ -0,0 +1,230 @@
+// 公共交通：从磁盘加载 GTFS 静态数据（如 PTV 发布的 gtfs.zip 解压后的 txt 文件），
+// 查询起终点附近的站点和无需换乘的直达线路，给出出发、到达和步行时间
+// 支持 stops / routes / trips / stop_times / calendar / calendar_dates，以及按班次间隔发车的 frequencies
+const fs = require('fs');
+const path = require('path');
+const csv = require('./csv');
+const { localParts, zonedTime } = require('./time');
+const { distanceMeters } = require('./geo');
+const { createGridIndex } = require('./spatial');
+const { walkingTimes } = require('./routing');
+
+const GTFS_DIR = process.env.GTFS_DIR || path.join(__dirname, 'data', 'gtfs');
+const MAX_WALK_METERS = Number(process.env.TRANSIT_MAX_WALK_METERS) || 800;
+const MAX_WAIT_SECONDS = 2 * 3600;   // 只看两小时内发车的班次
+
+// GTFS route_type → 出行方式；扩展类型（如 100 铁路、700 巴士、900 有轨电车）按百位归类
+function modeOf(routeType) {
+    const t = Number(routeType);
+    if (t === 0 || (t >= 900 && t < 1000)) return 'tram';
+    if (t === 1 || t === 2 || (t >= 100 && t < 200) || (t >= 400 && t < 500)) return 'train';
+    if (t === 3 || (t >= 700 && t < 800)) return 'bus';
+    if (t === 4 || (t >= 1000 && t < 1100)) return 'ferry';
+    return 'other';
+}
+
+const toSeconds = hms => {
+    const [h, m, s] = String(hms).split(':').map(Number);
+    return h * 3600 + m * 60 + (s || 0);
+};
+
+function readTable(dir, name) {
+    const file = path.join(dir, `${name}.txt`);
+    return fs.existsSync(file) ? csv.parse(fs.readFileSync(file, 'utf8')) : [];
+}
+
+function loadFeed(dir = GTFS_DIR) {
+    const stops = new Map();
+    const index = createGridIndex({ cellDeg: 0.005 });
+    for (const s of readTable(dir, 'stops')) {
+        const stop = { id: s.stop_id, name: s.stop_name, lat: Number(s.stop_lat), lng: Number(s.stop_lon) };
+        if (!Number.isFinite(stop.lat) || !Number.isFinite(stop.lng)) continue;
+        stops.set(stop.id, stop);
+        index.upsert(stop);
+    }
+
+    const routes = new Map(readTable(dir, 'routes').map(r => [r.route_id, {
+        id: r.route_id,
+        short_name: r.route_short_name || '',
+        long_name: r.route_long_name || '',
+        mode: modeOf(r.route_type),
+        color: r.route_color ? `#${r.route_color}` : null
+    }]));
+
+    const trips = new Map(readTable(dir, 'trips').map(t => [t.trip_id, {
+        id: t.trip_id, route_id: t.route_id, service_id: t.service_id,
+        headsign: t.trip_headsign || '', direction: t.direction_id || '0',
+        times: [], starts: null
+    }]));
+
+    for (const st of readTable(dir, 'stop_times')) {
+        const trip = trips.get(st.trip_id);
+        if (!trip || !stops.has(st.stop_id)) continue;
+        trip.times.push({
+            stop_id: st.stop_id,
+            seq: Number(st.stop_sequence),
+            arr: toSeconds(st.arrival_time || st.departure_time),
+            dep: toSeconds(st.departure_time || st.arrival_time)
+        });
+    }
+
+    // frequencies：stop_times 只是模板，实际班次从 start_time 起每 headway_secs 一班
+    for (const f of readTable(dir, 'frequencies')) {
+        const trip = trips.get(f.trip_id);
+        if (!trip) continue;
+        const headway = Number(f.headway_secs);
+        if (!(headway > 0)) continue;
+        trip.starts = trip.starts || [];
+        for (let t = toSeconds(f.start_time); t < toSeconds(f.end_time); t += headway) trip.starts.push(t);
+    }
+
+    // 站点 → [{ trip, i }]，i 为该站在 trip.times 中的下标
+    const byStop = new Map();
+    for (const trip of trips.values()) {
+        trip.times.sort((a, b) => a.seq - b.seq);
+        if (trip.starts) {
+            // 模板时间改成相对首站发车的偏移
+            const base = trip.times.length ? trip.times[0].dep : 0;
+            for (const t of trip.times) { t.arr -= base; t.dep -= base; }
+            trip.starts.sort((a, b) => a - b);
+        }
+        trip.times.forEach((t, i) => {
+            if (!byStop.has(t.stop_id)) byStop.set(t.stop_id, []);
+            byStop.get(t.stop_id).push({ trip, i });
+        });
+    }
+
+    const calendar = new Map(readTable(dir, 'calendar').map(c => [c.service_id, c]));
+    const exceptions = new Map();   // 'service|YYYYMMDD' -> 1 增开 / 2 停运
+    for (const d of readTable(dir, 'calendar_dates')) exceptions.set(`${d.service_id}|${d.date}`, Number(d.exception_type));
+
+    return { stops, index, routes, trips, byStop, calendar, exceptions };
+}
+
+let feed;
+function getFeed() {
+    if (!feed) feed = loadFeed();
+    return feed;
+}
+
+const DAY_COLUMNS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// date 为本地日期 'YYYY-MM-DD'，weekday 0=周日
+function serviceRuns(f, serviceId, date, weekday) {
+    const ymd = date.replace(/-/g, '');
+    const exception = f.exceptions.get(`${serviceId}|${ymd}`);
+    if (exception === 1) return true;
+    if (exception === 2) return false;
+    const c = f.calendar.get(serviceId);
+    return Boolean(c) && c[DAY_COLUMNS[weekday]] === '1' && c.start_date <= ymd && ymd <= c.end_date;
+}
+
+// 某趟车（或按间隔发车的模板）在下标 i 的站、不早于 earliest 的发车时刻（当日秒数）；返回实际班次起点偏移
+function nextDeparture(trip, i, earliest) {
+    if (!trip.starts) return trip.times[i].dep >= earliest ? { offset: 0 } : null;
+    const wanted = earliest - trip.times[i].dep;
+    const start = trip.starts.find(s => s >= wanted);
+    return start === undefined ? null : { offset: start };
+}
+
+// 距离某点 radius 米内的站点，附带经过的线路
+function stopsNear(center, radius = MAX_WALK_METERS) {
+    const f = getFeed();
+    return f.index.radius(center, radius)
+        .sort((a, b) => a.distance - b.distance)
+        .map(({ point, distance }) => {
+            const routeIds = new Set((f.byStop.get(point.id) || []).map(({ trip }) => trip.route_id));
+            return {
+                ...f.stops.get(point.id),
+                distance_m: Math.round(distance),
+                routes: Array.from(routeIds, id => f.routes.get(id)).filter(Boolean)
+                    .map(r => ({ id: r.id, short_name: r.short_name, mode: r.mode }))
+            };
+        });
+}
+
+// 附近站点及步行距离（沿街道图）：Map<stop_id, { stop, walk }>
+function walkableStops(f, point) {
+    const near = f.index.radius(point, MAX_WALK_METERS).map(h => f.stops.get(h.point.id));
+    const walks = walkingTimes(near, point);
+    const out = new Map();
+    near.forEach((stop, i) => {
+        if (walks[i].distance_m <= MAX_WALK_METERS * 1.3) out.set(stop.id, { stop, walk: walks[i] });
+    });
+    return out;
+}
+
+function rideMeters(f, times, from, to) {
+    let m = 0;
+    for (let k = from + 1; k <= to; k++) m += distanceMeters(f.stops.get(times[k - 1].stop_id), f.stops.get(times[k].stop_id));
+    return Math.round(m);
+}
+
+const stopView = ({ stop, walk }) => ({
+    id: stop.id, name: stop.name, lat: stop.lat, lng: stop.lng,
+    walk_m: walk.distance_m, walk_min: walk.duration_min
+});
+
+// from → to 在 at 时刻出发的直达方案：每条线路每个方向取最早到达的一班，按到达目的地时间排序
+function directJourneys(from, to, at = new Date(), { limit = 5 } = {}) {
+    const f = getFeed();
+    if (!f.stops.size) return [];
+    const origins = walkableStops(f, from);
+    const dests = walkableStops(f, to);
+    if (!origins.size || !dests.size) return [];
+
+    const local = localParts(at);
+    const nowSec = local.hour * 3600 + local.minute * 60 + at.getUTCSeconds();
+    const best = new Map();   // 'route|direction' -> 方案
+
+    for (const [stopId, origin] of origins) {
+        const earliest = nowSec + origin.walk.duration_s;
+        for (const { trip, i } of f.byStop.get(stopId) || []) {
+            if (!serviceRuns(f, trip.service_id, local.date, local.weekday)) continue;
+            const dep = nextDeparture(trip, i, earliest);
+            if (!dep) continue;
+            const departSec = dep.offset + trip.times[i].dep;
+            if (departSec - earliest > MAX_WAIT_SECONDS) continue;
+
+            for (let j = i + 1; j < trip.times.length; j++) {
+                const dest = dests.get(trip.times[j].stop_id);
+                if (!dest) continue;
+                const arriveSec = dep.offset + trip.times[j].arr;
+                const doneSec = arriveSec + dest.walk.duration_s;
+                const key = `${trip.route_id}|${trip.direction}`;
+                const prev = best.get(key);
+                if (prev && (prev.doneSec < doneSec || (prev.doneSec === doneSec && prev.walk_s <= origin.walk.duration_s + dest.walk.duration_s))) continue;
+                best.set(key, {
+                    doneSec, walk_s: origin.walk.duration_s + dest.walk.duration_s,
+                    trip, i, j, departSec, arriveSec, origin, dest
+                });
+            }
+        }
+    }
+
+    const at0 = at.getTime();
+    return Array.from(best.values())
+        .sort((a, b) => a.doneSec - b.doneSec)
+        .slice(0, limit)
+        .map(b => {
+            const route = f.routes.get(b.trip.route_id) || { id: b.trip.route_id, short_name: '', long_name: '', mode: 'other', color: null };
+            const arriveAt = zonedTime(local.date, b.doneSec);
+            return {
+                mode: route.mode,
+                route: { id: route.id, short_name: route.short_name, long_name: route.long_name, color: route.color },
+                headsign: b.trip.headsign,
+                board: stopView(b.origin),
+                alight: stopView(b.dest),
+                depart_at: zonedTime(local.date, b.departSec).toISOString(),
+                alight_at: zonedTime(local.date, b.arriveSec).toISOString(),
+                arrive_at: arriveAt.toISOString(),
+                wait_min: Math.round((b.departSec - nowSec - b.origin.walk.duration_s) / 60),
+                ride_min: Math.round((b.arriveSec - b.departSec) / 60),
+                stops: b.j - b.i,
+                ride_m: rideMeters(f, b.trip.times, b.i, b.j),
+                total_min: Math.round((arriveAt.getTime() - at0) / 60000)
+            };
+        });
+}
+
+module.exports = { directJourneys, stopsNear, loadFeed, modeOf };
@@ -0,0 +1,61 @@
+// /api/v2：复用 v1 的全部路由，只在进出时转换格式（见 openapi.js 末尾的说明）
+// 请求：/api/v2/... 改写为 /api/v1/...，请求体里的 available_spots 改回 available
+// 响应：成功的 JSON 包成 { data, meta? }，字段 available 改名为 available_spots；错误保持 { error, details }
+// CSV / GeoJSON / XML 导出和 SSE 的 event 格式不在信封里（SSE 数据同样改名）
+const { RENAMED } = require('./openapi');
+
+const REVERSED = Object.fromEntries(Object.entries(RENAMED).map(([from, to]) => [to, from]));
+
+function renameKeys(value, names) {
+    if (Array.isArray(value)) return value.map(v => renameKeys(v, names));
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [names[k] || k, renameKeys(v, names)]));
+}
+
+const toV2Fields = value => renameKeys(value, RENAMED);
+
+// 错误信息里提到的字段名一并改掉，如 "available cannot exceed capacity"
+const renameInText = text => Object.entries(RENAMED).reduce((s, [from, to]) => s.replace(new RegExp(`\\b${from}\\b`, 'g'), to), text);
+
+const pageNumber = v => (v === undefined || v === '' || Number.isNaN(Number(v)) ? null : Number(v));
+
+// total 取 X-Total-Count；路由没有给出（如最近 N 个的搜索）时，数组为 null，{ items } 列表为条数
+function envelope(req, res, body) {
+    const header = res.get('X-Total-Count');
+    const limit = pageNumber(req.query.limit);
+    const offset = pageNumber(req.query.offset) ?? 0;
+    if (Array.isArray(body)) {
+        return { data: body, meta: { total: header !== undefined ? Number(header) : null, limit, offset } };
+    }
+    if (body && typeof body === 'object' && Array.isArray(body.items)) {
+        const { items, ...rest } = body;
+        return { data: items, meta: { ...rest, total: header !== undefined ? Number(header) : items.length, limit, offset } };
+    }
+    return { data: body };
+}
+
+// 放在所有 /api 路由之前
+function rewrite(req, res, next) {
+    if (req.url !== '/api/v2' && !req.url.startsWith('/api/v2/')) return next();
+    req.url = `/api/v1${req.url.slice('/api/v2'.length)}`;
+    req.apiVersion = 2;
+
+    const json = res.json.bind(res);
+    res.json = body => {
+        if (res.statusCode >= 200 && res.statusCode < 300) return json(envelope(req, res, toV2Fields(body)));
+        if (body && Array.isArray(body.details)) body = { ...body, details: body.details.map(renameInText) };
+        if (body && Array.isArray(body.fields)) body = { ...body, fields: body.fields.map(f => ({ ...f, name: renameInText(f.name), message: renameInText(f.message) })) };
+        return json(body);
+    };
+    const location = res.location.bind(res);
+    res.location = url => location(String(url).replace(/^\/api\/v1\//, '/api/v2/'));
+    next();
+}
+
+// 放在请求校验之后：校验按 v2 文档看 available_spots，路由按 v1 处理 available
+function renameRequestBody(req, res, next) {
+    if (req.apiVersion === 2 && req.body && typeof req.body === 'object') req.body = renameKeys(req.body, REVERSED);
+    next();
+}
+
+module.exports = { rewrite, renameRequestBody, toV2Fields };
@@ -0,0 +1,172 @@
+// 按 OpenAPI 文档校验请求：查询参数、路径参数和 JSON 请求体，出错时统一返回
+// 400 { error: 'Invalid request', details: ['query.radius must be a number', ...], fields: [{ in, name, message }] }
+// 只实现文档里用到的 schema 关键字；未在文档中声明的查询参数不检查，交给路由自己处理
+// 契约测试也用这里的 check() 校验响应
+
+// ---------- schema 校验 ----------
+
+function resolve(doc, schema) {
+    while (schema && schema.$ref) {
+        schema = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], doc);
+    }
+    return schema;
+}
+
+const TYPES = {
+    string: v => typeof v === 'string',
+    number: v => typeof v === 'number' && Number.isFinite(v),
+    integer: v => Number.isInteger(v),
+    boolean: v => typeof v === 'boolean',
+    array: v => Array.isArray(v),
+    object: v => typeof v === 'object' && v !== null && !Array.isArray(v)
+};
+const A = { string: 'a string', number: 'a number', integer: 'an integer', boolean: 'true or false', array: 'a list', object: 'an object' };
+
+// 返回错误信息列表，每条以 at（如 body.lat、query.limit）开头
+function check(doc, schema, value, at = 'value', errors = []) {
+    schema = resolve(doc, schema);
+    if (!schema) return errors;
+    if (value === null) {
+        if (!schema.nullable && (schema.type || schema.allOf || schema.anyOf || schema.enum)) errors.push(`${at} must not be null`);
+        return errors;
+    }
+    if (schema.allOf) schema.allOf.forEach(s => check(doc, s, value, at, errors));
+    if (schema.anyOf) {
+        // 都不匹配时报告最接近的那个分支
+        const tries = schema.anyOf.map(s => check(doc, s, value, at, []));
+        if (!tries.some(t => !t.length)) errors.push(...tries.reduce((a, b) => (b.length < a.length ? b : a)));
+    }
+    if (schema.type && !TYPES[schema.type](value)) {
+        errors.push(`${at} must be ${A[schema.type]}`);
+        return errors;
+    }
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${at} must be one of ${schema.enum.join(', ')}`);
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined) {
+            if (schema.exclusiveMinimum && !(value > schema.minimum)) errors.push(`${at} must be greater than ${schema.minimum}`);
+            else if (value < schema.minimum) errors.push(`${at} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be at most ${schema.maximum}`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(schema.minLength === 1 ? `${at} must not be empty` : `${at} must be at least ${schema.minLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} is not in the expected format`);
+        if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) errors.push(`${at} must be an ISO timestamp`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} must have at most ${schema.maxItems} items`);
+        if (schema.items) value.forEach((v, i) => check(doc, schema.items, v, `${at}[${i}]`, errors));
+    }
+    if (TYPES.object(value) && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+        const props = schema.properties || {};
+        for (const k of schema.required || []) {
+            if (value[k] === undefined) errors.push(`${at}.${k} is required`);
+        }
+        for (const [k, v] of Object.entries(value)) {
+            if (v === undefined) continue;
+            if (props[k]) check(doc, props[k], v, `${at}.${k}`, errors);
+            else if (schema.additionalProperties === false) errors.push(`${at}.${k} is not allowed`);
+            else if (typeof schema.additionalProperties === 'object') check(doc, schema.additionalProperties, v, `${at}.${k}`, errors);
+        }
+    }
+    return errors;
+}
+
+// ---------- 路由匹配 ----------
+
+// "/parking/{id}/events" → 正则；字面路径优先于带参数的（/parking/cost 先于 /parking/{id}）
+function compileRoutes(doc) {
+    return Object.entries(doc.paths)
+        .map(([template, item]) => {
+            const names = [];
+            const source = template.replace(/[.]/g, '\\.').replace(/\{(\w+)\}/g, (m, name) => { names.push(name); return '([^/]+)'; });
+            return { template, item, names, re: new RegExp(`^${source}$`) };
+        })
+        .sort((a, b) => a.names.length - b.names.length);
+}
+
+// 路径参数按 URL 编码解码；%E0 这类非法编码记入 malformed，由调用方报 400
+function matchRoute(routes, path) {
+    for (const route of routes) {
+        const m = route.re.exec(path);
+        if (!m) continue;
+        const params = {};
+        const malformed = [];
+        route.names.forEach((name, i) => {
+            try {
+                params[name] = decodeURIComponent(m[i + 1]);
+            } catch (e) {
+                params[name] = m[i + 1];
+                malformed.push(name);
+            }
+        });
+        return { ...route, params, malformed };
+    }
+    return null;
+}
+
+// 查询参数都是字符串，按 schema 类型转换后再校验
+function coerce(doc, schema, raw) {
+    const type = (resolve(doc, schema) || {}).type;
+    if (type !== 'number' && type !== 'integer') return raw;
+    return raw.trim() === '' ? NaN : Number(raw);
+}
+
+function checkParameter(doc, param, raw, errors) {
+    const at = `${param.in}.${param.name}`;
+    if (raw === undefined) {
+        if (param.required) errors.push({ in: param.in, name: param.name, message: `${at} is required` });
+        return;
+    }
+    if (typeof raw !== 'string') {
+        errors.push({ in: param.in, name: param.name, message: `${at} must be given once` });
+        return;
+    }
+    const value = coerce(doc, param.schema, raw);
+    const messages = Number.isNaN(value)
+        ? [`${at} must be ${A[resolve(doc, param.schema).type]}`]
+        : check(doc, param.schema, value, at);
+    for (const message of messages) errors.push({ in: param.in, name: param.name, message });
+}
+
+// 请求体字段名取自错误信息里 body. 后的第一段
+const bodyField = message => (/^body\.([^\s.[]+)/.exec(message) || [null, ''])[1];
+
+// docs 为 { 版本号: 文档 }，按 req.apiVersion（默认 1）选择；prefix 之后的路径与文档 paths 对应
+function validateRequests(docs, prefix = '/api/v1') {
+    const compiled = Object.fromEntries(Object.entries(docs).map(([v, doc]) => [v, compileRoutes(doc)]));
+    return (req, res, next) => {
+        if (!req.path.startsWith(`${prefix}/`)) return next();
+        const doc = docs[req.apiVersion || 1];
+        const route = matchRoute(compiled[req.apiVersion || 1], req.path.slice(prefix.length));
+        const operation = route && route.item[req.method.toLowerCase()];
+        if (!operation) return next();
+
+        const errors = [];
+        for (const param of operation.parameters || []) {
+            if (param.in === 'path' && route.malformed.includes(param.name)) {
+                errors.push({ in: 'path', name: param.name, message: `path.${param.name} is not valid URL encoding` });
+                continue;
+            }
+            const raw = param.in === 'path' ? route.params[param.name] : param.in === 'query' ? req.query[param.name] : undefined;
+            if (param.in === 'path' || param.in === 'query') checkParameter(doc, param, raw, errors);
+        }
+
+        const content = operation.requestBody && operation.requestBody.content;
+        const jsonBody = content && content['application/json'];
+        // 其他格式（如导入接口的 CSV）交给路由解析
+        const otherType = req.get('content-type') && !req.is('application/json');
+        if (jsonBody && !otherType) {
+            for (const message of check(doc, jsonBody.schema, req.body === undefined ? {} : req.body, 'body')) {
+                errors.push({ in: 'body', name: bodyField(message), message });
+            }
+        }
+
+        if (!errors.length) return next();
+        res.status(400).json({ error: 'Invalid request', details: errors.map(e => e.message), fields: errors });
+    };
+}
+
+module.exports = { validateRequests, check, resolve, compileRoutes, matchRoute };
@@ -0,0 +1,191 @@
+// 空位提醒（watch）：停车场空位跌破阈值，或满场后重新有空位时，通过 Webhook 或 Web Push 通知
+// 每次停车场写入（传感器事件、预约、管理接口修改）后按对外可用数比较前后两次的值，只在“越过”时触发
+//
+// watch 示例：
+// {
+//   "parking_id": "PARK001", "type": "below", "threshold": 20,
+//   "window": { "days": [1, 2, 3, 4, 5], "start": "07:00", "end": "10:00" },
+//   "webhook_url": "https://example.com/hooks/parking"
+// }
+// type：below（空位从 ≥ threshold 降到 < threshold）或 reopens（从 0 变为有空位）
+// window 为本地时间（days 0=周日 … 6=周六），不填则全天；投递方式 webhook_url 和 push_subscription 二选一
+const crypto = require('crypto');
+const store = require('./store');
+const { toApi } = require('./present');
+const { localParts } = require('./time');
+const notify = require('./notify');
+
+const watchStore = store.collection('watches');
+const parkingStore = store.collection('parking');
+
+const TYPES = ['below', 'reopens'];
+const COOLDOWN_MINUTES = Number(process.env.WATCH_COOLDOWN_MINUTES) || 15;   // 空位在阈值附近来回波动时不重复提醒
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+const MAX_FAILURES = 5;   // 连续投递失败这么多次后停用
+
+const isClock = v => typeof v === 'string' && /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/.test(v);
+const toMinutes = hhmm => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+
+function validateWatch(body, now) {
+    const errors = [];
+    if (typeof body.parking_id !== 'string' || !parkingStore.get(body.parking_id)) errors.push('parking_id must be an existing car park');
+    if (!TYPES.includes(body.type)) errors.push(`type must be one of ${TYPES.join(', ')}`);
+    if (body.type === 'below' && !(Number.isInteger(body.threshold) && body.threshold > 0)) errors.push('threshold must be a positive integer');
+    if (body.window !== undefined && body.window !== null) {
+        const w = body.window;
+        if (!Array.isArray(w.days) || !w.days.length || w.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) errors.push('window.days must be a list of 0-6');
+        if (!isClock(w.start) || !isClock(w.end) || toMinutes(w.start) >= toMinutes(w.end)) errors.push('window.start/end must be HH:MM with start before end');
+    }
+    if (body.expires_at !== undefined) {
+        const t = new Date(body.expires_at);
+        if (Number.isNaN(t.getTime()) || t <= now) errors.push('expires_at must be a future ISO timestamp');
+        else if (t - now > MAX_DAYS * 86400000) errors.push(`expires_at must be within ${MAX_DAYS} days`);
+    }
+
+    const hasWebhook = body.webhook_url !== undefined;
+    const hasPush = body.push_subscription !== undefined;
+    if (hasWebhook === hasPush) errors.push('give exactly one of webhook_url or push_subscription');
+    if (hasWebhook) {
+        let url = null;
+        try { url = new URL(body.webhook_url); } catch (err) { /* 下面报错 */ }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) errors.push('webhook_url must be an http(s) URL');
+        else if (notify.publicUrlError(url.href, 'webhook_url')) errors.push(notify.publicUrlError(url.href, 'webhook_url'));
+    }
+    if (hasPush) {
+        const s = body.push_subscription;
+        if (!s || typeof s.endpoint !== 'string' || !/^https:\/\//.test(s.endpoint) || !s.keys || typeof s.keys.p256dh !== 'string' || typeof s.keys.auth !== 'string') {
+            errors.push('push_subscription must be a PushSubscription with endpoint and keys.p256dh / keys.auth');
+        } else {
+            let endpoint = null;
+            try { endpoint = new URL(s.endpoint); } catch (err) { /* 下面报错 */ }
+            const refused = endpoint ? notify.publicUrlError(endpoint.href, 'push_subscription.endpoint') : 'push_subscription.endpoint must be a URL';
+            if (refused) errors.push(refused);
+        }
+    }
+    return errors;
+}
+
+// 对外视图：不含签名密钥和推送订阅的密钥
+function watchToApi(w) {
+    const { secret, push_subscription, ...rest } = w;
+    return { ...rest, delivery: push_subscription ? 'push' : 'webhook' };
+}
+
+// userId 为登录用户，便于在 /api/v1/me/watches 列出；Web Push 可匿名，Webhook 要求登录，服务器不替匿名请求去调任意 URL
+function create(body, userId = null, now = new Date()) {
+    if (body.webhook_url !== undefined && !userId) {
+        return { status: 401, error: 'Unauthorized', details: ['sign in to deliver watches to a webhook; anonymous watches can use push_subscription'] };
+    }
+    const errors = validateWatch(body, now);
+    if (errors.length) return { status: 400, error: 'Invalid watch', details: errors };
+    const lot = toApi(parkingStore.get(body.parking_id), now);
+    const watch = watchStore.insert({
+        id: crypto.randomUUID(),
+        user_id: userId,
+        parking_id: body.parking_id,
+        type: body.type,
+        threshold: body.type === 'below' ? body.threshold : null,
+        window: body.window || null,
+        webhook_url: body.webhook_url || null,
+        push_subscription: body.push_subscription || null,
+        secret: crypto.randomBytes(24).toString('base64url'),
+        status: 'active',
+        last_available: lot.available,
+        last_fired_at: null,
+        last_delivery: null,
+        failures: 0,
+        expires_at: body.expires_at ? new Date(body.expires_at).toISOString() : new Date(now.getTime() + DEFAULT_DAYS * 86400000).toISOString(),
+        created_at: now.toISOString(),
+        updated_at: now.toISOString()
+    });
+    // 签名密钥只在创建时返回一次，用于校验 Webhook 的 X-Watch-Signature
+    return { watch: { ...watchToApi(watch), secret: watch.webhook_url ? watch.secret : undefined } };
+}
+
+function inWindow(window, when) {
+    if (!window) return true;
+    const t = localParts(when);
+    const minute = t.hour * 60 + t.minute;
+    return window.days.includes(t.weekday) && minute >= toMinutes(window.start) && minute < toMinutes(window.end);
+}
+
+function crossed(w, before, after) {
+    if (w.type === 'below') return before >= w.threshold && after < w.threshold;
+    return before === 0 && after > 0;
+}
+
+function message(w, lot) {
+    const title = w.type === 'below' ? `${lot.name} is filling up` : `${lot.name} has spaces again`;
+    const body = w.type === 'below'
+        ? `Only ${lot.available} of ${lot.capacity} spaces left (below ${w.threshold}).`
+        : `${lot.available} of ${lot.capacity} spaces free after being full.`;
+    return { title, body };
+}
+
+async function deliver(w, lot, now) {
+    const payload = {
+        watch_id: w.id,
+        type: w.type,
+        threshold: w.threshold,
+        parking: { id: lot.id, name: lot.name, lat: lot.lat, lng: lot.lng, capacity: lot.capacity, available: lot.available },
+        at: now.toISOString(),
+        ...message(w, lot)
+    };
+    const result = w.webhook_url
+        ? await notify.sendWebhook(w.webhook_url, w.secret, payload)
+        : await notify.sendPush(w.push_subscription, { ...payload, tag: `watch-${w.id}`, url: `/?lot=${encodeURIComponent(lot.id)}` });
+
+    const current = watchStore.get(w.id);
+    if (!current) return;   // 投递期间已被删除
+    const failures = result.ok ? 0 : current.failures + 1;
+    const patch = {
+        last_delivery: { at: now.toISOString(), ok: result.ok, status: result.status ?? null, error: result.ok ? null : (result.error || null) },
+        failures,
+        updated_at: new Date().toISOString()
+    };
+    if (result.gone || failures >= MAX_FAILURES) patch.status = 'failed';
+    watchStore.update(w.id, patch);
+    if (!result.ok) console.warn(`watch ${w.id} delivery failed:`, result.status || result.error);
+}
+
+// 某停车场写入后调用：更新各 watch 记住的空位数，越过阈值且在时间窗口内时投递
+function evaluate(lotDoc, now = new Date()) {
+    const lot = toApi(lotDoc, now);
+    const t = now.toISOString();
+    for (const w of watchStore.list()) {
+        if (w.parking_id !== lot.id || w.status !== 'active') continue;
+        if (w.last_available === lot.available) continue;
+        const fire = w.expires_at > t && crossed(w, w.last_available, lot.available) && inWindow(w.window, now)
+            && !(w.last_fired_at && now - new Date(w.last_fired_at) < COOLDOWN_MINUTES * 60000);
+        watchStore.update(w.id, { last_available: lot.available, ...(fire ? { last_fired_at: t } : {}) });
+        if (fire) deliver(w, lot, now).catch(err => console.error('watch delivery failed:', err));
+    }
+}
+
+// 停车场被下线时，相关 watch 一并停用
+function retire(parkingId) {
+    for (const w of watchStore.list()) {
+        if (w.parking_id === parkingId && w.status === 'active') watchStore.update(w.id, { status: 'retired', updated_at: new Date().toISOString() });
+    }
+}
+
+store.changes.on('change', ({ collection, op, doc }) => {
+    if (collection !== 'parking') return;
+    if (op === 'remove') retire(doc.id);
+    else evaluate(doc);
+});
+
+// 过期的 watch 标记为 expired（随预约清理一起每分钟运行）
+function sweep(now = new Date()) {
+    const t = now.toISOString();
+    for (const w of watchStore.list()) {
+        if (w.status === 'active' && w.expires_at <= t) watchStore.update(w.id, { status: 'expired', updated_at: t });
+    }
+}
+
+const get = id => watchStore.get(id);
+const remove = id => watchStore.remove(id);
+const listForUser = userId => watchStore.list().filter(w => w.user_id === userId);
+
+module.exports = { create, get, remove, listForUser, evaluate, sweep, watchToApi, TYPES };
@@ -0,0 +1,479 @@
+// ES module admin.js — operator dashboard: car-park edits, availability overrides, closures, ingestion log, audit trail and (admins) roles and API keys
+
+async function loadConfig() {
+  const defaults = { useMock: true, apiBase: 'http://localhost:4000/api/v2' };
+  try {
+    const res = await fetch('../config.json', { cache: 'no-store' });
+    if (res.ok) Object.assign(defaults, await res.json());
+  } catch (err) { console.warn('Could not load config.json, using defaults', err); }
+  const qs = new URLSearchParams(location.search);
+  if (qs.has('api')) defaults.apiBase = qs.get('api');
+  return defaults;
+}
+const CONFIG = await loadConfig();
+const API_BASE = CONFIG.apiBase;
+
+// The admin token lives for the browser tab only; signed-in operators reuse the public site's login
+const ADMIN_TOKEN_KEY = 'mcp.adminToken';
+const TOKEN_KEY = 'mcp.token';
+const INGEST_REFRESH_MS = 10000;
+const AUDIT_PAGE = 50;
+
+const ACTION_LABELS = {
+  'parking.create': 'Added car park',
+  'parking.update': 'Edited details',
+  'parking.delete': 'Removed car park',
+  'parking.override': 'Overrode availability',
+  'parking.override_cleared': 'Cleared override',
+  'parking.close': 'Closed',
+  'parking.reopen': 'Reopened',
+  'parking.import': 'Imported car parks',
+  'bays.import': 'Imported bays',
+  'user.role': 'Changed role',
+  'api_key.create': 'Issued API key',
+  'api_key.revoke': 'Revoked API key'
+};
+
+const signInSection = document.getElementById('signIn');
+const signInForm = document.getElementById('signInForm');
+const signInMessage = document.getElementById('signInMessage');
+const dashboard = document.getElementById('dashboard');
+const accountEl = document.getElementById('account');
+
+let actor = null;
+let lots = [];
+
+function token() {
+  return sessionStorage.getItem(ADMIN_TOKEN_KEY) || localStorage.getItem(TOKEN_KEY);
+}
+
+// Errors surface the backend's message and details; 401/403 send the operator back to sign-in.
+// Successful /api/v2 bodies are { data, meta }
+async function request(method, path, body) {
+  const headers = {};
+  const t = token();
+  if (t) headers.Authorization = `Bearer ${t}`;
+  if (body) headers['Content-Type'] = 'application/json';
+  const r = await fetch(`${API_BASE}${path}`, { method, headers, body: body ? JSON.stringify(body) : undefined, cache: 'no-store' });
+  if (r.status === 204) return { data: null, meta: null };
+  const json = await r.json();
+  if (!r.ok) {
+    const err = new Error([json.error || `Request failed (${r.status})`, ...(json.details || [])].join('. '));
+    err.status = r.status;
+    throw err;
+  }
+  return { data: json.data, meta: json.meta || null };
+}
+const get = async (path) => (await request('GET', path)).data;
+
+function el(tag, props = {}, ...children) {
+  const node = Object.assign(document.createElement(tag), props);
+  node.append(...children.filter(c => c !== null && c !== undefined));
+  return node;
+}
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString('en-AU', { dateStyle: 'short', timeStyle: 'short' }) : '');
+// datetime-local inputs work in local time without a zone; the API wants ISO timestamps
+const toIso = (value) => (value ? new Date(value).toISOString() : undefined);
+
+// ---- Sign in ----
+function showSignIn(message) {
+  actor = null;
+  stopIngestRefresh();
+  dashboard.hidden = true;
+  signInSection.hidden = false;
+  accountEl.replaceChildren();
+  if (message) signInMessage.textContent = message;
+}
+
+async function start() {
+  if (CONFIG.useMock) {
+    return showSignIn('The dashboard needs the backend: set useMock to false in config.json or pass ?api=.');
+  }
+  if (!token()) return showSignIn();
+  try {
+    actor = await get('/admin/whoami');
+  } catch (err) {
+    sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+    return showSignIn(err.status === 403 ? 'This account does not have operator access.' : err.message);
+  }
+  signInSection.hidden = true;
+  dashboard.hidden = false;
+  accountEl.replaceChildren(
+    el('span', { className: 'muted small', textContent: `${actor.label} · ${actor.role}` }),
+    el('button', { type: 'button', className: 'btn', textContent: 'Sign out', onclick: signOut })
+  );
+  const isAdmin = actor.role === 'admin';
+  document.getElementById('users').hidden = !isAdmin;
+  document.getElementById('apiKeys').hidden = !isAdmin;
+  await Promise.all([loadParks(), loadIngest(), loadAudit(true), isAdmin ? loadUsers() : null, isAdmin ? loadApiKeys() : null]);
+  startIngestRefresh();
+}
+
+signInForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const f = signInForm.elements;
+  const pasted = f.token.value.trim();
+  try {
+    if (pasted) {
+      sessionStorage.setItem(ADMIN_TOKEN_KEY, pasted);
+    } else {
+      const { data } = await request('POST', '/auth/login', { email: f.email.value.trim(), password: f.password.value });
+      localStorage.setItem(TOKEN_KEY, data.token);
+    }
+    signInForm.reset();
+    await start();
+  } catch (err) {
+    signInMessage.textContent = err.message;
+  }
+});
+
+function signOut() {
+  sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+  localStorage.removeItem(TOKEN_KEY);
+  showSignIn('Signed out.');
+}
+
+// Any 401/403 mid-session (token expired, role removed) drops back to sign-in
+function handleError(err, messageEl) {
+  if (err.status === 401 || err.status === 403) return showSignIn(err.message);
+  if (messageEl) messageEl.textContent = err.message;
+  else alert(err.message);
+}
+
+// ---- Car parks ----
+const parkRows = document.getElementById('parkRows');
+
+function statusCell(lot) {
+  const cell = el('td');
+  if (!lot.open_now && lot.closed_reason) {
+    cell.append(el('span', { className: 'badge red', textContent: 'Closed' }), lot.closed_reason);
+    if (lot.closed_until) cell.append(el('div', { className: 'muted small', textContent: `until ${formatTime(lot.closed_until)}` }));
+  } else {
+    cell.append(el('span', { className: 'badge', textContent: lot.open_now ? 'Open' : 'Outside hours' }));
+  }
+  if (lot.availability_source === 'operator') {
+    cell.append(el('div', { className: 'muted small', textContent: `Override: ${lot.override.reason}${lot.override.until ? ` (until ${formatTime(lot.override.until)})` : ''}` }));
+  }
+  return cell;
+}
+
+function parkRow(lot) {
+  const free = lot.availability_source === 'operator'
+    ? `${lot.available_spots} / ${lot.sensor_available}`
+    : String(lot.available_spots);
+  return el('tr', {},
+    el('td', {}, el('strong', { textContent: lot.name }), el('div', { className: 'muted small', textContent: lot.id })),
+    el('td', { textContent: free }),
+    el('td', { textContent: String(lot.capacity) }),
+    statusCell(lot),
+    el('td', { className: 'row-actions' },
+      el('button', { type: 'button', className: 'btn', textContent: 'Edit', onclick: () => openEdit(lot) }),
+      el('button', { type: 'button', className: 'btn', textContent: 'Override', onclick: () => openIncident('override', lot) }),
+      el('button', { type: 'button', className: 'btn', textContent: lot.closure ? 'Closure' : 'Close', onclick: () => openIncident('closure', lot) }),
+      el('button', { type: 'button', className: 'btn', textContent: 'History', onclick: () => showHistory(lot.id) })
+    )
+  );
+}
+
+async function loadParks() {
+  try {
+    lots = await get('/admin/parking');
+    parkRows.replaceChildren(...lots.map(parkRow));
+  } catch (err) {
+    handleError(err);
+  }
+}
+document.getElementById('refreshParks').addEventListener('click', loadParks);
+
+// ---- Edit details and capacity ----
+const editDialog = document.getElementById('editDialog');
+const editForm = document.getElementById('editForm');
+const editSubmit = document.getElementById('editSubmit');
+const editMessage = document.getElementById('editMessage');
+const NUMBER_FIELDS = ['capacity', 'max_height_m', 'ev_chargers', 'accessible_bays', 'motorcycle_bays'];
+let editing = null;
+
+const fieldText = (v) => (v === null || v === undefined ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v));
+
+function openEdit(lot) {
+  editing = lot;
+  document.getElementById('editTitle').textContent = `Edit ${lot.name}`;
+  const f = editForm.elements;
+  f.name.value = lot.name;
+  f.open_hours.value = fieldText(lot.open_hours);
+  f.tariff.value = lot.tariff ? JSON.stringify(lot.tariff, null, 2) : '';
+  for (const k of NUMBER_FIELDS) f[k].value = fieldText(lot[k]);
+  editMessage.textContent = '';
+  editDialog.showModal();
+}
+
+// Only changed fields go in the PATCH, so the audit trail shows exactly what the operator touched
+function editPatch() {
+  const f = editForm.elements;
+  const patch = {};
+  const set = (k, v) => { if (JSON.stringify(v) !== JSON.stringify(editing[k] ?? null)) patch[k] = v; };
+  set('name', f.name.value.trim());
+  for (const k of NUMBER_FIELDS) {
+    const raw = f[k].value.trim();
+    if (raw === '' && k !== 'max_height_m') continue;
+    set(k, raw === '' ? null : Number(raw));
+  }
+  const hoursText = f.open_hours.value.trim();
+  if (hoursText) set('open_hours', hoursText === '24/7' ? '24/7' : JSON.parse(hoursText));
+  const tariffText = f.tariff.value.trim();
+  if (tariffText) set('tariff', JSON.parse(tariffText));
+  return patch;
+}
+
+editForm.addEventListener('submit', async (e) => {
+  if (e.submitter !== editSubmit) return;
+  e.preventDefault();
+  let patch;
+  try {
+    patch = editPatch();
+  } catch (err) {
+    editMessage.textContent = `Opening hours and tariff must be valid JSON (${err.message}).`;
+    return;
+  }
+  if (!Object.keys(patch).length) return editDialog.close();
+  editSubmit.disabled = true;
+  try {
+    await request('PATCH', `/parking/${encodeURIComponent(editing.id)}`, patch);
+    editDialog.close();
+    await Promise.all([loadParks(), loadAudit(true)]);
+  } catch (err) {
+    handleError(err, editMessage);
+  } finally {
+    editSubmit.disabled = false;
+  }
+});
+
+// ---- Availability override / closure ----
+const incidentDialog = document.getElementById('incidentDialog');
+const incidentForm = document.getElementById('incidentForm');
+const incidentSubmit = document.getElementById('incidentSubmit');
+const incidentClear = document.getElementById('incidentClear');
+const incidentMessage = document.getElementById('incidentMessage');
+let incident = null;
+
+const INCIDENT = {
+  override: { title: 'Override availability for', apply: 'Apply override', clear: 'Clear override' },
+  closure: { title: 'Close', apply: 'Close car park', clear: 'Reopen' }
+};
+
+function openIncident(kind, lot) {
+  incident = { kind, lot };
+  const current = lot[kind];
+  const text = INCIDENT[kind];
+  document.getElementById('incidentTitle').textContent = `${text.title} ${lot.name}`;
+  const f = incidentForm.elements;
+  document.getElementById('incidentAvailable').hidden = kind !== 'override';
+  f.available.max = lot.capacity;
+  f.available.required = kind === 'override';
+  f.available.value = current && kind === 'override' ? current.available_spots : lot.available_spots;
+  f.reason.value = current ? current.reason : '';
+  f.until.value = '';
+  incidentSubmit.textContent = text.apply;
+  incidentClear.textContent = text.clear;
+  incidentClear.hidden = !current;
+  incidentMessage.textContent = current ? `Set by ${current.by} at ${formatTime(current.at)}.` : '';
+  incidentDialog.showModal();
+}
+
+async function afterIncident(call) {
+  try {
+    await call();
+    incidentDialog.close();
+    await Promise.all([loadParks(), loadAudit(true)]);
+  } catch (err) {
+    handleError(err, incidentMessage);
+  }
+}
+
+incidentForm.addEventListener('submit', async (e) => {
+  if (e.submitter !== incidentSubmit) return;
+  e.preventDefault();
+  const f = incidentForm.elements;
+  const body = { reason: f.reason.value.trim(), until: toIso(f.until.value) };
+  if (incident.kind === 'override') body.available_spots = Number(f.available.value);
+  incidentSubmit.disabled = true;
+  await afterIncident(() => request('PUT', `/admin/parking/${encodeURIComponent(incident.lot.id)}/${incident.kind}`, body));
+  incidentSubmit.disabled = false;
+});
+
+incidentClear.addEventListener('click', () =>
+  afterIncident(() => request('DELETE', `/admin/parking/${encodeURIComponent(incident.lot.id)}/${incident.kind}`)));
+
+// ---- Ingestion log ----
+const ingestRows = document.getElementById('ingestRows');
+const ingestSource = document.getElementById('ingestSource');
+let ingestTimer = null;
+
+async function loadIngest() {
+  const qs = new URLSearchParams({ limit: '100' });
+  if (ingestSource.value) qs.set('source', ingestSource.value);
+  try {
+    const items = await get(`/admin/ingest-log?${qs}`);
+    ingestRows.replaceChildren(...(items.length ? items.map(e => el('tr', { className: e.status >= 400 ? 'rejected' : '' },
+      el('td', { textContent: formatTime(e.at) }),
+      el('td', { textContent: e.source }),
+      el('td', { textContent: e.target || '' }),
+      el('td', { textContent: e.by || '' }),
+      el('td', { textContent: String(e.count) }),
+      el('td', { textContent: e.error ? `${e.status} — ${e.error}` : String(e.status) })
+    )) : [el('tr', {}, el('td', { colSpan: 6, className: 'muted', textContent: 'Nothing received yet.' }))]));
+  } catch (err) {
+    handleError(err);
+  }
+}
+
+function startIngestRefresh() {
+  stopIngestRefresh();
+  ingestTimer = setInterval(() => { if (!document.hidden) loadIngest(); }, INGEST_REFRESH_MS);
+}
+function stopIngestRefresh() {
+  clearInterval(ingestTimer);
+  ingestTimer = null;
+}
+ingestSource.addEventListener('change', loadIngest);
+
+// ---- Audit trail ----
+const auditRows = document.getElementById('auditRows');
+const auditTarget = document.getElementById('auditTarget');
+const auditMore = document.getElementById('auditMore');
+let auditLoaded = 0;
+
+function describeChanges(entry) {
+  const parts = Object.entries(entry.changes).map(([k, { from, to }]) => `${k}: ${fieldText(from) || '—'} → ${fieldText(to) || '—'}`);
+  if (entry.summary) parts.unshift(entry.summary);
+  if (entry.reason) parts.unshift(`Reason: ${entry.reason}`);
+  return parts.join('\n');
+}
+
+async function loadAudit(reset = false) {
+  if (reset) auditLoaded = 0;
+  const qs = new URLSearchParams({ limit: String(AUDIT_PAGE), offset: String(auditLoaded) });
+  if (auditTarget.value.trim()) qs.set('target', auditTarget.value.trim());
+  try {
+    const { data, meta } = await request('GET', `/admin/audit?${qs}`);
+    const rows = data.map(e => el('tr', {},
+      el('td', { textContent: formatTime(e.at) }),
+      el('td', { textContent: `${e.actor.label} (${e.actor.role})` }),
+      el('td', { textContent: ACTION_LABELS[e.action] || e.action }),
+      el('td', { textContent: e.target.id }),
+      el('td', { className: 'changes', textContent: describeChanges(e) })
+    ));
+    if (reset) auditRows.replaceChildren(...rows);
+    else auditRows.append(...rows);
+    auditLoaded += data.length;
+    auditMore.hidden = auditLoaded >= meta.total;
+  } catch (err) {
+    handleError(err);
+  }
+}
+
+function showHistory(id) {
+  auditTarget.value = id;
+  loadAudit(true);
+  document.getElementById('auditTrail').scrollIntoView({ behavior: 'smooth' });
+}
+
+let auditFilterTimer = null;
+auditTarget.addEventListener('input', () => {
+  clearTimeout(auditFilterTimer);
+  auditFilterTimer = setTimeout(() => loadAudit(true), 300);
+});
+auditMore.addEventListener('click', () => loadAudit());
+
+// ---- Users and roles (admin only) ----
+const userRows = document.getElementById('userRows');
+const ROLES = ['user', 'operator', 'admin'];
+
+function roleSelect(user) {
+  const select = el('select', { className: 'input', disabled: user.id === actor.id },
+    ...ROLES.map(r => el('option', { value: r, textContent: r, selected: r === user.role })));
+  select.addEventListener('change', async () => {
+    try {
+      await request('PUT', `/admin/users/${encodeURIComponent(user.id)}/role`, { role: select.value });
+      user.role = select.value;
+      loadAudit(true);
+    } catch (err) {
+      select.value = user.role;
+      handleError(err);
+    }
+  });
+  return select;
+}
+
+async function loadUsers() {
+  try {
+    const items = await get('/admin/users');
+    userRows.replaceChildren(...items.map(u => el('tr', {},
+      el('td', { textContent: u.email }),
+      el('td', { textContent: u.name || '' }),
+      el('td', {}, roleSelect(u))
+    )));
+  } catch (err) {
+    handleError(err);
+  }
+}
+
+// ---- API keys (admin only) ----
+const apiKeyForm = document.getElementById('apiKeyForm');
+const apiKeyMessage = document.getElementById('apiKeyMessage');
+const apiKeyRows = document.getElementById('apiKeyRows');
+
+function apiKeyRow(k) {
+  const revoke = k.status === 'active'
+    ? el('button', { type: 'button', className: 'btn', textContent: 'Revoke', onclick: () => revokeApiKey(k) })
+    : null;
+  return el('tr', {},
+    el('td', {}, el('strong', { textContent: k.name }), k.contact ? el('div', { className: 'muted small', textContent: k.contact }) : null),
+    el('td', {}, el('code', { textContent: `${k.prefix}…` })),
+    el('td', { textContent: `${k.rate_per_minute}/min, ${k.daily_quota}/day` }),
+    el('td', { textContent: String(k.usage.today) }),
+    el('td', {}, el('span', { className: k.status === 'active' ? 'badge' : 'badge red', textContent: k.status }),
+      k.revoked_at ? el('div', { className: 'muted small', textContent: formatTime(k.revoked_at) }) : null),
+    el('td', { className: 'row-actions' }, revoke)
+  );
+}
+
+async function loadApiKeys() {
+  try {
+    apiKeyRows.replaceChildren(...(await get('/admin/api-keys')).map(apiKeyRow));
+  } catch (err) {
+    handleError(err);
+  }
+}
+
+async function revokeApiKey(k) {
+  if (!confirm(`Revoke the key for ${k.name}? Requests using it will get 401 straight away.`)) return;
+  try {
+    await request('DELETE', `/admin/api-keys/${encodeURIComponent(k.id)}`);
+    await Promise.all([loadApiKeys(), loadAudit(true)]);
+  } catch (err) {
+    handleError(err);
+  }
+}
+
+// The key itself is only returned once, so it stays on screen until the next one is issued
+apiKeyForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const f = apiKeyForm.elements;
+  const body = { name: f.name.value.trim() };
+  if (f.contact.value.trim()) body.contact = f.contact.value.trim();
+  for (const name of ['rate_per_minute', 'daily_quota']) {
+    if (f[name].value) body[name] = Number(f[name].value);
+  }
+  try {
+    const { data } = await request('POST', '/admin/api-keys', body);
+    apiKeyForm.reset();
+    apiKeyMessage.replaceChildren(`Key for ${data.name} (copy it now, it will not be shown again): `, el('code', { textContent: data.key }));
+    await Promise.all([loadApiKeys(), loadAudit(true)]);
+  } catch (err) {
+    handleError(err, apiKeyMessage);
+  }
+});
+
+start();
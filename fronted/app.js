@@ -1,7 +1,18 @@
 // ES module app.js — config-driven mock/real toggle + clustering + charts
+import { mock, matchesFilters } from './mock.js';
+import {
+  t, locale, LOCALES, setLocale, translatePage,
+  formatNumber, formatCurrency, formatTime, formatDate, formatWeekday, formatDistance, formatStay, timeAgo
+} from './i18n.js';
+
+translatePage();
+
+// Names, GTFS strings and operator edits come from the API: anything interpolated into markup goes through this
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = v => String(v ?? '').replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
 
 async function loadConfig() {
-  const defaults = { useMock: true, apiBase: 'http://localhost:4000/api/v1' };
+  const defaults = { useMock: true, apiBase: 'http://localhost:4000/api/v2' };
   try {
     const res = await fetch('config.json', { cache: 'no-store' });
     if (res.ok) Object.assign(defaults, await res.json());
@@ -16,36 +27,107 @@ const USE_MOCK = CONFIG.useMock;
 const API_BASE = CONFIG.apiBase;
 console.log('Config loaded:', CONFIG);
 
-const MAP_DEFAULT = { lat: -37.8136, lng: 144.9631, zoom: 14 };
-const CAR_CO2_KG_PER_KM = 0.2;
+const NO_SHOW_GRACE_MINUTES = 15;
+
+// ---- Regions: each city has its own map centre/zoom, and every search is scoped with ?region= ----
+// Choice order: ?region= in the URL, the last region picked here, then the backend's default.
+// The list is kept in localStorage so the offline app still knows the cities.
+const REGION_KEY = 'mcp.region';
+const REGIONS_KEY = 'mcp.regions';
+const FALLBACK_REGIONS = [{ id: 'melbourne', name: 'Melbourne', center: { lat: -37.8136, lng: 144.9631 }, zoom: 14, default: true }];
+
+async function loadRegions() {
+  try {
+    const list = USE_MOCK ? await unwrap(mock.regions()) : await getJson('/regions', 'Regions');
+    if (list.length) {
+      localStorage.setItem(REGIONS_KEY, JSON.stringify(list));
+      return list;
+    }
+  } catch (err) { console.warn('Could not load regions, using the saved list', err); }
+  return JSON.parse(localStorage.getItem(REGIONS_KEY) || 'null') || FALLBACK_REGIONS;
+}
+const REGIONS = await loadRegions();
+const findRegion = id => REGIONS.find(r => r.id === id);
+let region = findRegion(new URLSearchParams(location.search).get('region'))
+  || findRegion(localStorage.getItem(REGION_KEY))
+  || REGIONS.find(r => r.default) || REGIONS[0];
+const regionCenter = () => ({ lat: region.center.lat, lng: region.center.lng });
+
+// Title, header, headings and footer carry the region name (data-i18n-region="<message key>")
+function showRegionName() {
+  document.title = t('app.title', { region: region.name });
+  for (const el of document.querySelectorAll('[data-i18n-region]')) el.textContent = t(el.dataset.i18nRegion, { region: region.name });
+}
+showRegionName();
+
+const regionSelectEl = document.getElementById('regionSelect');
+regionSelectEl.innerHTML = REGIONS.map(r => `<option value="${escapeHtml(r.id)}">${escapeHtml(r.name)}</option>`).join('');
+regionSelectEl.value = region.id;
+regionSelectEl.parentElement.hidden = REGIONS.length < 2;
+// ---- /Regions ----
+
+// Language picker: the page is rebuilt in the new language on reload
+const langSelectEl = document.getElementById('langSelect');
+langSelectEl.innerHTML = Object.entries(LOCALES).map(([id, l]) => `<option value="${id}" lang="${id}">${l.name}</option>`).join('');
+langSelectEl.value = locale;
+langSelectEl.addEventListener('change', () => setLocale(langSelectEl.value));
 
-const map = L.map('leaflet').setView([MAP_DEFAULT.lat, MAP_DEFAULT.lng], MAP_DEFAULT.zoom);
+// One polite live region for everything screen readers should hear without moving focus
+const announcerEl = document.getElementById('announcer');
+let announceTimer;
+function announce(text) {
+  clearTimeout(announceTimer);
+  // Clear first so repeating the same sentence is still read out
+  announcerEl.textContent = '';
+  announceTimer = setTimeout(() => { announcerEl.textContent = text; }, 100);
+}
+
+const map = L.map('leaflet').setView([region.center.lat, region.center.lng], region.zoom);
 // --- Clickable Car-Park Marker Styles & Legend ---
+// Colour is never the only cue: every state has its own glyph badge, full is square and closed is striped.
+// Fills are dark enough for the white "P" to keep a 4.5:1 contrast.
+const STATUS_GLYPHS = { available: '✓', low: '!', full: '✕', closed: '–' };
 (function injectCarparkStylesAndLegend() {
   const css = `
-  .carpark-icon{width:28px;height:28px;border-radius:50%;display:flex;align-items:center;justify-content:center;
+  .carpark-icon{position:relative;width:28px;height:28px;border-radius:50%;display:flex;align-items:center;justify-content:center;
     color:#fff;font-weight:700;box-shadow:0 0 0 2px #fff inset,0 2px 6px rgba(0,0,0,.35); user-select:none;}
-  .carpark-icon.available{background:#2ecc71;}   /* green */
-  .carpark-icon.low{background:#f39c12;}         /* amber */
-  .carpark-icon.full{background:#e74c3c;}        /* red */
-  .carpark-legend{background:#fff;padding:6px 8px;border-radius:4px;box-shadow:0 1px 4px rgba(0,0,0,.2);font:12px/1.2 Arial;}
+  .carpark-icon.available{background:#1e8449;}   /* green */
+  .carpark-icon.low{background:#9a6408;}         /* amber */
+  .carpark-icon.full{background:#c0392b;border-radius:5px;} /* red, square */
+  .carpark-icon.closed{background:repeating-linear-gradient(45deg,#4d5b69 0 4px,#5d6d7e 4px 8px);} /* grey, striped */
+  .carpark-icon.stale{opacity:.6;box-shadow:0 0 0 2px #fff inset,0 0 0 2px #f39c12,0 2px 6px rgba(0,0,0,.35);} /* saved offline copy */
+  .carpark-icon .flag{position:absolute;top:-5px;right:-6px;width:15px;height:15px;border-radius:50%;background:#fff;color:#111;
+    font:700 10px/15px Arial,sans-serif;text-align:center;box-shadow:0 0 0 1px rgba(0,0,0,.45);}
+  .carpark-icon.mini{width:18px;height:18px;font-size:10px;margin-right:10px;flex:none;}
+  .carpark-icon.mini .flag{width:11px;height:11px;font-size:8px;line-height:11px;top:-4px;right:-5px;}
+  .leaflet-marker-icon:focus-visible{outline:3px solid #5ea0ff;outline-offset:2px;border-radius:50%;}
+  .carpark-legend{background:#fff;color:#111;padding:6px 8px;border-radius:4px;box-shadow:0 1px 4px rgba(0,0,0,.2);font:12px/1.2 Arial;}
   .carpark-legend .row{display:flex;align-items:center;margin:4px 0;}
-  .carpark-legend .swatch{width:14px;height:14px;border-radius:50%;margin-right:6px;}
-  .swatch.available{background:#2ecc71}.swatch.low{background:#f39c12}.swatch.full{background:#e74c3c}
+  .swatch.bay{width:10px;height:10px;border-radius:50%;margin:0 8px 0 2px;box-shadow:0 0 0 2px #fff,0 0 0 3px #999}
+  .swatch.bay-vacant{background:#2ecc71}.swatch.bay-occupied{background:#fff;box-shadow:inset 0 0 0 3px #e74c3c,0 0 0 1px #999}
+  .swatch.bay-unknown{background:#95a5a6;width:8px;height:8px;margin-left:3px}
+  .swatch.bay-noparking{background:#34495e;outline:2px dashed #34495e;outline-offset:1px}
   `;
   const style = document.createElement('style'); style.textContent = css; document.head.appendChild(style);
 
-  // Mini legend (bottom-left)
+  const row = (swatch, label) => `<div class="row">${swatch}<span>${label}</span></div>`;
+  // Mini legend (bottom-left), drawn with the same icons as the map
   const Legend = L.Control.extend({
     options: { position: 'bottomleft' },
     onAdd: function () {
       const div = L.DomUtil.create('div', 'carpark-legend');
       div.innerHTML = `
-        <div><strong>Car Parks</strong></div>
-        <div class="row"><span class="swatch available"></span><span>Available</span></div>
-        <div class="row"><span class="swatch low"></span><span>Limited (&le;20% free)</span></div>
-        <div class="row"><span class="swatch full"></span><span>Full</span></div>
-        <div class="row" style="margin-top:4px;"><small>Click a marker to view spots</small></div>
+        <div><strong>${t('legend.carParks')}</strong></div>
+        ${row(iconHtml('available', 'mini'), t('status.available'))}
+        ${row(iconHtml('low', 'mini'), t('legend.low'))}
+        ${row(iconHtml('full', 'mini'), t('status.full'))}
+        ${row(iconHtml('closed', 'mini'), t('status.closed'))}
+        <div style="margin-top:6px;"><strong>${t('legend.bays')}</strong> <small>${t('legend.zoomIn')}</small></div>
+        ${row('<span class="swatch bay bay-vacant"></span>', t('bay.vacant'))}
+        ${row('<span class="swatch bay bay-occupied"></span>', t('bay.occupied'))}
+        ${row('<span class="swatch bay bay-unknown"></span>', t('bay.unknown'))}
+        ${row('<span class="swatch bay bay-noparking"></span>', t('legend.noParking'))}
+        <div class="row" style="margin-top:4px;"><small>${t('legend.hint')}</small></div>
       `;
       return div;
     }
@@ -55,106 +137,251 @@ const map = L.map('leaflet').setView([MAP_DEFAULT.lat, MAP_DEFAULT.lng], MAP_DEF
 
 // Utility: choose icon class by free-space ratio
 function iconClassFor(p){
+  if (p.open_now === false) return 'closed';
   const free = Number(p.available_spots ?? 0);
   const cap  = Math.max(1, Number(p.capacity ?? 0));
   if (free <= 0) return 'full';
   if (free / cap <= 0.2) return 'low';
   return 'available';
 }
-// Build a Leaflet DivIcon that is clearly clickable
+function iconHtml(cls, extra = '') {
+  return `<span class="carpark-icon ${cls} ${extra}" aria-hidden="true">P<span class="flag">${STATUS_GLYPHS[cls]}</span></span>`;
+}
+// Spoken and hover text for a marker: name, state in words and free spaces
+function markerLabel(p) {
+  return t('marker.label', { name: p.name, status: t(`status.${iconClassFor(p)}`), free: formatNumber(p.available_spots), capacity: formatNumber(p.capacity) });
+}
+// Build a Leaflet DivIcon that is clearly clickable; Leaflet makes it a focusable button, the inner img gives its name
 function markerIcon(p){
   return L.divIcon({
     className: '',
-    html: `<div class="carpark-icon ${iconClassFor(p)}" title="${p.name} (${p.available_spots}/${p.capacity})">P</div>`,
+    html: `<div role="img" aria-label="${escapeHtml(markerLabel(p))}">${iconHtml(iconClassFor(p), p.cached ? 'stale' : '')}</div>`,
     iconSize: [28,28],
     iconAnchor: [14,28],
     popupAnchor: [0,-24]
   });
 }
 // --- End styles & legend ---
-L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', { maxZoom: 19 }).addTo(map);
+// CORS tiles so the service worker can cache them for offline use (opaque responses cannot be checked)
+L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', { maxZoom: 19, crossOrigin: true }).addTo(map);
 
 const cluster = L.markerClusterGroup({ disableClusteringAtZoom: 17, showCoverageOnHover: false, spiderfyOnMaxZoom: true, maxClusterRadius: 60 });
 map.addLayer(cluster);
 
+// Kerbside bays: one dot per sensor bay, only drawn when zoomed in far enough to tell them apart
+const BAY_MIN_ZOOM = 16;
+// Shape tells the states apart as well as colour: solid = vacant, ring = occupied, small = no reading, dashed = no parking
+const BAY_STYLES = {
+  vacant: { radius: 6, weight: 2, color: '#fff', fillColor: '#2ecc71', fillOpacity: 0.9 },
+  occupied: { radius: 6, weight: 3, color: '#e74c3c', fillColor: '#fff', fillOpacity: 0.9 },
+  unknown: { radius: 4, weight: 2, color: '#fff', fillColor: '#95a5a6', fillOpacity: 0.9 },
+  noParking: { radius: 6, weight: 2, color: '#fff', dashArray: '2 3', fillColor: '#34495e', fillOpacity: 0.9 }
+};
+const bayLayer = L.layerGroup();
+L.control.layers(null, { [t('layers.carParks')]: cluster, [t('layers.bays')]: bayLayer }, { position: 'topright' }).addTo(map);
+
 const markers = new Map();
+let routeLine = null;
 const statusEl = document.getElementById('status');
 const lotListEl = document.getElementById('lotList');
 let currentDestination = null;
 
+// ---- Place search comboboxes (destination and starting point) ----
+// ARIA 1.2 combobox with a listbox popup. Focus stays in the input; arrows move the active option
+// (aria-activedescendant), Enter picks it, Escape closes the list or clears the input, Tab leaves.
+function combobox(input, list, { choose, onEnter }) {
+  let items = [], active = -1, timer, query = '';
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-controls', list.id);
+  input.setAttribute('aria-expanded', 'false');
+  input.autocomplete = 'off';
+  list.setAttribute('role', 'listbox');
+
+  function setActive(i) {
+    active = i;
+    list.querySelectorAll('[role="option"]').forEach((li, n) => li.setAttribute('aria-selected', String(n === i)));
+    const li = list.children[i];
+    if (li) { input.setAttribute('aria-activedescendant', li.id); li.scrollIntoView({ block: 'nearest' }); }
+    else input.removeAttribute('aria-activedescendant');
+  }
+  function open(show) {
+    list.style.display = show ? 'block' : 'none';
+    input.setAttribute('aria-expanded', String(show));
+    if (!show) setActive(-1);
+  }
+  function render(results) {
+    items = results;
+    list.innerHTML = '';
+    results.forEach((it, i) => {
+      const li = document.createElement('li');
+      li.id = `${list.id}-${i}`;
+      li.setAttribute('role', 'option');
+      li.setAttribute('aria-selected', 'false');
+      li.textContent = it.name;
+      li.addEventListener('mousedown', (e) => e.preventDefault()); // keep focus in the input
+      li.addEventListener('click', () => pick(i));
+      list.appendChild(li);
+    });
+    open(results.length > 0);
+    announce(results.length ? t('announce.suggestions', { count: results.length }) : t('announce.noSuggestions'));
+  }
+  function pick(i) {
+    const it = items[i];
+    open(false);
+    if (it) choose(it);
+  }
+
+  input.addEventListener('input', () => {
+    query = input.value.trim();
+    clearTimeout(timer);
+    if (!query) { items = []; open(false); return; }
+    const q = query;
+    timer = setTimeout(async () => {
+      try {
+        const results = await api.geoSearch(q);
+        if (q === query) render(results); // drop answers to queries the user has typed past
+      } catch (err) {
+        console.warn('Place search failed:', err);
+        if (q === query) { render([]); statusEl.textContent = err.message; }
+      }
+    }, 250);
+  });
+
+  input.addEventListener('keydown', (e) => {
+    const expanded = input.getAttribute('aria-expanded') === 'true';
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp': {
+        if (!items.length) return;
+        e.preventDefault();
+        if (!expanded) open(true);
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActive(active < 0 ? (step > 0 ? 0 : items.length - 1) : (active + step + items.length) % items.length);
+        break;
+      }
+      case 'Home':
+      case 'End':
+        if (!expanded || active < 0) return;
+        e.preventDefault();
+        setActive(e.key === 'Home' ? 0 : items.length - 1);
+        break;
+      case 'Enter':
+        if (expanded && active >= 0) { e.preventDefault(); pick(active); }
+        else if (input.value.trim()) { e.preventDefault(); clearTimeout(timer); open(false); onEnter(input.value.trim()); }
+        break;
+      case 'Escape':
+        if (expanded) { e.preventDefault(); open(false); }
+        else if (input.value) { input.value = ''; query = ''; items = []; }
+        break;
+      case 'Tab':
+        open(false);
+        break;
+    }
+  });
+  input.addEventListener('blur', () => open(false));
+
+  return { close: () => open(false) };
+}
+
 const searchBox = document.getElementById('searchBox');
-const suggestionsEl = document.getElementById('suggestions');
-let debounceTimer;
-
-// Press Enter to search the first suggestion (fallback to typed text)
-searchBox.addEventListener('keydown', async (e) => {
-  if (e.key !== 'Enter') return;
-  const q = (searchBox.value || '').trim();
-  if (!q) return;
-  try {
-    suggestionsEl.style.display = 'none';
-    const results = await api.geoSearch(q);
-    if (results && Array.isArray(results.items) && results.items.length > 0) {
-      await chooseDestination(results.items[0]);
-    } else {
-      // fallback: use current map center as coordinates with the typed name
-      const center = map.getCenter();
-      await chooseDestination({ name: q, lat: center.lat, lng: center.lng });
+// Enter with no option picked searches the typed text and takes the first match (or the map centre)
+const destinationBox = combobox(searchBox, document.getElementById('suggestions'), {
+  choose: place => chooseDestination(place),
+  async onEnter(q) {
+    try {
+      const results = await api.geoSearch(q);
+      if (results.length > 0) {
+        await chooseDestination(results[0]);
+      } else {
+        // fallback: use current map center as coordinates with the typed name
+        const center = map.getCenter();
+        await chooseDestination({ name: q, lat: center.lat, lng: center.lng });
+      }
+    } catch (err) {
+      console.error('Enter search failed:', err);
+      statusEl.textContent = err.message;
     }
-  } catch (err) {
-    console.error('Enter search failed:', err);
   }
 });
+// ---- /Place search ----
 
-searchBox.addEventListener('input', (e) => {
-  const q = e.target.value.trim();
-  clearTimeout(debounceTimer);
-  if (!q) { suggestionsEl.style.display = 'none'; return; }
-  debounceTimer = setTimeout(async () => {
-    const results = await api.geoSearch(q);
-    renderSuggestions(results.items);
-  }, 250);
+// ---- Search filters (EV, accessible, height, opening hours) ----
+const filtersEl = document.getElementById('filters');
+function currentFilters() {
+  const f = {};
+  for (const key of ['ev', 'accessible', 'motorcycle', 'open24']) {
+    if (filtersEl.querySelector(`[name="${key}"]`).checked) f[key] = '1';
+  }
+  const height = Number(filtersEl.querySelector('[name="maxHeight"]').value);
+  if (height > 0) f.maxHeight = String(height);
+  if (filtersEl.querySelector('[name="openAtArrival"]').checked) f.openAt = arrivalTime().toISOString();
+  f.region = region.id;
+  return f;
+}
+filtersEl.addEventListener('change', () => reloadLots());
+
+// Switching city drops the destination (it belongs to the old city) and starts over at the new centre
+regionSelectEl.addEventListener('change', () => {
+  region = findRegion(regionSelectEl.value) || region;
+  localStorage.setItem(REGION_KEY, region.id);
+  const url = new URL(location.href);
+  if (url.searchParams.has('region')) { url.searchParams.set('region', region.id); history.replaceState(null, '', url); }
+  showRegionName();
+  currentDestination = null;
+  searchBox.value = '';
+  destinationBox.close();
+  renderQuickPicks();
+  map.setView([region.center.lat, region.center.lng], region.zoom);
+  announce(t('announce.region', { region: region.name }));
+  reloadLots();
 });
 
-function renderSuggestions(items) {
-  suggestionsEl.innerHTML = '';
-  if (!items.length) { suggestionsEl.style.display = 'none'; return; }
-  for (const it of items) {
-    const li = document.createElement('li');
-    li.textContent = it.name;
-    li.tabIndex = 0;
-    li.addEventListener('click', () => chooseDestination(it));
-    li.addEventListener('keypress', (e) => { if (e.key === 'Enter') chooseDestination(it); });
-    suggestionsEl.appendChild(li);
-  }
-  suggestionsEl.style.display = 'block';
+// Re-run whichever search produced the current list
+function reloadLots() {
+  if (currentDestination) return chooseDestination(currentDestination);
+  __initialLoaded = false;
+  return loadInitialCarParks();
 }
+// ---- /Search filters ----
 
 async function chooseDestination(place) {
-  suggestionsEl.style.display = 'none';
+  destinationBox.close();
   searchBox.value = place.name;
   currentDestination = place;
+  renderQuickPicks();
 
   map.setView([place.lat, place.lng], 16);
-  statusEl.textContent = 'Loading nearby parking…';
-  const { items } = USE_MOCK
-    ? await api.parkingNear(place.lat, place.lng, 900)
-    : await api.parkingByDest(place.name);
+  statusEl.textContent = t('map.loading');
+  let items;
+  try {
+    items = await api.parkingNear(place.lat, place.lng, 900);
+  } catch (err) {
+    // e.g. 429 with its retry hint; keep the car parks already on the map
+    console.error('Loading car parks near destination failed:', err);
+    statusEl.textContent = err.message;
+    return;
+  }
   // cache current items for nearest-on-map-click feature
   window.__lastParkingItems = items.slice();
 
-  for (const it of items) it.distance_m = distanceMeters({ lat: place.lat, lng: place.lng }, it);
+  // The backend measures from `near`; the haversine here only covers mock mode
+  for (const it of items) it.distance_m ??= distanceMeters({ lat: place.lat, lng: place.lng }, it);
 
   markers.clear();
   cluster.clearLayers();
-  lotListEl.innerHTML = '';
-  items.forEach((p) => { upsertMarker(p); lotListEl.appendChild(lotCard(p)); });
+  clearRoute();
+  items.forEach(upsertMarker);
+  renderLotList();
 
   if (cluster.getLayers().length) map.fitBounds(cluster.getBounds(), { padding: [20, 20] });
 
-  statusEl.textContent = items.length ? `Showing ${items.length} car parks near ${place.name}.` : 'No car parks found in this area.';
+  statusEl.textContent = items.length ? t('map.showingNear', { count: items.length, place: place.name }) : t('map.noneNear');
   renderEnvSuggestions(place, items);
   renderCharts(items);
+  loadForecasts(items);
+  loadCosts(items);
+  loadWalks(items);
   subscribeRealtime();
 }
 
@@ -163,47 +390,126 @@ async function showLotPopup(p) {
   try {
     // Try to refresh single-lot details from backend if available
     const r = await fetch(`${API_BASE}/parking/${encodeURIComponent(p.id)}`, { cache: 'no-store' });
-    if (r.ok) {
-      const fresh = mapBackendParking(await r.json());
-      p = { ...p, ...fresh };
-    }
+    if (r.ok) p = { ...p, ...(await r.json()).data, cached: false };
   } catch (_) { /* ignore and use existing p */ }
 
   L.popup()
     .setLatLng([p.lat, p.lng])
-    .setContent(`${p.name}<br/>Availability: <strong>${p.available_spots}/${p.capacity}</strong><br/><small>Updated: ${new Date(p.updated_at).toLocaleTimeString()}</small>`)
+    .setContent(popupHtml(p))
     .openOn(map);
+  if (currentDestination) showRoute(p, currentDestination);
 }
 
 function popupHtml(p) {
-  return `${p.name}<br/>Availability: <strong>${p.available_spots}/${p.capacity}</strong><br/><small>Updated: ${new Date(p.updated_at).toLocaleTimeString()}</small>`;
+  const f = p.forecast;
+  const expected = f
+    ? `<br/>${t('popup.expected', { time: formatTime(f.at) })} <strong>${t('popup.expectedFree', { expected: formatNumber(f.expected_available) })}</strong> <small>(${formatNumber(f.low)}–${formatNumber(f.high)})</small>`
+    : '';
+  const closed = p.open_now === false ? `<br/><strong>${t('status.closed')}</strong>` : '';
+  const walk = p.walk ? `<br/>${t('popup.walkTo', { minutes: formatNumber(p.walk.duration_min), place: currentDestination ? escapeHtml(currentDestination.name) : t('popup.destination') })}` : '';
+  const updated = p.cached
+    ? `<strong>${t('popup.lastUpdated', { ago: timeAgo(p.updated_at) })}</strong> ${t('popup.offline')}`
+    : t('popup.updated', { time: formatTime(p.updated_at) });
+  return `${escapeHtml(p.name)}${closed}<br/>${t('popup.availability')} <strong>${spotsText(p)}</strong>${expected}${walk}<br/><small>${updated}</small>`
+    + `<div class="popup-actions">${reserveButton(p)}${notifyButton(p)}${favButton(p)}</div>`;
+}
+// "✕ Full · 0/200 spots": the state in words and as a glyph, not only as the badge colour
+function spotsText(p) {
+  const cls = iconClassFor(p);
+  return `<span aria-hidden="true">${STATUS_GLYPHS[cls]}</span> ${t(`status.${cls}`)} · ${t('lot.spots', { free: formatNumber(p.available_spots), capacity: formatNumber(p.capacity) })}`;
+}
+function reserveButton(p) {
+  return p.open_now === false ? '' : `<button type="button" class="btn reserve-btn" data-id="${escapeHtml(p.id)}">${t('lot.reserve')}</button>`;
 }
 function upsertMarker(p) {
   const html = popupHtml(p);
   if (markers.has(p.id)) {
     const mk = markers.get(p.id);
     mk.setPopupContent(html);
+    mk.options.title = markerLabel(p); // before setIcon, which copies it onto the new element
     mk.setIcon(markerIcon(p));
     mk.data = p;
-    mk.options.title = `${p.name} (${p.available_spots}/${p.capacity})`;
     return;
   }
-  const m = L.marker([p.lat, p.lng], { icon: markerIcon(p), title: `${p.name} (${p.available_spots}/${p.capacity})`, riseOnHover: true })
+  const m = L.marker([p.lat, p.lng], { icon: markerIcon(p), title: markerLabel(p), riseOnHover: true })
     .bindPopup(html);
   m.data = p; // store data on marker
-  m.on('click', () => showLotPopup(p));
+  m.on('click', () => showLotPopup(m.data));
   cluster.addLayer(m);
   markers.set(p.id, m);
 }
+// Rebuild #lotList from the markers on the map: favourites pinned first, then the "Sort by" order
+const sortByEl = document.getElementById('sortBy');
+sortByEl.addEventListener('change', () => renderLotList());
+const LOT_SORTS = {
+  distance: (a, b) => walkValue(a) - walkValue(b),
+  price: (a, b) => costValue(a) - costValue(b),
+  availability: (a, b) => b.available_spots - a.available_spots
+};
+function walkValue(p) {
+  return p.walk ? p.walk.distance_m : (p.distance_m ?? Infinity);
+}
+function costValue(p) {
+  return p.cost && p.cost.allowed ? p.cost.total : Infinity;
+}
+function renderLotList() {
+  const sort = LOT_SORTS[sortByEl.value] || LOT_SORTS.distance;
+  const lots = Array.from(markers.values(), m => m.data).sort((a, b) => (isFavourite(b.id) - isFavourite(a.id)) || sort(a, b));
+  lotListEl.innerHTML = '';
+  lots.forEach((p) => lotListEl.appendChild(lotCard(p)));
+  renderOfflineBanner();
+}
+
+function costBadge(c) {
+  if (!c || !c.priced) return '';
+  if (!c.allowed) return `<span class="badge red" title="${escapeHtml(c.reason)}">${t('lot.overMaxStay')}</span>`;
+  return `<span class="badge" title="${t('lot.plannedStay')}">${t('lot.costFor', { price: formatCurrency(c.total, c.currency), stay: formatStay(stayMinutes()) })}</span>`;
+}
+
+// Walking time once the route is known; straight-line km until then (or with no destination)
+function walkBadge(p) {
+  if (p.walk) {
+    const distance = formatDistance(p.walk.distance_m);
+    const how = p.walk.method === 'straight_line' ? t('lot.walkStraight', { distance }) : t('lot.walkStreets', { distance });
+    return `<span class="badge" title="${how}">${t('lot.walk', { minutes: formatNumber(p.walk.duration_min) })}</span>`;
+  }
+  return p.distance_m != null ? `<span class="badge">${formatDistance(p.distance_m)}</span>` : '';
+}
+
+// Hourly rate from the tariff in the reader's number format; the backend's "$3/hr" label otherwise
+function priceBadge(p) {
+  if (p.tariff && p.tariff.hourly != null) return `<span class="badge">${t('lot.hourly', { price: formatCurrency(p.tariff.hourly) })}</span>`;
+  return p.price ? `<span class="badge">${escapeHtml(p.price)}</span>` : '';
+}
+
+function attributeBadges(p) {
+  const tags = [];
+  if (p.open_24_7 && p.open_now !== false) tags.push(`<span class="badge">${t('lot.open24')}</span>`);
+  if (p.ev_chargers > 0) tags.push(`<span class="badge" title="${t('lot.evChargers')}">EV ×${formatNumber(p.ev_chargers)}</span>`);
+  if (p.accessible_bays > 0) tags.push(`<span class="badge" title="${t('lot.accessibleBays')}"><span aria-hidden="true">♿</span><span class="visually-hidden">${t('lot.accessibleBays')}</span> ×${formatNumber(p.accessible_bays)}</span>`);
+  if (p.motorcycle_bays > 0) tags.push(`<span class="badge">${t('lot.motorcycle')}</span>`);
+  if (p.max_height_m) tags.push(`<span class="badge" title="${t('lot.heightLimit')}">≤ ${formatNumber(p.max_height_m, { style: 'unit', unit: 'meter' })}</span>`);
+  return tags.length ? `<div class="lot-attrs">${tags.join('')}</div>` : '';
+}
+
+// The name is a button so the card opens from the keyboard too; the rest of the card stays a mouse target
 function lotCard(p) {
   const div = document.createElement('div');
-  div.className = 'lot-card';
-  div.innerHTML = `<h4>${p.name}</h4>
+  div.className = 'lot-card' + (isFavourite(p.id) ? ' favourite' : '');
+  div.dataset.id = p.id;
+  div.setAttribute('role', 'listitem');
+  const f = p.forecast;
+  div.innerHTML = `<h4><button type="button" class="lot-link">${escapeHtml(p.name)}</button></h4>
     <div>
-      <span class="badge ${p.available_spots === 0 ? 'red' : ''}">${p.available_spots}/${p.capacity} spots</span>
-      <span class="badge">${(p.distance_m/1000).toFixed(2)} km</span>
-      ${p.price ? `<span class="badge">${p.price}</span>` : ''}
-    </div>`;
+      <span class="badge ${['full', 'closed'].includes(iconClassFor(p)) ? 'red' : ''}">${spotsText(p)}</span>
+      ${p.cached ? `<span class="badge stale" title="${t('lot.savedOnline')}">${t('popup.lastUpdated', { ago: timeAgo(p.updated_at) })}</span>` : ''}
+      ${walkBadge(p)}
+      ${f ? `<span class="badge" title="${t('lot.forecastRange', { low: formatNumber(f.low), high: formatNumber(f.high) })}">${t('lot.forecast', { expected: formatNumber(f.expected_available), time: formatTime(f.at) })}</span>` : ''}
+      ${priceBadge(p)}
+      ${costBadge(p.cost)}
+    </div>
+    ${attributeBadges(p)}
+    <div class="card-actions">${reserveButton(p)}${favButton(p)}</div>`;
   div.onclick = () => {
     map.setView([p.lat, p.lng], 17);
     showLotPopup(p);
@@ -211,186 +517,1102 @@ function lotCard(p) {
   return div;
 }
 
+// ---- Arrival-time forecasts ----
+const arriveAtEl = document.getElementById('arriveAt');
+(function initArriveAt() {
+  // Default to 30 minutes from now, rounded to the next quarter hour
+  const d = new Date(Date.now() + 30 * 60000);
+  d.setMinutes(Math.ceil(d.getMinutes() / 15) * 15, 0, 0);
+  const pad = n => String(n).padStart(2, '0');
+  arriveAtEl.value = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  arriveAtEl.addEventListener('change', () => {
+    // "Open when I arrive" depends on the arrival time, so the list itself may change
+    if (filtersEl.querySelector('[name="openAtArrival"]').checked) return reloadLots();
+    const lots = Array.from(markers.values(), m => m.data);
+    loadForecasts(lots);
+    loadCosts(lots);
+  });
+})();
+
+function arrivalTime() {
+  const d = new Date(arriveAtEl.value);
+  return Number.isNaN(d.getTime()) ? new Date() : d;
+}
+
+// One request for every lot in view; per-lot requests would run into the API's per-minute limit
+async function loadForecasts(lots) {
+  if (!lots.length) return;
+  try {
+    const items = await api.forecasts(lots.map(p => p.id), arrivalTime());
+    for (const f of items) applyLotUpdate({ id: f.id, forecast: f });
+  } catch (err) {
+    console.warn('Forecasts failed:', err);
+  }
+}
+// ---- /Arrival-time forecasts ----
+
+// ---- Trip cost for the planned stay ----
+const stayForEl = document.getElementById('stayFor');
+stayForEl.addEventListener('change', () => {
+  const lots = Array.from(markers.values(), m => m.data);
+  loadCosts(lots);
+  if (currentOrigin && currentDestination) renderEnvSuggestions(currentDestination, lots);
+});
+
+function stayMinutes() {
+  return Number(stayForEl.value) || 120;
+}
+
+async function loadCosts(lots) {
+  if (!lots.length) return;
+  try {
+    const items = await api.costs(lots.map(p => p.id), arrivalTime(), stayMinutes());
+    for (const c of items) applyLotUpdate({ id: c.id, cost: c });
+    if (sortByEl.value === 'price') renderLotList();
+  } catch (err) {
+    console.warn('Cost lookup failed:', err);
+  }
+}
+// ---- /Trip cost ----
+
+// ---- Walking time and route to the destination ----
+async function loadWalks(lots) {
+  if (!currentDestination || !lots.length) return;
+  const dest = currentDestination;
+  try {
+    const items = await api.walkTimes(lots.map(p => p.id), dest);
+    if (dest !== currentDestination) return;
+    for (const w of items) applyLotUpdate({ id: w.id, walk: w });
+    if (sortByEl.value === 'distance') renderLotList();
+    renderEnvSuggestions(dest, Array.from(markers.values(), m => m.data));
+  } catch (err) {
+    console.warn('Walking times failed:', err);
+  }
+}
+
+function clearRoute() {
+  if (routeLine) { map.removeLayer(routeLine); routeLine = null; }
+}
+
+async function showRoute(p, dest) {
+  try {
+    const route = await api.walkRoute(p.id, dest);
+    if (dest !== currentDestination) return;
+    clearRoute();
+    const latlngs = route.geometry.coordinates.map(([lng, lat]) => [lat, lng]);
+    routeLine = L.polyline(latlngs, {
+      color: '#2563eb', weight: 5, opacity: 0.8,
+      dashArray: route.method === 'straight_line' ? '6 8' : null
+    }).bindTooltip(t('route.tooltip', { minutes: formatNumber(route.duration_min), distance: formatDistance(route.distance_m) })).addTo(map);
+  } catch (err) {
+    console.warn('Route failed for', p.id, err);
+  }
+}
+// ---- /Walking ----
+
+// ---- Reservations ----
+// One dialog serves every "Reserve" button, in lot cards and in Leaflet popups
+const reserveDialog = document.getElementById('reserveDialog');
+const reserveForm = document.getElementById('reserveForm');
+const reserveMessage = document.getElementById('reserveMessage');
+const reserveSubmit = document.getElementById('reserveSubmit');
+const cancelBookingBtn = document.getElementById('cancelBooking');
+let reserveLot = null, lastBooking = null;
+
+reserveForm.elements.duration.innerHTML = stayForEl.innerHTML;
+
+document.addEventListener('click', (e) => {
+  const btn = e.target.closest('.reserve-btn');
+  if (!btn) return;
+  e.stopPropagation(); // don't also trigger the lot card's click
+  const m = markers.get(btn.dataset.id);
+  if (m) openReserveDialog(m.data);
+});
+
+function openReserveDialog(p) {
+  reserveLot = p;
+  lastBooking = null;
+  document.getElementById('reserveTitle').textContent = t('reserve.titleAt', { name: p.name });
+  reserveForm.elements.start.value = arriveAtEl.value;
+  reserveForm.elements.duration.value = stayForEl.value;
+  reserveMessage.textContent = t('reserve.grace', { minutes: formatNumber(NO_SHOW_GRACE_MINUTES) });
+  reserveSubmit.hidden = false;
+  cancelBookingBtn.hidden = true;
+  reserveDialog.showModal();
+}
+
+reserveForm.addEventListener('submit', async (e) => {
+  if (e.submitter !== reserveSubmit) return; // "Close" just closes the dialog
+  e.preventDefault();
+  const start = new Date(reserveForm.elements.start.value);
+  const end = new Date(start.getTime() + Number(reserveForm.elements.duration.value) * 60000);
+  reserveSubmit.disabled = true;
+  try {
+    const booking = await api.reserve(reserveLot.id, {
+      start: start.toISOString(),
+      end: end.toISOString(),
+      name: reserveForm.elements.name.value.trim() || undefined,
+      plate: reserveForm.elements.plate.value.trim() || undefined
+    });
+    lastBooking = booking;
+    reserveMessage.innerHTML = t('reserve.booked', { reference: `<strong>${escapeHtml(booking.reference)}</strong>`, start: formatTime(booking.start), end: formatTime(booking.end) });
+    reserveSubmit.hidden = true;
+    cancelBookingBtn.hidden = false;
+    if (USE_MOCK) applyLotUpdate(mock.lot(reserveLot.id));
+  } catch (err) {
+    reserveMessage.textContent = err.message;
+  } finally {
+    reserveSubmit.disabled = false;
+  }
+});
+
+cancelBookingBtn.addEventListener('click', async () => {
+  if (!lastBooking) return;
+  try {
+    await api.cancelReservation(lastBooking.reference);
+    reserveMessage.textContent = t('reserve.cancelled', { reference: lastBooking.reference });
+    cancelBookingBtn.hidden = true;
+    if (USE_MOCK) applyLotUpdate(mock.lot(lastBooking.parking_id));
+    lastBooking = null;
+  } catch (err) {
+    reserveMessage.textContent = err.message;
+  }
+});
+// ---- /Reservations ----
+
 let mockInterval;
+let eventSource, reconnectTimer, lastEventId = '';
+let reconnectDelay = 1000;
+const liveStatusEl = document.getElementById('liveStatus');
+
+// Push a fresh lot (mock tick or SSE message) through the marker + lot-card update path
+function applyLotUpdate(u) {
+  const prev = markers.get(u.id);
+  if (!prev) return;
+  const fresh = Object.fromEntries(Object.entries(u).filter(([, v]) => v !== undefined));
+  const p = { ...prev.data, ...fresh };
+  announceStatusChange(prev.data, p);
+  upsertMarker(p);
+  const card = lotListEl.querySelector(`.lot-card[data-id="${CSS.escape(p.id)}"]`);
+  if (card) card.replaceWith(lotCard(p));
+}
+
+// A car park on screen changing state (spaces → filling up → full, closed) is read out.
+// Changes are gathered for a moment so a burst of updates becomes one announcement instead of cutting each other off.
+const pendingAnnouncements = new Map();
+let statusAnnounceTimer;
+function announceStatusChange(before, after) {
+  const cls = iconClassFor(after);
+  if (after.cached || iconClassFor(before) === cls) return;
+  pendingAnnouncements.set(after.id, t(`announce.${cls}`, { name: after.name, free: formatNumber(after.available_spots) }));
+  clearTimeout(statusAnnounceTimer);
+  statusAnnounceTimer = setTimeout(() => {
+    announce(Array.from(pendingAnnouncements.values()).join(' '));
+    pendingAnnouncements.clear();
+  }, 1500);
+}
+
+function removeLot(id) {
+  const m = markers.get(id);
+  if (m) { cluster.removeLayer(m); markers.delete(id); }
+  const card = lotListEl.querySelector(`.lot-card[data-id="${CSS.escape(id)}"]`);
+  if (card) card.remove();
+}
+
+function setLiveStatus(state) {
+  if (!liveStatusEl) return;
+  liveStatusEl.hidden = !state;
+  liveStatusEl.className = `live-status ${state || ''}`;
+  liveStatusEl.textContent = state ? t(`live.${state}`) : '';
+}
+
 function subscribeRealtime() {
   if (!USE_MOCK) {
-    // Example SSE wiring here later
+    if (showingCached()) { closeStream(); setLiveStatus('offline'); return; }
+    subscribeStream();
     return;
   }
   if (mockInterval) clearInterval(mockInterval);
   mockInterval = setInterval(() => {
     const updates = api.__mockPushUpdates(Array.from(markers.keys()));
-    for (const u of updates) {
-      const m = markers.get(u.id);
-      if (m) m.setPopupContent(popupHtml(u));
-      const cards = Array.from(lotListEl.querySelectorAll('.lot-card'));
-      cards.forEach(card => {
-        if (card.querySelector('h4').textContent === u.name) {
-          const badge = card.querySelector('.badge');
-          badge.textContent = `${u.available_spots}/${u.capacity} spots`;
-          badge.classList.toggle('red', u.available_spots === 0);
-        }
-      });
-    }
+    for (const u of updates) applyLotUpdate(u);
   }, 2500 + Math.random() * 2000);
 }
 
+function closeStream() {
+  clearTimeout(reconnectTimer);
+  if (eventSource) eventSource.close();
+  eventSource = null;
+}
+
+// SSE: only the lots currently on the map; resume from the last seen event id after a drop
+function subscribeStream() {
+  closeStream();
+  const ids = Array.from(markers.keys());
+  if (!ids.length) { setLiveStatus(null); return; }
+
+  const qs = new URLSearchParams({ ids: ids.join(',') });
+  if (lastEventId) qs.set('lastEventId', lastEventId);
+  const es = eventSource = new EventSource(`${API_BASE}/parking/stream?${qs}`);
+
+  const track = (e) => { if (e.lastEventId) lastEventId = e.lastEventId; };
+  es.addEventListener('open', () => { reconnectDelay = 1000; setLiveStatus('live'); });
+  es.addEventListener('snapshot', (e) => {
+    track(e);
+    for (const p of JSON.parse(e.data)) applyLotUpdate({ ...p, cached: false });
+  });
+  es.addEventListener('availability', (e) => { track(e); applyLotUpdate({ ...JSON.parse(e.data), cached: false }); });
+  es.addEventListener('removed', (e) => { track(e); removeLot(JSON.parse(e.data).id); });
+  es.addEventListener('error', () => {
+    setLiveStatus('reconnecting');
+    // The browser retries by itself while CONNECTING; once CLOSED we reopen with backoff
+    if (es.readyState === EventSource.CLOSED) {
+      reconnectTimer = setTimeout(subscribeStream, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, 30000);
+    }
+  });
+}
+
+// ---- Starting point for the journey comparison ----
+const originBox = document.getElementById('originBox');
+let currentOrigin = null;
+// Enter with no option picked takes the first match for the typed text
+const originCombo = combobox(originBox, document.getElementById('originSuggestions'), {
+  choose: place => chooseOrigin(place),
+  async onEnter(q) {
+    try {
+      const [first] = await api.geoSearch(q);
+      if (first) chooseOrigin(first);
+      else announce(t('announce.noSuggestions'));
+    } catch (err) {
+      console.warn('Starting point search failed:', err);
+      statusEl.textContent = err.message;
+    }
+  }
+});
+
+document.getElementById('useMyLocation').addEventListener('click', () => {
+  if (!navigator.geolocation) return;
+  navigator.geolocation.getCurrentPosition(
+    (pos) => chooseOrigin({ name: t('env.myLocation'), lat: pos.coords.latitude, lng: pos.coords.longitude }),
+    (err) => console.warn('Geolocation failed:', err)
+  );
+});
+
+function chooseOrigin(place) {
+  originCombo.close();
+  originBox.value = place.name;
+  currentOrigin = place;
+  if (currentDestination) renderEnvSuggestions(currentDestination, Array.from(markers.values(), m => m.data));
+}
+
+// Vehicle profile for the drive-and-park emissions and fuel/energy cost
+const vehicleEl = document.getElementById('vehicleProfile');
+vehicleEl.addEventListener('change', () => {
+  if (currentOrigin && currentDestination) renderEnvSuggestions(currentDestination, Array.from(markers.values(), m => m.data));
+});
+
+// Real options from the backend (GTFS timetable + drive-and-park estimate), leaving now
+let journeyKey = '';
+async function loadJourneys(origin, dest) {
+  const env = document.getElementById('envSuggestions');
+  const intro = document.getElementById('envIntro');
+  const key = `${origin.lat},${origin.lng}|${dest.lat},${dest.lng}|${stayMinutes()}|${vehicleEl.value}`;
+  if (key === journeyKey) return;
+  journeyKey = key;
+  intro.textContent = t('journey.looking', { from: origin.name, to: dest.name });
+  try {
+    const j = await api.journeys(origin, dest, new Date(), stayMinutes(), vehicleEl.value);
+    if (key !== journeyKey) return;
+    env.innerHTML = '';
+    const options = [...j.transit, j.walk, j.drive_and_park].filter(Boolean).sort((a, b) => a.total_min - b.total_min);
+    intro.textContent = j.transit.length
+      ? t('journey.summary', { count: j.transit.length, from: origin.name, vehicle: vehicleLabel(j.vehicle).toLocaleLowerCase(locale) })
+      : t('journey.noDirect', { from: origin.name, to: dest.name });
+    for (const o of options) env.appendChild(journeyCard(o));
+  } catch (err) {
+    journeyKey = '';
+    console.warn('Journey lookup failed:', err);
+    intro.textContent = t('journey.unavailable');
+  }
+}
+
+const modeLabel = mode => t(`mode.${mode}`);
+const money = v => (v ? formatCurrency(v) : t('journey.free'));
+const kg = v => formatNumber(v, { style: 'unit', unit: 'kilogram', maximumFractionDigits: 2 });
+const minutes = v => formatNumber(v);
+// Vehicle profiles come from the backend; ones without a message keep the backend's English label
+function vehicleLabel(v) {
+  const key = `vehicle.${v.id}`;
+  const label = t(key);
+  return label === key ? v.label : label;
+}
+
+// CO₂ and cost summary; co2_saved_kg is relative to the drive-and-park option
+function impactLine(o) {
+  const saved = o.co2_saved_kg > 0 ? ` ${t('journey.saved', { kg: kg(o.co2_saved_kg) })}` : '';
+  return `<p class="impact">${t('journey.co2', { kg: kg(o.co2_kg) })}${saved} · ${money(o.cost.total)}</p>`;
+}
+
+function journeyCard(o) {
+  const div = document.createElement('div');
+  div.className = 'env-card' + (o.mode === 'drive' ? ' drive' : '');
+  const arrive = (key = 'journey.arrive') => `<p class="muted">${t(key, { time: formatTime(o.arrive_at), minutes: minutes(o.total_min) })}</p>`;
+  if (o.mode === 'walk') {
+    div.innerHTML = `<h4>${t('journey.walk')}</h4><p class="journey-line">${t('journey.onFoot', { distance: formatDistance(o.distance_m, 1) })}</p>
+      ${arrive()}${impactLine(o)}`;
+  } else if (o.mode === 'drive') {
+    const parking = o.cost.parking === null
+      ? t('journey.parkingUnknown')
+      : t('journey.parkingFor', { price: money(o.cost.parking), stay: formatStay(stayMinutes()) });
+    div.innerHTML = `<h4>${t('journey.driveAndPark')} <span class="muted">(${escapeHtml(vehicleLabel(o.vehicle))})</span></h4>
+      <p class="journey-line">${t('journey.driveTo', { minutes: minutes(o.drive_min), name: escapeHtml(o.parking.name) })}</p>
+      <p class="journey-line">${t('journey.walkToDestination', { minutes: minutes(o.walk_min) })}</p>
+      ${arrive('journey.arriveAbout')}${impactLine(o)}
+      <p class="muted">${formatNumber(o.energy.amount)} ${escapeHtml(o.energy.unit)} (${money(o.cost.energy)}) + ${parking}</p>`;
+  } else {
+    // The route colour lands in a style attribute, so only plain hex colours are used
+    const color = /^#[0-9a-f]{3,8}$/i.test(o.route.color || '') ? o.route.color : '#5ea0ff';
+    const chip = `<span class="mode-chip" style="background:${color}">${escapeHtml(o.route.short_name || modeLabel(o.mode))}</span>`;
+    const title = o.headsign ? t('journey.towards', { mode: modeLabel(o.mode), headsign: escapeHtml(o.headsign) }) : modeLabel(o.mode);
+    div.innerHTML = `<h4>${chip}${title}</h4>
+      <p class="journey-line">${t('journey.walkToStop', { minutes: minutes(o.board.walk_min), stop: escapeHtml(o.board.name) })}</p>
+      <p class="journey-line">${t('journey.departs', { count: o.stops, time: formatTime(o.depart_at), minutes: minutes(o.ride_min), stop: escapeHtml(o.alight.name) })}</p>
+      <p class="journey-line">${t('journey.walkToDestination', { minutes: minutes(o.alight.walk_min) })}</p>
+      ${arrive()}${impactLine(o)}
+      ${o.cost.free_tram_zone ? `<p class="muted">${t('journey.freeTramZone')}</p>` : ''}`;
+  }
+  return div;
+}
+// ---- /Starting point ----
+
+// ---- Account: saved destinations, favourite car parks and default vehicle ----
+const TOKEN_KEY = 'mcp.token';
+const accountEl = document.getElementById('account');
+const accountDialog = document.getElementById('accountDialog');
+const accountForm = document.getElementById('accountForm');
+const accountMessage = document.getElementById('accountMessage');
+const accountSubmit = document.getElementById('accountSubmit');
+const accountModeBtn = document.getElementById('accountMode');
+const quickPicksEl = document.getElementById('quickPicks');
+let currentUser = null, favouriteLots = [], accountMode = 'signin';
+
+function isFavourite(id) {
+  return Boolean(currentUser && currentUser.favourites.includes(id));
+}
+function favButton(p) {
+  const on = isFavourite(p.id);
+  return `<button type="button" class="btn fav-btn${on ? ' on' : ''}" data-id="${escapeHtml(p.id)}" aria-pressed="${on}" aria-label="${t(on ? 'fav.remove' : 'fav.add')}" title="${t(on ? 'fav.remove' : 'fav.add')}">${on ? '★' : '☆'}</button>`;
+}
+
+function renderAccount() {
+  accountEl.innerHTML = '';
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'btn';
+  if (currentUser) {
+    const who = document.createElement('span');
+    who.className = 'muted small';
+    who.textContent = currentUser.name || currentUser.email;
+    btn.textContent = t('account.signOut');
+    btn.addEventListener('click', signOut);
+    accountEl.append(who, btn);
+  } else {
+    btn.textContent = t('account.signIn');
+    btn.addEventListener('click', () => openAccountDialog('signin'));
+    accountEl.append(btn);
+  }
+}
+
+function setAccountMode(mode) {
+  accountMode = mode;
+  const register = mode === 'register';
+  document.getElementById('accountTitle').textContent = t(register ? 'account.register' : 'account.signIn');
+  accountForm.elements.name.closest('label').hidden = !register;
+  accountForm.elements.password.autocomplete = register ? 'new-password' : 'current-password';
+  accountSubmit.textContent = t(register ? 'account.registerSubmit' : 'account.signIn');
+  accountModeBtn.textContent = t(register ? 'account.haveAccount' : 'account.register');
+}
+
+function openAccountDialog(mode, note = t('account.why')) {
+  setAccountMode(mode);
+  accountMessage.textContent = note;
+  accountDialog.showModal();
+}
+accountModeBtn.addEventListener('click', () => setAccountMode(accountMode === 'signin' ? 'register' : 'signin'));
+
+accountForm.addEventListener('submit', async (e) => {
+  if (e.submitter !== accountSubmit) return; // "Close" just closes the dialog
+  e.preventDefault();
+  const body = { email: accountForm.elements.email.value.trim(), password: accountForm.elements.password.value };
+  if (accountMode === 'register') {
+    body.name = accountForm.elements.name.value.trim() || undefined;
+    body.vehicle = vehicleEl.value;
+  }
+  accountSubmit.disabled = true;
+  try {
+    const { token, user } = accountMode === 'register' ? await api.register(body) : await api.login(body);
+    localStorage.setItem(TOKEN_KEY, token);
+    accountForm.reset();
+    accountDialog.close();
+    await signedIn(user);
+  } catch (err) {
+    accountMessage.textContent = err.message;
+  } finally {
+    accountSubmit.disabled = false;
+  }
+});
+
+async function signedIn(user) {
+  currentUser = user;
+  vehicleEl.value = user.vehicle;
+  try {
+    favouriteLots = await api.favourites();
+  } catch (err) {
+    console.warn('Favourites failed to load:', err);
+    favouriteLots = [];
+  }
+  renderAccount();
+  refreshFavouriteViews();
+  if (currentOrigin && currentDestination) renderEnvSuggestions(currentDestination, Array.from(markers.values(), m => m.data));
+}
+
+function signOut() {
+  localStorage.removeItem(TOKEN_KEY);
+  currentUser = null;
+  favouriteLots = [];
+  renderAccount();
+  refreshFavouriteViews();
+}
+
+// Stars in popups and cards, pinned order in #lotList and the one-click picks all follow the favourites
+function refreshFavouriteViews() {
+  for (const m of markers.values()) upsertMarker(m.data);
+  renderLotList();
+  renderQuickPicks();
+}
+
+document.addEventListener('click', async (e) => {
+  const btn = e.target.closest('.fav-btn');
+  if (!btn) return;
+  e.stopPropagation(); // don't also trigger the lot card's click
+  if (!currentUser) return openAccountDialog('signin', t('account.forFavourites'));
+  const id = btn.dataset.id;
+  try {
+    const { favourites } = isFavourite(id) ? await api.removeFavourite(id) : await api.addFavourite(id);
+    currentUser = { ...currentUser, favourites };
+    favouriteLots = await api.favourites();
+    refreshFavouriteViews();
+  } catch (err) {
+    console.warn('Favourite update failed:', err);
+  }
+});
+
+// Saved destinations and favourite car parks as one-click picks above the search suggestions
+function renderQuickPicks() {
+  quickPicksEl.innerHTML = '';
+  if (!currentUser) { quickPicksEl.hidden = true; return; }
+  const chip = (label, title, onClick, parent = quickPicksEl) => {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'chip';
+    b.textContent = label;
+    b.title = title;
+    b.addEventListener('click', onClick);
+    parent.appendChild(b);
+    return b;
+  };
+  // "Forget" is its own button next to the chip so it can be reached with Tab
+  for (const d of currentUser.destinations) {
+    const group = document.createElement('span');
+    group.className = 'chip-group';
+    chip(d.name, t('picks.goTo', { name: d.name }), () => chooseDestination(d), group);
+    const x = chip('×', t('picks.forget', { name: d.name }), () => forgetDestination(d), group);
+    x.className = 'chip chip-remove';
+    x.setAttribute('aria-label', x.title);
+    quickPicksEl.appendChild(group);
+  }
+  for (const lot of favouriteLots) {
+    chip(`★ ${lot.name}`, t('picks.spotsFree', { free: formatNumber(lot.available_spots), capacity: formatNumber(lot.capacity) }), async () => {
+      await chooseDestination({ name: lot.name, lat: lot.lat, lng: lot.lng });
+      const m = markers.get(lot.id);
+      if (m) showLotPopup(m.data);
+    });
+  }
+  const saved = currentDestination && currentUser.destinations.some(d => d.lat === currentDestination.lat && d.lng === currentDestination.lng);
+  if (currentDestination && !saved) {
+    chip(t('picks.save', { name: currentDestination.name }), t('picks.saveTitle'), () => saveDestination(currentDestination)).classList.add('add');
+  }
+  quickPicksEl.hidden = !quickPicksEl.children.length;
+}
+
+async function saveDestination(place) {
+  try {
+    const d = await api.addDestination({ name: place.name, lat: place.lat, lng: place.lng, place_id: place.place_id });
+    currentUser = { ...currentUser, destinations: [...currentUser.destinations, d] };
+    renderQuickPicks();
+  } catch (err) {
+    console.warn('Saving destination failed:', err);
+  }
+}
+
+async function forgetDestination(d) {
+  try {
+    await api.removeDestination(d.id);
+    currentUser = { ...currentUser, destinations: currentUser.destinations.filter(x => x.id !== d.id) };
+    renderQuickPicks();
+  } catch (err) {
+    console.warn('Removing destination failed:', err);
+  }
+}
+
+// The vehicle picker doubles as the account's default vehicle
+vehicleEl.addEventListener('change', async () => {
+  if (!currentUser) return;
+  try {
+    currentUser = await api.updateMe({ vehicle: vehicleEl.value });
+  } catch (err) {
+    console.warn('Saving vehicle failed:', err);
+  }
+});
+
+(async function restoreSession() {
+  renderAccount();
+  if (!localStorage.getItem(TOKEN_KEY)) return;
+  try {
+    await signedIn(await api.me());
+  } catch (err) {
+    // Expired or revoked token: start signed out
+    localStorage.removeItem(TOKEN_KEY);
+  }
+})();
+// ---- /Account ----
+
+// ---- Availability alerts ("Notify me") ----
+const WATCHES_KEY = 'mcp.watches';
+const watchDialog = document.getElementById('watchDialog');
+const watchForm = document.getElementById('watchForm');
+const watchMessage = document.getElementById('watchMessage');
+const watchSubmit = document.getElementById('watchSubmit');
+const watchListEl = document.getElementById('watchList');
+let watchLot = null;
+
+// Watches created in this browser, so the dialog can list and stop them
+const myWatches = () => JSON.parse(localStorage.getItem(WATCHES_KEY) || '[]');
+const saveMyWatches = list => localStorage.setItem(WATCHES_KEY, JSON.stringify(list));
+
+function notifyButton(p) {
+  return `<button type="button" class="btn notify-btn" data-id="${escapeHtml(p.id)}">${t('lot.notify')}</button>`;
+}
+
+document.addEventListener('click', (e) => {
+  const btn = e.target.closest('.notify-btn');
+  if (!btn) return;
+  e.stopPropagation();
+  const m = markers.get(btn.dataset.id);
+  if (m) openWatchDialog(m.data);
+});
+
+function openWatchDialog(p) {
+  watchLot = p;
+  document.getElementById('watchTitle').textContent = t('watch.titleAt', { name: p.name });
+  watchForm.elements.threshold.value = Math.max(1, Math.min(p.capacity, Math.round(p.capacity * 0.1)));
+  watchMessage.textContent = t('watch.freeNow', { free: formatNumber(p.available_spots), capacity: formatNumber(p.capacity) });
+  syncWatchForm();
+  renderWatchList();
+  watchDialog.showModal();
+}
+
+function syncWatchForm() {
+  const f = watchForm.elements;
+  f.threshold.closest('label').hidden = f.type.value !== 'below';
+  f.webhookUrl.closest('label').hidden = f.delivery.value !== 'webhook';
+  f.webhookUrl.required = f.delivery.value === 'webhook';
+}
+watchForm.addEventListener('change', syncWatchForm);
+
+function renderWatchList() {
+  watchListEl.innerHTML = '';
+  for (const w of myWatches().filter(w => w.parking_id === watchLot.id)) {
+    const li = document.createElement('li');
+    li.textContent = w.type === 'below' ? t('watch.itemBelow', { threshold: formatNumber(w.threshold) }) : t('watch.itemReopens');
+    if (w.window) li.textContent += ` ${t(w.window.days.length === 5 ? 'watch.itemWeekdays' : 'watch.itemWindow', { start: w.window.start, end: w.window.end })}`;
+    const stop = document.createElement('button');
+    stop.type = 'button';
+    stop.className = 'btn';
+    stop.textContent = t('watch.stop');
+    stop.addEventListener('click', () => stopWatch(w.id));
+    li.appendChild(stop);
+    watchListEl.appendChild(li);
+  }
+}
+
+async function stopWatch(id) {
+  try {
+    await api.deleteWatch(id);
+  } catch (err) {
+    console.warn('Stopping watch failed:', err); // already gone on the server: forget it anyway
+  }
+  saveMyWatches(myWatches().filter(w => w.id !== id));
+  renderWatchList();
+}
+
+// Web Push needs a service worker subscription keyed to the backend's VAPID public key
+async function pushSubscription() {
+  if (!('serviceWorker' in navigator) || !('PushManager' in window)) throw new Error(t('watch.noPush'));
+  if (await Notification.requestPermission() !== 'granted') throw new Error(t('watch.blocked'));
+  const reg = await navigator.serviceWorker.ready;
+  const existing = await reg.pushManager.getSubscription();
+  if (existing) return existing.toJSON();
+  const { public_key } = await api.pushKey();
+  const key = Uint8Array.from(atob(public_key.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+  return (await reg.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: key })).toJSON();
+}
+
+watchForm.addEventListener('submit', async (e) => {
+  if (e.submitter !== watchSubmit) return; // "Close" just closes the dialog
+  e.preventDefault();
+  const f = watchForm.elements;
+  const body = { parking_id: watchLot.id, type: f.type.value };
+  if (body.type === 'below') body.threshold = Number(f.threshold.value);
+  if (f.from.value && f.until.value) {
+    body.window = { days: f.weekdays.checked ? [1, 2, 3, 4, 5] : [0, 1, 2, 3, 4, 5, 6], start: f.from.value, end: f.until.value };
+  }
+  watchSubmit.disabled = true;
+  try {
+    if (f.delivery.value === 'webhook') body.webhook_url = f.webhookUrl.value.trim();
+    else body.push_subscription = USE_MOCK ? await mockPermission() : await pushSubscription();
+    const watch = await api.createWatch(body);
+    saveMyWatches([...myWatches(), { id: watch.id, parking_id: watch.parking_id, type: watch.type, threshold: watch.threshold, window: watch.window }]);
+    watchMessage.textContent = watch.secret
+      ? t('watch.webhookStarted', { secret: watch.secret })
+      : t('watch.pushStarted');
+    renderWatchList();
+  } catch (err) {
+    watchMessage.textContent = err.message;
+  } finally {
+    watchSubmit.disabled = false;
+  }
+});
+
+// Mock mode has no push service: ask for permission and let the mock raise a plain Notification
+async function mockPermission() {
+  if ('Notification' in window && Notification.permission !== 'granted') await Notification.requestPermission();
+  return { endpoint: 'https://mock.invalid/push', keys: { p256dh: 'mock', auth: 'mock' } };
+}
+
+// Notification clicks open ?lot=ID: centre on that car park once it has loaded
+function focusLinkedLot() {
+  const id = new URLSearchParams(location.search).get('lot');
+  const m = id && markers.get(id);
+  if (!m) return;
+  map.setView([m.data.lat, m.data.lng], 17);
+  showLotPopup(m.data);
+}
+// ---- /Availability alerts ----
+
+// ---- Offline: installable app, last parking response kept in IndexedDB ----
+// sw.js caches the app shell, vendored libraries and map tiles. Live data goes through fetchParking,
+// which saves every /parking response and falls back to the saved one when the network is unreachable.
+const OFFLINE_DB = 'mcp-offline';
+const SNAPSHOT_KEY = 'parking.v2'; // /api/v2 items (available_spots)
+const offlineBannerEl = document.getElementById('offlineBanner');
+
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('sw.js').catch(err => console.warn('Service worker registration failed:', err));
+}
+
+let offlineDbPromise;
+function offlineDb() {
+  offlineDbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(OFFLINE_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore('responses');
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return offlineDbPromise;
+}
+
+async function offlineStore(mode, fn) {
+  const db = await offlineDb();
+  return new Promise((resolve, reject) => {
+    const req = fn(db.transaction('responses', mode).objectStore('responses'));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function saveParkingSnapshot(items) {
+  return offlineStore('readwrite', s => s.put({ saved_at: new Date().toISOString(), items }, SNAPSHOT_KEY));
+}
+function loadParkingSnapshot() {
+  return offlineStore('readonly', s => s.get(SNAPSHOT_KEY));
+}
+
+// Answer a /parking query from the saved response: same near / radius / bbox / limit and filters, no server
+async function offlineParking(params, cause) {
+  const snapshot = await loadParkingSnapshot().catch(() => null);
+  if (!snapshot) throw cause;
+  let items = snapshot.items.map(p => ({ ...p, cached: true })).filter(p => matchesFilters(p, currentFilters()));
+  if (params.near) {
+    const [lat, lng] = params.near.split(',').map(Number);
+    for (const p of items) p.distance_m = distanceMeters({ lat, lng }, p);
+    items = items.filter(p => !params.radius || p.distance_m <= params.radius).sort((a, b) => a.distance_m - b.distance_m);
+  }
+  if (params.bbox) {
+    const [minLng, minLat, maxLng, maxLat] = params.bbox.split(',').map(Number);
+    items = items.filter(p => p.lng >= minLng && p.lng <= maxLng && p.lat >= minLat && p.lat <= maxLat);
+  }
+  return params.limit ? items.slice(0, params.limit) : items;
+}
+
+const showingCached = () => Array.from(markers.values()).some(m => m.data.cached);
+
+// Banner age comes from the freshest lot on screen; the cards and popups carry their own
+function renderOfflineBanner() {
+  const cached = Array.from(markers.values(), m => m.data).filter(p => p.cached);
+  offlineBannerEl.hidden = !cached.length;
+  if (!cached.length) return;
+  const newest = cached.reduce((a, b) => (a.updated_at > b.updated_at ? a : b));
+  offlineBannerEl.textContent = t('offline.banner', { ago: timeAgo(newest.updated_at) });
+  setLiveStatus('offline');
+}
+
+// Keep the "X min ago" labels moving while offline
+setInterval(() => {
+  if (!showingCached()) return;
+  renderOfflineBanner();
+  renderLotList();
+  for (const m of markers.values()) m.setPopupContent(popupHtml(m.data));
+}, 60000);
+
+// Back online: replace the saved copy, or just reopen the live stream if nothing on screen is stale
+window.addEventListener('online', () => {
+  if (USE_MOCK) return;
+  if (showingCached()) reloadLots();
+  else subscribeRealtime();
+});
+window.addEventListener('offline', () => { if (!USE_MOCK) { closeStream(); setLiveStatus('offline'); } });
+// ---- /Offline ----
+
 function renderEnvSuggestions(place, lots) {
   const env = document.getElementById('envSuggestions');
   const intro = document.getElementById('envIntro');
+  if (currentOrigin && place === currentDestination) return loadJourneys(currentOrigin, place);
   env.innerHTML = '';
 
   if (!lots.length) {
-    intro.textContent = `No car parks found near ${place.name}. Consider public transport, cycling, or walking if suitable.`;
-    env.appendChild(envCard('Public transport', 'Use tram/train/bus to avoid parking and reduce congestion.', 'High'));
+    intro.textContent = t('env.noneNear', { place: place.name });
+    env.appendChild(envCard('tip.transit', 'tip.transit.avoidParking'));
     return;
   }
-  const nearest = lots.slice().sort((a,b) => a.distance_m - b.distance_m)[0];
-  const km = nearest.distance_m / 1000;
-  const co2 = (km * CAR_CO2_KG_PER_KM).toFixed(2);
-  intro.textContent = `Approx. distance to the nearest car park: ${km.toFixed(2)} km. Estimated car CO₂ emissions: ~${co2} kg. Alternatives below:`;
+  const nearest = lots.slice().sort((a,b) => walkValue(a) - walkValue(b))[0];
+  const meters = walkValue(nearest);
+  const km = meters / 1000;
+  const distance = nearest.walk
+    ? t('env.nearestWalk', { name: nearest.name, minutes: formatNumber(nearest.walk.duration_min), distance: formatDistance(meters) })
+    : t('env.nearest', { distance: formatDistance(meters) });
+  intro.textContent = t('env.general', { distance });
 
   if (km <= 1.2) {
-    env.appendChild(envCard('Walk', 'Distance is short. Walking avoids emissions and parking fees.', '≈100% CO₂ saved'));
-    env.appendChild(envCard('Cycle', 'Fast and zero-emission for short trips.', '≈100% CO₂ saved'));
-    env.appendChild(envCard('Public transport', 'If a direct service exists, it’s cheaper than parking.', 'High'));
+    env.appendChild(envCard('tip.walk', 'tip.walk.short'));
+    env.appendChild(envCard('tip.cycle', 'tip.cycle.short'));
+    env.appendChild(envCard('tip.transit', 'tip.transit.cheaper'));
   } else if (km <= 5) {
-    env.appendChild(envCard('Cycle', '5 km is comfortable bike range for many riders.', '≈100% CO₂ saved'));
-    env.appendChild(envCard('Public transport', 'Likely options available depending on route.', 'High'));
-    env.appendChild(envCard('Park & Walk', 'Park slightly further away and walk the last 500–800 m.', 'Some savings'));
+    env.appendChild(envCard('tip.cycle', 'tip.cycle.range'));
+    env.appendChild(envCard('tip.transit', 'tip.transit.likely'));
+    env.appendChild(envCard('tip.parkWalk', 'tip.parkWalk.text'));
   } else {
-    env.appendChild(envCard('Public transport', 'Avoid city traffic and parking costs.', 'High'));
-    env.appendChild(envCard('Park & Ride', 'Drive to a suburban station, then train/tram to destination.', 'Moderate savings'));
-    env.appendChild(envCard('Car share', 'Use shared vehicles to reduce total cars parked.', 'Varies'));
+    env.appendChild(envCard('tip.transit', 'tip.transit.avoidTraffic'));
+    env.appendChild(envCard('tip.parkRide', 'tip.parkRide.text'));
+    env.appendChild(envCard('tip.carShare', 'tip.carShare.text'));
   }
 }
-function envCard(title, text, impact) {
+function envCard(titleKey, textKey) {
   const div = document.createElement('div'); div.className = 'env-card';
-  div.innerHTML = `<h4>${title}</h4><p>${text}</p><p class="muted">Impact: ${impact}</p>`; return div;
+  div.innerHTML = `<h4>${t(titleKey)}</h4><p>${t(textKey)}</p>`; return div;
 }
 
 let avgOccChart, busyHoursChart;
+let chartLots = [];
+const statsFromEl = document.getElementById('statsFrom');
+const statsToEl = document.getElementById('statsTo');
+const statsGranularityEl = document.getElementById('statsGranularity');
+const statsAggregationEl = document.getElementById('statsAggregation');
+const WEEKDAY_BUCKETS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const percent = v => formatNumber(v / 100, { style: 'percent' });
+
+// Buckets arrive as "08:00", "Mon" or "2025-01-02"; show them in the reader's locale
+function bucketLabel(granularity, bucket) {
+  if (granularity === 'hour') return formatTime(new Date(2023, 0, 1, parseInt(bucket, 10)));
+  if (granularity === 'weekday') return WEEKDAY_BUCKETS.includes(bucket) ? formatWeekday(WEEKDAY_BUCKETS.indexOf(bucket)) : bucket;
+  return formatDate(`${bucket}T00:00`);
+}
+
+// Canvas charts are images to assistive technology: name them with the numbers that matter
+function describeChart(canvas, text) {
+  canvas.setAttribute('role', 'img');
+  canvas.setAttribute('aria-label', text);
+}
+function byCarParkSummary(rows) {
+  if (!rows.length) return t('chart.noData');
+  const sorted = rows.slice().sort((a, b) => b.percentage - a.percentage);
+  const [busiest, quietest] = [sorted[0], sorted[sorted.length - 1]];
+  return t('chart.byCarParkSummary', { busiest: busiest.carPark, high: percent(busiest.percentage), quietest: quietest.carPark, low: percent(quietest.percentage) });
+}
+function seriesSummary(series, granularity) {
+  if (!series.length) return t('chart.noData');
+  const top = key => series.reduce((a, b) => (b[key] > a[key] ? b : a));
+  const occ = top('occupancy'), arrivals = top('entries');
+  return t('chart.seriesSummary', {
+    high: percent(occ.occupancy), bucket: bucketLabel(granularity, occ.bucket),
+    arrivals: formatNumber(arrivals.entries), arrivalsBucket: bucketLabel(granularity, arrivals.bucket)
+  });
+}
+
+// Default the Insights range to the last 7 days and re-render when any control changes
+(function initStatsControls() {
+  const today = new Date();
+  const weekAgo = new Date(today.getTime() - 6 * 86400000);
+  const iso = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  statsFromEl.value = iso(weekAgo);
+  statsToEl.value = iso(today);
+  for (const el of [statsFromEl, statsToEl, statsGranularityEl, statsAggregationEl]) {
+    el.addEventListener('change', () => renderCharts(chartLots));
+  }
+})();
+
+// Date inputs are local calendar days; "to" is inclusive so send the following midnight
+function statsParams(lots) {
+  const from = new Date(`${statsFromEl.value}T00:00`);
+  const to = new Date(`${statsToEl.value}T00:00`);
+  to.setDate(to.getDate() + 1);
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    ids: lots.map(l => l.id).join(','),
+    region: region.id,
+    granularity: statsGranularityEl.value,
+    aggregation: statsAggregationEl.value
+  };
+}
+
 async function renderCharts(lots) {
+  chartLots = lots;
   const ctx1 = document.getElementById('avgOccChart');
   const ctx2 = document.getElementById('busyHoursChart');
+  const params = statsParams(lots);
+  const measure = t(`aggregation.${params.aggregation}`);
 
-  // If using real backend, try to fetch stats from /stats/parking
-  if (!USE_MOCK) {
-    try {
-      const r = await fetch(`${API_BASE}/stats/parking`, { cache: 'no-store' });
-      if (r.ok) {
-        const stats = await r.json();
-        // Average Occupancy from backend
-        const labels1 = Array.isArray(stats.averageOccupancy) ? stats.averageOccupancy.map(x => x.carPark) : [];
-        const occ1    = Array.isArray(stats.averageOccupancy) ? stats.averageOccupancy.map(x => Number(x.percentage) || 0) : [];
-        if (avgOccChart) avgOccChart.destroy();
-        avgOccChart = new Chart(ctx1, {
-          type: 'bar',
-          data: { labels: labels1, datasets: [{ label: 'Occupancy %', data: occ1 }] },
-          options: { responsive: true, plugins: { legend: { display: false } }, scales: { y: { beginAtZero: true, max: 100 } } }
-        });
-
-        // Busiest Hours from backend
-        const labels2 = Array.isArray(stats.busiestHours) ? stats.busiestHours.map(x => x.hour) : [];
-        const counts2 = Array.isArray(stats.busiestHours) ? stats.busiestHours.map(x => Number(x.count) || 0) : [];
-        if (busyHoursChart) busyHoursChart.destroy();
-        busyHoursChart = new Chart(ctx2, {
-          type: 'line',
-          data: { labels: labels2, datasets: [{ label: 'Cars/hour', data: counts2, tension: 0.35 }] },
-          options: { responsive: true, plugins: { legend: { display: false } } }
-        });
-        return; // done with real stats
-      } else {
-        console.warn('Stats endpoint returned', r.status, r.statusText);
-      }
-    } catch (err) {
-      console.warn('Failed to fetch /stats/parking, falling back to local charts:', err);
-    }
+  document.getElementById('avgOccTitle').textContent = t('insights.byCarPark', { measure });
+  document.getElementById('busyHoursTitle').textContent = t('insights.byBucket', { measure, granularity: t(`granularity.${params.granularity}`).toLocaleLowerCase(locale) });
+
+  let stats;
+  try {
+    stats = await api.stats(params, lots);
+  } catch (err) {
+    console.warn('Failed to fetch /stats/parking, falling back to current results:', err);
+    // Only the live snapshot is known here, so there is no time series to draw
+    stats = {
+      byCarPark: lots.map(l => ({ id: l.id, carPark: l.name, percentage: Math.round((l.capacity - l.available_spots) / Math.max(1, l.capacity) * 100) })),
+      series: []
+    };
   }
 
-  // Fallback (mock or when stats endpoint unavailable): compute from current lots + mock busiest hours
-  const labels = lots.map(l => l.name);
-  const occ = lots.map(l => Math.round((l.capacity - l.available_spots) / Math.max(1, l.capacity) * 100));
+  describeChart(ctx1, byCarParkSummary(stats.byCarPark));
+  describeChart(ctx2, seriesSummary(stats.series, params.granularity));
+
   if (avgOccChart) avgOccChart.destroy();
   avgOccChart = new Chart(ctx1, {
     type: 'bar',
-    data: { labels, datasets: [{ label: 'Occupancy % (from current results)', data: occ }] },
+    data: { labels: stats.byCarPark.map(x => x.carPark), datasets: [{ label: t('chart.occupancy'), data: stats.byCarPark.map(x => x.percentage) }] },
     options: { responsive: true, plugins: { legend: { display: false } }, scales: { y: { beginAtZero: true, max: 100 } } }
   });
 
-  const hours = ['08:00','09:00','10:00','11:00','12:00','13:00','14:00','15:00','16:00','17:00'];
-  const counts = hours.map(() => Math.floor(Math.random() * 100));
   if (busyHoursChart) busyHoursChart.destroy();
   busyHoursChart = new Chart(ctx2, {
     type: 'line',
-    data: { labels: hours, datasets: [{ label: 'Cars/hour (mock)', data: counts, tension: 0.35 }] },
-    options: { responsive: true, plugins: { legend: { display: false } } }
+    data: {
+      labels: stats.series.map(x => bucketLabel(params.granularity, x.bucket)),
+      datasets: [
+        { label: t('chart.occupancy'), data: stats.series.map(x => x.occupancy), tension: 0.35, yAxisID: 'occ' },
+        { label: t('chart.arrivals'), data: stats.series.map(x => x.entries), tension: 0.35, yAxisID: 'cars', borderDash: [6, 4] }
+      ]
+    },
+    options: {
+      responsive: true,
+      plugins: { legend: { display: true } },
+      scales: {
+        occ: { position: 'left', beginAtZero: true, max: 100 },
+        cars: { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false } }
+      }
+    }
   });
 }
 
-// Map backend contract (available) → frontend shape (available_spots)
-function mapBackendParking(p) {
-  return {
-    id: p.id,
-    name: p.name,
-    lat: p.lat,
-    lng: p.lng,
-    capacity: p.capacity,
-    available_spots: (typeof p.available_spots === 'number') ? p.available_spots : (p.available ?? 0),
-    price: p.price,
-    updated_at: p.updated_at || new Date().toISOString()
-  };
+async function fetchParking(params) {
+  const qs = new URLSearchParams({ ...params, ...currentFilters() });
+  let r;
+  try {
+    r = await fetch(`${API_BASE}/parking?${qs}`, { cache: 'no-store' });
+  } catch (err) {
+    return offlineParking(params, err); // network unreachable: last saved response
+  }
+  if (!r.ok) throw new Error(`Parking search returned ${r.status}`);
+  const { data } = await r.json();
+  saveParkingSnapshot(data).catch(err => console.warn('Could not save parking for offline use:', err));
+  return data.map(p => ({ ...p, cached: false }));
+}
+
+// /api/v2 wraps every successful body in { data, meta }; the mock returns the same bodies
+async function unwrap(body) {
+  return (await body).data;
+}
+
+async function getJson(path, label) {
+  const r = await fetch(`${API_BASE}${path}`, { cache: 'no-store' });
+  if (r.status === 429) throw new Error(t('error.tooMany', { seconds: r.headers.get('Retry-After') || 60 }));
+  if (!r.ok) throw new Error(`${label} endpoint returned ${r.status}`);
+  return unwrap(r.json());
 }
 
 const api = {
   async geoSearch(q) {
-    if (USE_MOCK) return mock.geoSearch(q);
+    if (USE_MOCK) return unwrap(mock.geoSearch(q, region.id));
     // If no real geo endpoint yet, fall back to mock suggestions (non-blocking)
     try {
-      const r = await fetch(`${API_BASE}/geo/search?q=${encodeURIComponent(q)}`);
-      if (r.ok) return r.json();
+      const r = await fetch(`${API_BASE}/geo/search?${new URLSearchParams({ q, region: region.id })}`);
+      if (r.ok) return unwrap(r.json());
     } catch (_) {}
-    return mock.geoSearch(q);
+    return unwrap(mock.geoSearch(q, region.id));
   },
   async parkingNear(lat, lng, radius) {
-    // Real backend doesn't support lat/lng in this iteration; only use mock for this path
-    if (USE_MOCK) return mock.parkingNear(lat, lng, radius);
-    return { items: [] };
+    if (USE_MOCK) return unwrap(mock.parkingNear(lat, lng, radius, currentFilters()));
+    const items = await fetchParking({ near: `${lat},${lng}`, radius, sort: 'distance', limit: 50 });
+    // Nothing within walking distance: offer the three closest instead (same as mock mode)
+    return items.length ? items : fetchParking({ near: `${lat},${lng}`, sort: 'distance', limit: 3 });
+  },
+  // `from` is the point distances are measured from (destination or region center)
+  async parkingInBBox(bbox, from) {
+    if (USE_MOCK) return unwrap(mock.parkingInBBox(bbox, currentFilters()));
+    return fetchParking({ bbox: bbox.join(','), near: `${from.lat},${from.lng}`, limit: 500 });
+  },
+  async stats(params, lots) {
+    if (USE_MOCK) return unwrap(mock.stats(params, lots));
+    return getJson(`/stats/parking?${new URLSearchParams(params)}`, 'Stats');
+  },
+  async forecasts(ids, at) {
+    if (USE_MOCK) return unwrap(mock.forecasts(ids, at));
+    return getJson(`/parking/forecast?${new URLSearchParams({ ids: ids.join(','), at: at.toISOString() })}`, 'Forecast');
+  },
+  async costs(ids, arrival, duration) {
+    if (USE_MOCK) return unwrap(mock.costs(ids, arrival, duration));
+    return getJson(`/parking/cost?${new URLSearchParams({ ids: ids.join(','), arrival: arrival.toISOString(), duration })}`, 'Cost');
+  },
+  async reserve(id, body) {
+    if (USE_MOCK) return unwrap(mock.reserve(id, body));
+    const r = await fetch(`${API_BASE}/parking/${encodeURIComponent(id)}/reservations`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+    });
+    const json = await r.json();
+    if (!r.ok) throw new Error(json.error || `Reservation failed (${r.status})`);
+    return json.data;
+  },
+  async cancelReservation(reference) {
+    if (USE_MOCK) return unwrap(mock.cancelReservation(reference));
+    const r = await fetch(`${API_BASE}/reservations/${encodeURIComponent(reference)}`, { method: 'DELETE' });
+    const json = await r.json();
+    if (!r.ok) throw new Error(json.error || `Cancellation failed (${r.status})`);
+    return json.data;
+  },
+  async walkTimes(ids, dest) {
+    if (USE_MOCK) return unwrap(mock.walkTimes(ids, dest));
+    return getJson(`/parking/walk?${new URLSearchParams({ ids: ids.join(','), to: `${dest.lat},${dest.lng}` })}`, 'Walk');
+  },
+  async walkRoute(id, dest) {
+    if (USE_MOCK) return unwrap(mock.walkRoute(id, dest));
+    return getJson(`/parking/${encodeURIComponent(id)}/route?to=${dest.lat},${dest.lng}`, 'Route');
+  },
+  async journeys(from, to, at, stay, vehicle) {
+    if (USE_MOCK) return unwrap(mock.journeys(from, to, at, stay, vehicle, region.id));
+    const qs = new URLSearchParams({ from: `${from.lat},${from.lng}`, to: `${to.lat},${to.lng}`, at: at.toISOString(), stay, vehicle, region: region.id });
+    return getJson(`/environment?${qs}`, 'Environment');
+  },
+  async baysInBBox(bbox) {
+    if (USE_MOCK) return unwrap(mock.baysInBBox(bbox));
+    return getJson(`/bays?bbox=${bbox.join(',')}&limit=1000`, 'Bays');
+  },
+  async register(body) {
+    if (USE_MOCK) return unwrap(mock.register(body));
+    return accountRequest('POST', '/auth/register', body);
+  },
+  async login(body) {
+    if (USE_MOCK) return unwrap(mock.login(body));
+    return accountRequest('POST', '/auth/login', body);
+  },
+  async me() {
+    if (USE_MOCK) return unwrap(mock.me(localStorage.getItem(TOKEN_KEY)));
+    return accountRequest('GET', '/me');
+  },
+  async updateMe(patch) {
+    if (USE_MOCK) return unwrap(mock.updateMe(localStorage.getItem(TOKEN_KEY), patch));
+    return accountRequest('PATCH', '/me', patch);
+  },
+  async addDestination(place) {
+    if (USE_MOCK) return unwrap(mock.addDestination(localStorage.getItem(TOKEN_KEY), place));
+    return accountRequest('POST', '/me/destinations', place);
+  },
+  async removeDestination(id) {
+    if (USE_MOCK) return mock.removeDestination(localStorage.getItem(TOKEN_KEY), id);
+    return accountRequest('DELETE', `/me/destinations/${encodeURIComponent(id)}`);
+  },
+  async favourites() {
+    if (USE_MOCK) return unwrap(mock.favourites(localStorage.getItem(TOKEN_KEY)));
+    return (await accountRequest('GET', '/me/favourites')).map(p => ({ ...p, cached: false }));
+  },
+  async addFavourite(id) {
+    if (USE_MOCK) return unwrap(mock.setFavourite(localStorage.getItem(TOKEN_KEY), id, true));
+    return accountRequest('PUT', `/me/favourites/${encodeURIComponent(id)}`);
+  },
+  async removeFavourite(id) {
+    if (USE_MOCK) return unwrap(mock.setFavourite(localStorage.getItem(TOKEN_KEY), id, false));
+    return accountRequest('DELETE', `/me/favourites/${encodeURIComponent(id)}`);
+  },
+  async createWatch(body) {
+    if (USE_MOCK) return unwrap(mock.createWatch(body));
+    const r = await fetch(`${API_BASE}/watches`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json', ...authHeader() }, body: JSON.stringify(body)
+    });
+    const json = await r.json();
+    if (!r.ok) throw new Error([json.error || `Watch failed (${r.status})`, ...(json.details || [])].join('. '));
+    return json.data;
+  },
+  async deleteWatch(id) {
+    if (USE_MOCK) return mock.deleteWatch(id);
+    const r = await fetch(`${API_BASE}/watches/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    if (!r.ok && r.status !== 404) throw new Error(`Stopping the watch failed (${r.status})`);
   },
-  async parkingByDest(dest) {
-    const r = await fetch(`${API_BASE}/parking?dest=${encodeURIComponent(dest)}`, { cache: 'no-store' });
-    const arr = await r.json();              // backend returns an array
-    return { items: arr.map(mapBackendParking) }; // normalize to frontend shape
+  async pushKey() {
+    return getJson('/watches/push-key', 'Push key');
   },
   __mockPushUpdates(ids) { return mock.pushUpdates(ids); }
 };
 
-const mock = (() => {
-  const places = [
-    { place_id:'g-fedsq', name:'Federation Square', lat:-37.817979, lng:144.969093 },
-    { place_id:'g-caulfield', name:'Monash Caulfield Campus', lat:-37.8770, lng:145.0443 },
-    { place_id:'g-swanston', name:'Swanston St & Bourke St', lat:-37.8134, lng:144.9635 },
-  ];
-  let lots = [
-    { id:'CP-101', name:'Flinders Lane Car Park', lat:-37.8173, lng:144.9655, capacity:220, available_spots: 88, price:'$3/hr' },
-    { id:'CP-102', name:'Russell St Car Park',    lat:-37.8128, lng:144.9675, capacity:160, available_spots: 47, price:'$4/hr' },
-    { id:'CP-103', name:'QV Car Park',            lat:-37.8106, lng:144.9652, capacity:120, available_spots: 12, price:'$5/hr' },
-    { id:'CP-201', name:'Derby Rd Car Park',      lat:-37.8779, lng:145.0449, capacity:180, available_spots: 61, price:'$3/hr' },
-    { id:'CP-202', name:'Caulfield Plaza Car Park',lat:-37.8765,lng:145.0431, capacity:140, available_spots:  9, price:'$3/hr' },
-  ].map(p => ({ ...p, updated_at: new Date().toISOString() }));
-  function toRad(d){ return d*Math.PI/180; }
-  function haversine(a,b){ const R=6371000, dLat=toRad(b.lat-a.lat), dLng=toRad(b.lng-a.lng), la1=toRad(a.lat), la2=toRad(b.lat);
-    const h=Math.sin(dLat/2)**2 + Math.cos(la1)*Math.cos(la2)*Math.sin(dLng/2)**2; return 2*R*Math.asin(Math.sqrt(h)); }
-  return {
-    async geoSearch(q){ const qn=q.toLowerCase(); const items=places.filter(p=>p.name.toLowerCase().includes(qn)).slice(0,8); return { items }; },
-    async parkingNear(lat,lng,radius=900){ const c={lat,lng}; const items=lots.filter(p=>haversine(c,p)<=radius).map(p=>({...p}));
-      if (!items.length){ const nearest=lots.map(p=>({...p,_d:haversine(c,p)})).sort((a,b)=>a._d-b._d).slice(0,3).map(({_d,...r})=>r); return { items: nearest }; }
-      return { items }; },
-    pushUpdates(ids){ const changes=[]; for (const id of ids){ const i=lots.findIndex(l=>l.id===id); if (i===-1) continue;
-      const delta=Math.floor((Math.random()-0.5)*8); lots[i].available_spots=Math.max(0,Math.min(lots[i].capacity,lots[i].available_spots+delta));
-      lots[i].updated_at=new Date().toISOString(); changes.push({ ...lots[i] }); } return changes; }
-  };
-})();
+function authHeader() {
+  const token = localStorage.getItem(TOKEN_KEY);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Account endpoints carry the signed-in user's token; errors surface the backend's message and details
+async function accountRequest(method, path, body) {
+  const headers = authHeader();
+  if (body) headers['Content-Type'] = 'application/json';
+  const r = await fetch(`${API_BASE}${path}`, { method, headers, body: body ? JSON.stringify(body) : undefined, cache: 'no-store' });
+  if (r.status === 204) return null;
+  const json = await r.json();
+  if (!r.ok) throw new Error([json.error || `Request failed (${r.status})`, ...(json.details || [])].join('. '));
+  return json.data;
+}
 
 function distanceMeters(a,b){ const R=6371000, toRad=d=>d*Math.PI/180, dLat=toRad(b.lat-a.lat), dLng=toRad(b.lng-a.lng), la1=toRad(a.lat), la2=toRad(b.lat);
   const h=Math.sin(dLat/2)**2 + Math.cos(la1)*Math.cos(la2)*Math.sin(dLng/2)**2; return 2*R*Math.asin(Math.sqrt(h)); }
@@ -404,25 +1626,26 @@ async function loadInitialCarParks() {
     let items = [];
     // Prefer real backend if USE_MOCK is false
     if (!USE_MOCK) {
-      const r = await fetch(`${API_BASE}/parking`, { cache: 'no-store' });
-      const arr = await r.json();
-      items = Array.isArray(arr) ? arr.map(mapBackendParking) : [];
+      const center = regionCenter();
+      items = await fetchParking({ near: `${center.lat},${center.lng}` });
     } else {
-      // fallback to mock by default map center
-      const { items: list } = await api.parkingNear(MAP_DEFAULT.lat, MAP_DEFAULT.lng, 1200);
+      // fallback to mock by the region's map center
+      const center = regionCenter();
+      const list = await api.parkingNear(center.lat, center.lng, 1200);
       items = list || [];
     }
 
-    // compute distance from map default center for display
-    const center = { lat: MAP_DEFAULT.lat, lng: MAP_DEFAULT.lng };
-    for (const it of items) it.distance_m = distanceMeters(center, it);
+    // Distance from the region's map center comes from the backend; mock lots may lack it
+    const center = regionCenter();
+    for (const it of items) it.distance_m ??= distanceMeters(center, it);
 
     // cache for "click map to choose nearest"
     window.__lastParkingItems = items.slice();
 
     // clear and render
-    markers.clear(); cluster.clearLayers(); lotListEl.innerHTML = '';
-    items.forEach((p) => { upsertMarker(p); lotListEl.appendChild(lotCard(p)); });
+    markers.clear(); cluster.clearLayers();
+    items.forEach(upsertMarker);
+    renderLotList();
 
     // fit map if we have markers
     if (items.length && cluster.getLayers().length) {
@@ -431,14 +1654,18 @@ async function loadInitialCarParks() {
 
     // status + charts + env tips
     if (typeof statusEl !== 'undefined' && statusEl) {
-      statusEl.textContent = items.length ? `Showing ${items.length} car parks (initial load).` : 'No car parks available yet.';
+      statusEl.textContent = items.length ? t('map.showing', { count: items.length }) : t('map.noneYet');
     }
     renderCharts(items);
+    loadForecasts(items);
+    loadCosts(items);
+    subscribeRealtime();
     // Provide a minimal env card without a chosen destination
     if (typeof renderEnvSuggestions === 'function') {
-      const pseudoPlace = { name: 'Melbourne CBD', lat: MAP_DEFAULT.lat, lng: MAP_DEFAULT.lng };
+      const pseudoPlace = { name: t('env.centre', { region: region.name }), ...regionCenter() };
       renderEnvSuggestions(pseudoPlace, items);
     }
+    focusLinkedLot();
     console.log('Initial car parks loaded:', items.length);
   } catch (err) {
     console.error('loadInitialCarParks failed:', err);
@@ -455,6 +1682,63 @@ async function loadInitialCarParks() {
 })();
 // ---- /Auto-load initial car parks ----
 
+// Load car parks inside the viewport after the user pans or zooms
+(function enableViewportLoading(){
+  let timer;
+  map.on('moveend', () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => { loadViewport(); loadBays(); }, 300);
+  });
+  map.on('overlayadd', (e) => { if (e.layer === bayLayer) loadBays(); });
+})();
+
+async function loadViewport() {
+  if (!__initialLoaded || map.getZoom() < 13) return; // too many lots to be useful when zoomed out
+  const b = map.getBounds();
+  try {
+    const ref = currentDestination || regionCenter();
+    const items = await api.parkingInBBox([b.getWest(), b.getSouth(), b.getEast(), b.getNorth()], ref);
+    // New lots, plus saved offline copies that can now be replaced with live data
+    const fresh = items.filter(p => !markers.has(p.id) || (markers.get(p.id).data.cached && !p.cached));
+    if (!fresh.length) return;
+    for (const p of fresh) { p.distance_m ??= distanceMeters(ref, p); upsertMarker(p); }
+    window.__lastParkingItems = Array.from(markers.values(), m => m.data);
+    renderLotList();
+    loadForecasts(fresh);
+    loadCosts(fresh);
+    loadWalks(fresh);
+    subscribeRealtime();
+  } catch (err) {
+    console.warn('Viewport load failed:', err);
+  }
+}
+
+// Redraw kerbside bays in the viewport while the layer is switched on
+async function loadBays() {
+  if (!map.hasLayer(bayLayer)) return;
+  if (map.getZoom() < BAY_MIN_ZOOM) { bayLayer.clearLayers(); return; }
+  const b = map.getBounds();
+  try {
+    const items = await api.baysInBBox([b.getWest(), b.getSouth(), b.getEast(), b.getNorth()]);
+    bayLayer.clearLayers();
+    for (const bay of items) {
+      const style = bay.can_park_now === false ? BAY_STYLES.noParking : (BAY_STYLES[bay.status] || BAY_STYLES.unknown);
+      L.circleMarker([bay.lat, bay.lng], style).bindPopup(bayPopupHtml(bay)).addTo(bayLayer);
+    }
+  } catch (err) {
+    console.warn('Bay load failed:', err);
+  }
+}
+
+function bayPopupHtml(bay) {
+  const r = bay.restriction_now;
+  const rule = !r ? t('bay.noRestriction')
+    : bay.can_park_now === false ? `<strong>${escapeHtml(r.description || r.code)}</strong> ${t('bay.noParkingUntil', { time: escapeHtml(r.until) })}`
+    : `${escapeHtml(r.description || r.code)} ${t('bay.until', { time: escapeHtml(r.until) })}`;
+  const status = ['vacant', 'occupied', 'unknown'].includes(bay.status) ? t(`bay.${bay.status}`) : escapeHtml(bay.status);
+  return `${bay.street ? escapeHtml(bay.street) : t('bay.default')} <small>${escapeHtml(bay.id)}</small><br/>${t('bay.status')} <strong>${status}</strong><br/><small>${rule}</small>`;
+}
+
 // Click anywhere on the map to focus the nearest car park and show details
 (function enableNearestOnMapClick(){
   let enabled = false;
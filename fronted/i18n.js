@@ -0,0 +1,99 @@
+// Translations and locale-aware formatting for the map page.
+// Messages live in locales/<id>.js. English is the reference catalogue and fills any gaps in the others.
+// The language comes from ?lang=, then the last choice made in the header, then the browser's languages.
+// Each locale names the Intl locale used for numbers, money and times (English formats as in Australia).
+import en from './locales/en.js';
+import zhCN from './locales/zh-CN.js';
+import vi from './locales/vi.js';
+
+export const LOCALES = {
+  en: { name: 'English', intl: 'en-AU', messages: en },
+  'zh-CN': { name: '简体中文', intl: 'zh-CN', messages: zhCN },
+  vi: { name: 'Tiếng Việt', intl: 'vi-VN', messages: vi }
+};
+const LANG_KEY = 'mcp.lang';
+
+// Exact match first ("zh-CN"), then the language alone ("zh-Hans-SG" → zh-CN, "vi-VN" → vi)
+function matchLocale(tag) {
+  if (!tag) return null;
+  if (LOCALES[tag]) return tag;
+  const lang = tag.toLowerCase().split('-')[0];
+  return Object.keys(LOCALES).find(id => id.toLowerCase().split('-')[0] === lang) || null;
+}
+
+function pickLocale() {
+  const candidates = [new URLSearchParams(location.search).get('lang'), localStorage.getItem(LANG_KEY), ...(navigator.languages || [navigator.language])];
+  for (const tag of candidates) {
+    const id = matchLocale(tag);
+    if (id) return id;
+  }
+  return 'en';
+}
+
+export const locale = pickLocale();
+const { messages, intl } = LOCALES[locale];
+const plurals = new Intl.PluralRules(intl);
+
+// t('lot.spots', { free: 3, capacity: 10 }) → "3/10 spots". A message may be { one, other, … },
+// picked with Intl.PluralRules on params.count. Unknown keys come back as the key so they are easy to spot.
+export function t(key, params = {}) {
+  let msg = messages[key] ?? en[key];
+  if (msg === undefined) return key;
+  if (typeof msg === 'object') msg = msg[plurals.select(params.count ?? 0)] ?? msg.other;
+  return msg.replace(/\{(\w+)\}/g, (m, name) => (params[name] !== undefined ? params[name] : m));
+}
+
+// Remember the choice and reload, so every message is rebuilt in the new language
+export function setLocale(id) {
+  localStorage.setItem(LANG_KEY, id);
+  const url = new URL(location.href);
+  if (url.searchParams.has('lang')) url.searchParams.set('lang', id);
+  location.replace(url);
+}
+
+// Static markup: data-i18n sets the text, data-i18n-placeholder / -title / -aria-label set that attribute
+export function translatePage(root = document) {
+  document.documentElement.lang = locale;
+  for (const el of root.querySelectorAll('[data-i18n]')) el.textContent = t(el.dataset.i18n);
+  for (const attr of ['placeholder', 'title', 'aria-label']) {
+    const data = `i18n${attr.replace(/(^|-)(\w)/g, (m, dash, c) => c.toUpperCase())}`;
+    for (const el of root.querySelectorAll(`[data-i18n-${attr}]`)) el.setAttribute(attr, t(el.dataset[data]));
+  }
+}
+
+// ---- Formatting ----
+export const formatNumber = (n, options) => new Intl.NumberFormat(intl, options).format(n);
+
+export const formatCurrency = (amount, currency = 'AUD') =>
+  new Intl.NumberFormat(intl, { style: 'currency', currency, minimumFractionDigits: amount % 1 ? 2 : 0 }).format(amount);
+
+export const formatTime = iso => new Intl.DateTimeFormat(intl, { hour: '2-digit', minute: '2-digit' }).format(new Date(iso));
+
+export const formatDate = iso => new Intl.DateTimeFormat(intl, { day: 'numeric', month: 'short' }).format(new Date(iso));
+
+// Short weekday name; 0 = Sunday as in Date#getDay (2023-01-01 was a Sunday)
+export const formatWeekday = day => new Intl.DateTimeFormat(intl, { weekday: 'short' }).format(new Date(2023, 0, 1 + day));
+
+// Metres under 1 km, otherwise km with up to the given decimals
+export function formatDistance(meters, digits = 2) {
+  if (meters < 1000) return formatNumber(Math.round(meters), { style: 'unit', unit: 'meter' });
+  return formatNumber(meters / 1000, { style: 'unit', unit: 'kilometer', maximumFractionDigits: digits });
+}
+
+export const formatMinutes = min => formatNumber(min, { style: 'unit', unit: 'minute', unitDisplay: 'short' });
+
+export function formatStay(min) {
+  const h = Math.floor(min / 60), m = min % 60;
+  if (!h) return t('duration.min', { m: formatNumber(m) });
+  return m ? t('duration.hm', { h: formatNumber(h), m: formatNumber(m) }) : t('duration.h', { h: formatNumber(h) });
+}
+
+// "5 minutes ago", "3 hours ago", "2 days ago"
+export function timeAgo(iso) {
+  const minutes = Math.round((Date.now() - new Date(iso).getTime()) / 60000);
+  const rtf = new Intl.RelativeTimeFormat(intl, { numeric: 'auto' });
+  if (minutes < 1) return rtf.format(0, 'second');
+  if (minutes < 60) return rtf.format(-minutes, 'minute');
+  if (minutes < 48 * 60) return rtf.format(-Math.round(minutes / 60), 'hour');
+  return rtf.format(-Math.round(minutes / 1440), 'day');
+}
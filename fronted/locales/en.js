@@ -0,0 +1,271 @@
+// English: the reference catalogue. Every key used by app.js and index.html is defined here;
+// the other locales may leave keys out and fall back to these.
+// {name} is filled in by t(); { one, other } entries are plural forms picked with params.count.
+export default {
+  // Page and header
+  'app.title': '{region} Car Park Solution',
+  'app.skip': 'Skip to the parking map',
+  'header.city': 'City',
+  'header.language': 'Language',
+  'nav.label': 'Sections',
+  'nav.map': 'Real-Time Map',
+  'nav.environment': 'Environment Options',
+  'nav.insights': '{region} Insights',
+  'footer.text': '© 2025 {region} Car Park Solution • Frontend demo',
+
+  // Overview and search
+  'overview.title': 'Project Overview',
+  'overview.text': 'Find parking near your destination and see live availability. We also suggest environment-friendly options (public transport, walking, cycling) and provide insights like busiest hours and average occupancy.',
+  'search.label': 'Where do you want to go?',
+  'search.placeholder': 'Type a place, street or station',
+  'search.hint': 'Use the up and down arrows to move through suggestions and Enter to choose one.',
+  'plan.arriveAt': 'Arriving at',
+  'plan.stayFor': 'Staying for',
+  'stay.30': '30 min',
+  'stay.60': '1 hour',
+  'stay.120': '2 hours',
+  'stay.180': '3 hours',
+  'stay.240': '4 hours',
+  'stay.480': '8 hours',
+  'stay.600': 'All day (10 hours)',
+  'filters.legend': 'Filters',
+  'filters.ev': 'EV charging',
+  'filters.accessible': 'Accessible bays',
+  'filters.motorcycle': 'Motorcycle parking',
+  'filters.open24': 'Open 24/7',
+  'filters.openAtArrival': 'Open when I arrive',
+  'filters.height': 'Vehicle height (m)',
+  'filters.heightPlaceholder': 'e.g. 2.1',
+
+  // Map, legend and status line
+  'map.title': 'Real-Time Parking Map',
+  'map.label': 'Map of car parks',
+  'map.hint': 'Type a destination to load nearby parking.',
+  'map.loading': 'Loading nearby parking…',
+  'map.showingNear': { one: 'Showing 1 car park near {place}.', other: 'Showing {count} car parks near {place}.' },
+  'map.noneNear': 'No car parks found in this area.',
+  'map.showing': { one: 'Showing 1 car park.', other: 'Showing {count} car parks.' },
+  'map.noneYet': 'No car parks available yet.',
+  'layers.carParks': 'Car parks',
+  'layers.bays': 'Kerbside bays',
+  'legend.carParks': 'Car parks',
+  'legend.low': 'Limited (≤20% free)',
+  'legend.bays': 'Kerbside bays',
+  'legend.zoomIn': '(zoom in)',
+  'legend.noParking': 'No parking now (clearway)',
+  'legend.hint': 'Select a marker to view spots',
+  'status.available': 'Available',
+  'status.low': 'Limited',
+  'status.full': 'Full',
+  'status.closed': 'Closed now',
+  'marker.label': '{name}: {status}, {free} of {capacity} spaces free',
+  'live.live': '● Live',
+  'live.reconnecting': '● Reconnecting…',
+  'live.offline': '● Offline',
+  'offline.banner': 'You’re offline. Showing saved availability, last updated {ago}. Spaces may have changed since.',
+
+  // Screen-reader announcements
+  'announce.available': '{name} has spaces again: {free} free.',
+  'announce.low': '{name} is filling up: {free} spaces left.',
+  'announce.full': '{name} is now full.',
+  'announce.closed': '{name} has closed.',
+  'announce.suggestions': { one: '1 suggestion.', other: '{count} suggestions.' },
+  'announce.noSuggestions': 'No matching places.',
+  'announce.region': 'Showing car parks in {region}.',
+
+  // Popups and lot cards
+  'popup.availability': 'Availability:',
+  'popup.expected': 'Expected at {time}:',
+  'popup.expectedFree': '~{expected} free',
+  'popup.walkTo': '{minutes} min walk to {place}',
+  'popup.destination': 'destination',
+  'popup.updated': 'Updated: {time}',
+  'popup.lastUpdated': 'Last updated {ago}',
+  'popup.offline': '(offline)',
+  'lot.spots': '{free}/{capacity} spots',
+  'lot.savedOnline': 'Saved while online',
+  'lot.forecast': '~{expected} free at {time}',
+  'lot.forecastRange': '80% range {low}–{high}',
+  'lot.overMaxStay': 'Over max stay',
+  'lot.plannedStay': 'Your planned stay',
+  'lot.costFor': '{price} for {stay}',
+  'lot.walk': '{minutes} min walk',
+  'lot.walkStraight': '{distance} estimated from straight-line distance',
+  'lot.walkStreets': '{distance} along streets',
+  'lot.hourly': '{price}/hr',
+  'lot.open24': '24/7',
+  'lot.evChargers': 'EV chargers',
+  'lot.accessibleBays': 'Accessible bays',
+  'lot.motorcycle': 'Motorcycle',
+  'lot.heightLimit': 'Height limit',
+  'lot.reserve': 'Reserve',
+  'lot.notify': 'Notify me',
+  'fav.add': 'Add to favourites',
+  'fav.remove': 'Remove from favourites',
+  'duration.min': '{m} min',
+  'duration.h': '{h} h',
+  'duration.hm': '{h} h {m} min',
+  'route.tooltip': '{minutes} min walk · {distance}',
+
+  // Kerbside bays
+  'bay.default': 'Kerbside bay',
+  'bay.status': 'Status:',
+  'bay.vacant': 'Vacant',
+  'bay.occupied': 'Occupied',
+  'bay.unknown': 'No sensor reading',
+  'bay.noRestriction': 'No restriction right now',
+  'bay.noParkingUntil': '— no parking until {time}',
+  'bay.until': '(until {time})',
+
+  // Sorting
+  'list.sortBy': 'Sort by',
+  'list.label': 'Car parks on the map',
+  'sort.distance': 'Distance',
+  'sort.price': 'Price for my stay',
+  'sort.availability': 'Free spaces',
+
+  // Environment options and journeys
+  'env.title': 'Environment-Friendly Choices',
+  'env.origin': 'Starting from',
+  'env.originPlaceholder': 'Where are you coming from?',
+  'env.useMyLocation': 'Use my location',
+  'env.myLocation': 'My location',
+  'env.vehicle': 'Vehicle for the drive comparison',
+  'env.intro': 'Once you pick a destination and a starting point, we’ll compare public transport, walking and driving by travel time, CO₂ and cost (fuel or charging plus parking, or the fare).',
+  'env.centre': '{region} centre',
+  'env.noneNear': 'No car parks found near {place}. Set a starting point above to compare public transport, walking and driving.',
+  'env.nearestWalk': 'Nearest car park: {name}, a {minutes} min walk ({distance})',
+  'env.nearest': 'Approx. distance to the nearest car park: {distance}',
+  'env.general': '{distance}. Set a starting point above to compare CO₂, cost and travel time for tram, train, bus, walking and driving. General alternatives:',
+  'vehicle.petrol': 'Petrol car',
+  'vehicle.diesel': 'Diesel car',
+  'vehicle.hybrid': 'Hybrid car',
+  'vehicle.ev': 'Electric car',
+  'tip.transit': 'Public transport',
+  'tip.transit.avoidParking': 'Use tram/train/bus to avoid parking and reduce congestion.',
+  'tip.transit.cheaper': 'If a direct service exists, it’s cheaper than parking.',
+  'tip.transit.likely': 'Likely options available depending on route.',
+  'tip.transit.avoidTraffic': 'Avoid city traffic and parking costs.',
+  'tip.walk': 'Walk',
+  'tip.walk.short': 'Distance is short. Walking avoids emissions and parking fees.',
+  'tip.cycle': 'Cycle',
+  'tip.cycle.short': 'Fast and zero-emission for short trips.',
+  'tip.cycle.range': '5 km is comfortable bike range for many riders.',
+  'tip.parkWalk': 'Park & Walk',
+  'tip.parkWalk.text': 'Park slightly further away and walk the last 500–800 m.',
+  'tip.parkRide': 'Park & Ride',
+  'tip.parkRide.text': 'Drive to a suburban station, then train/tram to destination.',
+  'tip.carShare': 'Car share',
+  'tip.carShare.text': 'Use shared vehicles to reduce total cars parked.',
+  'journey.looking': 'Looking up journeys from {from} to {to}…',
+  'journey.summary': {
+    one: 'Leaving now from {from}: 1 direct public transport option, compared with driving and parking a {vehicle}.',
+    other: 'Leaving now from {from}: {count} direct public transport options, compared with driving and parking a {vehicle}.'
+  },
+  'journey.noDirect': 'No direct tram, train or bus from {from} to {to} in the next two hours.',
+  'journey.unavailable': 'Journey options are unavailable right now.',
+  'journey.free': 'free',
+  'journey.co2': 'CO₂ {kg}',
+  'journey.saved': '({kg} less than driving)',
+  'journey.walk': 'Walk',
+  'journey.onFoot': '{distance} on foot',
+  'journey.arrive': 'Arrive {time} · {minutes} min',
+  'journey.arriveAbout': 'Arrive ~{time} · {minutes} min',
+  'journey.driveAndPark': 'Drive & park',
+  'journey.driveTo': 'Drive ~{minutes} min to {name}',
+  'journey.walkToDestination': 'Walk {minutes} min to the destination',
+  'journey.walkToStop': 'Walk {minutes} min to {stop}',
+  'journey.parkingUnknown': 'parking price unknown',
+  'journey.parkingFor': 'parking {price} for {stay}',
+  'journey.towards': '{mode} to {headsign}',
+  'journey.departs': {
+    one: 'Departs {time}, {minutes} min (1 stop) to {stop}',
+    other: 'Departs {time}, {minutes} min ({count} stops) to {stop}'
+  },
+  'journey.freeTramZone': 'Free Tram Zone: no fare needed',
+  'mode.tram': 'Tram',
+  'mode.train': 'Train',
+  'mode.bus': 'Bus',
+  'mode.ferry': 'Ferry',
+  'mode.other': 'Service',
+
+  // Insights
+  'insights.title': '{region} Insights',
+  'insights.from': 'From',
+  'insights.to': 'To',
+  'insights.groupBy': 'Group by',
+  'insights.measure': 'Measure',
+  'insights.byCarPark': '{measure} occupancy by car park',
+  'insights.byBucket': '{measure} occupancy & arrivals by {granularity}',
+  'insights.note': 'Calculated from recorded sensor events for the car parks currently shown (synthetic history in mock mode).',
+  'granularity.hour': 'Hour of day',
+  'granularity.weekday': 'Weekday',
+  'granularity.day': 'Day',
+  'aggregation.mean': 'Average',
+  'aggregation.p95': '95th percentile',
+  'aggregation.peak': 'Peak',
+  'chart.occupancy': 'Occupancy %',
+  'chart.arrivals': 'Arrivals',
+  'chart.noData': 'No data for this range.',
+  'chart.byCarParkSummary': 'Busiest: {busiest} at {high}. Quietest: {quietest} at {low}.',
+  'chart.seriesSummary': 'Highest occupancy {high} at {bucket}; most arrivals ({arrivals}) at {arrivalsBucket}.',
+
+  // Reserve dialog
+  'reserve.title': 'Reserve a bay',
+  'reserve.titleAt': 'Reserve a bay at {name}',
+  'reserve.name': 'Name',
+  'reserve.plate': 'Number plate',
+  'reserve.cancel': 'Cancel booking',
+  'reserve.submit': 'Reserve',
+  'reserve.grace': 'Unclaimed bookings are released {minutes} minutes after the start time.',
+  'reserve.booked': 'Booked! Your reference is {reference}. Arrive between {start} and {end}.',
+  'reserve.cancelled': 'Booking {reference} cancelled.',
+  'dialog.close': 'Close',
+
+  // Notify me dialog
+  'watch.title': 'Notify me',
+  'watch.titleAt': 'Notify me about {name}',
+  'watch.when': 'Tell me when',
+  'watch.typeBelow': 'free spaces drop below…',
+  'watch.typeReopens': 'spaces free up after it was full',
+  'watch.threshold': 'Free spaces',
+  'watch.between': 'Only between',
+  'watch.and': 'and',
+  'watch.weekdays': 'Weekdays only',
+  'watch.sendAs': 'Send it as',
+  'watch.push': 'Browser notification',
+  'watch.webhook': 'Webhook (POST to a URL)',
+  'watch.webhookUrl': 'Webhook URL',
+  'watch.submit': 'Start watching',
+  'watch.freeNow': '{free} of {capacity} spaces free now.',
+  'watch.itemBelow': 'Fewer than {threshold} spaces',
+  'watch.itemReopens': 'Spaces free up after being full',
+  'watch.itemWindow': '({start}–{end})',
+  'watch.itemWeekdays': '(weekdays {start}–{end})',
+  'watch.stop': 'Stop',
+  'watch.noPush': 'This browser does not support push notifications. Use a webhook instead.',
+  'watch.blocked': 'Notifications are blocked for this site.',
+  'watch.webhookStarted': 'Watching. Webhook calls are signed with X-Watch-Signature using this secret: {secret}',
+  'watch.pushStarted': 'Watching. You’ll get a notification even with the map closed.',
+
+  // Account
+  'account.signIn': 'Sign in',
+  'account.signOut': 'Sign out',
+  'account.register': 'Create an account',
+  'account.registerSubmit': 'Create account',
+  'account.haveAccount': 'I already have an account',
+  'account.name': 'Name',
+  'account.email': 'Email',
+  'account.password': 'Password',
+  'account.why': 'Save destinations and favourite car parks to reach them in one click.',
+  'account.forFavourites': 'Sign in to keep favourite car parks at the top of the list.',
+  'picks.label': 'Saved places',
+  'picks.goTo': 'Go to {name}',
+  'picks.forget': 'Forget {name}',
+  'picks.spotsFree': '{free}/{capacity} spots free',
+  'picks.save': '+ Save {name}',
+  'picks.saveTitle': 'Save this destination',
+
+  // Errors raised in the page itself (backend messages are shown as sent)
+  'error.tooMany': 'Too many requests, try again in {seconds} s'
+};
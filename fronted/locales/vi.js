@@ -0,0 +1,263 @@
+// Vietnamese. Keys follow locales/en.js; anything missing here falls back to English.
+export default {
+  // Page and header
+  'app.title': 'Giải pháp đỗ xe {region}',
+  'app.skip': 'Chuyển đến bản đồ bãi đỗ xe',
+  'header.city': 'Thành phố',
+  'header.language': 'Ngôn ngữ',
+  'nav.label': 'Các mục',
+  'nav.map': 'Bản đồ trực tiếp',
+  'nav.environment': 'Lựa chọn xanh',
+  'nav.insights': 'Thống kê {region}',
+  'footer.text': '© 2025 Giải pháp đỗ xe {region} • Bản demo giao diện',
+
+  // Overview and search
+  'overview.title': 'Giới thiệu dự án',
+  'overview.text': 'Tìm chỗ đỗ xe gần điểm đến và xem số chỗ trống theo thời gian thực. Chúng tôi cũng gợi ý các cách di chuyển thân thiện với môi trường (phương tiện công cộng, đi bộ, đạp xe) và cung cấp thống kê như giờ cao điểm và tỷ lệ lấp đầy trung bình.',
+  'search.label': 'Bạn muốn đi đâu?',
+  'search.placeholder': 'Nhập địa điểm, tên đường hoặc nhà ga',
+  'search.hint': 'Dùng phím mũi tên lên và xuống để duyệt gợi ý, nhấn Enter để chọn.',
+  'plan.arriveAt': 'Giờ đến',
+  'plan.stayFor': 'Thời gian đỗ',
+  'stay.30': '30 phút',
+  'stay.60': '1 giờ',
+  'stay.120': '2 giờ',
+  'stay.180': '3 giờ',
+  'stay.240': '4 giờ',
+  'stay.480': '8 giờ',
+  'stay.600': 'Cả ngày (10 giờ)',
+  'filters.legend': 'Bộ lọc',
+  'filters.ev': 'Sạc xe điện',
+  'filters.accessible': 'Chỗ đỗ cho người khuyết tật',
+  'filters.motorcycle': 'Chỗ đỗ xe máy',
+  'filters.open24': 'Mở cửa 24/7',
+  'filters.openAtArrival': 'Mở cửa khi tôi đến',
+  'filters.height': 'Chiều cao xe (m)',
+  'filters.heightPlaceholder': 'vd. 2,1',
+
+  // Map, legend and status line
+  'map.title': 'Bản đồ đỗ xe trực tiếp',
+  'map.label': 'Bản đồ các bãi đỗ xe',
+  'map.hint': 'Nhập điểm đến để tải các bãi đỗ xe gần đó.',
+  'map.loading': 'Đang tải các bãi đỗ xe gần đó…',
+  'map.showingNear': { other: 'Đang hiển thị {count} bãi đỗ xe gần {place}.' },
+  'map.noneNear': 'Không tìm thấy bãi đỗ xe nào trong khu vực này.',
+  'map.showing': { other: 'Đang hiển thị {count} bãi đỗ xe.' },
+  'map.noneYet': 'Chưa có bãi đỗ xe nào.',
+  'layers.carParks': 'Bãi đỗ xe',
+  'layers.bays': 'Chỗ đỗ ven đường',
+  'legend.carParks': 'Bãi đỗ xe',
+  'legend.low': 'Sắp hết chỗ (≤20% trống)',
+  'legend.bays': 'Chỗ đỗ ven đường',
+  'legend.zoomIn': '(phóng to)',
+  'legend.noParking': 'Hiện cấm đỗ (giờ giải tỏa)',
+  'legend.hint': 'Chọn một điểm đánh dấu để xem chỗ trống',
+  'status.available': 'Còn chỗ',
+  'status.low': 'Sắp hết chỗ',
+  'status.full': 'Hết chỗ',
+  'status.closed': 'Đang đóng cửa',
+  'marker.label': '{name}: {status}, còn {free} trên {capacity} chỗ',
+  'live.live': '● Trực tiếp',
+  'live.reconnecting': '● Đang kết nối lại…',
+  'live.offline': '● Ngoại tuyến',
+  'offline.banner': 'Bạn đang ngoại tuyến. Đang hiển thị số chỗ trống đã lưu, cập nhật lần cuối {ago}. Số chỗ có thể đã thay đổi.',
+
+  // Screen-reader announcements
+  'announce.available': '{name} đã có chỗ trống trở lại: còn {free} chỗ.',
+  'announce.low': '{name} sắp hết chỗ: còn {free} chỗ.',
+  'announce.full': '{name} hiện đã hết chỗ.',
+  'announce.closed': '{name} đã đóng cửa.',
+  'announce.suggestions': { other: '{count} gợi ý.' },
+  'announce.noSuggestions': 'Không có địa điểm phù hợp.',
+  'announce.region': 'Đang hiển thị các bãi đỗ xe ở {region}.',
+
+  // Popups and lot cards
+  'popup.availability': 'Chỗ trống:',
+  'popup.expected': 'Dự kiến lúc {time}:',
+  'popup.expectedFree': 'khoảng {expected} chỗ trống',
+  'popup.walkTo': 'Đi bộ {minutes} phút đến {place}',
+  'popup.destination': 'điểm đến',
+  'popup.updated': 'Cập nhật: {time}',
+  'popup.lastUpdated': 'Cập nhật lần cuối {ago}',
+  'popup.offline': '(ngoại tuyến)',
+  'lot.spots': '{free}/{capacity} chỗ',
+  'lot.savedOnline': 'Đã lưu khi có mạng',
+  'lot.forecast': 'khoảng {expected} chỗ trống lúc {time}',
+  'lot.forecastRange': 'Khoảng 80%: {low}–{high}',
+  'lot.overMaxStay': 'Vượt thời gian đỗ tối đa',
+  'lot.plannedStay': 'Thời gian đỗ dự kiến của bạn',
+  'lot.costFor': '{price} cho {stay}',
+  'lot.walk': 'Đi bộ {minutes} phút',
+  'lot.walkStraight': '{distance}, ước tính theo đường chim bay',
+  'lot.walkStreets': '{distance} theo đường phố',
+  'lot.hourly': '{price}/giờ',
+  'lot.open24': '24/7',
+  'lot.evChargers': 'Trạm sạc xe điện',
+  'lot.accessibleBays': 'Chỗ đỗ cho người khuyết tật',
+  'lot.motorcycle': 'Xe máy',
+  'lot.heightLimit': 'Giới hạn chiều cao',
+  'lot.reserve': 'Đặt chỗ',
+  'lot.notify': 'Báo cho tôi',
+  'fav.add': 'Thêm vào mục yêu thích',
+  'fav.remove': 'Bỏ khỏi mục yêu thích',
+  'duration.min': '{m} phút',
+  'duration.h': '{h} giờ',
+  'duration.hm': '{h} giờ {m} phút',
+  'route.tooltip': 'Đi bộ {minutes} phút · {distance}',
+
+  // Kerbside bays
+  'bay.default': 'Chỗ đỗ ven đường',
+  'bay.status': 'Trạng thái:',
+  'bay.vacant': 'Trống',
+  'bay.occupied': 'Có xe',
+  'bay.unknown': 'Không có dữ liệu cảm biến',
+  'bay.noRestriction': 'Hiện không có hạn chế',
+  'bay.noParkingUntil': '— cấm đỗ đến {time}',
+  'bay.until': '(đến {time})',
+
+  // Sorting
+  'list.sortBy': 'Sắp xếp theo',
+  'list.label': 'Các bãi đỗ xe trên bản đồ',
+  'sort.distance': 'Khoảng cách',
+  'sort.price': 'Giá cho thời gian đỗ',
+  'sort.availability': 'Số chỗ trống',
+
+  // Environment options and journeys
+  'env.title': 'Lựa chọn thân thiện với môi trường',
+  'env.origin': 'Xuất phát từ',
+  'env.originPlaceholder': 'Bạn đi từ đâu?',
+  'env.useMyLocation': 'Dùng vị trí của tôi',
+  'env.myLocation': 'Vị trí của tôi',
+  'env.vehicle': 'Loại xe để so sánh khi lái xe',
+  'env.intro': 'Khi bạn chọn điểm đến và điểm xuất phát, chúng tôi sẽ so sánh phương tiện công cộng, đi bộ và lái xe theo thời gian di chuyển, lượng CO₂ và chi phí (xăng hoặc sạc điện cộng phí đỗ xe, hoặc giá vé).',
+  'env.centre': 'Trung tâm {region}',
+  'env.noneNear': 'Không tìm thấy bãi đỗ xe gần {place}. Hãy chọn điểm xuất phát ở trên để so sánh phương tiện công cộng, đi bộ và lái xe.',
+  'env.nearestWalk': 'Bãi đỗ gần nhất: {name}, đi bộ {minutes} phút ({distance})',
+  'env.nearest': 'Khoảng cách ước tính đến bãi đỗ gần nhất: {distance}',
+  'env.general': '{distance}. Chọn điểm xuất phát ở trên để so sánh CO₂, chi phí và thời gian đi tàu điện, tàu hỏa, xe buýt, đi bộ và lái xe. Các lựa chọn khác:',
+  'vehicle.petrol': 'Xe xăng',
+  'vehicle.diesel': 'Xe dầu diesel',
+  'vehicle.hybrid': 'Xe hybrid',
+  'vehicle.ev': 'Xe điện',
+  'tip.transit': 'Phương tiện công cộng',
+  'tip.transit.avoidParking': 'Đi tàu điện/tàu hỏa/xe buýt để không phải tìm chỗ đỗ và giảm ùn tắc.',
+  'tip.transit.cheaper': 'Nếu có tuyến đi thẳng, sẽ rẻ hơn phí đỗ xe.',
+  'tip.transit.likely': 'Có thể có tuyến phù hợp tùy lộ trình.',
+  'tip.transit.avoidTraffic': 'Tránh kẹt xe trong thành phố và phí đỗ xe.',
+  'tip.walk': 'Đi bộ',
+  'tip.walk.short': 'Quãng đường ngắn. Đi bộ không phát thải và không mất phí đỗ xe.',
+  'tip.cycle': 'Đạp xe',
+  'tip.cycle.short': 'Nhanh và không phát thải cho chuyến đi ngắn.',
+  'tip.cycle.range': '5 km là quãng đường đạp xe thoải mái với nhiều người.',
+  'tip.parkWalk': 'Đỗ xe rồi đi bộ',
+  'tip.parkWalk.text': 'Đỗ xe xa hơn một chút và đi bộ 500–800 m cuối.',
+  'tip.parkRide': 'Đỗ xe và đi tàu',
+  'tip.parkRide.text': 'Lái xe đến một ga ngoại ô, rồi đi tàu hỏa/tàu điện đến điểm đến.',
+  'tip.carShare': 'Xe dùng chung',
+  'tip.carShare.text': 'Dùng xe chung để giảm tổng số xe phải đỗ.',
+  'journey.looking': 'Đang tìm lộ trình từ {from} đến {to}…',
+  'journey.summary': { other: 'Xuất phát ngay từ {from}: {count} lựa chọn phương tiện công cộng đi thẳng, so với việc lái và đỗ một chiếc {vehicle}.' },
+  'journey.noDirect': 'Không có tàu điện, tàu hỏa hay xe buýt đi thẳng từ {from} đến {to} trong hai giờ tới.',
+  'journey.unavailable': 'Hiện không thể tải các lựa chọn lộ trình.',
+  'journey.free': 'miễn phí',
+  'journey.co2': 'CO₂ {kg}',
+  'journey.saved': '(ít hơn lái xe {kg})',
+  'journey.walk': 'Đi bộ',
+  'journey.onFoot': 'Đi bộ {distance}',
+  'journey.arrive': 'Đến lúc {time} · {minutes} phút',
+  'journey.arriveAbout': 'Đến khoảng {time} · {minutes} phút',
+  'journey.driveAndPark': 'Lái xe & đỗ xe',
+  'journey.driveTo': 'Lái xe khoảng {minutes} phút đến {name}',
+  'journey.walkToDestination': 'Đi bộ {minutes} phút đến điểm đến',
+  'journey.walkToStop': 'Đi bộ {minutes} phút đến {stop}',
+  'journey.parkingUnknown': 'chưa rõ phí đỗ xe',
+  'journey.parkingFor': 'phí đỗ {price} cho {stay}',
+  'journey.towards': '{mode} đi {headsign}',
+  'journey.departs': { other: 'Khởi hành {time}, {minutes} phút ({count} trạm) đến {stop}' },
+  'journey.freeTramZone': 'Khu vực tàu điện miễn phí: không cần mua vé',
+  'mode.tram': 'Tàu điện',
+  'mode.train': 'Tàu hỏa',
+  'mode.bus': 'Xe buýt',
+  'mode.ferry': 'Phà',
+  'mode.other': 'Tuyến',
+
+  // Insights
+  'insights.title': 'Thống kê {region}',
+  'insights.from': 'Từ ngày',
+  'insights.to': 'Đến ngày',
+  'insights.groupBy': 'Nhóm theo',
+  'insights.measure': 'Chỉ số',
+  'insights.byCarPark': 'Tỷ lệ lấp đầy ({measure}) theo bãi đỗ',
+  'insights.byBucket': 'Tỷ lệ lấp đầy ({measure}) và lượt xe đến theo {granularity}',
+  'insights.note': 'Tính từ dữ liệu cảm biến đã ghi của các bãi đỗ đang hiển thị (dữ liệu giả lập ở chế độ mock).',
+  'granularity.hour': 'Giờ trong ngày',
+  'granularity.weekday': 'Thứ trong tuần',
+  'granularity.day': 'Ngày',
+  'aggregation.mean': 'Trung bình',
+  'aggregation.p95': 'Bách phân vị 95',
+  'aggregation.peak': 'Cao nhất',
+  'chart.occupancy': 'Tỷ lệ lấp đầy %',
+  'chart.arrivals': 'Lượt xe đến',
+  'chart.noData': 'Không có dữ liệu trong khoảng thời gian này.',
+  'chart.byCarParkSummary': 'Đông nhất: {busiest} ({high}). Vắng nhất: {quietest} ({low}).',
+  'chart.seriesSummary': 'Lấp đầy cao nhất {high} lúc {bucket}; nhiều xe đến nhất ({arrivals}) lúc {arrivalsBucket}.',
+
+  // Reserve dialog
+  'reserve.title': 'Đặt chỗ đỗ',
+  'reserve.titleAt': 'Đặt chỗ đỗ tại {name}',
+  'reserve.name': 'Tên',
+  'reserve.plate': 'Biển số xe',
+  'reserve.cancel': 'Hủy đặt chỗ',
+  'reserve.submit': 'Đặt chỗ',
+  'reserve.grace': 'Chỗ đã đặt nhưng không sử dụng sẽ được giải phóng sau {minutes} phút kể từ giờ bắt đầu.',
+  'reserve.booked': 'Đã đặt chỗ! Mã đặt chỗ của bạn là {reference}. Vui lòng đến trong khoảng {start} đến {end}.',
+  'reserve.cancelled': 'Đã hủy đặt chỗ {reference}.',
+  'dialog.close': 'Đóng',
+
+  // Notify me dialog
+  'watch.title': 'Báo cho tôi',
+  'watch.titleAt': 'Báo cho tôi về {name}',
+  'watch.when': 'Báo khi',
+  'watch.typeBelow': 'số chỗ trống giảm xuống dưới…',
+  'watch.typeReopens': 'có chỗ trống trở lại sau khi hết chỗ',
+  'watch.threshold': 'Số chỗ trống',
+  'watch.between': 'Chỉ trong khoảng',
+  'watch.and': 'đến',
+  'watch.weekdays': 'Chỉ ngày thường',
+  'watch.sendAs': 'Gửi qua',
+  'watch.push': 'Thông báo trình duyệt',
+  'watch.webhook': 'Webhook (POST đến một URL)',
+  'watch.webhookUrl': 'URL webhook',
+  'watch.submit': 'Bắt đầu theo dõi',
+  'watch.freeNow': 'Hiện còn {free} trên {capacity} chỗ trống.',
+  'watch.itemBelow': 'Ít hơn {threshold} chỗ',
+  'watch.itemReopens': 'Có chỗ trống trở lại sau khi hết chỗ',
+  'watch.itemWindow': '({start}–{end})',
+  'watch.itemWeekdays': '(ngày thường {start}–{end})',
+  'watch.stop': 'Dừng',
+  'watch.noPush': 'Trình duyệt này không hỗ trợ thông báo đẩy. Hãy dùng webhook.',
+  'watch.blocked': 'Thông báo đã bị chặn cho trang này.',
+  'watch.webhookStarted': 'Đang theo dõi. Các lệnh gọi webhook được ký trong X-Watch-Signature bằng khóa bí mật này: {secret}',
+  'watch.pushStarted': 'Đang theo dõi. Bạn sẽ nhận được thông báo kể cả khi đã đóng bản đồ.',
+
+  // Account
+  'account.signIn': 'Đăng nhập',
+  'account.signOut': 'Đăng xuất',
+  'account.register': 'Tạo tài khoản',
+  'account.registerSubmit': 'Tạo tài khoản',
+  'account.haveAccount': 'Tôi đã có tài khoản',
+  'account.name': 'Tên',
+  'account.email': 'Email',
+  'account.password': 'Mật khẩu',
+  'account.why': 'Lưu điểm đến và bãi đỗ yêu thích để mở chúng chỉ với một lần nhấn.',
+  'account.forFavourites': 'Đăng nhập để giữ các bãi đỗ yêu thích ở đầu danh sách.',
+  'picks.label': 'Địa điểm đã lưu',
+  'picks.goTo': 'Đi đến {name}',
+  'picks.forget': 'Xóa {name}',
+  'picks.spotsFree': 'Còn {free}/{capacity} chỗ',
+  'picks.save': '+ Lưu {name}',
+  'picks.saveTitle': 'Lưu điểm đến này',
+
+  // Errors raised in the page itself (backend messages are shown as sent)
+  'error.tooMany': 'Quá nhiều yêu cầu, vui lòng thử lại sau {seconds} giây'
+};
@@ -0,0 +1,263 @@
+// Simplified Chinese. Keys follow locales/en.js; anything missing here falls back to English.
+export default {
+  // Page and header
+  'app.title': '{region} 停车解决方案',
+  'app.skip': '跳到停车地图',
+  'header.city': '城市',
+  'header.language': '语言',
+  'nav.label': '页面导航',
+  'nav.map': '实时地图',
+  'nav.environment': '绿色出行',
+  'nav.insights': '{region} 数据洞察',
+  'footer.text': '© 2025 {region} 停车解决方案 • 前端演示',
+
+  // Overview and search
+  'overview.title': '项目简介',
+  'overview.text': '查找目的地附近的停车场并查看实时空位。我们还会推荐更环保的出行方式（公共交通、步行、骑行），并提供最繁忙时段和平均占用率等数据。',
+  'search.label': '您要去哪里？',
+  'search.placeholder': '输入地点、街道或车站',
+  'search.hint': '使用上下方向键浏览建议，按回车键选择。',
+  'plan.arriveAt': '到达时间',
+  'plan.stayFor': '停留时长',
+  'stay.30': '30 分钟',
+  'stay.60': '1 小时',
+  'stay.120': '2 小时',
+  'stay.180': '3 小时',
+  'stay.240': '4 小时',
+  'stay.480': '8 小时',
+  'stay.600': '全天（10 小时）',
+  'filters.legend': '筛选',
+  'filters.ev': '电动车充电',
+  'filters.accessible': '无障碍车位',
+  'filters.motorcycle': '摩托车停车',
+  'filters.open24': '24 小时开放',
+  'filters.openAtArrival': '到达时营业',
+  'filters.height': '车辆高度（米）',
+  'filters.heightPlaceholder': '例如 2.1',
+
+  // Map, legend and status line
+  'map.title': '实时停车地图',
+  'map.label': '停车场地图',
+  'map.hint': '输入目的地以加载附近的停车场。',
+  'map.loading': '正在加载附近的停车场…',
+  'map.showingNear': { other: '显示 {place} 附近的 {count} 个停车场。' },
+  'map.noneNear': '该区域没有找到停车场。',
+  'map.showing': { other: '显示 {count} 个停车场。' },
+  'map.noneYet': '暂无可用的停车场。',
+  'layers.carParks': '停车场',
+  'layers.bays': '路边车位',
+  'legend.carParks': '停车场',
+  'legend.low': '车位紧张（空位 ≤20%）',
+  'legend.bays': '路边车位',
+  'legend.zoomIn': '（放大查看）',
+  'legend.noParking': '当前禁止停车（清道时段）',
+  'legend.hint': '选择标记查看车位',
+  'status.available': '有空位',
+  'status.low': '车位紧张',
+  'status.full': '已满',
+  'status.closed': '当前关闭',
+  'marker.label': '{name}：{status}，{capacity} 个车位中有 {free} 个空位',
+  'live.live': '● 实时',
+  'live.reconnecting': '● 正在重新连接…',
+  'live.offline': '● 离线',
+  'offline.banner': '您当前处于离线状态。显示的是已保存的空位信息，最后更新于{ago}。实际空位可能已经变化。',
+
+  // Screen-reader announcements
+  'announce.available': '{name} 又有空位了：{free} 个空位。',
+  'announce.low': '{name} 车位紧张：剩余 {free} 个空位。',
+  'announce.full': '{name} 现已满位。',
+  'announce.closed': '{name} 已关闭。',
+  'announce.suggestions': { other: '{count} 条建议。' },
+  'announce.noSuggestions': '没有匹配的地点。',
+  'announce.region': '正在显示 {region} 的停车场。',
+
+  // Popups and lot cards
+  'popup.availability': '空位：',
+  'popup.expected': '预计 {time}：',
+  'popup.expectedFree': '约 {expected} 个空位',
+  'popup.walkTo': '步行 {minutes} 分钟到 {place}',
+  'popup.destination': '目的地',
+  'popup.updated': '更新时间：{time}',
+  'popup.lastUpdated': '最后更新于{ago}',
+  'popup.offline': '（离线）',
+  'lot.spots': '{free}/{capacity} 个车位',
+  'lot.savedOnline': '联网时保存',
+  'lot.forecast': '{time} 约有 {expected} 个空位',
+  'lot.forecastRange': '80% 区间 {low}–{high}',
+  'lot.overMaxStay': '超过最长停留时间',
+  'lot.plannedStay': '您计划的停留时长',
+  'lot.costFor': '{stay} {price}',
+  'lot.walk': '步行 {minutes} 分钟',
+  'lot.walkStraight': '{distance}（按直线距离估算）',
+  'lot.walkStreets': '沿街道 {distance}',
+  'lot.hourly': '{price}/小时',
+  'lot.open24': '24 小时',
+  'lot.evChargers': '电动车充电桩',
+  'lot.accessibleBays': '无障碍车位',
+  'lot.motorcycle': '摩托车',
+  'lot.heightLimit': '限高',
+  'lot.reserve': '预订',
+  'lot.notify': '通知我',
+  'fav.add': '加入收藏',
+  'fav.remove': '取消收藏',
+  'duration.min': '{m} 分钟',
+  'duration.h': '{h} 小时',
+  'duration.hm': '{h} 小时 {m} 分钟',
+  'route.tooltip': '步行 {minutes} 分钟 · {distance}',
+
+  // Kerbside bays
+  'bay.default': '路边车位',
+  'bay.status': '状态：',
+  'bay.vacant': '空闲',
+  'bay.occupied': '已占用',
+  'bay.unknown': '无传感器数据',
+  'bay.noRestriction': '当前无限制',
+  'bay.noParkingUntil': '— {time} 前禁止停车',
+  'bay.until': '（至 {time}）',
+
+  // Sorting
+  'list.sortBy': '排序方式',
+  'list.label': '地图上的停车场',
+  'sort.distance': '距离',
+  'sort.price': '本次停车费用',
+  'sort.availability': '空位数',
+
+  // Environment options and journeys
+  'env.title': '环保出行选择',
+  'env.origin': '出发地',
+  'env.originPlaceholder': '您从哪里出发？',
+  'env.useMyLocation': '使用我的位置',
+  'env.myLocation': '我的位置',
+  'env.vehicle': '用于驾车比较的车辆',
+  'env.intro': '选择目的地和出发地后，我们会按出行时间、二氧化碳排放和费用（燃油或充电加停车费，或车票）比较公共交通、步行和驾车。',
+  'env.centre': '{region} 市中心',
+  'env.noneNear': '{place} 附近没有找到停车场。请在上方设置出发地，以比较公共交通、步行和驾车。',
+  'env.nearestWalk': '最近的停车场：{name}，步行 {minutes} 分钟（{distance}）',
+  'env.nearest': '到最近停车场的大致距离：{distance}',
+  'env.general': '{distance}。在上方设置出发地，即可比较电车、火车、公交、步行和驾车的二氧化碳排放、费用和出行时间。其他出行建议：',
+  'vehicle.petrol': '汽油车',
+  'vehicle.diesel': '柴油车',
+  'vehicle.hybrid': '混合动力车',
+  'vehicle.ev': '电动车',
+  'tip.transit': '公共交通',
+  'tip.transit.avoidParking': '乘坐电车、火车或公交，免去停车麻烦并减少拥堵。',
+  'tip.transit.cheaper': '如果有直达线路，会比停车更便宜。',
+  'tip.transit.likely': '视路线而定，通常有可选线路。',
+  'tip.transit.avoidTraffic': '避开市区交通拥堵和停车费用。',
+  'tip.walk': '步行',
+  'tip.walk.short': '距离很近。步行零排放，也不用付停车费。',
+  'tip.cycle': '骑行',
+  'tip.cycle.short': '短途出行快捷且零排放。',
+  'tip.cycle.range': '5 公里对多数骑行者来说是舒适的距离。',
+  'tip.parkWalk': '停车后步行',
+  'tip.parkWalk.text': '把车停得稍远一些，步行最后 500–800 米。',
+  'tip.parkRide': '停车换乘',
+  'tip.parkRide.text': '开车到郊区车站，再换乘火车或电车到达目的地。',
+  'tip.carShare': '汽车共享',
+  'tip.carShare.text': '使用共享汽车，减少停放的车辆总数。',
+  'journey.looking': '正在查询从 {from} 到 {to} 的行程…',
+  'journey.summary': { other: '现在从 {from} 出发：有 {count} 个直达公共交通方案，并与驾驶{vehicle}停车进行比较。' },
+  'journey.noDirect': '未来两小时内没有从 {from} 到 {to} 的直达电车、火车或公交。',
+  'journey.unavailable': '暂时无法获取行程方案。',
+  'journey.free': '免费',
+  'journey.co2': '二氧化碳 {kg}',
+  'journey.saved': '（比驾车少 {kg}）',
+  'journey.walk': '步行',
+  'journey.onFoot': '步行 {distance}',
+  'journey.arrive': '{time} 到达 · {minutes} 分钟',
+  'journey.arriveAbout': '约 {time} 到达 · {minutes} 分钟',
+  'journey.driveAndPark': '驾车并停车',
+  'journey.driveTo': '驾车约 {minutes} 分钟到 {name}',
+  'journey.walkToDestination': '步行 {minutes} 分钟到目的地',
+  'journey.walkToStop': '步行 {minutes} 分钟到 {stop}',
+  'journey.parkingUnknown': '停车费未知',
+  'journey.parkingFor': '停车 {stay} {price}',
+  'journey.towards': '开往 {headsign} 的{mode}',
+  'journey.departs': { other: '{time} 出发，乘坐 {minutes} 分钟（{count} 站）到 {stop}' },
+  'journey.freeTramZone': '免费电车区：无需购票',
+  'mode.tram': '电车',
+  'mode.train': '火车',
+  'mode.bus': '公交',
+  'mode.ferry': '渡轮',
+  'mode.other': '线路',
+
+  // Insights
+  'insights.title': '{region} 数据洞察',
+  'insights.from': '开始日期',
+  'insights.to': '结束日期',
+  'insights.groupBy': '分组方式',
+  'insights.measure': '统计方式',
+  'insights.byCarPark': '各停车场的{measure}占用率',
+  'insights.byBucket': '按{granularity}统计的{measure}占用率和到达车辆',
+  'insights.note': '根据当前显示停车场的传感器记录计算（模拟模式下为合成历史数据）。',
+  'granularity.hour': '小时',
+  'granularity.weekday': '星期',
+  'granularity.day': '日期',
+  'aggregation.mean': '平均',
+  'aggregation.p95': '第 95 百分位',
+  'aggregation.peak': '峰值',
+  'chart.occupancy': '占用率 %',
+  'chart.arrivals': '到达车辆',
+  'chart.noData': '该时间范围内没有数据。',
+  'chart.byCarParkSummary': '最繁忙：{busiest}，{high}。最空闲：{quietest}，{low}。',
+  'chart.seriesSummary': '{bucket} 占用率最高，为 {high}；{arrivalsBucket} 到达车辆最多（{arrivals}）。',
+
+  // Reserve dialog
+  'reserve.title': '预订车位',
+  'reserve.titleAt': '在 {name} 预订车位',
+  'reserve.name': '姓名',
+  'reserve.plate': '车牌号',
+  'reserve.cancel': '取消预订',
+  'reserve.submit': '预订',
+  'reserve.grace': '未使用的预订会在开始时间 {minutes} 分钟后释放。',
+  'reserve.booked': '预订成功！您的预订编号是 {reference}。请在 {start} 至 {end} 之间到达。',
+  'reserve.cancelled': '预订 {reference} 已取消。',
+  'dialog.close': '关闭',
+
+  // Notify me dialog
+  'watch.title': '通知我',
+  'watch.titleAt': '{name} 的空位提醒',
+  'watch.when': '何时通知我',
+  'watch.typeBelow': '空位少于…',
+  'watch.typeReopens': '满位后重新有空位',
+  'watch.threshold': '空位数',
+  'watch.between': '仅在此时段',
+  'watch.and': '至',
+  'watch.weekdays': '仅工作日',
+  'watch.sendAs': '通知方式',
+  'watch.push': '浏览器通知',
+  'watch.webhook': 'Webhook（POST 到网址）',
+  'watch.webhookUrl': 'Webhook 网址',
+  'watch.submit': '开始提醒',
+  'watch.freeNow': '当前 {capacity} 个车位中有 {free} 个空位。',
+  'watch.itemBelow': '空位少于 {threshold} 个',
+  'watch.itemReopens': '满位后重新有空位',
+  'watch.itemWindow': '（{start}–{end}）',
+  'watch.itemWeekdays': '（工作日 {start}–{end}）',
+  'watch.stop': '停止',
+  'watch.noPush': '此浏览器不支持推送通知，请改用 Webhook。',
+  'watch.blocked': '此网站的通知已被屏蔽。',
+  'watch.webhookStarted': '已开始提醒。Webhook 请求会用以下密钥在 X-Watch-Signature 中签名：{secret}',
+  'watch.pushStarted': '已开始提醒。即使关闭地图，您也会收到通知。',
+
+  // Account
+  'account.signIn': '登录',
+  'account.signOut': '退出登录',
+  'account.register': '创建账户',
+  'account.registerSubmit': '创建账户',
+  'account.haveAccount': '我已有账户',
+  'account.name': '姓名',
+  'account.email': '电子邮箱',
+  'account.password': '密码',
+  'account.why': '保存目的地和收藏的停车场，一键即可前往。',
+  'account.forFavourites': '登录后，收藏的停车场会显示在列表顶部。',
+  'picks.label': '已保存的地点',
+  'picks.goTo': '前往 {name}',
+  'picks.forget': '删除 {name}',
+  'picks.spotsFree': '空位 {free}/{capacity}',
+  'picks.save': '+ 保存 {name}',
+  'picks.saveTitle': '保存此目的地',
+
+  // Errors raised in the page itself (backend messages are shown as sent)
+  'error.tooMany': '请求过多，请在 {seconds} 秒后重试'
+};
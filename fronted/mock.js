@@ -0,0 +1,194 @@
+// In-browser stand-in for the backend (config.json "useMock": true or ?mock=1).
+// Every method returns the same body as the matching /api/v2 endpoint; backend/test/contract.test.js
+// checks them against the OpenAPI document so the two cannot drift apart.
+export const mock = (() => {
+  // Same regions as backend/data/regions.json
+  const regions = [
+    { id:'melbourne', name:'Melbourne', bounds:[144.85,-37.92,145.10,-37.70], center:{ lat:-37.8136, lng:144.9631 }, zoom:14, default:true },
+    { id:'geelong', name:'Geelong', bounds:[144.25,-38.25,144.50,-38.05], center:{ lat:-38.1480, lng:144.3600 }, zoom:15, default:false },
+    { id:'ballarat', name:'Ballarat', bounds:[143.75,-37.65,143.95,-37.48], center:{ lat:-37.5615, lng:143.8560 }, zoom:15, default:false },
+  ];
+  // Subset of the backend gazetteers (backend/data/gazetteer*.json) so both modes suggest the same places
+  const places = [
+    { place_id:'gz-federation-square', name:'Federation Square', type:'landmark', lat:-37.8180, lng:144.9691, region:'melbourne' },
+    { place_id:'gz-flinders-street-station', name:'Flinders Street Station', type:'station', lat:-37.8183, lng:144.9671, region:'melbourne' },
+    { place_id:'gz-melbourne-central', name:'Melbourne Central', type:'landmark', lat:-37.8107, lng:144.9626, region:'melbourne' },
+    { place_id:'gz-qv-melbourne', name:'QV Melbourne', type:'landmark', lat:-37.8103, lng:144.9643, region:'melbourne' },
+    { place_id:'gz-southgate', name:'Southgate', type:'landmark', lat:-37.8203, lng:144.9657, region:'melbourne' },
+    { place_id:'gz-state-library-victoria', name:'State Library Victoria', type:'landmark', lat:-37.8098, lng:144.9652, region:'melbourne' },
+    { place_id:'gz-collins-street', name:'Collins Street', type:'street', lat:-37.8160, lng:144.9650, region:'melbourne' },
+    { place_id:'gz-swanston-street-and-bourke-street', name:'Swanston St & Bourke St', type:'street', lat:-37.8134, lng:144.9635, region:'melbourne' },
+    { place_id:'gz-monash-caulfield-campus', name:'Monash Caulfield Campus', type:'landmark', lat:-37.8770, lng:145.0443, region:'melbourne' },
+    { place_id:'gz-caulfield-station', name:'Caulfield Station', type:'station', lat:-37.8772, lng:145.0425, region:'melbourne' },
+    { place_id:'gz-geelong-station', name:'Geelong Station', type:'station', lat:-38.1447, lng:144.3548, region:'geelong' },
+    { place_id:'gz-geelong-waterfront', name:'Geelong Waterfront', type:'landmark', lat:-38.1436, lng:144.3650, region:'geelong' },
+    { place_id:'gz-market-square', name:'Market Square', type:'landmark', lat:-38.1479, lng:144.3600, region:'geelong' },
+    { place_id:'gz-ballarat-station', name:'Ballarat Station', type:'station', lat:-37.5586, lng:143.8593, region:'ballarat' },
+    { place_id:'gz-bridge-mall', name:'Bridge Mall', type:'landmark', lat:-37.5607, lng:143.8601, region:'ballarat' },
+    { place_id:'gz-sovereign-hill', name:'Sovereign Hill', type:'landmark', lat:-37.5776, lng:143.8538, region:'ballarat' },
+  ];
+  let lots = [
+    { id:'CP-101', name:'Flinders Lane Car Park', lat:-37.8173, lng:144.9655, capacity:220, available_spots: 88, price:'$3/hr', tariff:{ hourly:3, daily_cap:18 }, open_now:true, open_24_7:true, max_height_m:2.1, ev_chargers:4, accessible_bays:6, motorcycle_bays:10 },
+    { id:'CP-102', name:'Russell St Car Park',    lat:-37.8128, lng:144.9675, capacity:160, available_spots: 47, price:'$4/hr', tariff:{ hourly:4, daily_cap:22, max_stay_minutes:480 }, open_now:true, open_24_7:false, max_height_m:1.9, ev_chargers:0, accessible_bays:4, motorcycle_bays:0 },
+    { id:'CP-103', name:'QV Car Park',            lat:-37.8106, lng:144.9652, capacity:120, available_spots: 12, price:'$5/hr', tariff:{ hourly:5, daily_cap:25 }, open_now:false, open_24_7:false, max_height_m:2.3, ev_chargers:8, accessible_bays:10, motorcycle_bays:20 },
+    { id:'CP-201', name:'Derby Rd Car Park',      lat:-37.8779, lng:145.0449, capacity:180, available_spots: 61, price:'$3/hr', tariff:{ hourly:3, daily_cap:12 }, open_now:true, open_24_7:true, max_height_m:2.4, ev_chargers:2, accessible_bays:5, motorcycle_bays:8 },
+    { id:'CP-202', name:'Caulfield Plaza Car Park',lat:-37.8765,lng:145.0431, capacity:140, available_spots:  9, price:'$3/hr', tariff:{ hourly:3, daily_cap:15 }, open_now:true, open_24_7:false, max_height_m:2.0, ev_chargers:0, accessible_bays:3, motorcycle_bays:0 },
+    { id:'CP-301', name:'Market Square Car Park', lat:-38.1476, lng:144.3593, capacity:480, available_spots:120, price:'$3.50/hr', tariff:{ hourly:3.5, daily_cap:18 }, open_now:true, open_24_7:false, max_height_m:2.2, ev_chargers:4, accessible_bays:10, motorcycle_bays:8 },
+    { id:'CP-302', name:'Geelong Waterfront Car Park', lat:-38.1443, lng:144.3640, capacity:220, available_spots:40, price:'$4/hr', tariff:{ hourly:4, daily_cap:20 }, open_now:true, open_24_7:true, max_height_m:2.3, ev_chargers:2, accessible_bays:6, motorcycle_bays:6 },
+    { id:'CP-401', name:'Ballarat Central Car Park', lat:-37.5610, lng:143.8560, capacity:350, available_spots:90, price:'$2.50/hr', tariff:{ hourly:2.5, daily_cap:12 }, open_now:true, open_24_7:true, max_height_m:2.1, ev_chargers:2, accessible_bays:8, motorcycle_bays:10 },
+  ].map(p => ({ ...p, region: regionOf(p), reserved: 0, availability_source: 'sensor', closed_reason: null, closed_until: null, updated_at: new Date().toISOString() }));
+  // A block of Flinders Lane with the backend's restriction shape (days 0=Sun … 6=Sat)
+  const bays = Array.from({ length: 10 }, (_, i) => ({
+    id: `BAY-M${i + 1}`, street: 'Flinders Lane', lat: -37.8166, lng: 144.9652 + i * 0.0003, updated_at: new Date().toISOString(),
+    status: i % 3 === 0 ? 'vacant' : 'occupied',
+    restrictions: i < 2
+      ? [{ code: 'LZ 30M', kind: 'loading', description: 'LZ 30M M-F 07:30-18:30', duration_minutes: 30, days: [1,2,3,4,5], start: '07:30', end: '18:30' }]
+      : [{ code: '1P', kind: 'timed', description: '1P MTR M-SAT 07:30-18:30', duration_minutes: 60, days: [1,2,3,4,5,6], start: '07:30', end: '18:30' }]
+  }));
+  function restrictionNow(b, d = new Date()){ const hm=`${String(d.getHours()).padStart(2,'0')}:${String(d.getMinutes()).padStart(2,'0')}`;
+    // Overnight windows (start after end) belong to the day they start, as in backend/kerbside.js
+    const r=b.restrictions.find(r=>r.start<r.end ? r.days.includes(d.getDay()) && hm>=r.start && hm<r.end
+      : r.start>r.end && ((r.days.includes(d.getDay()) && hm>=r.start) || (r.days.includes((d.getDay()+6)%7) && hm<r.end)));
+    return r ? { ...r, until: r.end } : null; }
+  const bookings = new Map();
+  // Same crossing rule as backend/watches.js (no cooldown); only push watches notify, webhooks are not called
+  const watches = new Map();
+  function checkWatches(l, before){ for (const w of watches.values()){ if (w.parking_id!==l.id) continue; const after=l.available_spots;
+    const fire = w.type==='below' ? before>=w.threshold && after<w.threshold : before===0 && after>0; if (!fire) continue;
+    const title = w.type==='below' ? `${l.name} is filling up` : `${l.name} has spaces again`, body=`${after} of ${l.capacity} spaces free.`;
+    if (w.delivery==='push' && 'Notification' in globalThis && Notification.permission==='granted') new Notification(title, { body, tag:`watch-${w.id}` }); } }
+  const users = () => JSON.parse(localStorage.getItem('mcp.mockUsers') || '{}');
+  function account(token){ const u=users()[token]; if (!u) throw new Error('Sign in required'); return u; }
+  function saveUser(u){ const all=users(); all[u.email]=u; localStorage.setItem('mcp.mockUsers', JSON.stringify(all)); const { password, ...rest }=u; return rest; }
+  // Same bodies as /api/v2: { data } for one resource, { data, meta } for lists
+  const one = data => ({ data });
+  const page = (items, extra = {}) => ({ data: items, meta: { ...extra, total: items.length, limit: null, offset: 0 } });
+  function toRad(d){ return d*Math.PI/180; }
+  function haversine(a,b){ const R=6371000, dLat=toRad(b.lat-a.lat), dLng=toRad(b.lng-a.lng), la1=toRad(a.lat), la2=toRad(b.lat);
+    const h=Math.sin(dLat/2)**2 + Math.cos(la1)*Math.cos(la2)*Math.sin(dLng/2)**2; return 2*R*Math.asin(Math.sqrt(h)); }
+  function regionOf(p){ const r=regions.find(({ bounds:[minLng,minLat,maxLng,maxLat] })=>p.lng>=minLng && p.lng<=maxLng && p.lat>=minLat && p.lat<=maxLat); return r ? r.id : null; }
+  return {
+    regions(){ return page(regions.map(r=>({ ...r, parking_count: lots.filter(l=>l.region===r.id).length }))); },
+    async geoSearch(q, region){ const qn=q.toLowerCase();
+      return page(places.filter(p=>(!region||p.region===region) && p.name.toLowerCase().includes(qn)).slice(0,8).map(p=>({ ...p, source:'mock' }))); },
+    async parkingNear(lat,lng,radius=900,filters={}){ const c={lat,lng}; const pool=lots.filter(p=>matchesFilters(p,filters));
+      const items=pool.filter(p=>haversine(c,p)<=radius).map(p=>({...p}));
+      if (!items.length){ const nearest=pool.map(p=>({...p,_d:haversine(c,p)})).sort((a,b)=>a._d-b._d).slice(0,3).map(({_d,...r})=>r); return page(nearest); }
+      return page(items); },
+    async parkingInBBox([minLng,minLat,maxLng,maxLat],filters={}){
+      return page(lots.filter(p=>matchesFilters(p,filters) && p.lng>=minLng && p.lng<=maxLng && p.lat>=minLat && p.lat<=maxLat).map(p=>({...p}))); },
+    // No street graph in mock mode: the backend's straight-line fallback (×1.3 detour at 1.3 m/s)
+    walkRoute(id, dest){ const l=lots.find(x=>x.id===id); if (!l) throw new Error('Not found');
+      const distance_m=Math.round(haversine(l,dest)*1.3), duration_s=Math.round(distance_m/1.3);
+      return one({ id, from:{ lat:l.lat, lng:l.lng }, to:{ lat:dest.lat, lng:dest.lng }, distance_m, duration_s, duration_min: Math.max(1,Math.round(duration_s/60)),
+        method:'straight_line', streets:[], geometry:{ type:'LineString', coordinates:[[l.lng,l.lat],[dest.lng,dest.lat]] } }); },
+    walkTimes(ids, dest){ return page(ids.filter(id=>lots.some(l=>l.id===id)).map(id=>{
+      const { geometry, streets, from, to, ...rest }=this.walkRoute(id,dest).data; return { ...rest, name: lots.find(l=>l.id===id).name }; }), { to: { lat: dest.lat, lng: dest.lng } }); },
+    // One made-up direct service (tram within 6 km, train beyond) every 10 minutes, plus drive-and-park via the closest mock lot (in the region, if given)
+    // CO₂ (kg/km) and energy cost ($/km) per vehicle follow backend/data/emission-factors.json
+    journeys(from, to, at, stay, vehicle='petrol', region=null){ const d=haversine(from,to), t=new Date(at).getTime(), min=m=>new Date(t+m*60000).toISOString();
+      const v={ petrol:['Petrol car',0.19,8.2,'L',2.05], diesel:['Diesel car',0.18,6.9,'L',2.15], hybrid:['Hybrid car',0.11,4.6,'L',2.05], ev:['Electric car',0.13,16,'kWh',0.32] }[vehicle];
+      const round=x=>Math.round(x*100)/100;
+      const tram=d<=6000, wait=10-new Date(at).getMinutes()%10, ride=Math.max(2,Math.round(d/(tram?250:700)));
+      const transit=[{ mode: tram?'tram':'train', route:{ id:'MOCK', short_name: tram?'70':'Frankston', long_name:'', color: tram?'#F7941D':'#0072CE' }, headsign:'City',
+        board:{ name:'Nearest stop', walk_min:4 }, alight:{ name:'Stop near destination', walk_min:3 }, depart_at:min(4+wait), alight_at:min(4+wait+ride),
+        arrive_at:min(7+wait+ride), wait_min:wait, ride_min:ride, stops:Math.max(1,Math.round(ride/2)), total_min:7+wait+ride,
+        co2_kg:round(d/1000*(tram?0.05:0.04)), cost:{ fare:5.3, total:5.3, free_tram_zone:false } }];
+      const lot=lots.filter(l=>!region||l.region===region).sort((a,b)=>haversine(a,to)-haversine(b,to))[0];
+      const drive=Math.max(1,Math.round(haversine(from,lot)*1.4/417)), walk=Math.max(1,Math.round(haversine(lot,to)*1.3/78));
+      const cost=this.costs([lot.id], at, stay).data[0];
+      const walkM=Math.round(d*1.3), km=haversine(from,lot)*1.4/1000, energy=round(km*v[2]/100), parking=cost.allowed ? cost.total : null;
+      const driveAndPark={ mode:'drive', vehicle:{ id:vehicle, label:v[0] }, parking:{ id:lot.id, name:lot.name, lat:lot.lat, lng:lot.lng, available_spots:lot.available_spots },
+        drive_m:Math.round(km*1000), drive_min:drive, walk_m:Math.round(haversine(lot,to)*1.3), walk_min:walk, total_min:drive+3+walk, arrive_at:min(drive+3+walk), co2_kg:round(km*v[1]), energy:{ amount:energy, unit:v[3] },
+        cost:{ energy:round(energy*v[4]), parking, total:round(energy*v[4]+(parking||0)) } };
+      const saved=o=>({ ...o, co2_saved_kg:round(driveAndPark.co2_kg-o.co2_kg) });
+      return one({ from, to, at:new Date(at).toISOString(), vehicle:driveAndPark.vehicle, currency:'AUD', transit:transit.map(saved), drive_and_park:driveAndPark,
+        walk: walkM<=3000 ? saved({ mode:'walk', distance_m:walkM, total_min:Math.round(walkM/78), arrive_at:min(Math.round(walkM/78)), method:'straight_line', co2_kg:0, cost:{ total:0 } }) : null }); },
+    async baysInBBox([minLng,minLat,maxLng,maxLat]){
+      return page(bays.filter(b=>b.lng>=minLng && b.lng<=maxLng && b.lat>=minLat && b.lat<=maxLat).map(b=>{
+        const r=restrictionNow(b); return { ...b, restriction_now: r, can_park_now: !r || !['clearway','no_stopping'].includes(r.kind) }; })); },
+    pushUpdates(ids){ const changes=[]; for (const id of ids){ const i=lots.findIndex(l=>l.id===id); if (i===-1) continue;
+      const before=lots[i].available_spots, delta=Math.floor((Math.random()-0.5)*8); lots[i].available_spots=Math.max(0,Math.min(lots[i].capacity,lots[i].available_spots+delta));
+      lots[i].updated_at=new Date().toISOString(); checkWatches(lots[i], before); changes.push({ ...lots[i] }); } return changes; },
+    createWatch(body){ if (!lots.some(l=>l.id===body.parking_id)) throw new Error('Invalid watch. parking_id must be an existing car park');
+      if (body.type==='below' && !(body.threshold>0)) throw new Error('Invalid watch. threshold must be a positive integer');
+      const now=new Date();
+      const w={ id:crypto.randomUUID(), user_id:null, threshold:null, window:null, ...body, status:'active', delivery: body.webhook_url ? 'webhook' : 'push',
+        expires_at: body.expires_at || new Date(now.getTime()+30*86400000).toISOString(), created_at: now.toISOString() };
+      delete w.push_subscription; watches.set(w.id, w); return one({ ...w, secret: body.webhook_url ? 'mock-secret' : undefined }); },
+    deleteWatch(id){ watches.delete(id); },
+    lot(id){ const l=lots.find(x=>x.id===id); return l ? { ...l } : null; },
+    // Accounts live in localStorage so a mock sign-in survives a reload; the "token" is the account email
+    register({ email, password, name, vehicle }){ const all=users();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email||'')) throw new Error('Invalid registration. email must be a valid email address');
+      if ((password||'').length<8) throw new Error('Invalid registration. password must be at least 8 characters');
+      const key=email.toLowerCase(); if (all[key]) throw new Error('An account with that email already exists');
+      const now=new Date().toISOString();
+      const u={ id:crypto.randomUUID(), email:key, name:name||null, password, role:'user', vehicle:vehicle||'petrol', destinations:[], favourites:[], created_at:now, updated_at:now };
+      return one({ token:key, user:saveUser(u) }); },
+    login({ email, password }){ const u=users()[(email||'').toLowerCase()]; if (!u||u.password!==password) throw new Error('Incorrect email or password');
+      return one({ token:u.email, user:saveUser(u) }); },
+    me(token){ return one(saveUser(account(token))); },
+    updateMe(token, patch){ return one(saveUser({ ...account(token), ...patch, updated_at:new Date().toISOString() })); },
+    addDestination(token, { name, lat, lng, place_id }){ const u=account(token), d={ id:crypto.randomUUID(), name, lat, lng, place_id };
+      saveUser({ ...u, destinations:[...u.destinations, d] }); return one(d); },
+    removeDestination(token, id){ const u=account(token); saveUser({ ...u, destinations:u.destinations.filter(d=>d.id!==id) }); return null; },
+    favourites(token){ const u=account(token); return page(u.favourites.map(id=>lots.find(l=>l.id===id)).filter(Boolean).map(l=>({ ...l }))); },
+    setFavourite(token, id, on){ const u=account(token), favourites=u.favourites.filter(x=>x!==id);
+      if (on) favourites.push(id); return one({ favourites: saveUser({ ...u, favourites }).favourites }); },
+    // Bookings hold a bay straight away (no time windows in mock mode)
+    reserve(id, { start, end, name, plate, email }){ const l=lots.find(x=>x.id===id); if (!l) throw new Error('Not found');
+      if (l.available_spots<=0) throw new Error('No bays left to reserve in that window');
+      l.available_spots--; l.updated_at=new Date().toISOString();
+      const reference='MCP-'+Array.from(crypto.getRandomValues(new Uint8Array(16)),b=>'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'[b%32]).join('').match(/.{4}/g).join('-');
+      const now=new Date().toISOString();
+      bookings.set(reference,{ id:crypto.randomUUID(), reference, parking_id:id, start, end, status:'confirmed', name, plate, email, created_at:now, updated_at:now });
+      return one({ ...bookings.get(reference) }); },
+    cancelReservation(reference){ const b=bookings.get(reference); if (!b||b.status!=='confirmed') throw new Error('Reservation not found');
+      b.status='cancelled'; b.updated_at=new Date().toISOString();
+      const l=lots.find(x=>x.id===b.parking_id); if (l){ l.available_spots=Math.min(l.capacity,l.available_spots+1); l.updated_at=new Date().toISOString(); }
+      const { name, plate, email, ...rest }=b; return one(rest); },
+    // Hourly rate per started hour, capped per 24 h (no early-bird/weekend rules in mock mode)
+    costs(ids, arrival, duration){ const items=lots.filter(l=>ids.includes(l.id)).map(({ id, name, tariff: t }) => {
+      if (t.max_stay_minutes && duration > t.max_stay_minutes) return { id, name, priced:true, allowed:false, currency:'AUD', reason:`Maximum stay is ${t.max_stay_minutes/60} h` };
+      const days=Math.floor(duration/1440), rest=duration%1440;
+      const total=days*t.daily_cap + Math.min(t.daily_cap, Math.ceil(rest/60)*t.hourly);
+      return { id, name, priced:true, allowed:true, currency:'AUD', total }; });
+      return page(items, { arrival: new Date(arrival).toISOString(), duration }); },
+    // Same commuter curve as stats(), nudged from the live count for near-term arrivals
+    forecasts(ids, at){ const d=new Date(at), hour=d.getHours()+d.getMinutes()/60, weekday=d.getDay();
+      const occ=(weekday===0||weekday===6?0.6:1)*(0.25+0.6*Math.max(0,Math.sin(Math.PI*(hour-6)/14)));
+      const w=Math.max(0,Math.min(1,1-(d-Date.now())/3600000));
+      const items=lots.filter(l=>ids.includes(l.id)).map(lot => {
+        const expected=Math.round(w*lot.available_spots+(1-w)*lot.capacity*(1-occ)), spread=Math.round((1-w)*lot.capacity*0.1);
+        return { id: lot.id, at: d.toISOString(), capacity: lot.capacity, available_spots: lot.available_spots, expected_available: expected,
+          low: Math.max(0,expected-spread), high: Math.min(lot.capacity,expected+spread), confidence: 0.8, method: 'mock', samples: 0 }; });
+      return page(items, { at: d.toISOString() }); },
+    // Deterministic synthetic history: weekday commuter curve, quieter weekends
+    stats({ from, to, granularity, aggregation }, current = lots){
+      const scale = { mean: 1, p95: 1.15, peak: 1.25 }[aggregation] || 1;
+      const pct = x => Math.min(100, Math.round(x * scale));
+      const curve = (hour, weekday) => (weekday === 0 || weekday === 6 ? 0.6 : 1) * (25 + 60 * Math.max(0, Math.sin(Math.PI * (hour - 6) / 14)));
+      const byCarPark = current.map(l => ({ id: l.id, carPark: l.name, percentage: pct((l.capacity - l.available_spots) / Math.max(1, l.capacity) * 100), samples: 0 }));
+      const point = (bucket, occ) => ({ bucket, occupancy: pct(occ), entries: Math.round(occ * 1.5 * scale), samples: 0 });
+      let series;
+      if (granularity === 'weekday') {
+        series = ['Mon','Tue','Wed','Thu','Fri','Sat','Sun'].map((d, i) => point(d, curve(13, (i + 1) % 7)));
+      } else if (granularity === 'day') {
+        series = [];
+        for (let d = new Date(from); d < new Date(to); d.setDate(d.getDate() + 1)) {
+          series.push(point(d.toLocaleDateString('en-CA'), curve(13, d.getDay())));
+        }
+      } else {
+        series = Array.from({ length: 15 }, (_, i) => i + 6).map(h => point(`${String(h).padStart(2, '0')}:00`, curve(h, 3)));
+      }
+      return one({ from, to, granularity, aggregation, byCarPark, series });
+    }
+  };
+})();
+
+// Search filters applied client-side (mock mode and the offline copy)
+// Same semantics as the backend's attribute filters; "open at" uses the static open_now flag
+export function matchesFilters(p,f){ return (!f.ev||p.ev_chargers>0) && (!f.accessible||p.accessible_bays>0) && (!f.motorcycle||p.motorcycle_bays>0)
+  && (!f.open24||p.open_24_7) && (!f.maxHeight||p.max_height_m==null||p.max_height_m>=Number(f.maxHeight)) && (!f.openAt||p.open_now)
+  && (!f.region||p.region===f.region); }
@@ -0,0 +1,138 @@
+// Service worker: offline app shell and map tiles, plus car-park availability alerts delivered by Web Push
+// Live data is not cached here — app.js keeps the last /parking response in IndexedDB instead
+const SHELL_CACHE = 'mcp-shell-v3';
+const TILE_CACHE = 'mcp-tiles-v1';
+const TILE_HOST = /(^|\.)tile\.openstreetmap\.org$/;
+const MAX_TILES = 600;                        // roughly a few neighbourhoods at street zoom
+const TILE_MAX_AGE_MS = 7 * 24 * 3600 * 1000; // refetch older tiles when online
+
+const SHELL = [
+  './',
+  'index.html',
+  'app.js',
+  'mock.js',
+  'i18n.js',
+  'locales/en.js',
+  'locales/zh-CN.js',
+  'locales/vi.js',
+  'styles.css',
+  'config.json',
+  'manifest.webmanifest',
+  'icon.svg',
+  'vendor/leaflet/leaflet.css',
+  'vendor/leaflet/leaflet.js',
+  'vendor/leaflet/images/layers.png',
+  'vendor/leaflet/images/layers-2x.png',
+  'vendor/leaflet.markercluster/MarkerCluster.css',
+  'vendor/leaflet.markercluster/MarkerCluster.Default.css',
+  'vendor/leaflet.markercluster/leaflet.markercluster.js',
+  'vendor/chart.js/chart.umd.min.js'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+// Drop caches from older versions of this worker
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, TILE_CACHE];
+    for (const key of await caches.keys()) {
+      if (key.startsWith('mcp-') && !keep.includes(key)) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  if (TILE_HOST.test(url.hostname)) return event.respondWith(tile(req));
+  if (url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith(scopePath('vendor/'))) return event.respondWith(cacheFirst(req));
+  if (req.mode === 'navigate' ? isAppPage(url) : SHELL.some(p => scopePath(p) === url.pathname)) event.respondWith(shell(req));
+});
+
+const scopePath = p => new URL(p, self.registration.scope).pathname;
+// The map page itself, with or without ?lot= (the admin pages are left to the network)
+const isAppPage = url => url.pathname === scopePath('./') || url.pathname === scopePath('index.html');
+
+// App shell: network first so deploys show up straight away, cache when offline.
+// All navigations to the map page share the './' entry.
+async function shell(req) {
+  const cache = await caches.open(SHELL_CACHE);
+  const key = req.mode === 'navigate' ? './' : req;
+  try {
+    const res = await fetch(req);
+    if (res.ok) cache.put(key, res.clone());
+    return res;
+  } catch (err) {
+    const hit = await cache.match(key);
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+// Vendored libraries are versioned by path and never change
+async function cacheFirst(req) {
+  const cache = await caches.open(SHELL_CACHE);
+  const hit = await cache.match(req);
+  if (hit) return hit;
+  const res = await fetch(req);
+  if (res.ok) cache.put(req, res.clone());
+  return res;
+}
+
+// Map tiles: keep the most recently viewed MAX_TILES; serve from cache unless the copy is a week old.
+// Tile servers do not expose their Date header to CORS requests, so the fetch time is stamped on the copy.
+async function tile(req) {
+  const cache = await caches.open(TILE_CACHE);
+  const hit = await cache.match(req);
+  if (hit && Date.now() - Number(hit.headers.get('x-fetched-at')) < TILE_MAX_AGE_MS) {
+    // Re-insert so the tile counts as recently viewed when trimming
+    cache.put(req, hit.clone());
+    return hit;
+  }
+  try {
+    const res = await fetch(req);
+    if (res.ok) {
+      const headers = new Headers(res.headers);
+      headers.set('x-fetched-at', String(Date.now()));
+      await cache.put(req, new Response(await res.clone().blob(), { status: res.status, statusText: res.statusText, headers }));
+      trimTiles(cache);
+    }
+    return res;
+  } catch (err) {
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+// Cache keys come back in insertion order, so the oldest views are at the front
+async function trimTiles(cache) {
+  const keys = await cache.keys();
+  for (const key of keys.slice(0, Math.max(0, keys.length - MAX_TILES))) await cache.delete(key);
+}
+
+self.addEventListener('push', (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(self.registration.showNotification(data.title || 'Car park alert', {
+    body: data.body || '',
+    tag: data.tag,
+    renotify: Boolean(data.tag),
+    data: { url: data.url || './' }
+  }));
+});
+
+// Focus an open tab if there is one, otherwise open the app on the car park
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data.url, self.registration.scope).href;
+  event.waitUntil((async () => {
+    const tabs = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const tab = tabs.find(c => c.url.startsWith(self.registration.scope));
+    if (tab) { await tab.focus(); return tab.navigate(url); }
+    return self.clients.openWindow(url);
+  })());
+});